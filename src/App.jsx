@@ -1,30 +1,79 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
-import { Upload, Download, Check, PanelLeft, Plus, Eye, EyeOff, ChevronDown, Minus, Copy } from 'lucide-react';
+import { Upload, Download, Check, PanelLeft, Plus, Eye, EyeOff, ChevronDown, Minus, Copy, RotateCcw } from 'lucide-react';
 // eslint-disable-next-line no-unused-vars
 import { motion, AnimatePresence } from 'framer-motion';
 import { usePhysics } from './utils/usePhysics';
 import PhysicsElement from './components/PhysicsElement';
 import EffectEngine from './components/EffectEngine';
-import { extractDominantColors } from './utils/colors';
+import ConstraintGuides from './components/ConstraintGuides';
+import { extractDominantColors, extractPalette, COLOR_METRICS } from './utils/colors';
+import { DEFAULT_TONE, EQUALIZE_MODES } from './utils/tone';
+import { DEFAULT_FILTERS, RESAMPLE_METHODS, EDGE_MODES } from './utils/filters';
+import { PALETTE_PRESETS, PALETTE_FORMATS, paletteToTones, importPaletteFile, exportPaletteBlob, loadUserPalettes, saveUserPalettes } from './utils/palettes';
 import ColorPickerPopover from './components/ColorPickerPopover';
+import { DIFFUSION_KERNELS, DEFAULT_KERNEL } from './utils/kernels';
+import { THRESHOLD_MAPS, DEFAULT_THRESHOLD_MAP } from './utils/thresholdMaps';
+import { DOT_SHAPES, computeHalftoneScreen, renderHalftone, generateHalftoneSVG } from './utils/halftone';
 import {
-  applyAtkinsonDither,
-  applyHalftoneDither,
-  applyColorMap,
-  generateSVG
-} from './utils/dither';
-import { applyAsciiEffect } from './components/EffectEngine';
+  SEPARATION_MODES,
+  PLATE_METHODS,
+  DEFAULT_SPOT_INKS,
+  getSeparationInks,
+  renderSeparation,
+  generateSeparationSVG,
+  plateId
+} from './utils/separation';
+import { ASCII_CHARSETS, ASCII_FONTS, DEFAULT_ASCII } from './utils/ascii';
+import { prepareSource, ditherPixels, getSeparationPlates, isTextEffect, computeTextGrid, textCanvasSize, drawTextGrid, renderEffect } from './utils/pipeline';
+import { DRIFT_DIRECTIONS, DEFAULT_ANIMATION, ANIMATION_SPEED, isAnimated, animationFrame, frameSettings } from './utils/animation';
+import { TEXT_FORMATS, serializeTextGrid } from './utils/textExport';
+import { generateSVG, perPixelSVGSize } from './utils/svgExport';
+import { vectorizeLayer, downloadSVG, DEFAULT_TRACE } from './utils/vectorizer';
+import { constructFigmaPayload, constructFramerComponent, copyToClipboard } from './utils/integrations';
+import { createCanvas, canvasToBlob } from './utils/canvas';
+import {
+  MOTION_FORMATS,
+  MOTION_FPS,
+  MOTION_LIMITS,
+  DEFAULT_MOTION,
+  motionFps,
+  motionFrameCount,
+  motionFrameSize,
+  layerBodies,
+  captureFrames,
+  snapshotBodies,
+  restoreBodies,
+  spriteSize,
+  drawScene,
+  createMotionWriter
+} from './utils/motionExport';
+import { WALL_MODES, DEFAULT_WORLD, WORLD_LIMITS, DEFAULT_BODY, BODY_LIMITS, wallBounds, applyWorldSettings } from './utils/physicsSettings';
+import { SEED_RANGE, randomSeed } from './utils/simulation';
+import { LINK_TYPES, FIELD_TYPES, LINK_LIMITS, FIELD_LIMITS, createLink, createField, syncLinks } from './utils/constraints';
+import { COLLIDER_SHAPES, traceCollider, spriteCentre } from './utils/collider';
+import { frameLayout, frameChildPoses, groupLayers, ungroupFrame, removeLayer, drawFrame } from './utils/frames';
 import Dropdown from './components/Dropdown';
+import ToneCurve from './components/ToneCurve';
 import LayerItem from './components/LayerItem';
 import './index.css';
 
+// Canvas images are shown at natural size up to this width
+const LAYER_MAX_WIDTH = 300;
+
+// Milliseconds a layer's settings must hold still before its collider is retraced
+const COLLIDER_TRACE_DELAY = 300;
+
+// Milliseconds a frame's children must hold still before it is flattened again
+const FRAME_FLATTEN_DELAY = 300;
+
 const MIN_ZOOM = 0.1;
 const MAX_ZOOM = 16;
 const ZOOM_FACTOR = 1.08;
 
 // ── Per-layer factory ──────────────────────────────────────────────────────
 let _layerCounter = 1;
+let _frameCounter = 1;
 const createLayer = (originalUrl, name) => ({
   id: Date.now() + Math.random(),
   name: name || `Layer ${_layerCounter++}`,
@@ -33,23 +82,245 @@ const createLayer = (originalUrl, name) => ({
   originalUrl,
   processedUrl: null,
   effectEnabled: false,   // ← user must explicitly pick an effect; raw image shows until then
-  effectType: 'atkinson',
+  effectType: 'diffusion',
+  kernel: DEFAULT_KERNEL, // key into DIFFUSION_KERNELS
+  serpentine: false,      // alternate scan direction per row
+  thresholdMap: DEFAULT_THRESHOLD_MAP, // key into THRESHOLD_MAPS
+  thresholdSize: THRESHOLD_MAPS[DEFAULT_THRESHOLD_MAP].defaultSize,
+  screenAngle: 45,        // AM halftone screen angle in degrees
+  screenLpi: 20,          // AM halftone lines per inch
+  dotShape: 'round',      // key into DOT_SHAPES
+  separationMode: 'cmyk', // key into SEPARATION_MODES
+  spotInks: DEFAULT_SPOT_INKS,
+  plateMethod: 'halftone', // key into PLATE_METHODS
   pixelScale: 40,         // 0–100 % → maps to 1–20 raw
   contrast: 40,           // 0–100 % → maps to 0.1–3.0 raw
+  tone: { ...DEFAULT_TONE }, // pre-dither adjustments, see utils/tone.js
+  filters: { ...DEFAULT_FILTERS }, // resampling, smoothing, sharpening, edges
+  ascii: { ...DEFAULT_ASCII }, // charset, font, cell aspect and glyph colour
   colors: { shadow: '#111111', midtone: '#888888', highlight: '#ffffff' },
+  colorMode: 'tones',     // 'tones' (shadow/midtone/highlight) or 'palette'
+  palette: ['#111111', '#888888', '#ffffff'], // 2–256 hex colours, seeded from the image on import
+  colorMetric: 'oklab',   // key into COLOR_METRICS
   hiddenColors: [],       // array of types e.g. ['shadow']
+  animation: { ...DEFAULT_ANIMATION }, // drift, noise and colour cycling, see utils/animation.js
+  physics: { ...DEFAULT_BODY }, // density, bounciness, friction, pinned, fixed rotation
 });
 
+const DEFAULT_PALETTE_SIZE = 8;
+const MIN_PALETTE_SIZE = 2;
+const MAX_PALETTE_SIZE = 256;
+
+const TONE_SLIDERS = [
+  { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, format: v => `${v > 0 ? '+' : ''}${v}` },
+  { key: 'gamma', label: 'Gamma', min: 0.1, max: 3, step: 0.05, format: v => v.toFixed(2) },
+  { key: 'blackPoint', label: 'Black Point', min: 0, max: 254, step: 1, format: v => v },
+  { key: 'whitePoint', label: 'White Point', min: 1, max: 255, step: 1, format: v => v },
+];
+
+// Per-layer body sliders, with ranges from BODY_LIMITS
+const BODY_SLIDERS = [
+  { key: 'density', label: 'Density', format: v => `${(v / DEFAULT_BODY.density).toFixed(1)}×` },
+  { key: 'restitution', label: 'Bounciness', format: v => v.toFixed(2) },
+  { key: 'friction', label: 'Friction', format: v => v.toFixed(2) },
+  { key: 'frictionAir', label: 'Air Drag', format: v => v.toFixed(2) },
+];
+
+// Physics world sliders, with ranges from WORLD_LIMITS
+const WORLD_SLIDERS = [
+  { key: 'gravity', label: 'Gravity', format: v => v.toFixed(1) },
+  { key: 'gravityAngle', label: 'Gravity Direction', format: v => `${v}°` },
+  { key: 'timeScale', label: 'Time Scale', format: v => `${v.toFixed(1)}×` },
+];
+
+// Spring and force field sliders, with ranges from LINK_LIMITS and FIELD_LIMITS
+const LINK_SLIDERS = [
+  { key: 'stiffness', label: 'Stiffness', format: v => v.toFixed(3) },
+];
+
+const FIELD_SLIDERS = [
+  { key: 'strength', label: 'Strength', format: v => v.toFixed(2) },
+  { key: 'radius', label: 'Radius', format: v => v },
+];
+
 // Normalise percentage to algorithm range
 const rawPixelScale = (pct) => (pct / 100) * 19 + 1;        // 1–20
 const rawContrast = (pct) => (pct / 100) * 2.9 + 0.1;     // 0.1–3.0
 
+// Effect settings as the pipeline expects them: raw ranges, hidden tones
+// removed, and the layer's animation still to be resolved per frame
+const layerAnimatedSettings = (layer) => {
+  const colors = { ...layer.colors };
+  layer.hiddenColors?.forEach(hc => { delete colors[hc]; });
+  return {
+    effectType: layer.effectType,
+    kernel: layer.kernel,
+    serpentine: layer.serpentine,
+    thresholdMap: layer.thresholdMap,
+    thresholdSize: layer.thresholdSize,
+    screenAngle: layer.screenAngle,
+    screenLpi: layer.screenLpi,
+    dotShape: layer.dotShape,
+    separationMode: layer.separationMode,
+    spotInks: layer.spotInks,
+    plateMethod: layer.plateMethod,
+    pixelScale: rawPixelScale(layer.pixelScale),
+    contrast: rawContrast(layer.contrast),
+    tone: layer.tone,
+    filters: layer.filters,
+    ascii: layer.ascii,
+    colors,
+    colorMode: layer.colorMode,
+    palette: layer.palette,
+    colorMetric: layer.colorMetric,
+    animation: isAnimated(layer.animation) ? layer.animation : undefined,
+  };
+};
+
+// The settings for one frame of the layer; still exports show the first
+const layerEffectSettings = (layer, frame = 0) => frameSettings({ ...layerAnimatedSettings(layer), frame });
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = "Anonymous";
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+// A layer's dithered pixels, as the pixel exports see them
+const renderLayerPixels = async (layer) => {
+  const settings = layerEffectSettings(layer);
+  const prepared = prepareSource(await loadImage(layer.originalUrl), settings);
+  if (!prepared) return null;
+  return ditherPixels(prepared.imageData, settings, prepared.edges);
+};
+
+// Looks up an animated layer's frame for a time in seconds, rendering each
+// frame once, as the live preview does
+const layerFrames = async (layer) => {
+  const source = await loadImage(layer.originalUrl);
+  const settings = layerAnimatedSettings(layer);
+  const frames = new Map();
+  return async (seconds) => {
+    const frame = animationFrame(settings, seconds);
+    if (!frames.has(frame)) {
+      const canvas = createCanvas(1, 1);
+      await renderEffect(source, { ...settings, frame }, canvas);
+      frames.set(frame, canvas);
+    }
+    return frames.get(frame);
+  };
+};
+
+// What a layer's traced collider depends on, or null for a plain box
+const colliderKey = (layer) => {
+  const { collider } = { ...DEFAULT_BODY, ...layer.physics };
+  if (collider === 'box') return null;
+  return JSON.stringify([layer.originalUrl, layer.effectEnabled && layerAnimatedSettings(layer), collider]);
+};
+
+// The layer's first frame, or its source image with the effect off, on a
+// canvas; null when the effect renders nothing
+const layerCanvas = async (layer) => {
+  const source = await loadImage(layer.originalUrl);
+  if (layer.effectEnabled) {
+    const canvas = createCanvas(1, 1);
+    return await renderEffect(source, layerEffectSettings(layer), canvas) ? canvas : null;
+  }
+  const canvas = createCanvas(source.naturalWidth, source.naturalHeight);
+  canvas.getContext('2d').drawImage(source, 0, 0);
+  return canvas;
+};
+
+// Size of a layer canvas as the canvas shows it
+const canvasSpriteSize = (canvas) => spriteSize({ naturalWidth: canvas.width, naturalHeight: canvas.height }, LAYER_MAX_WIDTH);
+
+// A collider ({ width, height, outline }) traced from the layer canvas, at
+// the size the canvas shows it
+const traceLayerShape = async (layer) => {
+  const canvas = await layerCanvas(layer);
+  if (!canvas) return null;
+  const size = canvasSpriteSize(canvas);
+  const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return { ...size, outline: traceCollider(imageData, layer.physics.collider, size) };
+};
+
+// What a frame's flattened image depends on: where its children sit and
+// how each looks
+const frameKey = (frameLayer, layers) => JSON.stringify([
+  frameLayer.frame.children.map(({ id, x, y, angle }) => [id, x, y, angle]),
+  layers
+    .filter(layer => layer.frameId === frameLayer.id)
+    .map(layer => [layer.id, layer.visible, layer.opacity, layer.originalUrl, layer.effectEnabled && layerAnimatedSettings(layer)]),
+]);
+
+// A frame's visible children flattened into one image the frame's size,
+// each child as its layer canvas; the frame's source image
+const flattenFrame = async (frameLayer, children) => {
+  const sprites = new Map();
+  for (const child of children) {
+    const image = child.visible && await layerCanvas(child);
+    if (image) sprites.set(child.id, { image, ...canvasSpriteSize(image), opacity: child.opacity / 100 });
+  }
+  const { frame } = frameLayer;
+  const canvas = createCanvas(Math.ceil(frame.width), Math.ceil(frame.height));
+  drawFrame(canvas.getContext('2d'), frame, sprites);
+  return URL.createObjectURL(await canvasToBlob(canvas));
+};
+
+// Dithered pixels are drawn unsmoothed, as the canvas shows them
+const isPixelated = (layer) => !!layer.processedUrl && layer.effectType !== 'halftone';
+
+// Colours a layer is dithered to, which seed the GIF palette. Layers
+// without an effect (or with a photographic one) contribute none.
+const layerInkColors = (layer) => {
+  if (!layer.effectEnabled || !['diffusion', 'ordered'].includes(layer.effectType)) return [];
+  if (layer.colorMode === 'palette') return layer.palette;
+  return Object.values(layerEffectSettings(layer).colors).filter(c => c && c !== 'transparent');
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Diffusion and Ordered come out in a handful of flat colours, which the
+// traced path, Figma and Framer exports need
+const isFlatColored = (layer) => !!layer?.effectEnabled && ['diffusion', 'ordered'].includes(layer.effectType);
+const FLAT_COLOR_FORMATS = ['svg_path', 'figma', 'framer'];
+
+// Whether `layer` can be exported as `format`: the text formats need a
+// text effect, and some others flat colours
+const canExportAs = (layer, format) => {
+  if (TEXT_FORMATS[format]) return !!layer?.effectEnabled && isTextEffect(layer.effectType);
+  if (FLAT_COLOR_FORMATS.includes(format)) return isFlatColored(layer);
+  return true;
+};
+
+// A text layer's character grid serialised as `format` (a TEXT_FORMATS key)
+const renderLayerText = async (layer, format) => {
+  const settings = layerEffectSettings(layer);
+  const prepared = prepareSource(await loadImage(layer.originalUrl), settings);
+  if (!prepared) return null;
+  const grid = computeTextGrid(prepared.imageData, settings, prepared.edges);
+  const ascii = { ...DEFAULT_ASCII, ...layer.ascii };
+  return serializeTextGrid(grid, format, {
+    font: ascii.font,
+    aspect: ascii.aspect,
+    background: settings.colors.highlight,
+    title: layer.name,
+  });
+};
+
 function App() {
   // ── Layer state ──────────────────────────────────────────────────────────
   const [layers, setLayers] = useState([]);
   const [selectedLayerId, setSelectedLayerId] = useState(null);
   const [renamingLayerId, setRenamingLayerId] = useState(null);
   const [layersCollapsed, setLayersCollapsed] = useState(false);
+  const [frameSelection, setFrameSelection] = useState([]); // layer ids shift-clicked to group into a frame
 
   // ── Undo history (single-level) ──────────────────────────────────────────
   const prevLayersRef = useRef([]);
@@ -70,10 +341,22 @@ function App() {
   const [copySuccess, setCopySuccess] = useState(false);
   const [exportScale, setExportScale] = useState('1x');
   const [exportFormat, setExportFormat] = useState('image');
+  const [exportPlates, setExportPlates] = useState(false);
+  const [crispEdges, setCrispEdges] = useState(true);
+  const [traceOptions, setTraceOptions] = useState(DEFAULT_TRACE); // Potrace parameters for SVG Paths
+  const [vectorStats, setVectorStats] = useState(null); // { layerId, bytes, perPixelBytes } of the last traced SVG
+  const [motionOptions, setMotionOptions] = useState(DEFAULT_MOTION);
+  const [recordProgress, setRecordProgress] = useState(null); // 0–1 while capturing, 'encoding' while finishing, null when idle
 
   // ── UI state ─────────────────────────────────────────────────────────────
   const [leftPanelCollapsed, setLeftPanelCollapsed] = useState(false);
   const [activeColorPopover, setActiveColorPopover] = useState(null);
+  const [paletteExtractSize, setPaletteExtractSize] = useState(DEFAULT_PALETTE_SIZE);
+  const [userPalettes, setUserPalettes] = useState(loadUserPalettes);
+  const [histograms, setHistograms] = useState({}); // layer id → luma bins after the tone stage
+  const [renderProgress, setRenderProgress] = useState({}); // layer id → 0–1 while rendering, null when idle
+  const [colliders, setColliders] = useState({}); // layer id → traced collider shape
+  const paletteInputRef = useRef(null);
   // ── Asset tab state ─────────────────────────────────────────────────────
   const [assetTab, setAssetTab] = useState('image');
 
@@ -92,10 +375,33 @@ function App() {
 
   useEffect(() => { cameraRef.current = camera; }, [camera]);
 
+  // ── Physics world ────────────────────────────────────────────────────────
+  const [world, setWorld] = useState(DEFAULT_WORLD);
+  const updateWorld = (changes) => setWorld(prev => ({ ...prev, ...changes }));
+  const [canvasSize, setCanvasSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+  const [scene, setScene] = useState(null); // the last recorded scene, for replay
+  const [sceneRecording, setSceneRecording] = useState(false);
+  const sceneConstraintsRef = useRef(null); // links and fields as the recording started
+
+  // ── Constraints ──────────────────────────────────────────────────────────
+  const [links, setLinks] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [constraintTool, setConstraintTool] = useState(null); // LINK_TYPES or FIELD_TYPES key waiting for a canvas click
+
+  useEffect(() => {
+    const handleResize = () => setCanvasSize({
+      width: canvasRef.current?.clientWidth ?? window.innerWidth,
+      height: canvasRef.current?.clientHeight ?? window.innerHeight,
+    });
+    handleResize();
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
   // ── Refs ─────────────────────────────────────────────────────────────────
   const fileInputRef = useRef(null);
   const replaceIdRef = useRef(null); // which layer's source to replace
-  const { engine } = usePhysics();
+  const { engine, simulation, setPaused, step: stepPhysics } = usePhysics(world, wallBounds(world.walls, camera, canvasSize), links, fields);
   const canvasRef = useRef(null);
   const isSpaceDown = useRef(false);
   const isDragging = useRef(false);
@@ -107,6 +413,65 @@ function App() {
   useEffect(() => { selectedIdRef.current = selectedLayerId; }, [selectedLayerId]);
   useEffect(() => { layersRef.current = layers; }, [layers]);
 
+  // ── Traced colliders ─────────────────────────────────────────────────────
+  // Retraced a moment after a layer's image, effect or collider setting
+  // settles, so dragging a slider doesn't trace every step
+  const tracedRef = useRef(new Map()); // layer id → colliderKey last traced
+  const colliderKeys = JSON.stringify(layers.map(layer => [layer.id, colliderKey(layer)]));
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      for (const [id, key] of JSON.parse(colliderKeys)) {
+        if (!key || tracedRef.current.get(id) === key) continue;
+        const layer = layersRef.current.find(l => l.id === id);
+        try {
+          const shape = layer && await traceLayerShape(layer);
+          if (cancelled) return;
+          tracedRef.current.set(id, key);
+          setColliders(prev => ({ ...prev, [id]: shape }));
+        } catch (err) {
+          console.error('Collider trace failed:', err);
+        }
+      }
+    }, COLLIDER_TRACE_DELAY);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [colliderKeys]);
+
+  // ── Flattened frames ─────────────────────────────────────────────────────
+  // A frame is flattened again a moment after its children settle; its first
+  // image also seeds its colours, as an import does
+  const flattenedRef = useRef(new Map()); // frame id → frameKey last flattened
+  const frameKeys = JSON.stringify(layers.filter(layer => layer.frame).map(layer => [layer.id, frameKey(layer, layers)]));
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      for (const [id, key] of JSON.parse(frameKeys)) {
+        if (flattenedRef.current.get(id) === key) continue;
+        const frameLayer = layersRef.current.find(l => l.id === id);
+        if (!frameLayer) continue;
+        try {
+          const url = await flattenFrame(frameLayer, layersRef.current.filter(l => l.frameId === id));
+          if (cancelled) {
+            URL.revokeObjectURL(url);
+            return;
+          }
+          flattenedRef.current.set(id, key);
+          // Revoke the last flattened image to prevent a memory leak
+          const previousUrl = layersRef.current.find(l => l.id === id)?.originalUrl;
+          updateLayer(id, { originalUrl: url });
+          if (previousUrl?.startsWith('blob:')) URL.revokeObjectURL(previousUrl);
+          if (!frameLayer.originalUrl) {
+            extractDominantColors(url).then(colors => updateLayer(id, { colors }));
+            extractPalette(url, DEFAULT_PALETTE_SIZE).then(palette => updateLayer(id, { palette }));
+          }
+        } catch (err) {
+          console.error('Frame flatten failed:', err);
+        }
+      }
+    }, FRAME_FLATTEN_DELAY);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [frameKeys, updateLayer]);
+
   // ── Zoom badge animation ─────────────────────────────────────────────────
   useEffect(() => {
     if (camera.z === prevZoomRef.current) return;
@@ -151,11 +516,11 @@ function App() {
         // Delete selected layer (uses refs to avoid stale closures)
         if ((e.key === 'Delete' || e.key === 'Backspace') && selectedIdRef.current) {
           prevLayersRef.current = layersRef.current;
-          setLayers(prev => prev.filter(l => l.id !== selectedIdRef.current));
+          setLayers(prev => removeLayer(prev, selectedIdRef.current));
           setSelectedLayerId(null);
         }
         // Deselect
-        if (e.key === 'Escape') { setSelectedLayerId(null); setShowKeybindings(false); }
+        if (e.key === 'Escape') { setSelectedLayerId(null); setFrameSelection([]); setShowKeybindings(false); setConstraintTool(null); }
         // Rename selected
         if (e.key === 'F2' && selectedIdRef.current) setRenamingLayerId(selectedIdRef.current);
       }
@@ -249,13 +614,15 @@ function App() {
     e.target.value = '';
 
     // Extract colors asynchronously
-    extractDominantColors(url).then(colors => {
+    const applyExtracted = (changes) => {
       if (repId) {
-        updateLayer(repId, { colors });
+        updateLayer(repId, changes);
       } else {
-        setLayers(prev => prev.map(l => l.name === name && l.originalUrl === url ? { ...l, colors } : l));
+        setLayers(prev => prev.map(l => l.name === name && l.originalUrl === url ? { ...l, ...changes } : l));
       }
-    });
+    };
+    extractDominantColors(url).then(colors => applyExtracted({ colors }));
+    extractPalette(url, DEFAULT_PALETTE_SIZE).then(palette => applyExtracted({ palette }));
 
     if (repId) {
       // Revoke old URL to prevent memory leak
@@ -286,103 +653,150 @@ function App() {
 
   // ── Export ───────────────────────────────────────────────────────────────
   const activeUrl = selectedLayer?.processedUrl ?? null;
+  // A format the selected layer can't export (say, text left picked from an
+  // ASCII layer, or SVG Paths, Figma or Framer from a flat-colour one) goes
+  // back to PNG rather than exporting as something else
+  if (!canExportAs(selectedLayer, exportFormat)) setExportFormat('image');
   // colors will be used when SVG/Figma/Framer export is re-enabled
   // const colors = selectedLayer?.colors;
 
+  // Which per-effect controls apply to the selected layer
+  const isSeparation = selectedLayer?.effectEnabled && selectedLayer.effectType === 'separation';
+  const usesThresholdMap = selectedLayer?.effectEnabled && (
+    selectedLayer.effectType === 'ordered' || (isSeparation && selectedLayer.plateMethod === 'ordered')
+  );
+  const usesScreen = selectedLayer?.effectEnabled && (
+    selectedLayer.effectType === 'halftone' || (isSeparation && selectedLayer.plateMethod === 'halftone')
+  );
+  const isTextLayer = selectedLayer?.effectEnabled && isTextEffect(selectedLayer.effectType);
+  const isTextExport = isTextLayer && !!TEXT_FORMATS[exportFormat];
+  // Halftone and separation write their own dot SVGs; everything else is traced
+  const isPixelVector = exportFormat === 'vector' && !!selectedLayer && !['halftone', 'separation'].includes(selectedLayer.effectType);
+  const hasFlatColors = isFlatColored(selectedLayer);
+  const exportLabel = isExporting ? 'Tracing…' : exportFormat === 'figma' ? 'Copy to Figma' : 'Export Layer';
+  const updateTrace = (changes) => setTraceOptions(options => ({ ...options, ...changes }));
+  const tone = { ...DEFAULT_TONE, ...selectedLayer?.tone };
+  const updateTone = (changes) => updateSelected({ tone: { ...tone, ...changes } });
+  const filters = { ...DEFAULT_FILTERS, ...selectedLayer?.filters };
+  const updateFilters = (changes) => updateSelected({ filters: { ...filters, ...changes } });
+  const ascii = { ...DEFAULT_ASCII, ...selectedLayer?.ascii };
+  const updateAscii = (changes) => updateSelected({ ascii: { ...ascii, ...changes } });
+  const layerPhysics = { ...DEFAULT_BODY, ...selectedLayer?.physics };
+  const updatePhysics = (changes) => updateSelected({ physics: { ...layerPhysics, ...changes } });
+  const animation = { ...DEFAULT_ANIMATION, ...selectedLayer?.animation };
+  const updateAnimation = (changes) => updateSelected({ animation: { ...animation, ...changes } });
+  // Only the dither patterns drift; every effect can cycle its colours
+  const hasDrift = selectedLayer?.effectEnabled && ['diffusion', 'ordered'].includes(selectedLayer.effectType);
+
   const handleExport = async () => {
     if (!selectedLayer) return;
 
-    // Load image
-    const img = new Image();
-    img.crossOrigin = "Anonymous";
-    img.src = selectedLayer.originalUrl;
-
-    await new Promise(resolve => { img.onload = resolve; });
-
-    const { effectType, pixelScale, contrast, colors, hiddenColors, name } = selectedLayer;
-    const activeColors = { ...colors };
-    if (hiddenColors) {
-      hiddenColors.forEach(hc => { delete activeColors[hc]; });
-    }
+    const settings = layerEffectSettings(selectedLayer);
+    const { effectType, dotShape, colors: activeColors } = settings;
 
     const scale = parseInt(exportScale.replace('x', ''));
-    const isAscii = effectType === 'ascii';
-
-    // Base dimensions (original image / pixelScale)
-    const baseW = Math.floor(img.width / rawPixelScale(pixelScale));
-    const baseH = Math.floor(img.height / rawPixelScale(pixelScale));
-
-    // Output dimensions (scaled)
-    const outW = baseW * scale;
-    const outH = baseH * scale;
-
-    const exportCanvas = document.createElement('canvas');
-    if (isAscii) {
-      // ASCII needs a larger canvas for the characters
-      const charScale = 8;
-      exportCanvas.width = baseW * charScale * scale;
-      exportCanvas.height = baseH * charScale * scale;
-    } else {
-      exportCanvas.width = outW;
-      exportCanvas.height = outH;
-    }
-
-    const ctx = exportCanvas.getContext('2d');
-
-    // Create processing canvas at base resolution
-    const procCanvas = document.createElement('canvas');
-    procCanvas.width = baseW;
-    procCanvas.height = baseH;
-    const pctx = procCanvas.getContext('2d');
-    pctx.drawImage(img, 0, 0, baseW, baseH);
-
-    let imageData = pctx.getImageData(0, 0, baseW, baseH);
-    const isTriColor = activeColors.midtone !== undefined && activeColors.midtone !== null && activeColors.midtone !== '';
-
-    if (effectType === 'atkinson') {
-      const threshold = 128 * (1 / rawContrast(contrast));
-      applyAtkinsonDither(imageData, threshold, isTriColor);
-      applyColorMap(imageData, activeColors);
-    } else if (effectType === 'halftone') {
-      applyHalftoneDither(imageData, rawContrast(contrast), isTriColor);
-      applyColorMap(imageData, activeColors);
-    }
+    const fileBase = `ditter-${selectedLayer.name.toLowerCase().replace(/\s+/g, '-')}`;
+    const download = (blob, ext, suffix = '') => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${fileBase}${suffix}.${ext}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    };
+    const downloadPixelSVG = (pixels) => {
+      const blob = new Blob([generateSVG(pixels, scale, { crispEdges })], { type: 'image/svg+xml' });
+      setVectorStats({ layerId: selectedLayer.id, bytes: blob.size, perPixelBytes: perPixelSVGSize(pixels) });
+      download(blob, 'svg');
+    };
 
     try {
-      if (exportFormat === 'vector') {
-        // Generate SVG from the processed pixels
-        const svgString = generateSVG(imageData, scale, activeColors);
-        const blob = new Blob([svgString], { type: 'image/svg+xml' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `ditter-${name.toLowerCase().replace(/\s+/g, '-')}.svg`;
-        link.click();
-      } else if (isAscii) {
-        // ASCII Render to export canvas
-        applyAsciiEffect(imageData, ctx, baseW, baseH, exportCanvas.width, exportCanvas.height, rawContrast(contrast), activeColors);
-        const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, 'image/png'));
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `ditter-${name.toLowerCase().replace(/\s+/g, '-')}.png`;
-        link.click();
+      // Text formats export the character grid itself
+      if (isTextEffect(effectType) && TEXT_FORMATS[exportFormat]) {
+        const text = await renderLayerText(selectedLayer, exportFormat);
+        if (text === null) return;
+        const { ext, mime } = TEXT_FORMATS[exportFormat];
+        download(new Blob([text], { type: `${mime};charset=utf-8` }), ext);
+        setExportSuccess(true);
+        setTimeout(() => setExportSuccess(false), 2000);
+        return;
+      }
+
+      // Same sampling, filters and tone stage as the preview
+      const img = await loadImage(selectedLayer.originalUrl);
+      const prepared = prepareSource(img, settings);
+      if (!prepared) return;
+      const { imageData, width: baseW, height: baseH, edges } = prepared;
+
+      if (effectType === 'separation') {
+        const plates = getSeparationPlates(imageData, settings);
+        const paper = activeColors.highlight ?? '#ffffff';
+        if (exportFormat === 'vector') {
+          // One multiply-blended layer per plate
+          const svgString = generateSeparationSVG(plates, { shape: dotShape, paper, scale });
+          download(new Blob([svgString], { type: 'image/svg+xml' }), 'svg');
+        } else {
+          const exportCanvas = createCanvas(baseW * scale, baseH * scale);
+          const plateCanvases = renderSeparation(exportCanvas.getContext('2d'), plates, { shape: dotShape, paper, scale });
+          download(await canvasToBlob(exportCanvas), 'png');
+          if (exportPlates) {
+            for (const { ink, canvas } of plateCanvases) {
+              download(await canvasToBlob(canvas), 'png', `-${plateId(ink.name)}`);
+            }
+          }
+        }
+      } else if (effectType === 'halftone') {
+        // AM halftone exports dots, not pixels
+        const screen = computeHalftoneScreen(imageData, { angle: settings.screenAngle, lpi: settings.screenLpi });
+        if (exportFormat === 'vector') {
+          const svgString = generateHalftoneSVG(screen, { shape: dotShape, colors: activeColors, scale });
+          download(new Blob([svgString], { type: 'image/svg+xml' }), 'svg');
+        } else {
+          const exportCanvas = createCanvas(baseW * scale, baseH * scale);
+          renderHalftone(exportCanvas.getContext('2d'), screen, { shape: dotShape, colors: activeColors, scale });
+          download(await canvasToBlob(exportCanvas), 'png');
+        }
+      } else if (isTextEffect(effectType)) {
+        // Text effects draw their cells on a larger canvas
+        const grid = computeTextGrid(imageData, settings, edges);
+        if (exportFormat === 'vector') {
+          downloadPixelSVG(imageData);
+        } else {
+          const size = textCanvasSize(grid, settings, scale);
+          const exportCanvas = createCanvas(size.width, size.height);
+          drawTextGrid(exportCanvas.getContext('2d'), grid, settings, scale);
+          download(await canvasToBlob(exportCanvas), 'png');
+        }
       } else {
-        // Normal Image Export (upscaled pixels)
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = baseW;
-        tempCanvas.height = baseH;
-        tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
-
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(tempCanvas, 0, 0, outW, outH);
-
-        const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, 'image/png'));
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `ditter-${name.toLowerCase().replace(/\s+/g, '-')}.png`;
-        link.click();
+        await ditherPixels(imageData, settings, edges);
+        if (exportFormat === 'vector') {
+          // Same-coloured regions are traced into one path per colour
+          downloadPixelSVG(imageData);
+        } else if (exportFormat === 'framer') {
+          const source = constructFramerComponent(imageData, { name: selectedLayer.name, scale });
+          download(new Blob([source], { type: 'text/plain;charset=utf-8' }), 'tsx');
+        } else if (exportFormat === 'figma') {
+          // Figma turns pasted SVG markup into a frame of vector layers
+          await copyToClipboard({ 'text/plain': constructFigmaPayload(imageData, { name: selectedLayer.name, scale }) });
+        } else if (exportFormat === 'svg_path') {
+          // Smooth Potrace curves, one <g> per colour
+          setIsExporting(true);
+          try {
+            downloadSVG(await vectorizeLayer(imageData, { scale, ...traceOptions }), `${fileBase}.svg`);
+          } finally {
+            setIsExporting(false);
+          }
+        } else {
+          // Normal Image Export (upscaled pixels)
+          const tempCanvas = createCanvas(baseW, baseH);
+          tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+          const exportCanvas = createCanvas(baseW * scale, baseH * scale);
+          const ctx = exportCanvas.getContext('2d');
+          ctx.imageSmoothingEnabled = false;
+          ctx.drawImage(tempCanvas, 0, 0, exportCanvas.width, exportCanvas.height);
+          download(await canvasToBlob(exportCanvas), 'png');
+        }
       }
 
       setExportSuccess(true);
@@ -393,14 +807,29 @@ function App() {
   };
 
   const handleCopyToClipboard = async () => {
-    if (!selectedLayer) return;
-    const canvas = document.querySelector('canvas');
-    if (!canvas) return;
+    if (!selectedLayer?.processedUrl) return;
 
     try {
-      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-      const data = [new ClipboardItem({ 'image/png': blob })];
-      await navigator.clipboard.write(data);
+      if (isTextExport) {
+        // Text formats copy as text; HTML also offers a plain-text fallback
+        const text = await renderLayerText(selectedLayer, exportFormat);
+        if (text === null) return;
+        if (exportFormat === 'html') {
+          const plain = await renderLayerText(selectedLayer, 'txt');
+          await copyToClipboard({ 'text/html': text, 'text/plain': plain });
+        } else {
+          await navigator.clipboard.writeText(text);
+        }
+      } else if (exportFormat === 'framer' && hasFlatColors) {
+        const pixels = await renderLayerPixels(selectedLayer);
+        if (!pixels) return;
+        const scale = parseInt(exportScale.replace('x', ''));
+        await navigator.clipboard.writeText(constructFramerComponent(pixels, { name: selectedLayer.name, scale }));
+      } else {
+        const blob = await (await fetch(selectedLayer.processedUrl)).blob();
+        const data = [new ClipboardItem({ 'image/png': blob })];
+        await navigator.clipboard.write(data);
+      }
       setCopySuccess(true);
       setTimeout(() => setCopySuccess(false), 2000);
     } catch (err) {
@@ -408,9 +837,292 @@ function App() {
     }
   };
 
+  // ── Motion export ────────────────────────────────────────────────────────
+  const updateMotion = (changes) => setMotionOptions(options => ({ ...options, ...changes }));
+  const motionFormat = MOTION_FORMATS[motionOptions.format];
+  const motionLimits = MOTION_LIMITS[motionOptions.unit];
+  const recordFps = motionFps(motionOptions);
+  const recordFrames = motionFrameCount(motionOptions, recordFps);
+  const isRecording = recordProgress !== null;
+  const recordLabel = recordProgress === 'encoding'
+    ? 'Encoding…'
+    : isRecording ? `Recording ${Math.round(recordProgress * 100)}%` : `Record ${motionFormat.label}`;
+
+  const setMotionFormat = (format) => {
+    const maxFps = MOTION_FORMATS[format].maxFps ?? Infinity;
+    updateMotion({ format, fps: Math.min(motionOptions.fps, maxFps) });
+  };
+
+  // Switching unit keeps the clip the same length
+  const setMotionUnit = (unit) => {
+    if (unit === motionOptions.unit) return;
+    const { min, max, step } = MOTION_LIMITS[unit];
+    const length = unit === 'frames' ? recordFrames : Math.round(recordFrames / recordFps / step) * step;
+    updateMotion({ unit, length: Math.min(max, Math.max(min, length)) });
+  };
+
+  // A scene recording runs from now until stopped: the layers as they are,
+  // then every drag and setting change
+  const toggleSceneRecording = () => {
+    if (!simulation) return;
+    if (sceneRecording) {
+      setScene({ ...simulation.stopRecording(), ...sceneConstraintsRef.current });
+    } else {
+      sceneConstraintsRef.current = { links, fields };
+      simulation.startRecording();
+    }
+    setSceneRecording(!sceneRecording);
+  };
+
+  const replayScene = () => {
+    if (!simulation || !scene) return;
+    if (scene.world) updateWorld(scene.world);
+    // The replay puts the links back in the engine before it steps; the
+    // state follows, and syncing it again finds nothing to rebuild
+    setLinks(scene.links);
+    setFields(scene.fields);
+    simulation.replay(scene);
+  };
+
+  // ── Constraint tools ─────────────────────────────────────────────────────
+  // With a link tool picked, clicking another layer links it to the selected
+  // one; a pin or field tool places it where the empty canvas is clicked
+  const handleLayerClick = (e, layer) => {
+    e.stopPropagation();
+    const linking = constraintTool in LINK_TYPES && constraintTool !== 'pin';
+    if (linking && engine && selectedLayer && layer.id !== selectedLayer.id) {
+      const link = createLink(constraintTool, engine, { a: selectedLayer.id, b: layer.id });
+      if (link) setLinks(prev => [...prev, link]);
+      setConstraintTool(null);
+      return;
+    }
+    selectLayer(e, layer);
+  };
+
+  // True when the click was taken by a tool
+  const handleCanvasToolClick = (e) => {
+    if (!constraintTool || !engine) return false;
+    const point = {
+      x: (e.clientX - cameraRef.current.x) / cameraRef.current.z,
+      y: (e.clientY - cameraRef.current.y) / cameraRef.current.z,
+    };
+    if (constraintTool in FIELD_TYPES) {
+      setFields(prev => [...prev, createField(constraintTool, point)]);
+    } else if (constraintTool === 'pin' && selectedLayer) {
+      const link = createLink('pin', engine, { a: selectedLayer.id, point });
+      if (link) setLinks(prev => [...prev, link]);
+    }
+    setConstraintTool(null);
+    return true;
+  };
+
+  // ── Frames ───────────────────────────────────────────────────────────────
+  // Shift-clicking layers, in the panel or on the canvas, gathers them to
+  // group into a frame. Frames don't nest, and a hidden layer has no body
+  // to take a collider from.
+  const canGroup = (layer) => !!layer && !layer.frame && layer.frameId == null && layer.visible;
+  const groupIds = frameSelection.filter(id => canGroup(layers.find(layer => layer.id === id)));
+  const selectedFrame = layers.find(layer => layer.id === selectedLayerId && layer.frame) ?? null;
+
+  const selectLayer = (e, layer) => {
+    if (!e.shiftKey) {
+      setFrameSelection([]);
+      setSelectedLayerId(layer.id);
+      return;
+    }
+    // The layer selected before starts the group
+    const base = frameSelection.length || !selectedLayerId ? frameSelection : [selectedLayerId];
+    if (base.includes(layer.id)) {
+      setFrameSelection(base.filter(id => id !== layer.id));
+    } else {
+      setFrameSelection([...base, layer.id]);
+      setSelectedLayerId(layer.id);
+    }
+  };
+
+  // The frame's collider is its children's, joined as they lie now
+  const groupSelected = () => {
+    if (!engine) return;
+    const bodies = layerBodies(engine);
+    const ids = groupIds.filter(id => bodies.has(id));
+    if (ids.length < 2) return;
+    const { x, y, frame } = frameLayout(new Map(ids.map(id => [id, bodies.get(id)])));
+    const frameLayer = { ...createLayer(null, `Frame ${_frameCounter++}`), x, y, frame, collapsed: false };
+    prevLayersRef.current = layersRef.current;
+    setLayers(prev => groupLayers(prev, ids, frameLayer));
+    setFrameSelection([]);
+    setSelectedLayerId(frameLayer.id);
+  };
+
+  // The children go back to being layers wherever the frame has carried them
+  const ungroupSelected = () => {
+    if (!selectedFrame) return;
+    const body = engine && layerBodies(engine).get(selectedFrame.id);
+    const poses = body
+      ? frameChildPoses(selectedFrame.frame, spriteCentre(body), body.angle)
+      : frameChildPoses(selectedFrame.frame, selectedFrame);
+    prevLayersRef.current = layersRef.current;
+    setLayers(prev => ungroupFrame(prev, selectedFrame.id, poses));
+    setSelectedLayerId(null);
+  };
+
+  const frameChildren = (frameLayer) => layers.filter(layer => layer.frameId === frameLayer.id);
+
+  const updateLink = (id, changes) => setLinks(prev => prev.map(link => link.id === id ? { ...link, ...changes } : link));
+  const updateField = (id, changes) => setFields(prev => prev.map(field => field.id === id ? { ...field, ...changes } : field));
+  const layerName = (id) => layers.find(layer => layer.id === id)?.name;
+  // Links to deleted layers stay put so undo brings them back, but aren't listed
+  const listedLinks = links.filter(link => layerName(link.a) && (link.type === 'pin' || layerName(link.b)));
+  const constraintHint = {
+    pin: 'Click the canvas where the selected layer should hang from',
+    attract: 'Click the canvas to place the attractor',
+    repel: 'Click the canvas to place the repulsor',
+  }[constraintTool] ?? (constraintTool && `Click another layer to connect it to ${selectedLayer?.name}`);
+
+  // Records what the canvas shows, stepping the physics one frame at a time
+  const handleRecordMotion = async () => {
+    if (!engine || isRecording) return;
+    const { format, transparent } = motionOptions;
+    const fps = recordFps;
+    const frames = recordFrames;
+    const alpha = transparent && motionFormat.alpha;
+    const background = alpha ? null : getComputedStyle(document.documentElement).getPropertyValue('--bg-color').trim();
+    const bodies = layerBodies(engine);
+    // A frame without an effect is drawn as its layers, on the frame's body
+    const drawn = layers
+      .filter(layer => layer.visible && bodies.has(layer.id))
+      .flatMap(layer => (layer.frame && !layer.effectEnabled
+        ? layer.frame.children
+          .map(({ id, x, y, angle }) => ({
+            layer: layers.find(l => l.id === id),
+            body: bodies.get(layer.id),
+            offset: { x, y, angle },
+            opacity: layer.opacity / 100,
+          }))
+          .filter(({ layer: child }) => child?.visible)
+        : [{ layer, body: bodies.get(layer.id), offset: null, opacity: 1 }]));
+    const visibleLayers = drawn.map(({ layer }) => layer);
+
+    setRecordProgress(0);
+    try {
+      const sprites = await Promise.all(drawn.map(async ({ layer, body, offset, opacity }) => {
+        const image = await loadImage(layer.processedUrl || layer.originalUrl);
+        return {
+          image,
+          body,
+          offset,
+          ...(layer.frame ? { width: layer.frame.width, height: layer.frame.height } : spriteSize(image, LAYER_MAX_WIDTH)),
+          opacity: opacity * layer.opacity / 100,
+          smooth: !isPixelated(layer),
+          frameAt: layer.effectEnabled && isAnimated(layer.animation) ? await layerFrames(layer) : null,
+        };
+      }));
+      const { width, height } = motionFrameSize(canvasRef.current.clientWidth, canvasRef.current.clientHeight);
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+      const writer = await createMotionWriter(format, {
+        width, height, fps,
+        transparent: alpha,
+        colors: [...visibleLayers.flatMap(layerInkColors), ...(background ? [background] : [])],
+      });
+
+      // A replay starts from the recorded scene; the live one comes back after
+      const replay = motionOptions.replay && scene && !sceneRecording;
+      const live = replay && snapshotBodies(engine);
+      setPaused(true);
+      try {
+        if (replay) simulation.replay(scene);
+        await captureFrames(engine, {
+          frames, fps,
+          onFrame: async (index, poseOf) => {
+            // Animated layers move on with the recording's clock
+            const frameSprites = await Promise.all(sprites.map(async ({ frameAt, ...sprite }) => (
+              frameAt ? { ...sprite, image: await frameAt(index / fps) } : sprite
+            )));
+            drawScene(ctx, frameSprites, { camera: cameraRef.current, background, poseOf });
+            await writer.addFrame(canvas, index);
+            setRecordProgress((index + 1) / frames);
+            // Give the progress bar a chance to paint
+            await new Promise(resolve => setTimeout(resolve));
+          },
+        });
+      } finally {
+        if (replay) {
+          simulation.stopReplay();
+          // The replay brought the scene's links; the live ones come back first
+          syncLinks(engine, links);
+          restoreBodies(engine, live);
+          applyWorldSettings(engine, world);
+        }
+        setPaused(false);
+      }
+
+      setRecordProgress('encoding');
+      const url = URL.createObjectURL(await writer.finish());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ditter-motion.${motionFormat.ext}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Motion export failed:', err);
+    } finally {
+      setRecordProgress(null);
+    }
+  };
+
   // ── Persistent dot grid ──────────────────────────────────────────────────
   const gridSize = 24 * camera.z;
 
+  // ── Palettes ─────────────────────────────────────────────────────────────
+  const applyPalette = (colors) => {
+    const palette = colors.slice(0, MAX_PALETTE_SIZE);
+    updateSelected({ palette, colors: paletteToTones(palette) });
+    setActiveColorPopover(null);
+  };
+
+  const handlePresetSelect = (value) => {
+    const colors = value.startsWith('user:')
+      ? userPalettes.find(p => `user:${p.name}` === value)?.colors
+      : PALETTE_PRESETS[value]?.colors;
+    if (colors) applyPalette(colors);
+  };
+
+  const handleSavePalette = () => {
+    if (!selectedLayer) return;
+    const name = window.prompt('Palette name', selectedLayer.name)?.trim();
+    if (!name) return;
+    const next = [...userPalettes.filter(p => p.name !== name), { name, colors: selectedLayer.palette }];
+    setUserPalettes(next);
+    saveUserPalettes(next);
+  };
+
+  const handlePaletteImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const palette = await importPaletteFile(file);
+      const next = [...userPalettes.filter(p => p.name !== palette.name), palette];
+      setUserPalettes(next);
+      saveUserPalettes(next);
+      applyPalette(palette.colors);
+      updateSelected({ colorMode: 'palette' });
+    } catch (err) {
+      console.error('Palette import failed:', err);
+    }
+  };
+
+  const handlePaletteExport = (format) => {
+    if (!selectedLayer) return;
+    const name = selectedLayer.name;
+    const url = URL.createObjectURL(exportPaletteBlob({ name, colors: selectedLayer.palette }, format));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ditter-${name.toLowerCase().replace(/\s+/g, '-')}.${format}`;
+    link.click();
+  };
+
   // ── Render ───────────────────────────────────────────────────────────────
   return (
     <div className="app-container">
@@ -422,26 +1134,46 @@ function App() {
         onChange={handleFileUpload}
         accept="image/*,.svg"
       />
+      <input
+        type="file" ref={paletteInputRef}
+        style={{ display: 'none' }}
+        onChange={handlePaletteImport}
+        accept=".gpl,.ase,.hex,.txt"
+      />
 
       {/* EffectEngine per layer — only runs when effect is armed */}
       {layers.map(layer => {
         if (!layer.effectEnabled) return null;
 
-        // Filter out hidden colors
-        const activeColors = { ...layer.colors };
-        if (layer.hiddenColors) {
-          layer.hiddenColors.forEach(hc => { delete activeColors[hc]; });
-        }
-
         return (
           <EffectEngine
             key={layer.id}
             src={layer.originalUrl}
             effectType={layer.effectType}
+            kernel={layer.kernel}
+            serpentine={layer.serpentine}
+            thresholdMap={layer.thresholdMap}
+            thresholdSize={layer.thresholdSize}
+            screenAngle={layer.screenAngle}
+            screenLpi={layer.screenLpi}
+            dotShape={layer.dotShape}
+            separationMode={layer.separationMode}
+            spotInks={layer.spotInks}
+            plateMethod={layer.plateMethod}
             pixelScale={rawPixelScale(layer.pixelScale)}
             contrast={rawContrast(layer.contrast)}
-            colors={activeColors}
+            tone={layer.tone}
+            filters={layer.filters}
+            ascii={layer.ascii}
+            colors={layer.colors}
+            hiddenColors={layer.hiddenColors}
+            colorMode={layer.colorMode}
+            palette={layer.palette}
+            colorMetric={layer.colorMetric}
+            animation={layer.animation}
             onProcessed={(url) => updateLayer(layer.id, { processedUrl: url })}
+            onHistogram={(bins) => setHistograms(prev => ({ ...prev, [layer.id]: bins }))}
+            onProgress={(progress) => setRenderProgress(prev => ({ ...prev, [layer.id]: progress }))}
           />
         );
       })}
@@ -453,7 +1185,13 @@ function App() {
         onPointerDown={handlePointerDown}
         onPointerMove={handlePointerMove}
         onPointerUp={handlePointerUp}
-        onClick={(e) => { if (e.target === e.currentTarget || e.target.closest('.canvas-container') === e.target) setSelectedLayerId(null); }}
+        onClick={(e) => {
+          if (handleCanvasToolClick(e)) return;
+          if (e.target === e.currentTarget || e.target.closest('.canvas-container') === e.target) {
+            setSelectedLayerId(null);
+            setFrameSelection([]);
+          }
+        }}
         onDragOver={(e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; }}
         onDrop={(e) => {
           e.preventDefault();
@@ -484,29 +1222,75 @@ function App() {
           transformOrigin: '0 0', willChange: 'transform',
           position: 'absolute', top: 0, left: 0, width: '100%', height: '100%',
         }}>
-          {layers.map(layer => layer.visible ? (
+          {/* A frame's children are drawn inside it, on its body */}
+          {layers.map(layer => layer.visible && layer.frameId == null ? (
             <PhysicsElement
               key={layer.id}
               engine={engine}
+              simulation={simulation}
+              layerId={layer.id}
               x={layer.x}
               y={layer.y}
+              angle={layer.angle}
+              physics={layer.physics}
+              shape={layer.frame ?? (colliderKey(layer) ? colliders[layer.id] : null)}
+              nudge={world.nudge}
               camera={camera}
-              isSelected={layer.id === selectedLayerId}
-              onClick={(e) => { e.stopPropagation(); setSelectedLayerId(layer.id); }}
+              isSelected={layer.id === selectedLayerId || frameSelection.includes(layer.id)}
+              onClick={(e) => handleLayerClick(e, layer)}
             >
-              <img
-                src={layer.processedUrl || layer.originalUrl}
-                alt={layer.name}
-                draggable={false}
-                className={layer.processedUrl ? 'pixelated' : ''}
-                style={{
-                  maxWidth: '300px', display: 'block',
-                  opacity: layer.opacity / 100,
-                  cursor: 'pointer',
-                }}
-              />
+              {layer.effectEnabled && renderProgress[layer.id] != null && (
+                <div className="layer-progress">
+                  <div className="layer-progress-fill" style={{ width: `${renderProgress[layer.id] * 100}%` }} />
+                </div>
+              )}
+              {layer.frame ? (
+                <div
+                  className="frame-content"
+                  style={{ width: layer.frame.width, height: layer.frame.height, opacity: layer.opacity / 100 }}
+                >
+                  {layer.effectEnabled && layer.processedUrl ? (
+                    <img
+                      src={layer.processedUrl}
+                      alt={layer.name}
+                      draggable={false}
+                      className={`frame-flattened${isPixelated(layer) ? ' pixelated' : ''}`}
+                    />
+                  ) : layer.frame.children.map(({ id, x, y, angle }) => {
+                    const child = layers.find(l => l.id === id);
+                    return child?.visible ? (
+                      <img
+                        key={id}
+                        src={child.processedUrl || child.originalUrl}
+                        alt={child.name}
+                        draggable={false}
+                        className={isPixelated(child) ? 'pixelated' : ''}
+                        style={{
+                          left: `calc(50% + ${x}px)`, top: `calc(50% + ${y}px)`,
+                          transform: `translate(-50%, -50%) rotate(${angle}rad)`,
+                          maxWidth: `${LAYER_MAX_WIDTH}px`,
+                          opacity: child.opacity / 100,
+                        }}
+                      />
+                    ) : null;
+                  })}
+                </div>
+              ) : (
+                <img
+                  src={layer.processedUrl || layer.originalUrl}
+                  alt={layer.name}
+                  draggable={false}
+                  className={isPixelated(layer) ? 'pixelated' : ''}
+                  style={{
+                    maxWidth: `${LAYER_MAX_WIDTH}px`, display: 'block',
+                    opacity: layer.opacity / 100,
+                    cursor: 'pointer',
+                  }}
+                />
+              )}
             </PhysicsElement>
           ) : null)}
+          <ConstraintGuides engine={engine} fields={fields} />
         </div>
       </main>
 
@@ -580,13 +1364,19 @@ function App() {
                             No layers yet.
                           </div>
                         ) : (
-                          [...layers].reverse().map(layer => (
+                          // Top first, each frame's children under it
+                          [...layers].reverse().filter(layer => layer.frameId == null).flatMap(layer => [
+                            layer,
+                            ...(layer.frame && !layer.collapsed ? frameChildren(layer).reverse() : []),
+                          ]).map(layer => (
                             <LayerItem
                               key={layer.id}
                               layer={layer}
-                              isSelected={layer.id === selectedLayerId}
+                              isSelected={layer.id === selectedLayerId || frameSelection.includes(layer.id)}
                               isRenaming={layer.id === renamingLayerId}
-                              onSelect={() => setSelectedLayerId(layer.id)}
+                              isNested={layer.frameId != null}
+                              onCollapseToggle={layer.frame ? () => updateLayer(layer.id, { collapsed: !layer.collapsed }) : null}
+                              onSelect={(e) => selectLayer(e, layer)}
                               onVisibilityToggle={() => updateLayer(layer.id, { visible: !layer.visible })}
                               onRenameCommit={(name) => {
                                 updateLayer(layer.id, { name });
@@ -597,6 +1387,28 @@ function App() {
                           ))
                         )}
                       </div>
+                      {(groupIds.length > 1 || selectedFrame) && (
+                        <div className="layers-actions">
+                          {groupIds.length > 1 && (
+                            <button
+                              className="toggle-pill"
+                              onClick={groupSelected}
+                              title="Join the shift-clicked layers into one rigid body"
+                            >
+                              Group {groupIds.length} into Frame
+                            </button>
+                          )}
+                          {selectedFrame && (
+                            <button
+                              className="toggle-pill"
+                              onClick={ungroupSelected}
+                              title="Free the frame's layers where they are"
+                            >
+                              Ungroup
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </motion.div>
                   )}
                 </AnimatePresence>
@@ -640,8 +1452,8 @@ function App() {
                     </button>
                   )}
                 </div>
-                <div className="segmented-control">
-                  {[['atkinson', '1-Bit'], ['halftone', 'Halftone'], ['ascii', 'ASCII']].map(([type, label]) => (
+                <div className="segmented-control effect-grid">
+                  {[['diffusion', 'Diffusion'], ['ordered', 'Ordered'], ['halftone', 'Halftone'], ['separation', 'Separation'], ['ascii', 'ASCII'], ['braille', 'Braille'], ['blocks', 'Blocks']].map(([type, label]) => (
                     <motion.button
                       key={type}
                       whileTap={{ scale: 0.92 }}
@@ -661,6 +1473,195 @@ function App() {
                     </motion.button>
                   ))}
                 </div>
+                {selectedLayer?.effectEnabled && ['diffusion', 'braille'].includes(selectedLayer.effectType) && (
+                  <div className="effect-options">
+                    <Dropdown
+                      options={Object.entries(DIFFUSION_KERNELS).map(([value, { label }]) => ({ label, value }))}
+                      value={selectedLayer.kernel}
+                      onChange={kernel => updateSelected({ kernel })}
+                    />
+                    <button
+                      className={`toggle-pill${selectedLayer.serpentine ? ' active' : ''}`}
+                      onClick={() => updateSelected({ serpentine: !selectedLayer.serpentine })}
+                      title="Alternate scan direction on every row"
+                    >
+                      Serpentine
+                    </button>
+                  </div>
+                )}
+                {selectedLayer?.effectEnabled && selectedLayer.effectType === 'separation' && (
+                  <>
+                    <div className="effect-options">
+                      <Dropdown
+                        options={Object.entries(SEPARATION_MODES).map(([value, label]) => ({ label, value }))}
+                        value={selectedLayer.separationMode}
+                        onChange={separationMode => updateSelected({ separationMode })}
+                      />
+                      <Dropdown
+                        width="120px"
+                        options={Object.entries(PLATE_METHODS).map(([value, label]) => ({ label, value }))}
+                        value={selectedLayer.plateMethod}
+                        onChange={plateMethod => updateSelected({ plateMethod })}
+                      />
+                    </div>
+                    <div className="ink-list">
+                      {getSeparationInks(selectedLayer.separationMode, selectedLayer.spotInks).map((ink, i) => {
+                        const isSpot = selectedLayer.separationMode === 'spot';
+                        const setInk = (changes) => updateSelected({
+                          spotInks: selectedLayer.spotInks.map((s, j) => j === i ? { ...s, ...changes } : s)
+                        });
+                        return (
+                          <div className="ink-row" key={`${ink.name}-${i}`}>
+                            <button
+                              className="color-swatch-btn"
+                              style={{ background: ink.color, width: 20, height: 20, borderRadius: 4, padding: 0, flexShrink: 0, cursor: isSpot ? 'pointer' : 'default' }}
+                              disabled={!isSpot}
+                              onClick={(e) => {
+                                const rect = e.currentTarget.getBoundingClientRect();
+                                setActiveColorPopover({ inkIndex: i, top: rect.top, left: rect.left - 250 - 30 });
+                              }}
+                              title={isSpot ? 'Change ink colour' : ink.name}
+                            />
+                            <span className="ink-name">{ink.name}</span>
+                            <input
+                              type="number" min="0" max="179"
+                              className="ink-angle"
+                              value={ink.angle}
+                              disabled={!isSpot}
+                              onChange={e => setInk({ angle: Math.max(0, Math.min(179, parseInt(e.target.value) || 0)) })}
+                              title="Screen angle (°)"
+                            />
+                            {isSpot && selectedLayer.spotInks.length > 1 ? (
+                              <button
+                                className="section-plus-btn"
+                                onClick={() => updateSelected({ spotInks: selectedLayer.spotInks.filter((_, j) => j !== i) })}
+                                title="Remove ink"
+                              >
+                                <Minus size={14} />
+                              </button>
+                            ) : <div style={{ width: 18 }} />}
+                          </div>
+                        );
+                      })}
+                      {selectedLayer.separationMode === 'spot' && selectedLayer.spotInks.length < 6 && (
+                        <button
+                          className="toggle-pill"
+                          onClick={() => updateSelected({
+                            spotInks: [...selectedLayer.spotInks, {
+                              name: `Ink ${selectedLayer.spotInks.length + 1}`,
+                              color: '#ffb511',
+                              angle: (selectedLayer.spotInks.length * 30 + 15) % 180,
+                            }]
+                          })}
+                        >
+                          <Plus size={12} /> Add Ink
+                        </button>
+                      )}
+                    </div>
+                  </>
+                )}
+                {isTextLayer && (
+                  <>
+                    <div className="effect-options">
+                      {selectedLayer.effectType === 'ascii' && (
+                        <Dropdown
+                          options={Object.entries(ASCII_CHARSETS).map(([value, { label }]) => ({ label, value }))}
+                          value={ascii.charset}
+                          onChange={charset => updateAscii({ charset })}
+                        />
+                      )}
+                      <Dropdown
+                        width="132px"
+                        options={Object.entries(ASCII_FONTS).map(([value, { label }]) => ({ label, value }))}
+                        value={ascii.font}
+                        onChange={font => updateAscii({ font })}
+                      />
+                    </div>
+                    <div className="effect-options">
+                      {selectedLayer.effectType === 'ascii' && ascii.charset === 'custom' && (
+                        <input
+                          type="text"
+                          className="ascii-chars-input"
+                          value={ascii.customChars}
+                          placeholder=" .:-=+*#%@"
+                          onChange={e => updateAscii({ customChars: e.target.value })}
+                          title="Characters to draw with, in any order"
+                        />
+                      )}
+                      <button
+                        className={`toggle-pill${ascii.glyphColor === 'source' ? ' active' : ''}`}
+                        onClick={() => updateAscii({ glyphColor: ascii.glyphColor === 'source' ? 'tones' : 'source' })}
+                        title="Colour each cell from the source pixels"
+                      >
+                        Full Colour
+                      </button>
+                    </div>
+                    <div className="control-group" style={{ marginTop: 12 }}>
+                      <label className="control-label">Cell Aspect</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="0.5" max="3" step="0.1"
+                          value={ascii.aspect}
+                          style={{ '--val': `${((ascii.aspect - 0.5) / 2.5) * 100}%` }}
+                          onChange={e => updateAscii({ aspect: parseFloat(e.target.value) })}
+                        />
+                        <span className="slider-pct">1:{ascii.aspect.toFixed(1)}</span>
+                      </div>
+                    </div>
+                  </>
+                )}
+                {usesThresholdMap && (
+                  <div className="effect-options">
+                    <Dropdown
+                      options={Object.entries(THRESHOLD_MAPS).map(([value, { label }]) => ({ label, value }))}
+                      value={selectedLayer.thresholdMap}
+                      onChange={thresholdMap => updateSelected({ thresholdMap, thresholdSize: THRESHOLD_MAPS[thresholdMap].defaultSize })}
+                    />
+                    <Dropdown
+                      width="72px"
+                      options={THRESHOLD_MAPS[selectedLayer.thresholdMap].sizes.map(size => ({ label: `${size}×${size}`, value: size }))}
+                      value={selectedLayer.thresholdSize}
+                      onChange={thresholdSize => updateSelected({ thresholdSize })}
+                    />
+                  </div>
+                )}
+                {usesScreen && (
+                  <>
+                    <div className="effect-options">
+                      <Dropdown
+                        options={Object.entries(DOT_SHAPES).map(([value, label]) => ({ label, value }))}
+                        value={selectedLayer.dotShape}
+                        onChange={dotShape => updateSelected({ dotShape })}
+                      />
+                    </div>
+                    {selectedLayer.effectType === 'halftone' && (
+                      <div className="control-group" style={{ marginTop: 12 }}>
+                        <label className="control-label">Screen Angle</label>
+                        <div className="slider-row">
+                          <input
+                            type="range" min="0" max="90"
+                            value={selectedLayer.screenAngle}
+                            style={{ '--val': `${(selectedLayer.screenAngle / 90) * 100}%` }}
+                            onChange={e => updateSelected({ screenAngle: parseInt(e.target.value) })}
+                          />
+                          <span className="slider-pct">{selectedLayer.screenAngle}°</span>
+                        </div>
+                      </div>
+                    )}
+                    <div className="control-group" style={{ marginTop: 12 }}>
+                      <label className="control-label">Frequency</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="5" max="60"
+                          value={selectedLayer.screenLpi}
+                          style={{ '--val': `${((selectedLayer.screenLpi - 5) / 55) * 100}%` }}
+                          onChange={e => updateSelected({ screenLpi: parseInt(e.target.value) })}
+                        />
+                        <span className="slider-pct">{selectedLayer.screenLpi} lpi</span>
+                      </div>
+                    </div>
+                  </>
+                )}
                 {selectedLayer && !selectedLayer.effectEnabled && (
                   <p style={{
                     fontSize: 10.5, color: 'var(--text-dim)',
@@ -673,7 +1674,7 @@ function App() {
 
               <div className="panel-divider" />
 
-              {/* Pixel Scale + Contrast */}
+              {/* Pixel Scale */}
               <div className="panel-section">
                 <div className="control-group">
                   <label className="control-label">Pixel Scale</label>
@@ -687,19 +1688,268 @@ function App() {
                     <span className="slider-pct">{selectedLayer?.pixelScale ?? 40}%</span>
                   </div>
                 </div>
-                <div className="control-group">
-                  <label className="control-label">Contrast</label>
-                  <div className="slider-row">
-                    <input
-                      type="range" min="0" max="100"
-                      value={selectedLayer?.contrast ?? 40}
-                      style={{ '--val': `${selectedLayer?.contrast ?? 40}%` }}
-                      onChange={e => updateSelected({ contrast: parseInt(e.target.value) })}
+              </div>
+
+              <div className="panel-divider" />
+
+              {/* Filters — run before the tone stage */}
+              {selectedLayer && (
+                <div className="panel-section">
+                  <div className="section-header">
+                    <span className="control-label">Filters</span>
+                  </div>
+                  <Dropdown
+                    options={Object.entries(RESAMPLE_METHODS).map(([value, label]) => ({ label, value }))}
+                    value={filters.resample}
+                    onChange={resample => updateFilters({ resample })}
+                  />
+                  {[['smooth', 'Smooth'], ['sharpen', 'Sharpen']].map(([key, label]) => (
+                    <div className="control-group" key={key} style={{ marginTop: 12 }}>
+                      <label className="control-label">{label}</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="0" max="100"
+                          value={filters[key]}
+                          style={{ '--val': `${filters[key]}%` }}
+                          onChange={e => updateFilters({ [key]: parseInt(e.target.value) })}
+                        />
+                        <span className="slider-pct">{filters[key]}%</span>
+                      </div>
+                    </div>
+                  ))}
+                  <Dropdown
+                    options={Object.entries(EDGE_MODES).map(([value, label]) => ({ label, value }))}
+                    value={filters.edges}
+                    onChange={edges => updateFilters({ edges })}
+                  />
+                  {filters.edges !== 'off' && (
+                    <div className="control-group" style={{ marginTop: 12 }}>
+                      <label className="control-label">Edge Sensitivity</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="0" max="100"
+                          value={filters.edgeSensitivity}
+                          style={{ '--val': `${filters.edgeSensitivity}%` }}
+                          onChange={e => updateFilters({ edgeSensitivity: parseInt(e.target.value) })}
+                        />
+                        <span className="slider-pct">{filters.edgeSensitivity}%</span>
+                      </div>
+                    </div>
+                  )}
+                  {selectedLayer.effectEnabled && filters.edges !== 'off' && ['halftone', 'separation'].includes(selectedLayer.effectType) && (
+                    <p style={{ fontSize: 10.5, color: 'var(--text-dim)', marginTop: 8, lineHeight: 1.5 }}>
+                      Edges apply to Diffusion, Ordered and the text effects.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div className="panel-divider" />
+
+              {/* Tone — shared pre-dither adjustments */}
+              {selectedLayer && (
+                <div className="panel-section">
+                  <div className="section-header">
+                    <span className="control-label">Tone</span>
+                    <button
+                      className="section-plus-btn"
+                      onClick={() => updateSelected({ tone: { ...DEFAULT_TONE }, contrast: 40 })}
+                      title="Reset tone"
+                    >
+                      <RotateCcw size={12} />
+                    </button>
+                  </div>
+                  <ToneCurve
+                    curve={tone.curve}
+                    histogram={selectedLayer.effectEnabled ? histograms[selectedLayer.id] : null}
+                    blackPoint={tone.blackPoint}
+                    whitePoint={tone.whitePoint}
+                    onChange={curve => updateTone({ curve })}
+                  />
+                  <div className="control-group" style={{ marginTop: 12 }}>
+                    <label className="control-label">Contrast</label>
+                    <div className="slider-row">
+                      <input
+                        type="range" min="0" max="100"
+                        value={selectedLayer.contrast}
+                        style={{ '--val': `${selectedLayer.contrast}%` }}
+                        onChange={e => updateSelected({ contrast: parseInt(e.target.value) })}
+                      />
+                      <span className="slider-pct">{selectedLayer.contrast}%</span>
+                    </div>
+                  </div>
+                  {TONE_SLIDERS.map(({ key, label, min, max, step, format }) => (
+                    <div className="control-group" key={key}>
+                      <label className="control-label">{label}</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min={min} max={max} step={step}
+                          value={tone[key]}
+                          style={{ '--val': `${((tone[key] - min) / (max - min)) * 100}%` }}
+                          onChange={e => {
+                            const v = parseFloat(e.target.value);
+                            // Levels can't cross each other
+                            if (key === 'blackPoint') updateTone({ blackPoint: Math.min(v, tone.whitePoint - 1) });
+                            else if (key === 'whitePoint') updateTone({ whitePoint: Math.max(v, tone.blackPoint + 1) });
+                            else updateTone({ [key]: v });
+                          }}
+                        />
+                        <span className="slider-pct">{format(tone[key])}</span>
+                      </div>
+                    </div>
+                  ))}
+                  <div className="effect-options">
+                    <Dropdown
+                      options={Object.entries(EQUALIZE_MODES).map(([value, label]) => ({ label: value === 'off' ? 'No Equalization' : label, value }))}
+                      value={tone.equalize}
+                      onChange={equalize => updateTone({ equalize })}
                     />
-                    <span className="slider-pct">{selectedLayer?.contrast ?? 40}%</span>
+                    <button
+                      className={`toggle-pill${tone.invert ? ' active' : ''}`}
+                      onClick={() => updateTone({ invert: !tone.invert })}
+                    >
+                      Invert
+                    </button>
                   </div>
                 </div>
-              </div>
+              )}
+
+              {/* Animation — plays live and carries into the Motion export */}
+              {selectedLayer?.effectEnabled && (
+                <>
+                  <div className="panel-divider" />
+                  <div className="panel-section">
+                    <div className="section-header">
+                      <span className="control-label">Animation</span>
+                      <button
+                        className="section-plus-btn"
+                        onClick={() => updateAnimation({ ...DEFAULT_ANIMATION, enabled: animation.enabled })}
+                        title="Reset animation"
+                      >
+                        <RotateCcw size={12} />
+                      </button>
+                    </div>
+                    <button
+                      className={`toggle-pill${animation.enabled ? ' active' : ''}`}
+                      style={{ width: '100%' }}
+                      onClick={() => updateAnimation({ enabled: !animation.enabled })}
+                    >
+                      {animation.enabled ? 'Animated' : 'Animate'}
+                    </button>
+                    {animation.enabled && (
+                      <>
+                        {hasDrift && (
+                          <div className="control-group" style={{ marginTop: 12 }}>
+                            <label className="control-label">Direction</label>
+                            <Dropdown
+                              options={Object.entries(DRIFT_DIRECTIONS).map(([value, { label }]) => ({ label, value }))}
+                              value={animation.direction}
+                              onChange={direction => updateAnimation({ direction })}
+                            />
+                          </div>
+                        )}
+                        <div className="control-group" style={{ marginTop: 12 }}>
+                          <label className="control-label">Speed</label>
+                          <div className="slider-row">
+                            <input
+                              type="range" min={ANIMATION_SPEED.min} max={ANIMATION_SPEED.max} step={ANIMATION_SPEED.step}
+                              value={animation.speed}
+                              style={{ '--val': `${((animation.speed - ANIMATION_SPEED.min) / (ANIMATION_SPEED.max - ANIMATION_SPEED.min)) * 100}%` }}
+                              onChange={e => updateAnimation({ speed: parseInt(e.target.value) })}
+                            />
+                            <span className="slider-pct">{animation.speed}/s</span>
+                          </div>
+                        </div>
+                        {selectedLayer.effectType === 'diffusion' && (
+                          <div className="control-group">
+                            <label className="control-label">Noise</label>
+                            <div className="slider-row">
+                              <input
+                                type="range" min="0" max="100"
+                                value={animation.noise}
+                                style={{ '--val': `${animation.noise}%` }}
+                                onChange={e => updateAnimation({ noise: parseInt(e.target.value) })}
+                              />
+                              <span className="slider-pct">{animation.noise}%</span>
+                            </div>
+                          </div>
+                        )}
+                        <button
+                          className={`toggle-pill${animation.cycleColors ? ' active' : ''}`}
+                          style={{ width: '100%', marginTop: 4 }}
+                          onClick={() => updateAnimation({ cycleColors: !animation.cycleColors })}
+                          title="Shift each colour to the next one as the animation plays"
+                        >
+                          Cycle Colors
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {/* Body — how this layer moves on the physics canvas */}
+              {selectedLayer && (
+                <>
+                  <div className="panel-divider" />
+                  <div className="panel-section">
+                    <div className="section-header">
+                      <span className="control-label">Body</span>
+                      <button
+                        className="section-plus-btn"
+                        onClick={() => updateSelected({ physics: { ...DEFAULT_BODY } })}
+                        title="Reset body"
+                      >
+                        <RotateCcw size={12} />
+                      </button>
+                    </div>
+                    {/* A frame's collider is its layers' */}
+                    {!selectedLayer.frame && (
+                      <div className="control-group">
+                        <label className="control-label">Collider</label>
+                        <Dropdown
+                          options={Object.entries(COLLIDER_SHAPES).map(([value, label]) => ({ label, value }))}
+                          value={layerPhysics.collider}
+                          onChange={collider => updatePhysics({ collider })}
+                        />
+                      </div>
+                    )}
+                    {BODY_SLIDERS.map(({ key, label, format }) => {
+                      const { min, max, step } = BODY_LIMITS[key];
+                      return (
+                        <div className="control-group" key={key}>
+                          <label className="control-label">{label}</label>
+                          <div className="slider-row">
+                            <input
+                              type="range" min={min} max={max} step={step}
+                              value={layerPhysics[key]}
+                              style={{ '--val': `${((layerPhysics[key] - min) / (max - min)) * 100}%` }}
+                              onChange={e => updatePhysics({ [key]: parseFloat(e.target.value) })}
+                            />
+                            <span className="slider-pct">{format(layerPhysics[key])}</span>
+                          </div>
+                        </div>
+                      );
+                    })}
+                    <div className="effect-options">
+                      <button
+                        className={`toggle-pill${layerPhysics.pinned ? ' active' : ''}`}
+                        onClick={() => updatePhysics({ pinned: !layerPhysics.pinned })}
+                        title="Hold the layer in place; others still bounce off it"
+                      >
+                        Pinned
+                      </button>
+                      <button
+                        className={`toggle-pill${layerPhysics.fixedRotation ? ' active' : ''}`}
+                        onClick={() => updatePhysics({ fixedRotation: !layerPhysics.fixedRotation })}
+                        title="Keep the layer upright"
+                      >
+                        No Rotation
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
 
               <div className="panel-divider" />
 
@@ -707,7 +1957,8 @@ function App() {
               <div className="panel-section">
                 <div className="section-header">
                   <span className="control-label">Assets</span>
-                  {selectedLayer && (
+                  {/* A frame's source is its flattened layers */}
+                  {selectedLayer && !selectedLayer.frame && (
                     <button
                       className="section-plus-btn"
                       onClick={() => openFilePicker(selectedLayer.id)}
@@ -735,8 +1986,8 @@ function App() {
                   <>
                     <div
                       className="asset-preview"
-                      onClick={() => openFilePicker(selectedLayer.id)}
-                      title="Click to replace source image"
+                      onClick={() => !selectedLayer.frame && openFilePicker(selectedLayer.id)}
+                      title={selectedLayer.frame ? 'The frame\'s layers, flattened' : 'Click to replace source image'}
                     >
                       <img
                         src={assetTab === 'vector' && selectedLayer.processedUrl ? selectedLayer.processedUrl : selectedLayer.originalUrl}
@@ -778,7 +2029,7 @@ function App() {
                 <div className="panel-section">
                   <div className="section-header">
                     <span className="control-label">Fill</span>
-                    {!selectedLayer.colors.midtone && (
+                    {selectedLayer.colorMode !== 'palette' && !selectedLayer.colors.midtone && (
                       <button
                         className="section-plus-btn"
                         onClick={() => updateSelected({ colors: { ...selectedLayer.colors, midtone: '#888888' } })}
@@ -788,6 +2039,119 @@ function App() {
                       </button>
                     )}
                   </div>
+                  <div className="segmented-control" style={{ marginBottom: 12 }}>
+                    {[['tones', 'Tones'], ['palette', 'Palette']].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        className={`segmented-btn${selectedLayer.colorMode === mode ? ' active' : ''}`}
+                        onClick={() => { updateSelected({ colorMode: mode }); setActiveColorPopover(null); }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="effect-options" style={{ marginTop: 0, marginBottom: 12 }}>
+                    <Dropdown
+                      options={[
+                        ...Object.entries(PALETTE_PRESETS).map(([value, { label, colors }]) => ({ label, value, tag: colors.length })),
+                        ...userPalettes.map(p => ({ label: p.name, value: `user:${p.name}`, tag: 'Saved' }))
+                      ]}
+                      value={null}
+                      placeholder="Presets"
+                      onChange={handlePresetSelect}
+                    />
+                    <button
+                      className="toggle-pill"
+                      onClick={() => paletteInputRef.current?.click()}
+                      title="Import a .gpl, .ase or .hex palette"
+                    >
+                      Import
+                    </button>
+                  </div>
+                  {selectedLayer.colorMode === 'palette' ? (
+                    <>
+                      <div className="palette-grid">
+                        {selectedLayer.palette.map((hex, i) => (
+                          <div className="palette-swatch" key={i} style={{ background: hex }}>
+                            <button
+                              className="palette-swatch-btn"
+                              onClick={(e) => {
+                                const rect = e.currentTarget.getBoundingClientRect();
+                                setActiveColorPopover({ paletteIndex: i, top: rect.top, left: rect.left - 250 - 30 });
+                              }}
+                              title={hex}
+                            />
+                            {selectedLayer.palette.length > MIN_PALETTE_SIZE && (
+                              <button
+                                className="palette-swatch-remove"
+                                onClick={() => {
+                                  updateSelected({ palette: selectedLayer.palette.filter((_, j) => j !== i) });
+                                  setActiveColorPopover(null);
+                                }}
+                                title="Remove color"
+                              >
+                                <Minus size={9} />
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        {selectedLayer.palette.length < MAX_PALETTE_SIZE && (
+                          <button
+                            className="palette-swatch palette-swatch-add"
+                            onClick={() => updateSelected({ palette: [...selectedLayer.palette, '#888888'] })}
+                            title="Add color"
+                          >
+                            <Plus size={12} />
+                          </button>
+                        )}
+                      </div>
+                      <div className="effect-options">
+                        <Dropdown
+                          options={Object.entries(COLOR_METRICS).map(([value, label]) => ({ label, value }))}
+                          value={selectedLayer.colorMetric}
+                          onChange={colorMetric => updateSelected({ colorMetric })}
+                        />
+                        <input
+                          type="number" min={MIN_PALETTE_SIZE} max={MAX_PALETTE_SIZE}
+                          className="ink-angle"
+                          value={paletteExtractSize}
+                          onChange={e => setPaletteExtractSize(Math.max(MIN_PALETTE_SIZE, Math.min(MAX_PALETTE_SIZE, parseInt(e.target.value) || MIN_PALETTE_SIZE)))}
+                          title="Number of colors to extract"
+                        />
+                        <button
+                          className="toggle-pill"
+                          onClick={() => {
+                            const id = selectedLayer.id;
+                            extractPalette(selectedLayer.originalUrl, paletteExtractSize).then(palette => updateLayer(id, { palette }));
+                          }}
+                          title="Re-seed the palette from the source image"
+                        >
+                          Extract
+                        </button>
+                      </div>
+                      <div className="effect-options">
+                        <Dropdown
+                          options={Object.entries(PALETTE_FORMATS).map(([value, label]) => ({ label, value }))}
+                          value={null}
+                          placeholder="Export palette"
+                          onChange={handlePaletteExport}
+                        />
+                        <button
+                          className="toggle-pill"
+                          onClick={handleSavePalette}
+                          title="Save to your presets"
+                        >
+                          Save
+                        </button>
+                      </div>
+                      {selectedLayer.effectEnabled && !['diffusion', 'ordered'].includes(selectedLayer.effectType) && (
+                        <p style={{ fontSize: 10.5, color: 'var(--text-dim)', marginTop: 8, lineHeight: 1.5 }}>
+                          Palettes apply to Diffusion and Ordered effects.
+                        </p>
+                      )}
+                    </>
+                  ) : (
+                  <>
                   {/* 3 Colors Config */}
                   <div className="colors-stack" style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
                     {['shadow', 'highlight', 'midtone'].map((type) => {
@@ -864,6 +2228,8 @@ function App() {
                       );
                     })}
                   </div>
+                  </>
+                  )}
                 </div>
               )}
 
@@ -895,10 +2261,13 @@ function App() {
                         { label: 'PNG', value: 'image' },
                         { label: 'Vector', value: 'vector', tag: 'Fast' },
                         { label: 'WebP', value: 'webp', disabled: true },
-                        { label: 'SVG', value: 'svg_path', disabled: true, tag: 'Paths' },
-                        { label: 'Figma', value: 'figma', disabled: true, tag: 'BETA' },
-                        { label: 'Framer', value: 'framer', disabled: true },
-                        { label: 'PDF', value: 'pdf', disabled: true }
+                        { label: 'SVG', value: 'svg_path', disabled: !hasFlatColors, tag: 'Paths' },
+                        { label: 'Figma', value: 'figma', disabled: !hasFlatColors, tag: 'BETA' },
+                        { label: 'Framer', value: 'framer', disabled: !hasFlatColors, tag: '.tsx' },
+                        { label: 'PDF', value: 'pdf', disabled: true },
+                        ...(isTextLayer
+                          ? Object.entries(TEXT_FORMATS).map(([value, { label }]) => ({ label, value, tag: 'Text' }))
+                          : [])
                       ]}
                       value={exportFormat}
                       onChange={setExportFormat}
@@ -906,23 +2275,359 @@ function App() {
                   </div>
                 </div>
 
+                {isSeparation && (
+                  <button
+                    className={`toggle-pill${exportPlates ? ' active' : ''}`}
+                    style={{ width: '100%', marginBottom: '8px' }}
+                    onClick={() => setExportPlates(v => !v)}
+                    title="Also download each plate as its own PNG (SVG exports always keep one layer per plate)"
+                  >
+                    Separate plate files
+                  </button>
+                )}
+
+                {exportFormat === 'svg_path' && hasFlatColors && (
+                  <div style={{ marginBottom: '8px' }}>
+                    <div className="control-group">
+                      <label className="control-label">Despeckle</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="0" max="20" step="1"
+                          value={traceOptions.turdSize}
+                          style={{ '--val': `${(traceOptions.turdSize / 20) * 100}%` }}
+                          onChange={e => updateTrace({ turdSize: parseInt(e.target.value) })}
+                          title="Drop specks of up to this many pixels"
+                        />
+                        <span className="slider-pct">{traceOptions.turdSize}px</span>
+                      </div>
+                    </div>
+                    <div className="control-group" style={{ marginTop: 12 }}>
+                      <label className="control-label">Corner Smoothing</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min="0" max="1.3" step="0.05"
+                          value={traceOptions.alphaMax}
+                          style={{ '--val': `${(traceOptions.alphaMax / 1.3) * 100}%` }}
+                          onChange={e => updateTrace({ alphaMax: parseFloat(e.target.value) })}
+                          title="0 keeps every corner sharp; higher values round them into curves"
+                        />
+                        <span className="slider-pct">{traceOptions.alphaMax.toFixed(2)}</span>
+                      </div>
+                    </div>
+                    <button
+                      className={`toggle-pill${traceOptions.optCurve ? ' active' : ''}`}
+                      style={{ width: '100%', marginTop: 12 }}
+                      onClick={() => updateTrace({ optCurve: !traceOptions.optCurve })}
+                      title="Merge neighbouring curve segments for smaller files"
+                    >
+                      Optimise curves
+                    </button>
+                  </div>
+                )}
+
+                {isPixelVector && (
+                  <button
+                    className={`toggle-pill${crispEdges ? ' active' : ''}`}
+                    style={{ width: '100%', marginBottom: '8px' }}
+                    onClick={() => setCrispEdges(v => !v)}
+                    title="Ask renderers not to anti-alias the seams between colour regions"
+                  >
+                    Crisp edges
+                  </button>
+                )}
+
                 <div style={{ display: 'flex', gap: '8px' }}>
                   <button
                     className="framer-button primary"
                     style={{ flex: 1, height: '32px' }}
                     onClick={handleExport}
+                    disabled={isExporting}
                   >
-                    {exportSuccess ? <Check size={14} /> : 'Export Layer'}
+                    {exportSuccess ? <Check size={14} /> : exportLabel}
                   </button>
                   <button
                     className="framer-button outline"
                     style={{ width: '40px', padding: 0 }}
                     onClick={handleCopyToClipboard}
-                    title="Copy to Clipboard"
+                    title={isTextExport ? 'Copy as Text' : exportFormat === 'framer' && hasFlatColors ? 'Copy Component Code' : 'Copy to Clipboard'}
                   >
                     {copySuccess ? <Check size={14} /> : <Copy size={14} />}
                   </button>
                 </div>
+                {isPixelVector && vectorStats?.layerId === selectedLayer.id && vectorStats.perPixelBytes > 0 && (
+                  <p style={{ fontSize: 10.5, color: 'var(--text-dim)', marginTop: 8, lineHeight: 1.5 }}>
+                    Last SVG {formatBytes(vectorStats.bytes)}, {Math.round((1 - vectorStats.bytes / vectorStats.perPixelBytes) * 100)}% smaller
+                    than one rect per pixel ({formatBytes(vectorStats.perPixelBytes)})
+                  </p>
+                )}
+              </div>
+
+              <div className="panel-divider" />
+
+              {/* Physics — the world every layer moves in */}
+              <div className="panel-section">
+                <div className="section-header">
+                  <span className="control-label">Physics</span>
+                  <button
+                    className="section-plus-btn"
+                    onClick={() => updateWorld({ ...DEFAULT_WORLD, paused: world.paused })}
+                    title="Reset physics"
+                  >
+                    <RotateCcw size={12} />
+                  </button>
+                </div>
+                {WORLD_SLIDERS.map(({ key, label, format }) => {
+                  const { min, max, step } = WORLD_LIMITS[key];
+                  // A direction means nothing without gravity
+                  if (key === 'gravityAngle' && !world.gravity) return null;
+                  return (
+                    <div className="control-group" key={key}>
+                      <label className="control-label">{label}</label>
+                      <div className="slider-row">
+                        <input
+                          type="range" min={min} max={max} step={step}
+                          value={world[key]}
+                          style={{ '--val': `${((world[key] - min) / (max - min)) * 100}%` }}
+                          onChange={e => updateWorld({ [key]: parseFloat(e.target.value) })}
+                        />
+                        <span className="slider-pct">{format(world[key])}</span>
+                      </div>
+                    </div>
+                  );
+                })}
+                <div className="control-group">
+                  <label className="control-label">Walls</label>
+                  <Dropdown
+                    options={Object.entries(WALL_MODES).map(([value, label]) => ({ label, value }))}
+                    value={world.walls}
+                    onChange={walls => updateWorld({ walls })}
+                  />
+                </div>
+                <button
+                  className={`toggle-pill${world.nudge ? ' active' : ''}`}
+                  style={{ width: '100%', marginTop: 4 }}
+                  onClick={() => updateWorld({ nudge: !world.nudge })}
+                  title="Give new layers a small random push"
+                >
+                  Nudge New Layers
+                </button>
+                <div className="effect-options">
+                  <button
+                    className={`toggle-pill${world.paused ? ' active' : ''}`}
+                    onClick={() => updateWorld({ paused: !world.paused })}
+                  >
+                    {world.paused ? 'Paused' : 'Pause'}
+                  </button>
+                  <button
+                    className="toggle-pill"
+                    onClick={stepPhysics}
+                    disabled={!world.paused}
+                    title="Advance one 60 Hz tick"
+                  >
+                    Step
+                  </button>
+                </div>
+                <div className="control-group" style={{ marginTop: 8 }}>
+                  <label className="control-label">Seed</label>
+                  <div className="effect-options">
+                    <input
+                      type="number" min="0" max={SEED_RANGE - 1}
+                      className="ink-angle"
+                      value={world.seed}
+                      onChange={e => updateWorld({ seed: Math.max(0, Math.min(SEED_RANGE - 1, parseInt(e.target.value) || 0)) })}
+                      title="Seeds the push new layers get, so a scene plays out the same way"
+                    />
+                    <button className="toggle-pill" onClick={() => updateWorld({ seed: randomSeed() })}>
+                      Shuffle
+                    </button>
+                  </div>
+                </div>
+                <div className="effect-options">
+                  <button
+                    className={`toggle-pill${sceneRecording ? ' active' : ''}`}
+                    onClick={toggleSceneRecording}
+                    title="Record the layers as they are now and every drag from here"
+                  >
+                    {sceneRecording ? 'Stop Recording' : 'Record Scene'}
+                  </button>
+                  <button
+                    className="toggle-pill"
+                    onClick={replayScene}
+                    disabled={!scene || sceneRecording}
+                    title="Put the layers back where the recording started and play the drags again"
+                  >
+                    Replay
+                  </button>
+                </div>
+              </div>
+
+              <div className="panel-divider" />
+
+              {/* Constraints */}
+              <div className="panel-section">
+                <div className="section-header">
+                  <span className="control-label">Constraints</span>
+                </div>
+                <div className="effect-options">
+                  {Object.entries({ ...LINK_TYPES, ...FIELD_TYPES }).map(([tool, label]) => (
+                    <button
+                      key={tool}
+                      className={`toggle-pill${constraintTool === tool ? ' active' : ''}`}
+                      onClick={() => setConstraintTool(constraintTool === tool ? null : tool)}
+                      disabled={tool in LINK_TYPES && !selectedLayer}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {constraintHint && (
+                  <p style={{ fontSize: 10.5, color: 'var(--text-dim)', marginTop: 8, lineHeight: 1.5 }}>
+                    {constraintHint}
+                  </p>
+                )}
+                {listedLinks.map(link => (
+                  <div className="control-group" key={link.id}>
+                    <div className="section-header">
+                      <label className="control-label">
+                        {LINK_TYPES[link.type]}: {layerName(link.a)} → {link.type === 'pin' ? 'canvas' : layerName(link.b)}
+                      </label>
+                      <button className="section-plus-btn" onClick={() => setLinks(prev => prev.filter(l => l.id !== link.id))} title="Remove">
+                        <Minus size={14} />
+                      </button>
+                    </div>
+                    {link.type === 'spring' && LINK_SLIDERS.map(({ key, label, format }) => {
+                      const { min, max, step } = LINK_LIMITS[key];
+                      return (
+                        <div className="slider-row" key={key} title={label}>
+                          <input
+                            type="range" min={min} max={max} step={step}
+                            value={link[key]}
+                            style={{ '--val': `${((link[key] - min) / (max - min)) * 100}%` }}
+                            onChange={e => updateLink(link.id, { [key]: parseFloat(e.target.value) })}
+                          />
+                          <span className="slider-pct">{format(link[key])}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+                {fields.map(field => (
+                  <div className="control-group" key={field.id}>
+                    <div className="section-header">
+                      <label className="control-label">{FIELD_TYPES[field.type]}</label>
+                      <button className="section-plus-btn" onClick={() => setFields(prev => prev.filter(f => f.id !== field.id))} title="Remove">
+                        <Minus size={14} />
+                      </button>
+                    </div>
+                    {FIELD_SLIDERS.map(({ key, label, format }) => {
+                      const { min, max, step } = FIELD_LIMITS[key];
+                      return (
+                        <div className="slider-row" key={key} title={label}>
+                          <input
+                            type="range" min={min} max={max} step={step}
+                            value={field[key]}
+                            style={{ '--val': `${((field[key] - min) / (max - min)) * 100}%` }}
+                            onChange={e => updateField(field.id, { [key]: parseFloat(e.target.value) })}
+                          />
+                          <span className="slider-pct">{format(field[key])}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+
+              <div className="panel-divider" />
+
+              {/* Motion */}
+              <div className="panel-section export-section">
+                <div className="section-header">
+                  <span className="control-label">Motion</span>
+                </div>
+
+                <div className="export-grid" style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '12px' }}>
+                  <div className="export-col">
+                    <span className="export-col-label">Format</span>
+                    <Dropdown
+                      options={[
+                        { label: 'GIF', value: 'gif', tag: 'Palette' },
+                        { label: 'WebM', value: 'webm', tag: 'Alpha' },
+                        { label: 'MP4', value: 'mp4', tag: 'H.264' },
+                      ]}
+                      value={motionOptions.format}
+                      onChange={setMotionFormat}
+                    />
+                  </div>
+                  <div className="export-col">
+                    <span className="export-col-label">Frame Rate</span>
+                    <Dropdown
+                      options={MOTION_FPS.map(fps => ({
+                        label: `${fps} fps`,
+                        value: fps,
+                        disabled: fps > (motionFormat.maxFps ?? Infinity),
+                      }))}
+                      value={motionOptions.fps}
+                      onChange={fps => updateMotion({ fps })}
+                    />
+                  </div>
+                </div>
+
+                <div className="segmented-control" style={{ marginBottom: 12 }}>
+                  {[['seconds', 'Duration'], ['frames', 'Frames']].map(([unit, label]) => (
+                    <button
+                      key={unit}
+                      className={`segmented-btn${motionOptions.unit === unit ? ' active' : ''}`}
+                      onClick={() => setMotionUnit(unit)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="control-group">
+                  <label className="control-label">Length</label>
+                  <div className="slider-row">
+                    <input
+                      type="range" min={motionLimits.min} max={motionLimits.max} step={motionLimits.step}
+                      value={motionOptions.length}
+                      style={{ '--val': `${((motionOptions.length - motionLimits.min) / (motionLimits.max - motionLimits.min)) * 100}%` }}
+                      onChange={e => updateMotion({ length: parseFloat(e.target.value) })}
+                    />
+                    <span className="slider-pct">{motionOptions.unit === 'frames' ? recordFrames : `${motionOptions.length}s`}</span>
+                  </div>
+                </div>
+
+                {motionFormat.alpha && (
+                  <button
+                    className={`toggle-pill${motionOptions.transparent ? ' active' : ''}`}
+                    style={{ width: '100%', marginTop: 12 }}
+                    onClick={() => updateMotion({ transparent: !motionOptions.transparent })}
+                    title="Leave the canvas background out of the recording"
+                  >
+                    Transparent background
+                  </button>
+                )}
+                {scene && (
+                  <button
+                    className={`toggle-pill${motionOptions.replay ? ' active' : ''}`}
+                    style={{ width: '100%', marginTop: 8 }}
+                    onClick={() => updateMotion({ replay: !motionOptions.replay })}
+                    title="Record the replay of the recorded scene instead of the canvas as it is"
+                  >
+                    From Replay
+                  </button>
+                )}
+
+                <button
+                  className="framer-button primary"
+                  style={{ width: '100%', height: '32px', marginTop: 12 }}
+                  onClick={handleRecordMotion}
+                  disabled={isRecording || !layers.length}
+                >
+                  {recordLabel}
+                </button>
+                <p style={{ fontSize: 10.5, color: 'var(--text-dim)', marginTop: 8, lineHeight: 1.5 }}>
+                  {recordFrames} frames at {recordFps} fps of the visible canvas, simulated frame by frame
+                </p>
               </div>
             </motion.aside>
 
@@ -987,6 +2692,7 @@ function App() {
                     { keys: ['Space', 'drag'], desc: 'Pan canvas' },
                     { keys: ['Ctrl', 'scroll'], desc: 'Zoom in / out' },
                     { keys: ['Shift', '0'], desc: 'Reset zoom to 100%' },
+                    { keys: ['Shift', 'click'], desc: 'Pick layers to group into a frame' },
                     { keys: ['Del'], desc: 'Delete selected layer' },
                     { keys: ['Esc'], desc: 'Deselect / close overlay' },
                     { keys: ['F2'], desc: 'Rename selected layer' },
@@ -1015,11 +2721,25 @@ function App() {
       {activeColorPopover && createPortal(
         <div style={{ position: 'fixed', top: activeColorPopover.top - 20, left: activeColorPopover.left, zIndex: 10000 }}>
           <ColorPickerPopover
-            color={selectedLayer?.colors?.[activeColorPopover.type] || '#ffffff'}
+            color={(activeColorPopover.paletteIndex !== undefined
+              ? selectedLayer?.palette?.[activeColorPopover.paletteIndex]
+              : activeColorPopover.inkIndex !== undefined
+                ? selectedLayer?.spotInks?.[activeColorPopover.inkIndex]?.color
+                : selectedLayer?.colors?.[activeColorPopover.type]) || '#ffffff'}
             initialPosition={{ top: activeColorPopover.top - 20, left: activeColorPopover.left }}
             onPositionChange={(pos) => setActiveColorPopover(prev => ({ ...prev, ...pos }))}
             onChange={(newColor) => {
-              if (selectedLayerId) {
+              if (selectedLayerId && activeColorPopover.paletteIndex !== undefined) {
+                // Palette entries are matched as opaque sRGB, so transparency isn't allowed here
+                if (newColor === 'transparent') return;
+                setLayers(prev => prev.map(l => l.id === selectedLayerId ? {
+                  ...l, palette: l.palette.map((hex, i) => i === activeColorPopover.paletteIndex ? newColor.slice(0, 7) : hex)
+                } : l));
+              } else if (selectedLayerId && activeColorPopover.inkIndex !== undefined) {
+                setLayers(prev => prev.map(l => l.id === selectedLayerId ? {
+                  ...l, spotInks: l.spotInks.map((ink, i) => i === activeColorPopover.inkIndex ? { ...ink, color: newColor } : ink)
+                } : l));
+              } else if (selectedLayerId) {
                 setLayers(prev => prev.map(l => l.id === selectedLayerId ? { ...l, colors: { ...l.colors, [activeColorPopover.type]: newColor } } : l));
               }
             }}
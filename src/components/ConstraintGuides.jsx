@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import Matter from 'matter-js';
+import { linkGuides } from '../utils/constraints';
+
+// Draws the links between layers and the force fields in world space, under
+// the camera transform. Link paths are read back from the engine after each
+// step and whenever links are rebuilt, so they follow the bodies.
+const ConstraintGuides = ({ engine, fields = [] }) => {
+    const [guides, setGuides] = useState([]);
+
+    useEffect(() => {
+        if (!engine) return;
+
+        const update = () => setGuides(linkGuides(engine));
+        const handleChange = ({ object }) => {
+            if ([object].flat().some(item => item.plugin?.linkId != null)) update();
+        };
+
+        Matter.Events.on(engine, 'afterUpdate', update);
+        Matter.Events.on(engine.world, 'afterAdd', handleChange);
+        Matter.Events.on(engine.world, 'afterRemove', handleChange);
+
+        return () => {
+            Matter.Events.off(engine, 'afterUpdate', update);
+            Matter.Events.off(engine.world, 'afterAdd', handleChange);
+            Matter.Events.off(engine.world, 'afterRemove', handleChange);
+        };
+    }, [engine]);
+
+    return (
+        <svg className="constraint-guides" width="1" height="1">
+            {fields.map(({ id, type, x, y, radius }) => (
+                <g key={id} className={`guide-field ${type}`}>
+                    <circle cx={x} cy={y} r={radius} />
+                    <circle cx={x} cy={y} r={5} className="guide-field-centre" />
+                </g>
+            ))}
+            {guides.map(({ id, type, points }) => (
+                <g key={id} className={`guide-link ${type}`}>
+                    <polyline points={points.map(({ x, y }) => `${x},${y}`).join(' ')} />
+                    {type === 'pin' && <circle cx={points[1].x} cy={points[1].y} r={4} className="guide-pin" />}
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+export default ConstraintGuides;
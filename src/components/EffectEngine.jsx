@@ -1,132 +1,163 @@
-import React, { useEffect, useRef } from 'react';
-import {
-    applyAtkinsonDither,
-    applyHalftoneDither,
-    applyAsciiDither,
-    applyColorMap
-} from '../utils/dither';
-
-// Move the ASCII logic here for now as it needs the canvas context directly
-export const applyAsciiEffect = (imageData, ctx, sw, sh, ow, oh, contrast, colors) => {
-    const data = imageData.data;
-    const chars = ['@', '%', '#', '*', '+', '=', '-', ':', '.', ' '].reverse();
-    const { shadow = '#000000', midtone, highlight = '#ffffff' } = colors || {};
-    const isTriColor = midtone !== undefined && midtone !== null && midtone !== '';
-
-    ctx.clearRect(0, 0, ow, oh);
-
-    if (highlight !== 'transparent') {
-        ctx.fillStyle = highlight;
-        ctx.fillRect(0, 0, ow, oh);
-    }
-
-    const charW = ow / sw;
-    const charH = oh / sh;
-
-    ctx.font = `bold ${Math.round(charH * 1.2)}px monospace`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-
-    for (let y = 0; y < sh; y++) {
-        for (let x = 0; x < sw; x++) {
-            const idx = (y * sw + x) * 4;
-            const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-            const adjustedLuma = (luma - 128) * contrast + 128;
-
-            let val = Math.max(0, Math.min(255, adjustedLuma));
-
-            const charIdx = Math.floor((1 - (val / 255)) * (chars.length - 1));
-            const char = chars[charIdx];
-
-            if (char !== ' ') {
-                const charColor = isTriColor
-                    ? (val < 85 ? shadow : val < 170 ? midtone : highlight)
-                    : (val < 128 ? shadow : highlight);
-
-                if (charColor !== 'transparent') {
-                    ctx.fillStyle = charColor;
-                    ctx.fillText(char, x * charW + charW / 2, y * charH + charH / 2);
-                }
-            }
-        }
-    }
-};
-
-const EffectEngine = ({ src, effectType, pixelScale, contrast, accentColor, colors, onProcessed }) => {
-    const canvasRef = useRef(null);
-    const onProcessedRef = useRef(onProcessed);
+import { useEffect, useRef } from 'react';
+import { createEffectRenderer } from '../utils/effectRenderer';
+import { createRenderCache, renderCacheKey, RENDER_CACHE_SIZE } from '../utils/renderCache';
+import { proxySettings } from '../utils/pipeline';
+import { isAnimated, animationFrame, nextFrameDelay, CACHED_LOOP_STEPS } from '../utils/animation';
+
+// How long settings must stay unchanged before the full-resolution pass
+const REFINE_DELAY = 250;
+
+// Headless: renders the layer's effect through the pipeline (in a worker
+// where supported) and reports the result as an object URL. Renders nothing.
+// Large renders show a low-resolution proxy first and refine once the
+// settings settle; finished renders are cached per setting combination.
+// Animated layers then keep rendering the frame due on the clock, one at a
+// time, so every layer steps in time and the loop comes from the cache.
+const EffectEngine = ({ src, effectType, kernel, serpentine, thresholdMap, thresholdSize, screenAngle, screenLpi, dotShape, separationMode, spotInks, plateMethod, pixelScale, contrast, tone, filters, ascii, accentColor, colors, hiddenColors, colorMode, palette, colorMetric, animation, onProcessed, onHistogram, onProgress }) => {
+    const rendererRef = useRef(null);
+    const imageRef = useRef({ src: null, id: 0, loaded: null });
+    const cacheRef = useRef(null);
+    const proxyUrlRef = useRef(null);
+    const callbacksRef = useRef({ onProcessed, onHistogram, onProgress });
 
-    // Backwards compatibility during migration
-    const activeColors = colors || { shadow: accentColor, midtone: '#888888', highlight: 'transparent' };
-    const isTriColor = activeColors.midtone !== undefined && activeColors.midtone !== null && activeColors.midtone !== '';
+    useEffect(() => {
+        callbacksRef.current = { onProcessed, onHistogram, onProgress };
+    }, [onProcessed, onHistogram, onProgress]);
 
     useEffect(() => {
-        onProcessedRef.current = onProcessed;
-    }, [onProcessed]);
+        rendererRef.current = createEffectRenderer();
+        // Room for recent settings plus a whole animation loop
+        cacheRef.current = createRenderCache(RENDER_CACHE_SIZE + CACHED_LOOP_STEPS);
+        // The engine goes with the layer or its effect, so the URL on show,
+        // cached or proxy, goes too
+        return () => {
+            rendererRef.current.dispose();
+            rendererRef.current = null;
+            cacheRef.current.clear();
+            cacheRef.current.release();
+            cacheRef.current = null;
+            proxyUrlRef.current = null;
+        };
+    }, []);
 
     useEffect(() => {
         if (!src) return;
 
-        const img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.onload = () => {
-            const canvas = canvasRef.current;
-            if (!canvas) return;
-            const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-            const scaledWidth = Math.floor(img.width / pixelScale);
-            const scaledHeight = Math.floor(img.height / pixelScale);
-
-            if (scaledWidth < 1 || scaledHeight < 1) return;
-
-            const isAscii = effectType === 'ascii';
-            const charScale = 8;
-            const outWidth = isAscii ? scaledWidth * charScale : scaledWidth;
-            const outHeight = isAscii ? scaledHeight * charScale : scaledHeight;
-
-            canvas.width = outWidth;
-            canvas.height = outHeight;
-
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = scaledWidth;
-            tempCanvas.height = scaledHeight;
-            const tctx = tempCanvas.getContext('2d', { willReadFrequently: true });
-            tctx.drawImage(img, 0, 0, scaledWidth, scaledHeight);
-
-            let imageData = tctx.getImageData(0, 0, scaledWidth, scaledHeight);
-
-            const threshold = 128 * (1 / contrast);
-
-            if (effectType === 'atkinson') {
-                applyAtkinsonDither(imageData, threshold, isTriColor);
-                applyColorMap(imageData, activeColors);
-                ctx.putImageData(imageData, 0, 0);
-            } else if (effectType === 'halftone') {
-                applyHalftoneDither(imageData, contrast, isTriColor);
-                applyColorMap(imageData, activeColors);
-                ctx.putImageData(imageData, 0, 0);
-            } else if (effectType === 'ascii') {
-                applyAsciiEffect(imageData, ctx, scaledWidth, scaledHeight, outWidth, outHeight, contrast, activeColors);
+        // Decode once per source; slider changes reuse the loaded image
+        if (imageRef.current.src !== src) {
+            imageRef.current = {
+                src,
+                id: imageRef.current.id + 1,
+                loaded: new Promise((resolve, reject) => {
+                    const img = new Image();
+                    img.crossOrigin = "Anonymous";
+                    img.onload = () => resolve(img);
+                    img.onerror = reject;
+                    img.src = src;
+                })
+            };
+        }
+
+        // Backwards compatibility during migration
+        const activeColors = { ...(colors || { shadow: accentColor, midtone: '#888888', highlight: 'transparent' }) };
+        hiddenColors?.forEach(hc => { delete activeColors[hc]; });
+
+        const settings = {
+            effectType, kernel, serpentine, thresholdMap, thresholdSize, screenAngle, screenLpi, dotShape,
+            separationMode, spotInks, plateMethod, pixelScale, contrast, tone, filters, ascii,
+            colors: activeColors, colorMode, palette, colorMetric,
+            animation: isAnimated(animation) ? animation : undefined
+        };
+        const animated = isAnimated(animation);
+        const seconds = () => performance.now() / 1000;
+        const frameOf = (frame) => (animated ? { ...settings, frame } : settings);
+        const first = frameOf(animationFrame(settings, seconds()));
+
+        // Cached URLs belong to the cache, which keeps the one on show from
+        // eviction; only uncached ones (the proxy, or a frame past
+        // CACHED_LOOP_STEPS) are ours to revoke
+        const show = (url, histogram, uncached = false) => {
+            const previousProxy = proxyUrlRef.current;
+            proxyUrlRef.current = uncached ? url : null;
+            cacheRef.current?.hold(url);
+            callbacksRef.current.onHistogram?.(histogram);
+            callbacksRef.current.onProcessed?.(url);
+            if (previousProxy) URL.revokeObjectURL(previousProxy);
+        };
+
+        const { loaded, id: sourceId } = imageRef.current;
+        const key = renderCacheKey(sourceId, first);
+        const cached = cacheRef.current?.get(key);
+        if (cached) {
+            rendererRef.current?.cancel();
+            show(cached.url, cached.histogram);
+            callbacksRef.current.onProgress?.(null);
+            if (!animated) return;
+        }
+
+        let stale = false;
+        let timer = null;
+        const wait = (ms) => new Promise(resolve => { timer = setTimeout(resolve, ms); });
+
+        // Shows the frame due now, rendering it if it isn't cached, then
+        // waits for the next step; a frame that takes longer is skipped past
+        const play = async (img) => {
+            while (!stale && rendererRef.current) {
+                const step = animationFrame(settings, seconds());
+                const frame = frameOf(step);
+                const frameKey = renderCacheKey(sourceId, frame);
+                const cacheable = step < CACHED_LOOP_STEPS;
+                let entry = cacheable ? cacheRef.current.get(frameKey) : null;
+                if (!entry) {
+                    const result = await rendererRef.current.render(img, frame);
+                    if (stale || !result) return;
+                    entry = cacheable
+                        ? cacheRef.current.set(frameKey, result.blob, result.histogram)
+                        : { url: URL.createObjectURL(result.blob), histogram: result.histogram };
+                }
+                show(entry.url, entry.histogram, !cacheable);
+                await wait(nextFrameDelay(animation, seconds()));
+            }
+        };
+
+        const run = async () => {
+            const img = await loaded;
+            if (stale || !rendererRef.current) return;
+            if (cached) return play(img);
+
+            const proxy = proxySettings(first, img.naturalWidth, img.naturalHeight);
+            if (proxy) {
+                const preview = await rendererRef.current?.render(img, proxy, null, { proxy: true });
+                if (stale) return;
+                if (preview) show(URL.createObjectURL(preview.blob), preview.histogram, true);
+                await wait(REFINE_DELAY);
+                if (stale || !rendererRef.current) return;
             }
 
-            const dataUrl = canvas.toDataURL('image/png');
-            if (onProcessedRef.current) onProcessedRef.current(dataUrl);
+            callbacksRef.current.onProgress?.(0);
+            const result = await rendererRef.current.render(img, first, progress => {
+                if (!stale) callbacksRef.current.onProgress?.(progress);
+            });
+            if (stale || !result) return;
 
+            const entry = cacheRef.current.set(key, result.blob, result.histogram);
+            show(entry.url, entry.histogram);
+            callbacksRef.current.onProgress?.(null);
+            if (animated) await play(img);
         };
-        img.src = src;
-    }, [src, effectType, pixelScale, contrast, activeColors]);
-
-    return (
-        <canvas
-            ref={canvasRef}
-            style={{
-                width: '100%',
-                height: 'auto',
-                imageRendering: 'pixelated',
-                display: 'none'
-            }}
-        />
-    );
+        run().catch(err => {
+            if (stale) return;
+            console.error('Effect render failed:', err);
+            callbacksRef.current.onProgress?.(null);
+        });
+
+        return () => {
+            stale = true;
+            clearTimeout(timer);
+        };
+    }, [src, effectType, kernel, serpentine, thresholdMap, thresholdSize, screenAngle, screenLpi, dotShape, separationMode, spotInks, plateMethod, pixelScale, contrast, tone, filters, ascii, accentColor, colors, hiddenColors, colorMode, palette, colorMetric, animation]);
+
+    return null;
 };
 
 export default EffectEngine;
@@ -1,15 +1,19 @@
 /**
- * Tests for the pure image-processing functions in src/components/EffectEngine.jsx
+ * Tests for the pure image-processing functions used by src/components/EffectEngine.jsx
+ * (they live in src/utils/dither.js and src/utils/kernels.js)
  *
  * We specifically test:
  *  - applyAtkinsonDither  — the Atkinson error diffusion algorithm
+ *  - applyErrorDiffusion  — the kernel-driven diffusion core behind it
+ *  - DIFFUSION_KERNELS    — the kernel registry shared by preview and export
  *  - applyColorMap        — remaps black/white pixels to brand colours
  *
  * These are tested without mounting the React component, since they are
  * pure functions that only manipulate an ImageData object.
  */
 import { describe, it, expect } from 'vitest';
-import { applyAtkinsonDither, applyColorMap } from './EffectEngine.jsx';
+import { applyAtkinsonDither, applyErrorDiffusion, applyColorMap } from '../utils/dither.js';
+import { DIFFUSION_KERNELS } from '../utils/kernels.js';
 
 // ─── Helper ───────────────────────────────────────────────────────────────────
 
@@ -64,7 +68,7 @@ describe('applyAtkinsonDither', () => {
 
   it('produces a 1-bit output (pixels are only 0 or 255)', () => {
     const imageData = makeImageData(6, 6, 200);
-    applyAtkinsonDither(imageData, 128);
+    applyAtkinsonDither(imageData, 128, false); // two-tone mode
     for (let i = 0; i < imageData.data.length; i += 4) {
       // After dithering, every RGB channel should be either 0 or 255
       expect([0, 255]).toContain(imageData.data[i]);
@@ -72,19 +76,86 @@ describe('applyAtkinsonDither', () => {
   });
 });
 
+// ─── applyErrorDiffusion ──────────────────────────────────────────────────────
+
+describe('applyErrorDiffusion', () => {
+  it('matches applyAtkinsonDither when given the atkinson kernel', () => {
+    const a = makeImageData(8, 8, 90);
+    const b = makeImageData(8, 8, 90);
+    applyAtkinsonDither(a, 128, false);
+    applyErrorDiffusion(b, { threshold: 128, isTriColor: false, kernel: 'atkinson' });
+    expect(Array.from(b.data)).toEqual(Array.from(a.data));
+  });
+
+  it.each(Object.keys(DIFFUSION_KERNELS))('produces a 1-bit output with the %s kernel', (kernel) => {
+    const imageData = makeImageData(10, 10, 100);
+    applyErrorDiffusion(imageData, { threshold: 128, isTriColor: false, kernel, serpentine: true });
+    for (let i = 0; i < imageData.data.length; i += 4) {
+      expect([0, 255]).toContain(imageData.data[i]);
+    }
+  });
+
+  it('roughly preserves mean brightness with a full-error kernel', () => {
+    // Floyd–Steinberg diffuses 100% of the error, so a 25% grey field should
+    // come out with about a quarter of its pixels white.
+    const imageData = makeImageData(32, 32, 64);
+    applyErrorDiffusion(imageData, { threshold: 128, isTriColor: false, kernel: 'floyd-steinberg' });
+    let white = 0;
+    for (let i = 0; i < imageData.data.length; i += 4) if (imageData.data[i] === 255) white++;
+    expect(white / (32 * 32)).toBeCloseTo(0.25, 1);
+  });
+
+  it('mirrors the kernel on odd rows when serpentine is enabled', () => {
+    const forward = makeImageData(9, 4, 100);
+    const snake = makeImageData(9, 4, 100);
+    applyErrorDiffusion(forward, { threshold: 128, isTriColor: false, kernel: 'floyd-steinberg' });
+    applyErrorDiffusion(snake, { threshold: 128, isTriColor: false, kernel: 'floyd-steinberg', serpentine: true });
+    // The first row is scanned left-to-right in both modes
+    expect(Array.from(snake.data.slice(0, 9 * 4))).toEqual(Array.from(forward.data.slice(0, 9 * 4)));
+    expect(Array.from(snake.data)).not.toEqual(Array.from(forward.data));
+  });
+
+  it('falls back to Atkinson for an unknown kernel name', () => {
+    const a = makeImageData(6, 6, 150);
+    const b = makeImageData(6, 6, 150);
+    applyErrorDiffusion(a, { kernel: 'atkinson' });
+    applyErrorDiffusion(b, { kernel: 'does-not-exist' });
+    expect(Array.from(b.data)).toEqual(Array.from(a.data));
+  });
+});
+
+// ─── DIFFUSION_KERNELS ────────────────────────────────────────────────────────
+
+describe('DIFFUSION_KERNELS', () => {
+  it('only diffuses error forward (never to already-visited pixels)', () => {
+    for (const { offsets } of Object.values(DIFFUSION_KERNELS)) {
+      for (const [dx, dy] of offsets) {
+        expect(dy > 0 || (dy === 0 && dx > 0)).toBe(true);
+      }
+    }
+  });
+
+  it('distributes all of the error, except Atkinson which keeps 2/8', () => {
+    for (const [name, { divisor, offsets }] of Object.entries(DIFFUSION_KERNELS)) {
+      const total = offsets.reduce((sum, [, , w]) => sum + w, 0);
+      expect(total / divisor).toBe(name === 'atkinson' ? 6 / 8 : 1);
+    }
+  });
+});
+
 // ─── applyColorMap ────────────────────────────────────────────────────────────
 
 describe('applyColorMap', () => {
   it('returns the modified imageData object', () => {
     const imageData = makeImageData(2, 2, 0); // all black
-    const result = applyColorMap(imageData, '#ff0000', '#ffffff');
+    const result = applyColorMap(imageData, { shadow: '#ff0000', highlight: 'transparent' });
     expect(result).toBe(imageData);
   });
 
   it('maps black pixels (value < 128) to the accent colour', () => {
     // Create a 1×1 all-black image
     const imageData = makeImageData(1, 1, 0);
-    applyColorMap(imageData, '#ff0000', '#ffffff');
+    applyColorMap(imageData, { shadow: '#ff0000', highlight: 'transparent' });
     // Red channel should now be 255, green and blue 0
     expect(imageData.data[0]).toBe(255); // r
     expect(imageData.data[1]).toBe(0);   // g
@@ -94,7 +165,7 @@ describe('applyColorMap', () => {
 
   it('makes white pixels (value >= 128) fully transparent', () => {
     const imageData = makeImageData(1, 1, 255); // all white
-    applyColorMap(imageData, '#ff0000', '#ffffff');
+    applyColorMap(imageData, { shadow: '#ff0000', highlight: 'transparent' });
     // Alpha should be 0 (transparent — page background shows through)
     expect(imageData.data[3]).toBe(0);
   });
@@ -102,7 +173,7 @@ describe('applyColorMap', () => {
   it('correctly parses a multi-channel accent hex colour', () => {
     // #1a2b3c → r=26, g=43, b=60
     const imageData = makeImageData(1, 1, 0); // black pixel
-    applyColorMap(imageData, '#1a2b3c', '#ffffff');
+    applyColorMap(imageData, { shadow: '#1a2b3c', highlight: 'transparent' });
     expect(imageData.data[0]).toBe(26);
     expect(imageData.data[1]).toBe(43);
     expect(imageData.data[2]).toBe(60);
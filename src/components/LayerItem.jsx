@@ -1,10 +1,14 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Eye, EyeOff } from 'lucide-react';
+import { Eye, EyeOff, ChevronDown } from 'lucide-react';
 
+// A row in the layers panel. A frame's row has a toggle (`onCollapseToggle`)
+// that shows or hides its children's rows, which are `isNested` under it.
 const LayerItem = ({
   layer,
   isSelected,
   isRenaming,
+  isNested = false,
+  onCollapseToggle = null,
   onSelect,
   onVisibilityToggle,
   onRenameCommit,
@@ -39,15 +43,27 @@ const LayerItem = ({
     e.stopPropagation();
   };
 
+  // A frame without an effect shows its flattened children
+  const thumbUrl = layer.processedUrl || (layer.frame ? layer.originalUrl : null);
+
   return (
     <div
-      className={`layer-item${isSelected ? ' selected' : ''}`}
+      className={`layer-item${isSelected ? ' selected' : ''}${isNested ? ' nested' : ''}`}
       onClick={onSelect}
       onDoubleClick={(e) => { e.stopPropagation(); onRenameStart(); }}
     >
+      {onCollapseToggle && (
+        <button
+          className={`layer-collapse${layer.collapsed ? ' collapsed' : ''}`}
+          onClick={(e) => { e.stopPropagation(); onCollapseToggle(); }}
+          title={layer.collapsed ? 'Show frame layers' : 'Hide frame layers'}
+        >
+          <ChevronDown size={12} />
+        </button>
+      )}
       <div className="layer-thumb">
-        {layer.processedUrl ? (
-          <img src={layer.processedUrl} alt={layer.name} draggable={false} />
+        {thumbUrl ? (
+          <img src={thumbUrl} alt={layer.name} draggable={false} />
         ) : (
           <div className="layer-thumb-placeholder" />
         )}
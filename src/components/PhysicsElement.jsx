@@ -2,43 +2,86 @@ import React, { useEffect, useRef, useState } from 'react';
 import Matter from 'matter-js';
 // eslint-disable-next-line no-unused-vars
 import { motion } from 'framer-motion';
+import { DEFAULT_BODY, applyBodySettings, nudgeBody } from '../utils/physicsSettings';
+import { createColliderBody, placeBody, spriteCentre } from '../utils/collider';
+import { applyInput } from '../utils/simulation';
 
-const PhysicsElement = ({ engine, x, y, children, camera, isSelected = false, onClick }) => {
+// `physics` is the layer's body settings (DEFAULT_BODY); `nudge` gives a
+// new body a random push. `shape` ({ width, height, outline }, in world
+// units) is a traced collider, or a frame's joined colliders ({ width,
+// height, parts }); without one the body is a box the layout size of the
+// element, which camera zoom and rotation don't affect. A new body starts
+// turned to `angle`.
+// With a `simulation` (see createSimulation) the push is seeded and drags
+// are logged for replay.
+const PhysicsElement = ({ engine, simulation = null, layerId, x, y, angle = 0, physics = DEFAULT_BODY, nudge = true, shape = null, children, camera, isSelected = false, onClick }) => {
     const elementRef = useRef(null);
     const bodyRef = useRef(null);
-    const [position, setPosition] = useState({ x, y, angle: 0 });
+    const physicsRef = useRef(physics);
+    const nudgeRef = useRef(nudge);
+    // Where the last body was, so a new collider picks up from there
+    const poseRef = useRef(null);
+    const [position, setPosition] = useState({ x, y, angle });
     const dragInfo = useRef({ active: false, startX: 0, startY: 0, bodyX: 0, bodyY: 0 });
 
     useEffect(() => {
         if (!engine || !elementRef.current) return;
 
-        const timer = setTimeout(() => {
-            const rect = elementRef.current.getBoundingClientRect();
-            
-            const body = Matter.Bodies.rectangle(x, y, rect.width, rect.height, {
-                restitution: 0.9,
-                friction: 0.1,
-                frictionAir: 0.05,
-                render: { visible: false } 
+        const build = () => {
+            const size = shape ?? { width: elementRef.current.offsetWidth, height: elementRef.current.offsetHeight };
+            // A new start position means a fresh body rather than a reshaped one
+            const pose = poseRef.current?.x === x && poseRef.current?.y === y ? poseRef.current : null;
+            const body = createColliderBody(x, y, size, {
+                render: { visible: false },
+                plugin: { layerId }
             });
-            
+            if (pose) placeBody(body, pose.centre, pose.angle);
+            else if (angle) placeBody(body, { x, y }, angle);
+            applyBodySettings(body, physicsRef.current);
+
             bodyRef.current = body;
             Matter.Composite.add(engine.world, body);
-
-            Matter.Body.applyForce(body, body.position, {
-                x: (Math.random() - 0.5) * 0.05,
-                y: (Math.random() - 0.5) * 0.05
-            });
-
-        }, 50);
+            if (!pose) {
+                if (nudgeRef.current) nudgeBody(body, simulation?.random);
+            } else if (!body.isStatic) {
+                Matter.Body.setVelocity(body, pose.velocity);
+                Matter.Body.setAngularVelocity(body, pose.angularVelocity);
+            }
+        };
+        // A box waits for the image inside to lay out
+        const timer = setTimeout(build, shape ? 0 : 50);
 
         return () => {
             clearTimeout(timer);
-            if (engine && bodyRef.current) {
-                Matter.Composite.remove(engine.world, bodyRef.current);
+            const body = bodyRef.current;
+            if (engine && body) {
+                poseRef.current = {
+                    x,
+                    y,
+                    centre: spriteCentre(body),
+                    angle: body.angle,
+                    velocity: { ...body.velocity },
+                    angularVelocity: body.angularVelocity
+                };
+                Matter.Composite.remove(engine.world, body);
+                bodyRef.current = null;
             }
         };
-    }, [engine, x, y]);
+    }, [engine, simulation, layerId, x, y, angle, shape]);
+
+    const input = (event) => {
+        if (simulation) simulation.input(event);
+        else applyInput(engine, event);
+    };
+
+    // Setting changes apply to the existing body rather than rebuilding it
+    useEffect(() => {
+        physicsRef.current = physics;
+        nudgeRef.current = nudge;
+        if (!bodyRef.current || dragInfo.current.active) return;
+        if (simulation) simulation.input({ type: 'settings', layerId, physics });
+        else applyBodySettings(bodyRef.current, physics);
+    }, [simulation, layerId, physics, nudge]);
 
     useEffect(() => {
         if (!engine) return;
@@ -46,8 +89,7 @@ const PhysicsElement = ({ engine, x, y, children, camera, isSelected = false, on
         const updatePosition = () => {
             if (bodyRef.current) {
                 setPosition({
-                    x: bodyRef.current.position.x,
-                    y: bodyRef.current.position.y,
+                    ...spriteCentre(bodyRef.current),
                     angle: bodyRef.current.angle
                 });
             }
@@ -73,9 +115,7 @@ const PhysicsElement = ({ engine, x, y, children, camera, isSelected = false, on
             bodyY: bodyRef.current.position.y
         };
         
-        Matter.Body.setStatic(bodyRef.current, true);
-        Matter.Body.setAngularVelocity(bodyRef.current, 0);
-        Matter.Body.setVelocity(bodyRef.current, { x: 0, y: 0 });
+        input({ type: 'grab', layerId });
     };
 
     const handlePointerMove = (e) => {
@@ -84,7 +124,9 @@ const PhysicsElement = ({ engine, x, y, children, camera, isSelected = false, on
         const dx = (e.clientX - dragInfo.current.startX) / camera.z;
         const dy = (e.clientY - dragInfo.current.startY) / camera.z;
         
-        Matter.Body.setPosition(bodyRef.current, {
+        input({
+            type: 'move',
+            layerId,
             x: dragInfo.current.bodyX + dx,
             y: dragInfo.current.bodyY + dy
         });
@@ -95,11 +137,7 @@ const PhysicsElement = ({ engine, x, y, children, camera, isSelected = false, on
         e.currentTarget.releasePointerCapture(e.pointerId);
         dragInfo.current.active = false;
         
-        Matter.Body.setStatic(bodyRef.current, false);
-        Matter.Body.applyForce(bodyRef.current, bodyRef.current.position, {
-            x: 0,
-            y: 0.02
-        });
+        input({ type: 'release', layerId, physics: physicsRef.current });
     };
 
     return (
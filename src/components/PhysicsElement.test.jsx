@@ -19,6 +19,7 @@ vi.mock('matter-js', () => {
       Composite: { add: vi.fn(), remove: vi.fn() },
       Body: { applyForce: vi.fn() },
       Events: { on: vi.fn(), off: vi.fn() },
+      Common: { setDecomp: vi.fn() },
     },
   };
 });
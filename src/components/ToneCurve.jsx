@@ -0,0 +1,104 @@
+import React, { useRef, useState, useMemo } from 'react';
+import { evaluateCurve } from '../utils/tone';
+
+const SIZE = 256;
+
+// Curve editor drawn over the live luma histogram. Click to add a point,
+// drag to move it, double-click to remove it. Endpoints can't be removed.
+const ToneCurve = ({ curve, histogram, blackPoint = 0, whitePoint = 255, onChange }) => {
+  const svgRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const histogramPath = useMemo(() => {
+    if (!histogram) return '';
+    // sqrt keeps a huge paper-white spike from flattening everything else
+    const peak = Math.sqrt(Math.max(1, ...histogram));
+    let d = `M0 ${SIZE}`;
+    for (let v = 0; v < 256; v++) {
+      d += `L${v} ${SIZE - (Math.sqrt(histogram[v]) / peak) * SIZE}`;
+    }
+    return d + `L${SIZE - 1} ${SIZE}Z`;
+  }, [histogram]);
+
+  const curvePath = useMemo(() => {
+    const lut = evaluateCurve(curve);
+    let d = '';
+    for (let x = 0; x < 256; x++) d += `${x ? 'L' : 'M'}${x} ${SIZE - 1 - lut[x]}`;
+    return d;
+  }, [curve]);
+
+  const toCurveSpace = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = Math.round(((e.clientX - rect.left) / rect.width) * 255);
+    const y = Math.round((1 - (e.clientY - rect.top) / rect.height) * 255);
+    return [Math.max(0, Math.min(255, x)), Math.max(0, Math.min(255, y))];
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.target.dataset.index !== undefined) {
+      setDragIndex(parseInt(e.target.dataset.index));
+    } else {
+      const [x, y] = toCurveSpace(e);
+      const next = [...curve, [x, y]].sort((a, b) => a[0] - b[0]);
+      onChange(next);
+      setDragIndex(next.findIndex(p => p[0] === x && p[1] === y));
+    }
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndex === null) return;
+    let [x, y] = toCurveSpace(e);
+    // Keep points ordered: a point can't pass its neighbours
+    const lo = dragIndex > 0 ? curve[dragIndex - 1][0] + 1 : 0;
+    const hi = dragIndex < curve.length - 1 ? curve[dragIndex + 1][0] - 1 : 255;
+    x = Math.max(lo, Math.min(hi, x));
+    onChange(curve.map((p, i) => (i === dragIndex ? [x, y] : p)));
+  };
+
+  const handlePointerUp = () => setDragIndex(null);
+
+  const handleDoubleClick = (e) => {
+    const index = e.target.dataset.index;
+    if (index === undefined) return;
+    const i = parseInt(index);
+    if (i === 0 || i === curve.length - 1) return;
+    onChange(curve.filter((_, j) => j !== i));
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="tone-curve"
+      viewBox={`0 0 ${SIZE} ${SIZE}`}
+      preserveAspectRatio="none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+    >
+      {[64, 128, 192].map(v => (
+        <g key={v} className="tone-curve-grid">
+          <line x1={v} y1={0} x2={v} y2={SIZE} />
+          <line x1={0} y1={v} x2={SIZE} y2={v} />
+        </g>
+      ))}
+      {histogramPath && <path className="tone-curve-histogram" d={histogramPath} />}
+      {blackPoint > 0 && <rect className="tone-curve-clip" x={0} y={0} width={blackPoint} height={SIZE} />}
+      {whitePoint < 255 && <rect className="tone-curve-clip" x={whitePoint} y={0} width={SIZE - whitePoint} height={SIZE} />}
+      <path className="tone-curve-line" d={curvePath} />
+      {curve.map(([x, y], i) => (
+        <circle
+          key={i}
+          data-index={i}
+          className={`tone-curve-point${dragIndex === i ? ' active' : ''}`}
+          cx={x}
+          cy={SIZE - 1 - y}
+          r={6}
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default ToneCurve;
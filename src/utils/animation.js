@@ -0,0 +1,121 @@
+import { getThresholdMap, shiftThresholdMap } from './thresholdMaps';
+
+// Per-layer animation. Ordered dithering scrolls its threshold tile,
+// error diffusion scrolls a blue-noise tile that jitters each pixel's
+// threshold, and any effect can cycle its colours. A frame is a whole
+// number of steps, taken `speed` times a second; the animation loops once
+// the tile and the colours are both back where they started.
+
+export const DRIFT_DIRECTIONS = {
+    none: { label: 'Still', x: 0, y: 0 },
+    up: { label: 'Up', x: 0, y: -1 },
+    down: { label: 'Down', x: 0, y: 1 },
+    left: { label: 'Left', x: -1, y: 0 },
+    right: { label: 'Right', x: 1, y: 0 },
+    'up-left': { label: 'Up Left', x: -1, y: -1 },
+    'up-right': { label: 'Up Right', x: 1, y: -1 },
+    'down-left': { label: 'Down Left', x: -1, y: 1 },
+    'down-right': { label: 'Down Right', x: 1, y: 1 }
+};
+
+export const DEFAULT_ANIMATION = {
+    enabled: false,
+    direction: 'down',  // key into DRIFT_DIRECTIONS
+    speed: 8,           // steps per second
+    noise: 30,          // 0–100 % diffusion threshold jitter
+    cycleColors: false  // shift colours one place every COLOR_CYCLE_STEPS steps
+};
+
+export const ANIMATION_SPEED = { min: 1, max: 30, step: 1 };
+
+export const COLOR_CYCLE_STEPS = 4;
+
+// Steps of a loop kept in the render cache. Animated layers play these from
+// the cache; the steps of a longer loop past them render afresh each time
+// round, so the cache isn't churned through every loop.
+export const CACHED_LOOP_STEPS = 64;
+
+// The diffusion noise tile, and how far (in levels) full noise moves a threshold
+const NOISE_MAP = 'bluenoise';
+const NOISE_SIZE = 32;
+const NOISE_SPREAD = 128;
+
+// Still diffusion noise jumps this far each step instead, so every frame
+// gets fresh noise. Both are odd, so the tile visits NOISE_SIZE places.
+const NOISE_JUMP = { x: 13, y: 7 };
+
+const TONE_KEYS = ['shadow', 'midtone', 'highlight'];
+
+export const isAnimated = (animation) => !!animation?.enabled;
+
+const driftOf = ({ direction }) => DRIFT_DIRECTIONS[direction] ?? DRIFT_DIRECTIONS.none;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// The colours that take part in a cycle: the palette, or the tones that are set
+const cycledTones = (colors = {}) => TONE_KEYS.filter(key => colors[key]);
+
+const cycleLength = ({ colorMode, palette, colors }) =>
+    (colorMode === 'palette' ? palette?.length ?? 0 : cycledTones(colors).length);
+
+// Steps before the layer looks the same again (1 when nothing moves)
+export const loopLength = (settings) => {
+    const { animation, effectType, thresholdMap, thresholdSize } = settings;
+    if (!isAnimated(animation)) return 1;
+    const { x, y } = driftOf(animation);
+
+    let period = 1;
+    if (effectType === 'ordered' && (x || y)) period = getThresholdMap(thresholdMap, thresholdSize).size;
+    else if (effectType === 'diffusion' && animation.noise > 0) period = NOISE_SIZE;
+    const colorCount = cycleLength(settings);
+    if (animation.cycleColors && colorCount > 1) {
+        const colorPeriod = colorCount * COLOR_CYCLE_STEPS;
+        period = (period * colorPeriod) / gcd(period, colorPeriod);
+    }
+    return period;
+};
+
+// Step shown `seconds` into the animation, wrapped to the loop
+export const animationFrame = (settings, seconds) =>
+    (isAnimated(settings.animation)
+        ? Math.floor(seconds * settings.animation.speed) % loopLength(settings)
+        : 0);
+
+// Milliseconds from `seconds` until the next step
+export const nextFrameDelay = ({ speed }, seconds) =>
+    ((Math.floor(seconds * speed) + 1) / speed - seconds) * 1000;
+
+const rotate = (values, shift) => values.map((_, i) => values[(i + shift) % values.length]);
+
+const cycleColors = (settings, shift) => {
+    if (settings.colorMode === 'palette') return { palette: rotate(settings.palette, shift % settings.palette.length) };
+    const keys = cycledTones(settings.colors);
+    const values = rotate(keys.map(key => settings.colors[key]), shift % keys.length);
+    return { colors: { ...settings.colors, ...Object.fromEntries(keys.map((key, i) => [key, values[i]])) } };
+};
+
+// Resolves `animation` and `frame` into what the pipeline reads for that
+// frame: a `thresholdOffset` for ordered dithering, `diffusionNoise`
+// ({ size, thresholds, amount }) for error diffusion and rotated colours.
+// The result carries neither key, so resolving it again changes nothing.
+export const frameSettings = ({ animation, frame = 0, ...settings }) => {
+    if (!isAnimated(animation)) return settings;
+    const step = frame % loopLength({ ...settings, animation });
+    const { x, y } = driftOf(animation);
+
+    const resolved = { ...settings };
+    if (settings.effectType === 'ordered' && (x || y)) {
+        resolved.thresholdOffset = { x: x * step, y: y * step };
+    }
+    if (settings.effectType === 'diffusion' && animation.noise > 0) {
+        const shift = x || y ? { x, y } : NOISE_JUMP;
+        resolved.diffusionNoise = {
+            ...shiftThresholdMap(getThresholdMap(NOISE_MAP, NOISE_SIZE), shift.x * step, shift.y * step),
+            amount: (animation.noise / 100) * NOISE_SPREAD
+        };
+    }
+    if (animation.cycleColors && cycleLength(settings) > 1) {
+        Object.assign(resolved, cycleColors(settings, Math.floor(step / COLOR_CYCLE_STEPS)));
+    }
+    return resolved;
+};
@@ -0,0 +1,176 @@
+/**
+ * Tests for src/utils/animation.js
+ *
+ * Frames are resolved to plain pipeline settings, so the checks run those
+ * through ditherPixels on synthetic pixel buffers.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ANIMATION,
+  COLOR_CYCLE_STEPS,
+  isAnimated,
+  loopLength,
+  animationFrame,
+  nextFrameDelay,
+  frameSettings,
+} from './animation.js';
+import { getThresholdMap, shiftThresholdMap } from './thresholdMaps.js';
+import { ditherPixels } from './pipeline.js';
+
+function makeImageData(width, height, value = 128) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(value);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { data, width, height };
+}
+
+const animated = (changes = {}) => ({ ...DEFAULT_ANIMATION, enabled: true, ...changes });
+
+const ordered = {
+  effectType: 'ordered',
+  thresholdMap: 'bayer',
+  thresholdSize: 4,
+  colors: { shadow: '#000000', midtone: '#888888', highlight: '#ffffff' },
+  colorMode: 'tones',
+};
+
+const diffusion = { ...ordered, effectType: 'diffusion', kernel: 'floyd-steinberg' };
+
+// ─── Timing ───────────────────────────────────────────────────────────────────
+
+describe('loopLength', () => {
+  it('is one step when nothing moves', () => {
+    expect(loopLength(ordered)).toBe(1);
+    expect(loopLength({ ...ordered, animation: animated({ direction: 'none' }) })).toBe(1);
+    expect(loopLength({ ...diffusion, animation: animated({ noise: 0 }) })).toBe(1);
+  });
+
+  it('cycles still diffusion noise through the tile', () => {
+    expect(loopLength({ ...diffusion, animation: animated({ direction: 'none' }) })).toBe(32);
+  });
+
+  it('follows the tile that drifts', () => {
+    expect(loopLength({ ...ordered, thresholdSize: 8, animation: animated() })).toBe(8);
+    expect(loopLength({ ...diffusion, animation: animated() })).toBe(32);
+  });
+
+  it('waits for the colours to come round as well', () => {
+    expect(loopLength({ ...ordered, animation: animated({ cycleColors: true }) })).toBe(3 * COLOR_CYCLE_STEPS);
+    const palette = ['#000000', '#333333', '#666666', '#999999', '#ffffff'];
+    expect(loopLength({ ...ordered, colorMode: 'palette', palette, animation: animated({ direction: 'none', cycleColors: true }) }))
+      .toBe(5 * COLOR_CYCLE_STEPS);
+  });
+
+  it('runs the whole loop when the drift and the colours don\'t divide each other', () => {
+    // 64 steps of drift and 12 of colour come round together after 192
+    const settings = { ...ordered, thresholdMap: 'bluenoise', thresholdSize: 64, animation: animated({ cycleColors: true }) };
+    expect(loopLength(settings)).toBe(192);
+    const at = (frame) => frameSettings({ ...settings, frame });
+    // The tile is back where it started but the colours are not
+    expect(at(64).thresholdOffset.y % 64).toBe(0);
+    expect(at(64).colors).not.toEqual(at(0).colors);
+    expect(at(192)).toEqual(at(0));
+  });
+});
+
+describe('animationFrame', () => {
+  it('counts steps at the layer speed and wraps them to the loop', () => {
+    const settings = { ...ordered, animation: animated({ speed: 8 }) };
+    expect(animationFrame(settings, 0.3)).toBe(2);
+    expect(animationFrame(settings, 1.2)).toBe(9 % 4);
+  });
+
+  it('stays on the first frame for still layers', () => {
+    expect(animationFrame(ordered, 12)).toBe(0);
+    expect(isAnimated(undefined)).toBe(false);
+  });
+});
+
+describe('nextFrameDelay', () => {
+  it('waits until the next step boundary', () => {
+    expect(nextFrameDelay({ speed: 4 }, 1.1)).toBeCloseTo(150, 6);
+    expect(nextFrameDelay({ speed: 4 }, 1)).toBeCloseTo(250, 6);
+  });
+});
+
+// ─── frameSettings ────────────────────────────────────────────────────────────
+
+describe('frameSettings', () => {
+  it('drops the animation keys and leaves still layers alone', () => {
+    expect(frameSettings({ ...ordered, animation: undefined, frame: 3 })).toEqual(ordered);
+    expect(frameSettings({ ...ordered, animation: { ...DEFAULT_ANIMATION }, frame: 3 })).toEqual(ordered);
+  });
+
+  it('scrolls the ordered threshold map along the direction', () => {
+    const settings = frameSettings({ ...ordered, animation: animated({ direction: 'up-left' }), frame: 3 });
+    expect(settings.thresholdOffset).toEqual({ x: -3, y: -3 });
+    expect(settings).not.toHaveProperty('animation');
+    expect(settings).not.toHaveProperty('frame');
+  });
+
+  it('scrolls a blue-noise tile for diffusion, scaled by the noise amount', () => {
+    const { diffusionNoise } = frameSettings({ ...diffusion, animation: animated({ direction: 'right', noise: 50 }), frame: 5 });
+    const expected = shiftThresholdMap(getThresholdMap('bluenoise', 32), 5, 0);
+    expect(diffusionNoise.size).toBe(32);
+    expect(Array.from(diffusionNoise.thresholds)).toEqual(Array.from(expected.thresholds));
+    expect(diffusionNoise.amount).toBe(64);
+  });
+
+  it('shifts the tones one place every few steps', () => {
+    const settings = (frame) => frameSettings({ ...ordered, animation: animated({ cycleColors: true }), frame }).colors;
+    expect(settings(COLOR_CYCLE_STEPS - 1)).toEqual(ordered.colors);
+    expect(settings(COLOR_CYCLE_STEPS)).toEqual({ shadow: '#888888', midtone: '#ffffff', highlight: '#000000' });
+  });
+
+  it('only cycles the tones that are set', () => {
+    const colors = { shadow: '#111111', midtone: '', highlight: '#eeeeee' };
+    const settings = frameSettings({ ...ordered, colors, animation: animated({ cycleColors: true }), frame: COLOR_CYCLE_STEPS });
+    expect(settings.colors).toEqual({ shadow: '#eeeeee', midtone: '', highlight: '#111111' });
+  });
+
+  it('rotates the palette in palette mode', () => {
+    const palette = ['#000000', '#ff0000', '#ffffff'];
+    const settings = frameSettings({ ...ordered, colorMode: 'palette', palette, animation: animated({ cycleColors: true }), frame: 2 * COLOR_CYCLE_STEPS });
+    expect(settings.palette).toEqual(['#ffffff', '#000000', '#ff0000']);
+  });
+
+  it('changes nothing when applied twice', () => {
+    const once = frameSettings({ ...ordered, animation: animated({ cycleColors: true }), frame: 7 });
+    expect(frameSettings(once)).toEqual(once);
+  });
+});
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+describe('animated dithering', () => {
+  const render = (settings, frame) => ditherPixels(makeImageData(16, 16, 100), frameSettings({ ...settings, frame }), null);
+  const coverage = ({ data }) => {
+    let white = 0;
+    for (let i = 0; i < data.length; i += 4) if (data[i] === 255) white++;
+    return white / (data.length / 4);
+  };
+
+  it('gives every ordered frame a new pattern and loops back', async () => {
+    const settings = { ...ordered, colors: { shadow: '#000000', highlight: '#ffffff' }, animation: animated({ direction: 'down-right' }) };
+    const frames = await Promise.all([0, 1, 4].map(frame => render(settings, frame)));
+    expect(Array.from(frames[1].data)).not.toEqual(Array.from(frames[0].data));
+    expect(Array.from(frames[2].data)).toEqual(Array.from(frames[0].data));
+  });
+
+  it('moves diffusion noise between frames without changing the tone', async () => {
+    const twoTone = { ...diffusion, colors: { shadow: '#000000', highlight: '#ffffff' } };
+    const settings = { ...twoTone, animation: animated({ noise: 80 }) };
+    const plain = await ditherPixels(makeImageData(16, 16, 100), twoTone, null);
+    const [a, b] = await Promise.all([0, 1].map(frame => render(settings, frame)));
+    expect(Array.from(b.data)).not.toEqual(Array.from(a.data));
+    expect(coverage(a)).toBeCloseTo(coverage(plain), 1);
+    expect(coverage(b)).toBeCloseTo(coverage(plain), 1);
+  });
+
+  it('gives still diffusion noise a new pattern every frame', async () => {
+    const settings = { ...diffusion, colors: { shadow: '#000000', highlight: '#ffffff' }, animation: animated({ direction: 'none', noise: 80 }) };
+    const frames = (await Promise.all([0, 1, 2, 32].map(frame => render(settings, frame)))).map(({ data }) => Array.from(data));
+    expect(frames[1]).not.toEqual(frames[0]);
+    expect(frames[2]).not.toEqual(frames[1]);
+    expect(frames[3]).toEqual(frames[0]);
+  });
+});
@@ -0,0 +1,162 @@
+import { createCanvas } from './canvas';
+import { rgbToHex } from './colors';
+
+// ASCII art: every sampled pixel becomes one glyph cell. The glyph comes
+// from a density ramp built by measuring how much ink each character of the
+// chosen set leaves in the chosen font, so any charset maps dark → dense.
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String.fromCodePoint(from + i)).join('');
+
+export const ASCII_CHARSETS = {
+    standard: { label: 'Standard', chars: ' .:-=+*#%@' },
+    detailed: { label: 'Detailed', chars: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$' },
+    blocks: { label: 'Unicode Blocks', chars: ' ░▒▓█' },
+    braille: { label: 'Braille', chars: range(0x2800, 0x28ff) },
+    box: { label: 'Box Drawing', chars: ' ╴╵╶╷─│┄┆┈┊┌┐└┘├┤┬┴┼═║╔╗╚╝╠╣╦╩╬' },
+    katakana: { label: 'Katakana', chars: ` ${range(0xff66, 0xff9d)}` },
+    custom: { label: 'Custom', chars: null }
+};
+
+export const ASCII_FONTS = {
+    'mono-bold': { label: 'Monospace Bold', family: 'monospace', weight: 'bold' },
+    mono: { label: 'Monospace', family: 'monospace', weight: 'normal' },
+    courier: { label: 'Courier', family: '"Courier New", Courier, monospace', weight: 'normal' },
+    menlo: { label: 'Menlo / Consolas', family: 'Menlo, Consolas, "DejaVu Sans Mono", monospace', weight: 'normal' },
+    serif: { label: 'Serif', family: 'Georgia, "Times New Roman", serif', weight: 'normal' },
+    sans: { label: 'Sans Bold', family: 'Helvetica, Arial, sans-serif', weight: 'bold' }
+};
+
+export const GLYPH_COLOR_MODES = {
+    tones: 'Tones',
+    source: 'Full Colour'
+};
+
+export const DEFAULT_ASCII = {
+    charset: 'standard',  // key into ASCII_CHARSETS
+    customChars: '',      // used when charset is 'custom'
+    font: 'mono-bold',    // key into ASCII_FONTS
+    aspect: 1,            // cell height ÷ width, 0.5 … 3
+    glyphColor: 'tones'   // key into GLYPH_COLOR_MODES
+};
+
+export const fontString = (fontKey, size) => {
+    const { family, weight } = ASCII_FONTS[fontKey] ?? ASCII_FONTS[DEFAULT_ASCII.font];
+    return `${weight} ${size}px ${family}`;
+};
+
+// Unique characters of the layer's set; an empty custom set falls back to standard
+export const getCharset = ({ charset, customChars } = DEFAULT_ASCII) => {
+    const chars = charset === 'custom' ? customChars : (ASCII_CHARSETS[charset] ?? ASCII_CHARSETS.standard).chars;
+    const unique = [...new Set(Array.from(chars || ''))].filter(c => c !== '\n' && c !== '\r' && c !== '\t');
+    return unique.length ? unique : Array.from(ASCII_CHARSETS.standard.chars);
+};
+
+// ── Density ramp ───────────────────────────────────────────────────────────
+
+const MEASURE_SIZE = 32;
+const coverageCache = new Map();
+
+// Fraction of a glyph cell covered by ink, per character. Returns null
+// when no 2D canvas is available.
+export const measureGlyphCoverage = (chars, fontKey) => {
+    const key = `${fontKey}\u0000${chars.join('')}`;
+    if (coverageCache.has(key)) return coverageCache.get(key);
+
+    const ctx = createCanvas(MEASURE_SIZE, MEASURE_SIZE).getContext('2d', { willReadFrequently: true });
+    if (!ctx) return null;
+    ctx.font = fontString(fontKey, MEASURE_SIZE * 0.9);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000000';
+
+    const coverage = chars.map(char => {
+        ctx.clearRect(0, 0, MEASURE_SIZE, MEASURE_SIZE);
+        ctx.fillText(char, MEASURE_SIZE / 2, MEASURE_SIZE / 2);
+        const { data } = ctx.getImageData(0, 0, MEASURE_SIZE, MEASURE_SIZE);
+        let ink = 0;
+        for (let i = 3; i < data.length; i += 4) ink += data[i];
+        return ink / (255 * MEASURE_SIZE * MEASURE_SIZE);
+    });
+    coverageCache.set(key, coverage);
+    return coverage;
+};
+
+// Sorts the characters light → dense and builds a 256-entry lookup from
+// luma to ramp index. Without measurements the given order is assumed to
+// run light → dense in even steps.
+export const buildDensityRamp = (chars, coverage) => {
+    const levels = coverage ?? chars.map((_, i) => i / Math.max(1, chars.length - 1));
+    const order = chars.map((_, i) => i).sort((a, b) => levels[a] - levels[b]);
+    const min = levels[order[0]];
+    const span = levels[order[order.length - 1]] - min || 1;
+    const normalised = order.map(i => (levels[i] - min) / span);
+
+    const lut = new Uint16Array(256);
+    for (let v = 0; v < 256; v++) {
+        const darkness = 1 - v / 255;
+        let best = 0;
+        for (let i = 1; i < normalised.length; i++) {
+            if (Math.abs(normalised[i] - darkness) < Math.abs(normalised[best] - darkness)) best = i;
+        }
+        lut[v] = best;
+    }
+    return { chars: order.map(i => chars[i]), lut };
+};
+
+export const getDensityRamp = (ascii) => {
+    const options = { ...DEFAULT_ASCII, ...ascii };
+    const chars = getCharset(options);
+    return buildDensityRamp(chars, measureGlyphCoverage(chars, options.font));
+};
+
+// ── Grid ───────────────────────────────────────────────────────────────────
+
+// One cell per pixel: `chars[i]` and its fill colour `colors[i]` (null when
+// nothing should be drawn). Shared by the canvas renderer and text exports.
+export const computeAsciiGrid = (imageData, { ramp, colors, glyphColor = 'tones' }) => {
+    const { width, height, data } = imageData;
+    const { shadow = '#000000', midtone, highlight = '#ffffff' } = colors || {};
+    const isTriColor = midtone !== undefined && midtone !== null && midtone !== '';
+    const chars = new Array(width * height);
+    const fills = new Array(width * height);
+
+    for (let i = 0; i < width * height; i++) {
+        const idx = i * 4;
+        const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+        const val = Math.max(0, Math.min(255, luma));
+        chars[i] = ramp.chars[ramp.lut[Math.round(val)]];
+
+        let fill;
+        if (glyphColor === 'source') {
+            fill = data[idx + 3] < 128 ? null : rgbToHex(data[idx], data[idx + 1], data[idx + 2]);
+        } else {
+            fill = isTriColor
+                ? (val < 85 ? shadow : val < 170 ? midtone : highlight)
+                : (val < 128 ? shadow : highlight);
+        }
+        fills[i] = fill === 'transparent' ? null : fill;
+    }
+    return { width, height, chars, colors: fills };
+};
+
+export const drawAsciiGrid = (ctx, grid, { font = DEFAULT_ASCII.font, background, cellWidth, cellHeight }) => {
+    const { width, height, chars, colors } = grid;
+    ctx.clearRect(0, 0, width * cellWidth, height * cellHeight);
+    if (background && background !== 'transparent') {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width * cellWidth, height * cellHeight);
+    }
+
+    ctx.font = fontString(font, Math.round(Math.min(cellHeight * 1.2, cellWidth * 2)));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (!colors[i] || chars[i].trim() === '') continue;
+            ctx.fillStyle = colors[i];
+            ctx.fillText(chars[i], x * cellWidth + cellWidth / 2, y * cellHeight + cellHeight / 2);
+        }
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * Tests for src/utils/ascii.js
+ *
+ * Glyph coverage needs real font rendering, so the ramp is built from given
+ * coverage values and drawing is checked against a recording context.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  ASCII_CHARSETS,
+  getCharset,
+  buildDensityRamp,
+  computeAsciiGrid,
+  drawAsciiGrid,
+  fontString,
+} from './ascii.js';
+
+function makeImageData(pixels) {
+  return { data: new Uint8ClampedArray(pixels.flat()), width: pixels.length, height: 1 };
+}
+
+function recordingContext() {
+  const calls = [];
+  return {
+    calls,
+    clearRect() {},
+    fillRect(...args) { calls.push(['fillRect', this.fillStyle, ...args]); },
+    fillText(text, x, y) { calls.push(['fillText', this.fillStyle, text, x, y]); },
+  };
+}
+
+// ─── getCharset ───────────────────────────────────────────────────────────────
+
+describe('getCharset', () => {
+  it('returns the unique characters of a preset', () => {
+    expect(getCharset({ charset: 'blocks' })).toEqual([' ', '░', '▒', '▓', '█']);
+    expect(getCharset({ charset: 'braille' })).toHaveLength(256);
+  });
+
+  it('uses custom characters, dropping duplicates and whitespace controls', () => {
+    expect(getCharset({ charset: 'custom', customChars: 'ab\tba\nc' })).toEqual(['a', 'b', 'c']);
+  });
+
+  it('falls back to the standard set when the custom set is empty', () => {
+    expect(getCharset({ charset: 'custom', customChars: '' }).join('')).toBe(ASCII_CHARSETS.standard.chars);
+  });
+});
+
+// ─── buildDensityRamp ─────────────────────────────────────────────────────────
+
+describe('buildDensityRamp', () => {
+  it('orders characters by measured coverage', () => {
+    const ramp = buildDensityRamp(['#', ' ', '.'], [0.5, 0, 0.1]);
+    expect(ramp.chars).toEqual([' ', '.', '#']);
+  });
+
+  it('maps black to the densest glyph and white to the lightest', () => {
+    const ramp = buildDensityRamp(['#', ' ', '.'], [0.5, 0, 0.1]);
+    expect(ramp.chars[ramp.lut[0]]).toBe('#');
+    expect(ramp.chars[ramp.lut[255]]).toBe(' ');
+  });
+
+  it('picks the glyph whose normalised coverage is closest to the darkness', () => {
+    // '.' normalises to 0.2 and '#' to 1, so mid-grey (darkness ≈ 0.5) lands on '.'
+    const ramp = buildDensityRamp([' ', '.', '#'], [0, 0.1, 0.5]);
+    expect(ramp.chars[ramp.lut[128]]).toBe('.');
+    expect(ramp.chars[ramp.lut[40]]).toBe('#');
+  });
+
+  it('assumes the given order runs light to dense without measurements', () => {
+    const ramp = buildDensityRamp(['a', 'b', 'c'], null);
+    expect(ramp.chars).toEqual(['a', 'b', 'c']);
+    expect(ramp.chars[ramp.lut[128]]).toBe('b');
+  });
+});
+
+// ─── computeAsciiGrid ─────────────────────────────────────────────────────────
+
+describe('computeAsciiGrid', () => {
+  const ramp = buildDensityRamp([' ', '+', '@'], null);
+  const pixels = [[0, 0, 0, 255], [120, 130, 125, 255], [255, 255, 255, 255], [200, 20, 20, 0]];
+
+  it('colours glyphs by tone band', () => {
+    const colors = { shadow: '#111111', midtone: '#888888', highlight: 'transparent' };
+    const grid = computeAsciiGrid(makeImageData(pixels), { ramp, colors });
+    expect(grid.width).toBe(4);
+    expect(grid.chars.slice(0, 3)).toEqual(['@', '+', ' ']);
+    expect(grid.colors.slice(0, 3)).toEqual(['#111111', '#888888', null]);
+  });
+
+  it('takes glyph colours from the source pixels in full-colour mode', () => {
+    const grid = computeAsciiGrid(makeImageData(pixels), { ramp, colors: {}, glyphColor: 'source' });
+    expect(grid.colors).toEqual(['#000000', '#78827d', '#ffffff', null]);
+  });
+});
+
+// ─── drawAsciiGrid ────────────────────────────────────────────────────────────
+
+describe('drawAsciiGrid', () => {
+  it('fills the background and draws each visible glyph centred in its cell', () => {
+    const grid = { width: 2, height: 2, chars: ['@', ' ', '+', '#'], colors: ['#000000', '#000000', null, '#ff0000'] };
+    const ctx = recordingContext();
+    drawAsciiGrid(ctx, grid, { font: 'mono', background: '#ffffff', cellWidth: 8, cellHeight: 16 });
+
+    expect(ctx.calls[0]).toEqual(['fillRect', '#ffffff', 0, 0, 16, 32]);
+    expect(ctx.calls.slice(1)).toEqual([
+      ['fillText', '#000000', '@', 4, 8],
+      ['fillText', '#ff0000', '#', 12, 24],
+    ]);
+    expect(ctx.font).toBe(fontString('mono', 16));
+  });
+
+  it('leaves a transparent background unfilled', () => {
+    const ctx = recordingContext();
+    drawAsciiGrid(ctx, { width: 1, height: 1, chars: ['@'], colors: ['#000000'] }, { background: 'transparent', cellWidth: 8, cellHeight: 8 });
+    expect(ctx.calls.map(c => c[0])).toEqual(['fillText']);
+  });
+});
@@ -0,0 +1,126 @@
+// Precomputed void-and-cluster tiles for the "Blue Noise" threshold map:
+// generateBlueNoiseMatrix(size) for each size in THRESHOLD_MAPS, row-major,
+// one row per line. Generating the 64×64 tile takes long enough to hold up
+// the first render that uses it. Regenerate these if the generator changes;
+// thresholdMaps.test.js checks that they still match it.
+
+export const BLUE_NOISE_TILES = {
+    16: [
+        97, 216, 135, 20, 94, 44, 26, 138, 19, 92, 5, 198, 170, 137, 249, 2,
+        175, 45, 250, 114, 181, 149, 79, 187, 208, 254, 146, 61, 226, 88, 51, 124,
+        69, 156, 83, 203, 58, 219, 245, 105, 50, 125, 179, 37, 118, 12, 194, 229,
+        24, 236, 8, 162, 31, 120, 7, 68, 161, 23, 80, 239, 207, 164, 101, 144,
+        188, 108, 132, 224, 98, 173, 141, 214, 193, 230, 103, 154, 47, 74, 218, 39,
+        84, 212, 62, 40, 190, 241, 21, 89, 41, 129, 1, 183, 136, 16, 247, 121,
+        168, 13, 255, 152, 81, 54, 116, 221, 158, 73, 251, 60, 201, 93, 174, 56,
+        199, 140, 91, 180, 3, 206, 148, 28, 177, 106, 211, 34, 117, 233, 134, 27,
+        240, 113, 33, 227, 127, 96, 246, 63, 231, 11, 142, 166, 82, 9, 215, 77,
+        159, 52, 210, 70, 169, 42, 189, 133, 87, 197, 53, 237, 186, 155, 46, 102,
+        4, 182, 130, 15, 235, 111, 17, 165, 38, 126, 100, 25, 67, 112, 196, 223,
+        71, 248, 99, 153, 195, 78, 217, 59, 204, 244, 171, 220, 131, 253, 30, 143,
+        122, 22, 205, 55, 35, 139, 252, 150, 110, 14, 75, 147, 6, 57, 90, 176,
+        43, 167, 86, 243, 178, 104, 0, 85, 184, 36, 213, 95, 192, 157, 209, 234,
+        109, 228, 145, 10, 123, 65, 202, 49, 232, 128, 160, 48, 242, 119, 18, 64,
+        200, 32, 72, 191, 225, 163, 238, 115, 172, 66, 222, 107, 29, 76, 185, 151
+    ],
+    32: [
+        218, 677, 296, 920, 700, 798, 25, 844, 973, 695, 572, 429, 656, 771, 26, 323, 119, 454, 177, 732, 71, 300, 167, 577, 833, 683, 392, 733, 446, 276, 537, 51,
+        887, 506, 34, 559, 161, 255, 431, 592, 355, 193, 41, 867, 241, 504, 395, 812, 534, 883, 618, 1003, 475, 647, 864, 35, 288, 133, 909, 88, 983, 153, 780, 362,
+        116, 746, 990, 385, 639, 501, 904, 79, 741, 497, 789, 381, 128, 718, 981, 188, 698, 279, 14, 380, 220, 936, 420, 713, 1023, 479, 566, 314, 820, 601, 478, 931,
+        437, 287, 191, 855, 63, 971, 684, 233, 873, 307, 1014, 611, 916, 293, 578, 64, 943, 427, 859, 568, 738, 78, 547, 186, 371, 793, 225, 662, 387, 40, 242, 654,
+        821, 576, 687, 468, 769, 318, 138, 409, 625, 97, 181, 526, 11, 834, 466, 345, 624, 215, 779, 136, 333, 819, 271, 876, 641, 18, 928, 126, 870, 716, 1007, 172,
+        5, 939, 93, 357, 209, 582, 830, 512, 956, 722, 453, 775, 234, 652, 151, 891, 714, 96, 486, 948, 673, 452, 965, 118, 513, 303, 743, 435, 515, 281, 556, 342,
+        401, 735, 514, 1022, 872, 24, 696, 354, 57, 254, 899, 350, 988, 411, 759, 260, 528, 1021, 301, 602, 200, 47, 564, 730, 405, 986, 588, 187, 950, 58, 770, 877,
+        646, 248, 145, 622, 438, 275, 978, 190, 861, 538, 660, 70, 575, 121, 955, 46, 374, 795, 66, 408, 865, 756, 341, 176, 846, 76, 247, 811, 376, 626, 159, 480,
+        67, 842, 313, 796, 108, 744, 474, 586, 763, 416, 155, 802, 285, 701, 493, 593, 880, 189, 650, 929, 259, 482, 1008, 632, 292, 699, 484, 659, 114, 900, 308, 979,
+        570, 935, 529, 403, 924, 649, 140, 304, 9, 1011, 331, 933, 449, 847, 146, 312, 682, 443, 541, 137, 703, 21, 817, 100, 448, 874, 22, 975, 548, 441, 697, 230,
+        379, 91, 723, 211, 30, 360, 885, 807, 686, 213, 608, 511, 37, 223, 922, 790, 6, 945, 289, 803, 382, 605, 236, 545, 937, 361, 734, 280, 166, 826, 32, 765,
+        459, 178, 829, 616, 994, 563, 240, 521, 440, 902, 82, 675, 761, 356, 623, 414, 244, 750, 95, 991, 464, 857, 330, 681, 129, 201, 600, 419, 890, 329, 619, 1009,
+        862, 658, 491, 283, 425, 751, 59, 967, 122, 339, 836, 269, 997, 542, 105, 977, 490, 583, 348, 638, 173, 77, 976, 778, 496, 835, 1000, 65, 678, 488, 127, 252,
+        344, 49, 944, 120, 854, 170, 640, 389, 783, 585, 483, 149, 424, 856, 194, 689, 68, 901, 206, 728, 889, 557, 217, 404, 4, 267, 533, 767, 212, 962, 558, 740,
+        908, 216, 543, 711, 337, 517, 918, 268, 694, 203, 938, 739, 17, 645, 328, 810, 388, 764, 530, 29, 394, 302, 715, 591, 919, 661, 335, 135, 393, 814, 15, 434,
+        603, 800, 383, 1017, 1, 777, 442, 92, 998, 52, 309, 553, 906, 238, 522, 960, 162, 294, 1010, 455, 832, 958, 60, 809, 180, 450, 868, 581, 923, 262, 705, 160,
+        477, 72, 668, 258, 610, 197, 875, 567, 369, 831, 631, 398, 123, 709, 451, 39, 590, 676, 112, 237, 634, 147, 489, 358, 1019, 98, 693, 50, 471, 644, 325, 985,
+        239, 863, 143, 503, 926, 322, 731, 141, 671, 495, 227, 787, 1020, 298, 774, 892, 417, 818, 911, 565, 776, 274, 702, 550, 224, 760, 290, 949, 195, 858, 89, 754,
+        368, 966, 707, 410, 786, 48, 472, 273, 959, 23, 896, 90, 535, 184, 615, 84, 219, 334, 476, 13, 366, 932, 85, 894, 621, 406, 507, 788, 378, 596, 444, 560,
+        28, 612, 291, 80, 561, 974, 627, 848, 418, 752, 352, 692, 461, 845, 375, 987, 555, 712, 174, 980, 657, 436, 799, 326, 38, 982, 131, 636, 19, 1006, 168, 823,
+        487, 198, 808, 913, 164, 363, 221, 106, 549, 179, 604, 261, 946, 0, 665, 277, 784, 103, 850, 505, 232, 125, 532, 196, 840, 710, 235, 888, 315, 704, 270, 927,
+        311, 724, 400, 519, 651, 838, 745, 1013, 316, 816, 921, 130, 413, 768, 152, 465, 903, 386, 607, 310, 828, 952, 747, 599, 458, 346, 569, 485, 805, 426, 110, 630,
+        881, 55, 989, 102, 251, 428, 10, 494, 670, 56, 473, 721, 580, 332, 961, 544, 36, 246, 1016, 69, 688, 372, 20, 286, 878, 53, 969, 182, 73, 953, 518, 773,
+        154, 573, 667, 338, 886, 719, 579, 272, 905, 377, 229, 1001, 74, 866, 208, 637, 753, 432, 720, 524, 165, 470, 635, 1005, 150, 669, 758, 391, 587, 680, 231, 370,
+        447, 256, 825, 469, 144, 951, 81, 849, 163, 613, 797, 539, 295, 690, 399, 117, 851, 185, 930, 299, 815, 907, 210, 792, 439, 520, 257, 910, 305, 839, 7, 1018,
+        706, 942, 33, 757, 226, 525, 384, 685, 462, 964, 31, 433, 158, 791, 498, 995, 340, 597, 44, 663, 101, 574, 396, 75, 317, 853, 111, 643, 86, 422, 781, 554,
+        109, 509, 367, 594, 1004, 642, 284, 766, 107, 327, 729, 882, 598, 915, 16, 266, 536, 806, 456, 365, 992, 249, 755, 655, 963, 562, 205, 999, 492, 893, 171, 320,
+        914, 207, 869, 134, 421, 42, 827, 183, 871, 546, 253, 99, 364, 214, 653, 736, 87, 925, 222, 726, 499, 837, 142, 467, 27, 813, 351, 737, 584, 250, 725, 614,
+        430, 804, 648, 319, 727, 897, 481, 359, 617, 1015, 445, 674, 954, 531, 397, 968, 321, 629, 148, 879, 3, 324, 551, 895, 282, 679, 457, 157, 45, 390, 970, 61,
+        265, 540, 12, 957, 243, 552, 83, 934, 228, 2, 749, 169, 801, 54, 843, 139, 510, 794, 423, 571, 691, 972, 204, 742, 415, 115, 947, 782, 884, 666, 502, 772,
+        1012, 156, 748, 463, 620, 175, 762, 664, 412, 822, 516, 343, 609, 297, 460, 717, 245, 43, 940, 264, 124, 402, 633, 62, 993, 606, 263, 523, 336, 202, 113, 349,
+        595, 407, 841, 104, 373, 1002, 306, 508, 132, 278, 912, 94, 996, 199, 898, 589, 984, 672, 353, 824, 527, 917, 785, 347, 500, 192, 860, 8, 628, 941, 708, 852
+    ],
+    64: [
+        2968, 2129, 3169, 794, 2662, 1715, 3713, 851, 1609, 60, 3510, 2572, 882, 131, 1969, 1137, 3240, 2408, 1272, 2599, 1075, 1708, 3279, 3925, 1979, 591, 3232, 1537, 2804, 896, 2993, 1956, 797, 2608, 2089, 392, 1495, 3593, 887, 2549, 3886, 2960, 500, 3970, 1471, 2337, 1136, 2640, 2007, 999, 3493, 584, 1390, 3311, 3882, 2506, 1164, 2190, 2703, 3147, 2456, 128, 1256, 1657,
+        734, 211, 1502, 3801, 1100, 3280, 184, 2436, 4025, 3045, 586, 2137, 3158, 1373, 3591, 2876, 192, 3850, 376, 1977, 3982, 290, 2335, 913, 3022, 1161, 3581, 485, 3893, 1797, 30, 3275, 3615, 1598, 1040, 3306, 2373, 1858, 542, 3204, 1159, 1796, 777, 2018, 3146, 400, 1815, 705, 3712, 321, 2471, 2105, 2672, 963, 1653, 331, 3702, 1773, 236, 3892, 1477, 3417, 2857, 3998,
+        2417, 3474, 1829, 430, 2325, 2919, 655, 1929, 1285, 2658, 1051, 1788, 3984, 516, 2449, 940, 2164, 1636, 3445, 2997, 615, 3160, 1493, 2668, 199, 2462, 1853, 2192, 1046, 2558, 1462, 2351, 419, 2807, 3825, 722, 1264, 4027, 2874, 2143, 98, 3671, 3299, 2598, 937, 3816, 2927, 3381, 1479, 2823, 1229, 4064, 155, 3559, 2236, 2849, 648, 3049, 1319, 801, 2063, 540, 1007, 1910,
+        2743, 1276, 2995, 3601, 2019, 1352, 3777, 3382, 367, 2204, 3687, 221, 2808, 1602, 3762, 3138, 601, 2678, 1353, 978, 2279, 1801, 3502, 669, 3755, 1424, 3132, 243, 3379, 2913, 588, 4085, 1260, 2188, 119, 3089, 2509, 255, 1009, 3460, 1534, 2329, 1309, 213, 1701, 2426, 1211, 29, 2282, 3235, 530, 1750, 2970, 735, 1455, 3951, 1076, 2009, 3598, 2671, 3290, 2338, 3626, 351,
+        3933, 930, 582, 2569, 23, 960, 1693, 2774, 873, 3087, 1505, 3349, 814, 2281, 1, 1200, 1795, 4091, 261, 2847, 3740, 44, 1175, 2068, 2848, 965, 3974, 751, 1327, 3728, 2015, 934, 3130, 1680, 3495, 1930, 1435, 3647, 1775, 690, 2712, 451, 4094, 2895, 3616, 527, 2079, 3995, 865, 1933, 3778, 974, 3413, 1951, 2630, 85, 3236, 2392, 421, 1582, 43, 1176, 3052, 1599,
+        143, 2264, 3219, 1549, 4081, 3121, 2406, 239, 3932, 1866, 465, 2523, 1316, 3028, 1937, 3424, 2493, 3205, 786, 1948, 1440, 2554, 4020, 3210, 361, 2323, 1762, 2761, 2411, 1670, 366, 3549, 2459, 643, 1058, 2923, 458, 2767, 2237, 3861, 3099, 1063, 1924, 724, 1464, 2704, 3462, 1660, 3056, 336, 2596, 1557, 2346, 441, 1172, 3504, 1740, 902, 4059, 2882, 1882, 3859, 743, 2115,
+        3479, 1764, 3737, 1157, 2159, 482, 3518, 1413, 2271, 1121, 3731, 2064, 3532, 544, 3934, 867, 391, 1488, 2313, 3557, 3068, 435, 912, 1859, 1523, 3624, 541, 3435, 69, 3076, 1192, 2739, 212, 3936, 2161, 3753, 871, 3367, 1225, 129, 1662, 2538, 3508, 2230, 3150, 141, 1085, 657, 2744, 1341, 3628, 112, 3152, 3869, 2800, 2131, 324, 2606, 1293, 594, 3436, 2528, 1397, 2832,
+        1057, 2633, 298, 711, 2810, 1870, 824, 2667, 3186, 660, 2756, 124, 1034, 2632, 1553, 2194, 2907, 3799, 103, 1195, 664, 2146, 3418, 2748, 193, 2984, 1273, 2122, 991, 4005, 2238, 3273, 1864, 1444, 2642, 15, 1624, 2475, 608, 2070, 3239, 852, 280, 1216, 3844, 2478, 1971, 3901, 2212, 3369, 1117, 2093, 846, 1377, 597, 3708, 1491, 3016, 3665, 2151, 1004, 293, 3162, 559,
+        3841, 1450, 2305, 3058, 3640, 1301, 3955, 95, 1777, 3438, 1476, 4024, 1819, 3296, 225, 3637, 1065, 1735, 3289, 2783, 3891, 1533, 2391, 1230, 3935, 835, 2551, 3793, 1831, 554, 1512, 833, 448, 3419, 1167, 3118, 1922, 4047, 2863, 3608, 1429, 3916, 2982, 1784, 569, 1411, 3207, 242, 1617, 475, 2495, 4031, 2947, 1872, 2450, 3178, 790, 1854, 136, 3254, 1560, 2397, 3644, 1972,
+        2883, 809, 3412, 1635, 190, 2510, 3248, 1086, 2163, 426, 2399, 3004, 736, 2322, 1252, 2694, 567, 2130, 817, 2489, 1828, 354, 3575, 620, 1946, 3257, 1596, 281, 2941, 3332, 2520, 3772, 2904, 2331, 687, 3563, 350, 1347, 1010, 198, 2369, 520, 2044, 2610, 3660, 883, 2792, 3525, 1013, 2900, 732, 1721, 399, 3449, 14, 1140, 3922, 2481, 1210, 2722, 4003, 774, 1717, 63,
+        2223, 434, 4017, 997, 2094, 626, 1576, 2967, 3824, 834, 3632, 1180, 317, 3871, 3122, 1875, 3414, 4019, 1355, 176, 3174, 990, 2644, 3054, 19, 2298, 3649, 680, 2176, 1253, 121, 2005, 1104, 3990, 1568, 2119, 2945, 2412, 3358, 1848, 2775, 1120, 3489, 4, 1565, 2296, 393, 1812, 2342, 3676, 3234, 1220, 2623, 3786, 1548, 2043, 478, 3488, 692, 2003, 411, 3041, 1089, 3308,
+        1239, 2543, 1881, 2765, 3323, 3795, 2352, 338, 2688, 1428, 1869, 2795, 2106, 1615, 903, 37, 2419, 449, 2846, 3747, 2254, 1453, 4083, 1714, 1152, 2785, 1431, 1008, 3450, 2684, 3674, 1689, 387, 2740, 159, 992, 3837, 513, 784, 3943, 1552, 3211, 757, 4057, 2951, 3352, 1219, 3979, 73, 1419, 2023, 250, 2199, 886, 3088, 2362, 2892, 1640, 3123, 3771, 1359, 2628, 2075, 3914,
+        1652, 3195, 117, 1423, 481, 1271, 880, 1921, 3392, 68, 3170, 552, 3469, 2519, 3620, 1399, 3069, 1592, 959, 1960, 3467, 308, 704, 2095, 3389, 429, 3873, 2480, 1763, 503, 927, 3067, 3529, 2181, 3304, 1757, 2597, 1436, 2047, 3021, 244, 2239, 1344, 1964, 981, 509, 2154, 3078, 2561, 654, 3877, 2820, 3365, 1339, 632, 4071, 276, 953, 2252, 90, 1802, 3552, 271, 639,
+        3524, 932, 3751, 2936, 2206, 3584, 2631, 3907, 1148, 2189, 4095, 935, 1297, 272, 2819, 693, 3937, 2228, 3330, 551, 1217, 2998, 2577, 3764, 918, 3085, 1957, 241, 2952, 4054, 1500, 2394, 612, 1329, 806, 3686, 3109, 51, 3730, 1001, 2476, 3420, 416, 2822, 2526, 1776, 3741, 854, 1651, 3480, 1061, 1822, 486, 3609, 2714, 1906, 1448, 3636, 2837, 1138, 3203, 829, 2375, 2841,
+        1973, 456, 2349, 1749, 789, 3104, 305, 1729, 678, 2536, 1566, 3010, 2320, 3829, 1697, 2062, 1146, 135, 2764, 1732, 2437, 3659, 1531, 126, 2365, 1633, 656, 3521, 1231, 2121, 38, 3758, 1791, 2959, 2470, 471, 1122, 2260, 2721, 1765, 610, 3823, 1528, 3668, 105, 3434, 1398, 283, 2745, 2072, 160, 3176, 1514, 2452, 86, 1150, 3355, 2496, 432, 3875, 2178, 1506, 3788, 1278,
+        2567, 3057, 1179, 4048, 171, 2010, 1381, 3265, 2884, 402, 3618, 166, 1936, 3214, 476, 3427, 2472, 3560, 895, 3909, 263, 780, 1947, 2897, 1131, 3996, 2683, 2249, 830, 3281, 2760, 1048, 3348, 247, 3908, 2021, 1681, 3587, 343, 3220, 1259, 2917, 2126, 1077, 3105, 661, 2318, 2975, 3809, 1255, 2302, 4012, 933, 2127, 3739, 3163, 769, 2059, 1698, 686, 2702, 379, 3322, 52,
+        3885, 699, 3338, 1555, 2809, 3506, 2384, 1015, 3748, 1856, 1246, 2719, 726, 1079, 1473, 2926, 315, 1873, 1394, 3017, 2097, 3258, 1324, 3551, 447, 3291, 1405, 165, 3834, 1707, 553, 1986, 2576, 1480, 949, 2836, 3329, 719, 1485, 3999, 1989, 154, 798, 2433, 1637, 4030, 1940, 931, 473, 3284, 672, 2994, 2637, 570, 1625, 2787, 257, 3977, 1295, 3455, 1908, 3033, 948, 1741,
+        1374, 2177, 346, 2502, 938, 539, 3960, 22, 2251, 783, 3114, 2182, 3481, 4009, 2358, 799, 3746, 3141, 548, 2581, 1071, 3835, 564, 2563, 2162, 901, 1871, 3117, 2484, 1328, 3026, 3965, 375, 3568, 2269, 140, 1298, 2427, 3007, 876, 2593, 3372, 3868, 2781, 363, 1183, 2616, 3387, 1678, 2533, 1884, 1441, 309, 3857, 1978, 1032, 2300, 3084, 2639, 97, 1116, 4033, 2288, 2868,
+        3429, 1002, 3698, 1927, 3213, 1305, 1684, 2675, 3440, 1466, 3876, 468, 1579, 54, 2691, 1744, 1222, 2207, 4073, 1629, 189, 2324, 1754, 3065, 28, 3677, 2750, 580, 3599, 316, 2374, 804, 1203, 1760, 3133, 4050, 531, 3732, 2113, 311, 1679, 1224, 549, 1830, 3200, 3564, 191, 1371, 3929, 94, 3690, 1081, 3390, 3066, 1342, 3516, 507, 1507, 810, 3697, 2503, 1540, 636, 237,
+        2438, 1799, 2956, 93, 3853, 2138, 3081, 694, 1968, 302, 2525, 1128, 2972, 2060, 3375, 515, 2850, 122, 859, 3224, 2805, 3639, 944, 1418, 3971, 1673, 1214, 2173, 1005, 1646, 3228, 2085, 3452, 2677, 676, 1966, 1536, 2753, 1135, 3579, 3193, 2317, 3679, 1414, 2209, 842, 1991, 3059, 2256, 788, 2862, 2050, 2350, 767, 25, 2903, 3832, 1824, 3255, 2109, 461, 3362, 1994, 3806,
+        3161, 414, 1475, 860, 2625, 386, 1107, 3657, 2931, 946, 3314, 1793, 3785, 888, 1337, 3872, 1959, 3592, 2439, 1335, 1918, 369, 3395, 2111, 742, 2915, 342, 3343, 4074, 2817, 207, 3822, 1459, 67, 1094, 3025, 3483, 218, 1803, 677, 2811, 31, 976, 2925, 269, 3963, 2762, 543, 1056, 3252, 1535, 256, 4093, 1682, 2583, 2117, 936, 2432, 194, 1322, 2981, 898, 2725, 1189,
+        710, 4070, 2357, 3613, 1723, 3371, 2287, 224, 1619, 4061, 2160, 624, 2645, 230, 2386, 3101, 1003, 1510, 3385, 642, 3904, 1205, 2701, 472, 2464, 3499, 1916, 2383, 730, 1317, 1878, 618, 2938, 2444, 3863, 2245, 793, 2491, 3900, 2174, 1463, 4077, 2013, 3476, 2508, 1142, 1608, 3600, 1901, 2505, 3539, 645, 2687, 1039, 3670, 1412, 353, 3401, 2790, 4002, 1780, 3735, 11, 1676,
+        2828, 2006, 1050, 2910, 577, 1346, 3906, 2588, 1237, 2814, 87, 1427, 3179, 3541, 1663, 455, 2772, 288, 2104, 2990, 64, 2246, 3206, 1522, 3858, 1041, 1389, 81, 3165, 2580, 3509, 2208, 919, 3383, 1827, 423, 1403, 3217, 1036, 3000, 442, 2574, 720, 1712, 410, 3225, 2297, 47, 3867, 347, 1190, 3013, 1954, 3325, 519, 3051, 3879, 1620, 1054, 617, 2285, 1243, 2513, 3543,
+        334, 1383, 3350, 205, 1850, 3191, 875, 1999, 560, 3453, 2414, 3703, 1083, 2099, 772, 4038, 1841, 3652, 785, 2612, 1739, 3588, 674, 1852, 181, 3108, 2666, 3619, 1683, 983, 413, 3780, 1638, 303, 1208, 2852, 3688, 1692, 157, 3594, 1865, 1206, 3710, 3061, 1340, 781, 3451, 1433, 2898, 1786, 2332, 3924, 1354, 130, 1814, 2368, 723, 2004, 2579, 3571, 304, 3303, 792, 2168,
+        3047, 635, 2553, 3961, 2150, 2716, 123, 3765, 3023, 1755, 832, 1958, 385, 2949, 2587, 1282, 2293, 3154, 1134, 3967, 1425, 975, 2881, 3727, 2311, 861, 2046, 583, 3898, 2292, 2806, 1291, 3111, 2507, 4041, 2041, 633, 2699, 2377, 863, 3370, 2844, 101, 2125, 3813, 1855, 2552, 581, 993, 3317, 463, 847, 2193, 2825, 3494, 987, 2918, 65, 3173, 1391, 1895, 2946, 1554, 3887,
+        1846, 3602, 1584, 827, 1191, 3586, 1447, 2315, 1068, 284, 3985, 3119, 1521, 3847, 10, 3426, 572, 1562, 163, 2395, 3093, 287, 2529, 1296, 454, 4032, 2909, 1486, 265, 1903, 3439, 111, 2084, 725, 3237, 18, 3430, 1187, 3931, 2098, 537, 1456, 2400, 984, 2735, 240, 4040, 2011, 2673, 3725, 1654, 3107, 3685, 571, 1530, 4037, 1270, 3720, 2218, 502, 3962, 2669, 182, 1074,
+        2428, 102, 2859, 2247, 333, 3077, 675, 1706, 3340, 2527, 1307, 2732, 695, 2314, 1787, 994, 2665, 3789, 1889, 3447, 589, 1778, 3269, 2073, 3471, 1702, 1072, 3331, 2613, 1188, 839, 3959, 2875, 1519, 1042, 1835, 2307, 1541, 307, 3092, 1742, 3991, 3263, 566, 3498, 1563, 1153, 3145, 174, 1286, 2430, 318, 1143, 2586, 2103, 238, 2717, 1726, 897, 3361, 1174, 716, 2112, 3463,
+        866, 1330, 3796, 3249, 1738, 2453, 3895, 2878, 443, 3664, 2132, 138, 3297, 1184, 3656, 3080, 2091, 390, 2826, 869, 2158, 3704, 1139, 765, 2730, 13, 2361, 746, 3812, 3094, 2405, 1781, 494, 3641, 2601, 3845, 831, 2780, 3692, 1093, 2643, 259, 1173, 1950, 3029, 805, 2382, 3604, 667, 2116, 3994, 2924, 1885, 3400, 791, 3233, 2409, 431, 3039, 1837, 2372, 3701, 1478, 3164,
+        3989, 2065, 406, 760, 3534, 1028, 24, 2053, 1244, 728, 1623, 3537, 1931, 2542, 234, 766, 1432, 3274, 1249, 4028, 1474, 2858, 185, 3896, 1446, 3110, 3711, 2031, 404, 1513, 196, 3315, 1311, 2210, 219, 2976, 498, 3345, 1923, 679, 2221, 3485, 1639, 2555, 3707, 412, 1842, 2860, 1628, 3341, 884, 1469, 72, 3807, 1630, 1092, 3921, 1445, 3623, 92, 2877, 358, 2570, 514,
+        1703, 2786, 2473, 1375, 1992, 2747, 1561, 3209, 2334, 3941, 3036, 1030, 534, 4016, 1672, 2784, 3848, 2284, 61, 2546, 488, 2340, 3374, 1982, 2532, 647, 1779, 1236, 2978, 2187, 3627, 2710, 671, 3079, 1736, 1125, 2422, 1430, 79, 3035, 3878, 878, 2950, 114, 2172, 1302, 3919, 16, 1097, 2641, 497, 3570, 2813, 2169, 470, 2953, 1967, 721, 2286, 1261, 4045, 1632, 1059, 3005,
+        48, 968, 3749, 3019, 215, 4088, 600, 3561, 917, 2624, 299, 2202, 2889, 1323, 3215, 2001, 575, 1022, 3486, 1817, 3156, 929, 1699, 425, 1102, 3260, 245, 2646, 4086, 611, 1067, 1926, 3889, 915, 3394, 4051, 1988, 3611, 2540, 1235, 1820, 493, 1426, 4078, 971, 3319, 2447, 3151, 2224, 3839, 1789, 2378, 1181, 762, 2539, 3356, 330, 2655, 3491, 926, 1955, 3292, 2241, 3635,
+        1963, 3221, 606, 1666, 3347, 2354, 1300, 1944, 397, 1761, 3407, 1465, 3678, 855, 362, 2511, 3577, 1544, 2983, 756, 3852, 1315, 3606, 2916, 3988, 2253, 3514, 877, 1618, 3398, 2541, 1467, 106, 2393, 1363, 282, 651, 3090, 942, 3736, 2713, 2321, 3443, 1998, 2737, 533, 1520, 862, 365, 1361, 3286, 197, 3074, 4087, 1808, 1292, 3854, 1669, 3149, 508, 2782, 201, 741, 1318,
+        3939, 2398, 1165, 2144, 348, 943, 2948, 2514, 3776, 1238, 2789, 127, 2465, 2086, 3874, 1198, 146, 1938, 2663, 277, 2179, 2603, 80, 2038, 733, 1350, 1890, 2939, 57, 2114, 388, 3180, 3719, 2899, 2123, 2752, 1695, 2262, 384, 1614, 161, 3172, 807, 275, 1690, 3015, 3511, 2033, 3681, 2869, 739, 2078, 1508, 3461, 273, 2233, 910, 109, 2077, 1326, 3864, 2474, 3423, 2708,
+        1543, 233, 3520, 2830, 3804, 1481, 3482, 74, 3144, 706, 4039, 1816, 603, 3247, 1612, 2829, 3139, 4079, 1269, 3538, 1665, 622, 3336, 1532, 2726, 291, 3802, 2403, 1248, 3930, 2815, 1017, 1644, 499, 800, 3556, 3222, 1274, 3944, 3399, 2036, 1114, 3661, 2590, 3787, 1171, 226, 2517, 1655, 1055, 3950, 2718, 535, 1021, 2861, 3190, 3663, 2461, 2965, 3612, 1572, 1014, 1845, 495,
+        899, 3071, 1751, 773, 2600, 1863, 590, 2096, 1586, 2290, 985, 2996, 3544, 1049, 279, 2270, 813, 504, 2443, 996, 2835, 3964, 1108, 2326, 3653, 3125, 1052, 573, 3218, 1838, 752, 2303, 3409, 1965, 3860, 1096, 21, 2487, 771, 2833, 536, 2985, 1387, 1904, 697, 2226, 4013, 640, 3386, 88, 2304, 1753, 3548, 2492, 1720, 619, 1529, 1204, 418, 768, 2330, 332, 2992, 3666,
+        2636, 2196, 4007, 477, 1241, 3175, 3903, 1088, 3654, 2698, 405, 2034, 1395, 2497, 3757, 1832, 3342, 1525, 2017, 3226, 344, 1909, 3038, 395, 891, 1792, 2568, 1497, 3726, 409, 3558, 1290, 148, 3014, 1434, 2618, 1879, 3655, 1468, 2232, 1746, 4022, 2388, 364, 3243, 1484, 2920, 1826, 2654, 1401, 3253, 328, 1262, 3897, 46, 2049, 3840, 2614, 3487, 1752, 3276, 4084, 2045, 1268,
+        3376, 107, 1438, 3312, 2058, 162, 2381, 2894, 232, 1287, 3168, 3917, 55, 2908, 650, 1182, 2557, 3583, 6, 3828, 843, 2524, 1417, 3466, 2183, 4042, 231, 2964, 2074, 2488, 1685, 2697, 3952, 2431, 370, 3346, 684, 2991, 401, 1000, 3360, 77, 909, 3550, 2670, 1012, 147, 3582, 795, 2100, 3770, 2872, 841, 2259, 2818, 3307, 988, 204, 1949, 2796, 1103, 0, 2485, 649,
+        1892, 1087, 2845, 2479, 3597, 973, 1571, 745, 3377, 1704, 2455, 894, 1600, 3454, 1981, 3993, 394, 1018, 2957, 2203, 1645, 3722, 132, 2788, 670, 1603, 3266, 802, 1151, 179, 3143, 955, 628, 1733, 1043, 2175, 4075, 1605, 2344, 3808, 2656, 1257, 2929, 2067, 1674, 3803, 2440, 1303, 3136, 398, 1109, 1876, 3167, 1611, 707, 1378, 2360, 3100, 3915, 555, 1454, 3137, 1664, 3833,
+        2962, 3651, 335, 1643, 574, 3053, 4066, 2592, 2142, 3790, 599, 3533, 2234, 444, 2724, 1451, 3124, 1794, 2674, 1258, 512, 3072, 1123, 2025, 3836, 1263, 2294, 3589, 2741, 4001, 1379, 3513, 2082, 3264, 3769, 2799, 210, 1209, 3097, 289, 1970, 1577, 3902, 689, 296, 3318, 585, 1939, 3940, 2728, 2379, 561, 4056, 285, 3425, 3744, 474, 1656, 864, 2261, 3714, 2720, 920, 439,
+        1364, 2167, 900, 3866, 2301, 1312, 1893, 452, 1160, 274, 1925, 2791, 1218, 3277, 966, 2280, 217, 3683, 738, 3956, 2468, 3546, 1766, 3328, 491, 2660, 32, 1913, 546, 1756, 2274, 420, 2873, 59, 1334, 853, 2027, 2582, 3631, 820, 3261, 457, 2356, 3181, 1358, 2272, 2853, 951, 1516, 34, 3622, 1343, 2535, 2118, 1127, 2626, 2002, 2886, 1233, 3366, 180, 2092, 3465, 2385,
+        153, 3321, 2769, 1961, 3196, 108, 2754, 3572, 2944, 3244, 1472, 4029, 228, 1821, 3855, 673, 3421, 2020, 1556, 100, 2088, 874, 249, 2380, 1025, 3027, 3760, 1439, 3351, 2961, 845, 3805, 1569, 2498, 1887, 3115, 3496, 625, 1716, 2205, 1119, 3693, 2759, 989, 1805, 4082, 188, 3410, 2155, 2933, 1709, 892, 3497, 2987, 1769, 89, 3238, 3992, 341, 2635, 1813, 685, 1177, 3938,
+        1834, 748, 1489, 433, 1112, 3791, 819, 1542, 2215, 947, 2522, 712, 3042, 2421, 1547, 2980, 2460, 954, 2766, 3344, 3001, 1376, 2729, 3682, 1580, 2054, 856, 2490, 1106, 156, 2595, 1197, 3415, 764, 3723, 446, 1501, 2856, 134, 3912, 2556, 1416, 3, 2087, 3540, 796, 2547, 1226, 3706, 462, 3282, 2024, 200, 740, 3831, 979, 1499, 658, 2367, 1386, 3781, 3212, 1604, 2585,
+        3680, 2930, 3987, 2347, 3384, 2521, 1844, 505, 3957, 27, 3393, 2035, 1062, 3547, 96, 1279, 492, 4065, 1223, 360, 1705, 3928, 652, 3187, 322, 4090, 596, 3490, 2197, 3911, 3131, 1995, 294, 2184, 2686, 1118, 3986, 2355, 957, 3031, 1912, 659, 3287, 2905, 483, 1616, 3073, 1860, 708, 2609, 1132, 3978, 2700, 1409, 2448, 3416, 2219, 1857, 3580, 3002, 1020, 487, 2839, 329,
+        2250, 1073, 41, 1747, 653, 1338, 3032, 3512, 2661, 1280, 1730, 3716, 368, 2141, 2777, 3742, 1694, 3060, 2213, 3596, 2545, 1037, 2265, 1902, 1163, 2755, 3148, 1671, 415, 1807, 631, 1442, 4052, 3272, 1727, 169, 2069, 3166, 1310, 422, 3457, 1587, 3976, 2445, 1254, 3782, 320, 2366, 3923, 1498, 2201, 340, 3216, 1917, 501, 3018, 254, 2758, 826, 35, 2139, 4049, 1920, 850,
+        1349, 3433, 2560, 3062, 3662, 2166, 167, 967, 1983, 3127, 629, 2705, 1492, 3171, 823, 1919, 2566, 297, 812, 1941, 562, 3403, 115, 3617, 1490, 2165, 84, 2565, 1299, 3699, 2333, 2854, 1019, 557, 3006, 3605, 646, 1658, 3797, 2738, 2134, 1098, 252, 906, 1900, 2679, 3298, 1064, 83, 3134, 2838, 907, 1593, 3614, 1095, 4035, 1325, 3733, 1700, 3396, 2515, 1487, 3128, 3554,
+        460, 2032, 1564, 945, 373, 2695, 3884, 1594, 2435, 301, 3862, 2240, 1201, 4015, 524, 3500, 1099, 3256, 3821, 1321, 3083, 1613, 2617, 3009, 754, 3881, 995, 3545, 2999, 836, 3320, 12, 2571, 1518, 2299, 1232, 2629, 3313, 70, 787, 3634, 2550, 3102, 2222, 3468, 614, 1470, 2145, 3576, 1810, 609, 3826, 2415, 49, 2866, 2048, 607, 2389, 1060, 2887, 556, 1162, 144, 2693,
+        3846, 717, 3242, 4063, 1281, 1915, 744, 3302, 1168, 3458, 848, 2928, 164, 2512, 1622, 2248, 20, 1517, 2711, 2343, 246, 4023, 1145, 453, 2441, 3301, 1953, 1597, 319, 2140, 1227, 3827, 1976, 3501, 223, 3920, 924, 2008, 2429, 1382, 1798, 357, 3817, 1677, 116, 4034, 2973, 821, 2652, 1336, 3288, 1147, 2083, 3357, 770, 2621, 1545, 3194, 355, 3880, 2026, 3633, 2309, 1734,
+        2880, 2200, 208, 2773, 2310, 3503, 2906, 480, 2638, 2081, 1511, 1839, 3621, 982, 3316, 2843, 3958, 2030, 691, 3630, 964, 2185, 1888, 3672, 1304, 187, 2840, 698, 4000, 2709, 1713, 613, 3185, 828, 1825, 2911, 1590, 337, 4076, 3020, 3354, 1196, 718, 2891, 1313, 2425, 1867, 378, 3899, 175, 2537, 469, 2935, 1357, 1772, 3851, 145, 3528, 1833, 1351, 2648, 737, 3223, 980,
+        1402, 3590, 1166, 1790, 849, 110, 1368, 1737, 3980, 62, 3745, 517, 3135, 2000, 359, 747, 1265, 3040, 383, 1719, 2851, 3262, 602, 2749, 1688, 2227, 3766, 1422, 2345, 3402, 216, 2890, 1388, 2482, 3684, 550, 3373, 2733, 1038, 578, 2283, 2715, 2056, 3565, 464, 3380, 928, 3140, 1606, 2267, 3675, 1907, 4008, 235, 3475, 1029, 2153, 2771, 844, 3082, 203, 1647, 3972, 374,
+        3096, 2548, 521, 3718, 2974, 3856, 2457, 3182, 969, 2255, 2731, 1154, 2442, 1420, 3709, 2627, 1806, 3773, 2434, 3478, 1365, 58, 3905, 879, 3050, 407, 3229, 986, 484, 1851, 1101, 3953, 2051, 267, 1141, 2273, 1404, 2136, 3715, 1642, 177, 3883, 939, 1601, 2620, 2120, 1221, 2751, 3448, 587, 1460, 893, 2650, 703, 2404, 3034, 1443, 545, 4072, 2276, 3456, 1126, 2469, 1962,
+        818, 1585, 3202, 2149, 1452, 345, 1980, 681, 3535, 1457, 3046, 779, 3431, 125, 2268, 1035, 3335, 149, 1194, 731, 2076, 2575, 1559, 2328, 3444, 1207, 2039, 2615, 3578, 2958, 2423, 776, 3473, 2797, 3106, 3818, 40, 758, 2963, 1952, 3432, 1408, 3183, 9, 3968, 663, 3694, 214, 2040, 1066, 3063, 3492, 1581, 3231, 1945, 306, 3638, 2486, 1215, 1974, 489, 2842, 3705, 33,
+        2370, 4006, 178, 998, 2602, 3324, 1170, 2865, 424, 1877, 262, 4058, 1722, 2879, 3865, 1589, 592, 2191, 2896, 4092, 3199, 1026, 3555, 526, 1896, 120, 4055, 714, 1634, 53, 3774, 1524, 436, 1659, 925, 1840, 2562, 3569, 1213, 325, 2591, 682, 2364, 1847, 2966, 1449, 2396, 1691, 4080, 2634, 39, 2348, 382, 1202, 3768, 956, 1804, 3334, 78, 3775, 911, 1768, 1369, 3404,
+        1110, 2798, 1899, 3472, 568, 1724, 4021, 2171, 3738, 2604, 3309, 1245, 2124, 490, 890, 3184, 2696, 3695, 1862, 427, 1627, 310, 2943, 1333, 3696, 2483, 2912, 1348, 3155, 2022, 1212, 3201, 2220, 2647, 4043, 604, 3271, 1551, 2243, 4011, 3103, 1091, 3800, 389, 1130, 3441, 352, 3250, 702, 1247, 3585, 1725, 3954, 2821, 2244, 2979, 598, 2690, 1607, 3011, 2401, 3267, 621, 2128,
+        3734, 683, 1400, 3838, 2942, 2413, 5, 837, 1570, 1045, 2363, 616, 2707, 3567, 1370, 2066, 278, 1228, 822, 2622, 2278, 3830, 2028, 2659, 750, 1711, 428, 2235, 3842, 380, 2757, 666, 3607, 172, 1332, 2416, 292, 2921, 923, 479, 1718, 2102, 2812, 3530, 1975, 2682, 921, 2867, 1874, 2231, 2988, 558, 1996, 816, 99, 1494, 3983, 1027, 2186, 1306, 295, 3946, 2611, 356,
+        1745, 3246, 2341, 258, 908, 1320, 3562, 2746, 3157, 183, 3505, 1836, 3095, 82, 2424, 4010, 1743, 3477, 3043, 1393, 3293, 961, 139, 3188, 1124, 3888, 3310, 803, 1078, 2466, 3391, 1758, 950, 2932, 1985, 3669, 1156, 1914, 3446, 2534, 3658, 113, 857, 1558, 605, 2258, 3779, 1526, 151, 3910, 962, 1421, 3295, 2589, 3536, 1894, 3241, 251, 3667, 3192, 808, 1928, 1461, 2986,
+        104, 1199, 2727, 2071, 1626, 3064, 1886, 593, 2061, 3820, 1407, 872, 3890, 1621, 1053, 2888, 696, 2376, 36, 3949, 532, 1883, 3642, 1503, 2336, 253, 2685, 1823, 3573, 1496, 152, 2152, 3794, 1515, 3359, 782, 2770, 3947, 641, 1509, 1149, 3003, 2420, 3294, 4026, 222, 1267, 3526, 2458, 3197, 372, 2410, 3815, 1090, 511, 2306, 1266, 2531, 665, 1686, 2816, 3428, 1024, 3566,
+        1993, 4062, 547, 3691, 3408, 312, 3926, 1155, 2559, 440, 2922, 2263, 314, 2573, 3337, 403, 3754, 1504, 1987, 2779, 1105, 2451, 2827, 459, 3484, 2042, 1406, 3126, 565, 2914, 3948, 1240, 2605, 396, 2327, 133, 1687, 2275, 266, 3326, 1990, 3913, 381, 1356, 2594, 1818, 2977, 506, 1084, 2014, 1574, 2871, 158, 1771, 3112, 3724, 840, 2937, 2012, 4036, 45, 2216, 528, 2446,
+        825, 1527, 3030, 1006, 2504, 713, 2266, 3278, 1539, 3411, 1935, 1185, 3629, 761, 1811, 2198, 1193, 3113, 838, 3422, 1595, 3814, 775, 1782, 2954, 958, 4044, 2, 2257, 1897, 885, 3251, 638, 3024, 1113, 3750, 3259, 1251, 3070, 2578, 755, 1649, 2180, 977, 3159, 727, 2157, 3378, 2657, 3849, 630, 3553, 2195, 1360, 2680, 220, 1667, 3459, 466, 1144, 2664, 1415, 3843, 2902,
+        3363, 2607, 248, 1911, 1392, 2885, 1710, 904, 168, 4089, 579, 2776, 3120, 1410, 3966, 2681, 173, 3643, 2544, 377, 2242, 118, 3339, 1250, 3700, 644, 2564, 1283, 3756, 2778, 300, 2387, 1800, 4068, 1578, 2653, 525, 2101, 916, 3811, 26, 3464, 2793, 3595, 137, 3752, 1550, 889, 17, 1748, 1234, 3270, 905, 4060, 668, 2108, 3894, 1437, 2316, 3177, 3673, 914, 1783, 195,
+        1169, 3743, 2225, 3300, 3969, 76, 3648, 3048, 2516, 1082, 1648, 2390, 8, 2057, 538, 3012, 1675, 662, 1861, 4069, 1367, 3044, 2016, 2676, 202, 2217, 1731, 3364, 1011, 1588, 3610, 1366, 3437, 50, 2211, 858, 3527, 1809, 2834, 1458, 2371, 1115, 522, 1905, 2312, 1178, 2723, 4014, 2339, 3116, 2801, 349, 2499, 1942, 2971, 3283, 1031, 2803, 186, 1898, 637, 2500, 3098, 2133,
+        595, 1696, 881, 450, 1186, 2454, 2080, 518, 1849, 3542, 3208, 868, 3810, 3305, 1047, 3515, 1289, 2402, 3285, 1016, 2619, 529, 970, 3973, 1482, 3245, 2824, 313, 627, 2530, 3055, 759, 2029, 2864, 1308, 3142, 227, 3997, 408, 3406, 1943, 3086, 4067, 1396, 2969, 326, 3470, 1880, 438, 1033, 2107, 3717, 1631, 142, 1284, 417, 2463, 749, 3783, 1275, 3405, 1575, 371, 3981,
+        2763, 2353, 3603, 3075, 2794, 1583, 952, 3870, 1380, 2689, 260, 2156, 1314, 1759, 2501, 270, 2037, 3784, 56, 1538, 3189, 3759, 1774, 2467, 437, 1069, 3645, 1932, 4004, 2135, 209, 3721, 1070, 496, 3767, 2477, 1650, 2277, 1294, 715, 2651, 206, 1728, 688, 3792, 2518, 623, 1362, 3227, 3574, 1483, 709, 2692, 3388, 3819, 1767, 3625, 2055, 3008, 2418, 286, 2893, 3519, 1331,
+        3268, 42, 1384, 1891, 634, 3531, 3129, 323, 2319, 729, 3942, 2989, 445, 2855, 753, 4018, 2742, 922, 2955, 2090, 327, 2229, 763, 3442, 2901, 2148, 778, 1372, 3153, 1129, 1668, 2706, 2308, 3368, 1770, 701, 1080, 3333, 2940, 3763, 1044, 3523, 2147, 3230, 972, 1661, 2110, 2870, 815, 2407, 91, 3975, 1133, 2295, 870, 2831, 1385, 7, 1641, 4053, 1111, 2214, 811, 1934,
+        3761, 1023, 2494, 4046, 264, 2170, 1242, 2768, 3353, 1997, 1158, 1567, 3729, 2289, 3397, 1546, 510, 1785, 3522, 700, 3650, 2802, 1288, 71, 1573, 3798, 2584, 150, 2291, 3517, 523, 3945, 1345, 170, 3037, 3927, 2734, 66, 2052, 1591, 339, 2359, 1277, 2736, 75, 3646, 3327, 229, 3918, 1610, 2934, 1868, 3091, 268, 1984, 563, 3198, 3507, 941, 576, 1843, 3689, 2649, 467
+    ]
+};
@@ -0,0 +1,17 @@
+// Canvas factory shared by the main thread and the effect worker, which has
+// no document but can draw to an OffscreenCanvas.
+export const createCanvas = (width, height) => {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+};
+
+export const canvasToBlob = (canvas, type = 'image/png') => (
+    canvas.convertToBlob
+        ? canvas.convertToBlob({ type })
+        : new Promise(resolve => canvas.toBlob(resolve, type))
+);
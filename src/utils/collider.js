@@ -0,0 +1,263 @@
+import Matter from 'matter-js';
+import decomp from 'poly-decomp';
+
+// Collision shapes traced from a layer's rendered pixels. The opaque pixels
+// are pooled onto a coarse grid (which also closes the gaps between dither
+// dots), and the grid's outer outline or convex hull becomes the body, in
+// world units around the image centre. Matter.js puts a body's position at
+// its centre of mass, so each body records where the image centre sits
+// relative to it (`plugin.spriteOffset`), and spriteCentre gives it back.
+
+Matter.Common.setDecomp(decomp);
+
+export const COLLIDER_SHAPES = {
+    box: 'Box',
+    hull: 'Convex Hull',
+    outline: 'Silhouette'
+};
+
+// Cells along the longest side of the traced grid
+const GRID_CELLS = 48;
+
+// Simplification tolerance, in cells
+const SIMPLIFY_TOLERANCE = 0.75;
+
+// 3×3 dilation then erosion, bridging gaps of up to two cells. Outside the
+// grid counts as empty for the first pass and solid for the second, so
+// shapes neither grow past the edge nor shrink from it.
+const closeCells = (cells, cols, rows) => {
+    const pass = (source, outside, keep) => {
+        const out = new Uint8Array(source.length);
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                let any = 0, all = 1;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx, ny = y + dy;
+                        const v = nx < 0 || ny < 0 || nx >= cols || ny >= rows ? outside : source[ny * cols + nx];
+                        any |= v;
+                        all &= v;
+                    }
+                }
+                out[y * cols + x] = keep === 'any' ? any : all;
+            }
+        }
+        return out;
+    };
+    return pass(pass(cells, 0, 'any'), 1, 'all');
+};
+
+// Cells touching only at a corner would pinch the outline into a
+// non-simple polygon, so one of the two gaps between them is filled
+const fillDiagonals = (cells, cols, rows) => {
+    for (let y = 0; y < rows - 1; y++) {
+        for (let x = 0; x < cols - 1; x++) {
+            const a = cells[y * cols + x], b = cells[y * cols + x + 1];
+            const c = cells[(y + 1) * cols + x], d = cells[(y + 1) * cols + x + 1];
+            if (a && d && !b && !c) cells[y * cols + x + 1] = 1;
+            if (b && c && !a && !d) cells[y * cols + x] = 1;
+        }
+    }
+    return cells;
+};
+
+// Opaque pixels pooled onto a grid: a cell is solid if any pixel in it is.
+// Gaps between dither dots are then closed so a dotted area traces as one.
+export const maskGrid = ({ data, width, height }, maxCells = GRID_CELLS) => {
+    const cellSize = Math.max(1, Math.ceil(Math.max(width, height) / maxCells));
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cells = new Uint8Array(cols * rows);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / cellSize) * cols;
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] >= 128) cells[row + Math.floor(x / cellSize)] = 1;
+        }
+    }
+    return { cells: fillDiagonals(closeCells(cells, cols, rows), cols, rows), cols, rows, cellSize };
+};
+
+// Signed area; positive for clockwise loops with y pointing down
+const polygonArea = (points) => points.reduce((sum, p, i) => {
+    const q = points[(i + 1) % points.length];
+    return sum + p.x * q.y - q.x * p.y;
+}, 0) / 2;
+
+// Outer boundary of the largest solid region, as grid corner points running
+// clockwise. Boundary edges are chained into loops, turning right where
+// there is a choice; holes run the other way and are left out.
+export const gridOutline = ({ cells, cols, rows }) => {
+    const solid = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows && cells[y * cols + x] === 1;
+    const key = (x, y) => y * (cols + 1) + x;
+    const outgoing = new Map(); // corner → edges leaving it
+
+    const addEdge = (x0, y0, x1, y1) => {
+        const edge = { x0, y0, x1, y1, used: false };
+        const k = key(x0, y0);
+        if (!outgoing.has(k)) outgoing.set(k, []);
+        outgoing.get(k).push(edge);
+    };
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            if (!solid(x, y)) continue;
+            if (!solid(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!solid(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!solid(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!solid(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    let best = null;
+    let bestArea = 0;
+    for (const edges of outgoing.values()) {
+        for (const start of edges) {
+            if (start.used) continue;
+            const loop = [];
+            let edge = start;
+            while (edge && !edge.used) {
+                edge.used = true;
+                loop.push({ x: edge.x0, y: edge.y0 });
+                const dx = edge.x1 - edge.x0;
+                const dy = edge.y1 - edge.y0;
+                const next = (outgoing.get(key(edge.x1, edge.y1)) ?? []).filter(e => !e.used);
+                // Right turn first (clockwise in y-down coordinates)
+                edge = next.find(e => e.x1 - e.x0 === -dy && e.y1 - e.y0 === dx) ?? next[0];
+            }
+            const area = polygonArea(loop);
+            if (area > bestArea) {
+                best = loop;
+                bestArea = area;
+            }
+        }
+    }
+    return best ?? [];
+};
+
+// Andrew's monotone chain, clockwise in y-down coordinates
+export const convexHull = (points) => {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const chain = (list) => {
+        const out = [];
+        for (const p of list) {
+            while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+            out.push(p);
+        }
+        out.pop();
+        return out;
+    };
+    return [...chain(sorted), ...chain([...sorted].reverse())];
+};
+
+const distanceToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const douglasPeucker = (points, tolerance) => {
+    if (points.length < 3) return points;
+    let index = 0;
+    let furthest = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const d = distanceToSegment(points[i], points[0], points[points.length - 1]);
+        if (d > furthest) {
+            index = i;
+            furthest = d;
+        }
+    }
+    if (furthest <= tolerance) return [points[0], points[points.length - 1]];
+    return [
+        ...douglasPeucker(points.slice(0, index + 1), tolerance).slice(0, -1),
+        ...douglasPeucker(points.slice(index), tolerance)
+    ];
+};
+
+// Ramer–Douglas–Peucker on a closed loop, split at its first point and the
+// point furthest from it
+export const simplifyPolygon = (points, tolerance) => {
+    if (points.length < 4) return points;
+    let far = 0;
+    points.forEach((p, i) => {
+        if (Math.hypot(p.x - points[0].x, p.y - points[0].y) > Math.hypot(points[far].x - points[0].x, points[far].y - points[0].y)) far = i;
+    });
+    const first = douglasPeucker(points.slice(0, far + 1), tolerance);
+    const second = douglasPeucker([...points.slice(far), points[0]], tolerance);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+};
+
+// Outline (or hull) of `imageData`'s opaque pixels, scaled to a sprite of
+// `width`×`height` world units and centred on it. Empty when nothing is opaque.
+export const traceCollider = (imageData, mode, { width, height }) => {
+    const grid = maskGrid(imageData);
+    const outline = gridOutline(grid);
+    if (outline.length < 3) return [];
+    const simplified = mode === 'hull' ? null : simplifyPolygon(outline, SIMPLIFY_TOLERANCE);
+    // Simplifying can fold a thin part over itself; the hull is the fallback
+    const polygon = simplified && decomp.isSimple(simplified.map(({ x, y }) => [x, y]))
+        ? simplified
+        : convexHull(outline);
+    const sx = (grid.cellSize * width) / imageData.width;
+    const sy = (grid.cellSize * height) / imageData.height;
+    // The last row and column of cells may hang over the image edge
+    return polygon.map(({ x, y }) => ({
+        x: Math.min(x * sx, width) - width / 2,
+        y: Math.min(y * sy, height) - height / 2
+    }));
+};
+
+// A body for a sprite centred on (x, y): a `width`×`height` box, the
+// traced `outline` decomposed into convex parts where it is concave, or a
+// frame's convex `parts` (vertex lists around the centre) joined into one
+export const createColliderBody = (x, y, { width, height, outline, parts }, options = {}) => {
+    if (parts?.length) {
+        const body = Matter.Body.create({
+            ...options,
+            parts: parts.map(vertices => Matter.Body.create({ position: Matter.Vertices.centre(vertices), vertices }))
+        });
+        body.plugin = { ...body.plugin, spriteOffset: { x: -body.position.x, y: -body.position.y } };
+        placeBody(body, { x, y });
+        return body;
+    }
+
+    if (!outline?.length) {
+        return Matter.Bodies.rectangle(x, y, width, height, {
+            ...options,
+            plugin: { ...options.plugin, spriteOffset: { x: 0, y: 0 } }
+        });
+    }
+
+    // minimumArea 0 keeps every part, so the bounds still match the outline
+    const body = Matter.Bodies.fromVertices(0, 0, [outline], options, false, 0.01, 0);
+    const minX = Math.min(...outline.map(p => p.x));
+    const minY = Math.min(...outline.map(p => p.y));
+    // Where the outline's own origin, the image centre, ended up
+    const spriteOffset = { x: body.bounds.min.x - minX, y: body.bounds.min.y - minY };
+    body.plugin = { ...body.plugin, spriteOffset };
+    placeBody(body, { x, y });
+    return body;
+};
+
+// The image centre's offset from the body's position, turned with the body
+const turnedOffset = (body, angle) => {
+    const { x, y } = body.plugin?.spriteOffset ?? { x: 0, y: 0 };
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+// Where the body's image centre is
+export const spriteCentre = (body) => {
+    const offset = turnedOffset(body, body.angle);
+    return { x: body.position.x + offset.x, y: body.position.y + offset.y };
+};
+
+// Turns the body to `angle` and moves it so its image centre is at `centre`
+export const placeBody = (body, centre, angle = 0) => {
+    Matter.Body.setAngle(body, angle);
+    const offset = turnedOffset(body, angle);
+    Matter.Body.setPosition(body, { x: centre.x - offset.x, y: centre.y - offset.y });
+};
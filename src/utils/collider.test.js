@@ -0,0 +1,191 @@
+/**
+ * Tests for src/utils/collider.js
+ *
+ * Masks are drawn into synthetic RGBA buffers; bodies are real Matter.js
+ * bodies.
+ */
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+  maskGrid,
+  gridOutline,
+  convexHull,
+  simplifyPolygon,
+  traceCollider,
+  createColliderBody,
+  spriteCentre,
+  placeBody,
+} from './collider.js';
+import { applyBodySettings } from './physicsSettings.js';
+
+// A transparent buffer with the pixels where `inside(x, y)` opaque
+function makeMask(width, height, inside) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (inside(x, y)) data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// An L: the left column and the bottom row of a 3×3 block of cells
+const lShape = (cell) => (x, y) => x < cell || y >= cell * 2;
+
+const bounds = (points) => ({
+  minX: Math.min(...points.map(p => p.x)),
+  minY: Math.min(...points.map(p => p.y)),
+  maxX: Math.max(...points.map(p => p.x)),
+  maxY: Math.max(...points.map(p => p.y)),
+});
+
+// ─── Tracing ──────────────────────────────────────────────────────────────────
+
+describe('maskGrid', () => {
+  it('pools pixels onto cells along the longest side', () => {
+    const grid = maskGrid(makeMask(96, 48, () => true), 48);
+    expect(grid.cellSize).toBe(2);
+    expect(grid.cols).toBe(48);
+    expect(grid.rows).toBe(24);
+    expect(grid.cells.every(cell => cell === 1)).toBe(true);
+  });
+
+  it('closes the gaps between dither dots', () => {
+    const dots = makeMask(16, 16, (x, y) => x % 2 === 0 && y % 2 === 0);
+    const grid = maskGrid(dots, 16);
+    expect(grid.cells.every(cell => cell === 1)).toBe(true);
+  });
+
+  it('leaves transparent space empty', () => {
+    const grid = maskGrid(makeMask(16, 16, x => x < 4), 16);
+    expect(grid.cells[15]).toBe(0);
+    expect(grid.cells[0]).toBe(1);
+  });
+});
+
+describe('gridOutline', () => {
+  it('follows a concave region clockwise', () => {
+    const cells = Uint8Array.from([1, 0, 0, 1, 0, 0, 1, 1, 1]);
+    const outline = gridOutline({ cells, cols: 3, rows: 3 });
+    expect(outline).toHaveLength(12);
+    expect(bounds(outline)).toEqual({ minX: 0, minY: 0, maxX: 3, maxY: 3 });
+    expect(outline).not.toContainEqual({ x: 3, y: 0 });
+  });
+
+  it('keeps the largest region', () => {
+    const cells = Uint8Array.from([1, 0, 0, 0, 0, 0, 1, 1, 0, 0, 1, 1]);
+    const outline = gridOutline({ cells, cols: 4, rows: 3 });
+    expect(bounds(outline)).toEqual({ minX: 2, minY: 1, maxX: 4, maxY: 3 });
+  });
+
+  it('is empty for an empty grid', () => {
+    expect(gridOutline({ cells: new Uint8Array(4), cols: 2, rows: 2 })).toEqual([]);
+  });
+});
+
+describe('convexHull', () => {
+  it('drops the points inside', () => {
+    const hull = convexHull([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 0, y: 2 }]);
+    expect(hull).toHaveLength(4);
+    expect(hull).not.toContainEqual({ x: 1, y: 1 });
+  });
+});
+
+describe('simplifyPolygon', () => {
+  it('removes points along straight edges and keeps the corners', () => {
+    const square = [];
+    for (let i = 0; i < 4; i++) square.push({ x: i, y: 0 });
+    for (let i = 0; i < 4; i++) square.push({ x: 4, y: i });
+    for (let i = 4; i > 0; i--) square.push({ x: i, y: 4 });
+    for (let i = 4; i > 0; i--) square.push({ x: 0, y: i });
+    const simplified = simplifyPolygon(square, 0.5);
+    expect(simplified).toHaveLength(4);
+    expect(bounds(simplified)).toEqual({ minX: 0, minY: 0, maxX: 4, maxY: 4 });
+  });
+});
+
+describe('traceCollider', () => {
+  it('scales the outline to the sprite size around its centre', () => {
+    const outline = traceCollider(makeMask(30, 30, lShape(10)), 'outline', { width: 60, height: 120 });
+    expect(bounds(outline)).toEqual({ minX: -30, minY: -60, maxX: 30, maxY: 60 });
+    expect(outline).toHaveLength(6);
+  });
+
+  it('wraps the hull around a concave shape', () => {
+    const hull = traceCollider(makeMask(30, 30, lShape(10)), 'hull', { width: 30, height: 30 });
+    expect(hull).toHaveLength(5);
+  });
+
+  it('is empty when nothing is opaque', () => {
+    expect(traceCollider(makeMask(8, 8, () => false), 'outline', { width: 8, height: 8 })).toEqual([]);
+  });
+});
+
+// ─── Bodies ───────────────────────────────────────────────────────────────────
+
+describe('createColliderBody', () => {
+  const outline = traceCollider(makeMask(30, 30, lShape(10)), 'outline', { width: 30, height: 30 });
+
+  it('makes a box without an outline', () => {
+    const body = createColliderBody(10, 20, { width: 40, height: 20 });
+    expect(body.parts).toHaveLength(1);
+    expect(body.area).toBeCloseTo(800, 6);
+    expect(spriteCentre(body)).toEqual({ x: 10, y: 20 });
+  });
+
+  it('splits a concave outline and keeps its area', () => {
+    const body = createColliderBody(0, 0, { width: 30, height: 30, outline });
+    expect(body.parts.length).toBeGreaterThan(2);
+    expect(body.area).toBeCloseTo(500, 6);
+  });
+
+  it('centres the image, not the centre of mass, on the point given', () => {
+    const body = createColliderBody(100, 50, { width: 30, height: 30, outline });
+    const centre = spriteCentre(body);
+    expect(centre.x).toBeCloseTo(100, 6);
+    expect(centre.y).toBeCloseTo(50, 6);
+    expect(body.bounds.min.x).toBeCloseTo(85, 6);
+    expect(body.bounds.max.y).toBeCloseTo(65, 6);
+    // The mass sits down and to the left, in the L's corner
+    expect(body.position.x).toBeLessThan(100);
+    expect(body.position.y).toBeGreaterThan(50);
+  });
+
+  it('keeps the image centre where it is placed at any angle', () => {
+    const body = createColliderBody(0, 0, { width: 30, height: 30, outline });
+    placeBody(body, { x: -40, y: 25 }, Math.PI / 3);
+    const centre = spriteCentre(body);
+    expect(body.angle).toBeCloseTo(Math.PI / 3, 9);
+    expect(centre.x).toBeCloseTo(-40, 6);
+    expect(centre.y).toBeCloseTo(25, 6);
+  });
+
+  it('takes the layer settings as a compound body', () => {
+    const body = createColliderBody(0, 0, { width: 30, height: 30, outline });
+    const { inertia } = body;
+    applyBodySettings(body, { density: 0.002 });
+    expect(body.mass).toBeCloseTo(0.002 * 500, 9);
+    applyBodySettings(body, { density: 0.001, pinned: true });
+    applyBodySettings(body, { density: 0.001 });
+    expect(body.isStatic).toBe(false);
+    expect(body.inertia).toBeCloseTo(inertia, 6);
+  });
+});
+
+// ─── Simulation ───────────────────────────────────────────────────────────────
+
+describe('traced bodies in a world', () => {
+  it('let another body fall into the gap of a concave shape', () => {
+    const engine = Matter.Engine.create();
+    // A U opening upwards, 90 wide, with a 30-wide gap in the middle
+    const u = makeMask(30, 30, (x, y) => x < 10 || x >= 20 || y >= 20);
+    const outline = traceCollider(u, 'outline', { width: 90, height: 90 });
+    const cup = createColliderBody(0, 0, { width: 90, height: 90, outline }, { isStatic: true });
+    const ball = Matter.Bodies.circle(0, -80, 8);
+    Matter.Composite.add(engine.world, [cup, ball]);
+    for (let i = 0; i < 120; i++) Matter.Engine.update(engine, 1000 / 60);
+    // It rests on the floor of the U, below the tops of its arms
+    expect(ball.position.y).toBeGreaterThan(-45);
+    expect(ball.position.y).toBeLessThan(15);
+  });
+});
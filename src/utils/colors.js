@@ -1,72 +1,265 @@
-export const extractDominantColors = async (imageUrl) => {
-    return new Promise((resolve) => {
-        const img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Scale down for faster processing
-            const maxDim = 100;
-            let width = img.width;
-            let height = img.height;
-            if (width > maxDim || height > maxDim) {
-                const ratio = Math.min(maxDim / width, maxDim / height);
-                width = Math.floor(width * ratio);
-                height = Math.floor(height * ratio);
+// ── Colour spaces ──────────────────────────────────────────────────────────
+
+const srgbToLinear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+// Björn Ottosson's OKLab; Euclidean distance here tracks perceived difference
+export const rgbToOklab = (r, g, b) => {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+};
+
+// CIE L*a*b* (D65), needed for CIEDE2000
+export const rgbToLab = (r, g, b) => {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+    const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+export const deltaE2000 = ([L1, a1, b1], [L2, a2, b2]) => {
+    const rad = Math.PI / 180;
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+        hbarp /= 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+        Math.pow(dLp / Sl, 2) +
+        Math.pow(dCp / Sc, 2) +
+        Math.pow(dHp / Sh, 2) +
+        Rt * (dCp / Sc) * (dHp / Sh)
+    );
+};
+
+// ── Palette matching ───────────────────────────────────────────────────────
+
+export const COLOR_METRICS = {
+    oklab: 'OKLab',
+    ciede2000: 'CIEDE2000'
+};
+
+const toHex = (c) => {
+    let hex = Math.round(c).toString(16);
+    return hex.length == 1 ? "0" + hex : hex;
+};
+
+export const rgbToHex = (r, g, b) => `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+
+export const parseHex = (hex) => {
+    const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})/i.exec(hex || '');
+    return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [0, 0, 0];
+};
+
+// Returns (r, g, b) => palette index. Lookups are memoised on the rounded
+// colour because error diffusion asks about the same colours over and over.
+export const createPaletteMatcher = (palette, metric = 'oklab') => {
+    const rgb = palette.map(parseHex);
+    const useDE = metric === 'ciede2000';
+    const project = useDE ? rgbToLab : rgbToOklab;
+    const points = rgb.map(([r, g, b]) => project(r, g, b));
+    const cache = new Map();
+
+    const match = (r, g, b) => {
+        r = Math.max(0, Math.min(255, Math.round(r)));
+        g = Math.max(0, Math.min(255, Math.round(g)));
+        b = Math.max(0, Math.min(255, Math.round(b)));
+        const key = (r << 16) | (g << 8) | b;
+        const hit = cache.get(key);
+        if (hit !== undefined) return hit;
+
+        const p = project(r, g, b);
+        let best = 0;
+        let bestD = Infinity;
+        for (let i = 0; i < points.length; i++) {
+            const q = points[i];
+            const d = useDE
+                ? deltaE2000(p, q)
+                : (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+            if (d < bestD) { bestD = d; best = i; }
+        }
+        cache.set(key, best);
+        return best;
+    };
+
+    match.rgb = rgb;
+    return match;
+};
+
+// ── Quantisation ───────────────────────────────────────────────────────────
+
+// Median cut over opaque pixels, refined with a few rounds of k-means in
+// OKLab. Returns up to `count` hex colours ordered dark → light.
+export const quantizeColors = (data, count, { iterations = 6 } = {}) => {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    if (!pixels.length) return [];
+
+    // Median cut: split the box with the widest channel range at its median
+    let boxes = [pixels];
+    while (boxes.length < count) {
+        let target = -1;
+        let widest = 0;
+        let channel = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            for (let c = 0; c < 3; c++) {
+                let lo = 255;
+                let hi = 0;
+                for (const p of box) { if (p[c] < lo) lo = p[c]; if (p[c] > hi) hi = p[c]; }
+                if (hi - lo > widest) { widest = hi - lo; target = i; channel = c; }
             }
-            
-            canvas.width = width || 1;
-            canvas.height = height || 1;
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-            
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imageData.data;
-            
-            let shadowSum = { r: 0, g: 0, b: 0, count: 0 };
-            let midtoneSum = { r: 0, g: 0, b: 0, count: 0 };
-            let highlightSum = { r: 0, g: 0, b: 0, count: 0 };
-            
-            for (let i = 0; i < data.length; i += 4) {
-                // Ignore transparent pixels
-                if (data[i+3] < 128) continue;
-                
-                const r = data[i];
-                const g = data[i+1];
-                const b = data[i+2];
-                const luma = r * 0.299 + g * 0.587 + b * 0.114;
-                
-                if (luma < 85) {
-                    shadowSum.r += r; shadowSum.g += g; shadowSum.b += b; shadowSum.count++;
-                } else if (luma < 170) {
-                    midtoneSum.r += r; midtoneSum.g += g; midtoneSum.b += b; midtoneSum.count++;
-                } else {
-                    highlightSum.r += r; highlightSum.g += g; highlightSum.b += b; highlightSum.count++;
-                }
+        });
+        if (target < 0) break;
+        const box = boxes[target].sort((p, q) => p[channel] - q[channel]);
+        const mid = box.length >> 1;
+        boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+    }
+
+    const mean = (box) => {
+        const sum = [0, 0, 0];
+        for (const p of box) { sum[0] += p[0]; sum[1] += p[1]; sum[2] += p[2]; }
+        return sum.map(v => v / box.length);
+    };
+    let centres = boxes.map(mean);
+
+    // k-means refinement, assigning in OKLab and averaging in sRGB
+    const labs = pixels.map(([r, g, b]) => rgbToOklab(r, g, b));
+    for (let iter = 0; iter < iterations; iter++) {
+        const centreLabs = centres.map(([r, g, b]) => rgbToOklab(r, g, b));
+        const groups = centres.map(() => []);
+        for (let i = 0; i < pixels.length; i++) {
+            const p = labs[i];
+            let best = 0;
+            let bestD = Infinity;
+            for (let k = 0; k < centreLabs.length; k++) {
+                const q = centreLabs[k];
+                const d = (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+                if (d < bestD) { bestD = d; best = k; }
             }
-            
-            const toHex = (c) => {
-                let hex = c.toString(16);
-                return hex.length == 1 ? "0" + hex : hex;
-            };
-            
-            const getAverageHex = (sumData, fallbackHex) => {
-                if (sumData.count === 0) return fallbackHex;
-                const r = Math.round(sumData.r / sumData.count);
-                const g = Math.round(sumData.g / sumData.count);
-                const b = Math.round(sumData.b / sumData.count);
-                return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-            };
-            
-            resolve({
-                shadow: getAverageHex(shadowSum, '#111111'),
-                midtone: getAverageHex(midtoneSum, '#888888'),
-                highlight: getAverageHex(highlightSum, '#eeeeee')
-            });
-        };
-        img.onerror = () => {
-            resolve({ shadow: '#000000', midtone: '#888888', highlight: '#ffffff' });
+            groups[best].push(pixels[i]);
+        }
+        centres = groups.map((g, k) => (g.length ? mean(g) : centres[k]));
+    }
+
+    const hexes = [...new Set(centres.map(([r, g, b]) => rgbToHex(r, g, b)))];
+    return hexes.sort((a, b) => rgbToOklab(...parseHex(a))[0] - rgbToOklab(...parseHex(b))[0]);
+};
+
+// ── Image sampling ─────────────────────────────────────────────────────────
+
+const loadPixels = (imageUrl, maxDim = 100) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "Anonymous";
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        // Scale down for faster processing
+        let width = img.width;
+        let height = img.height;
+        if (width > maxDim || height > maxDim) {
+            const ratio = Math.min(maxDim / width, maxDim / height);
+            width = Math.floor(width * ratio);
+            height = Math.floor(height * ratio);
+        }
+
+        canvas.width = width || 1;
+        canvas.height = height || 1;
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+    };
+    img.onerror = reject;
+    img.src = imageUrl;
+});
+
+// Seeds an N-colour palette from the image
+export const extractPalette = async (imageUrl, count = 8) => {
+    try {
+        const palette = quantizeColors(await loadPixels(imageUrl), count);
+        return palette.length ? palette : ['#000000', '#ffffff'];
+    } catch {
+        return ['#000000', '#ffffff'];
+    }
+};
+
+// Tri-tone defaults: the darkest, middle and lightest of three clusters
+export const extractDominantColors = async (imageUrl) => {
+    try {
+        const p = quantizeColors(await loadPixels(imageUrl), 3);
+        return {
+            shadow: p[0] ?? '#111111',
+            midtone: p.length > 2 ? p[1] : '#888888',
+            highlight: p.length > 1 ? p[p.length - 1] : '#eeeeee'
         };
-        img.src = imageUrl;
-    });
+    } catch {
+        return { shadow: '#000000', midtone: '#888888', highlight: '#ffffff' };
+    }
 };
@@ -0,0 +1,140 @@
+/**
+ * Tests for src/utils/colors.js and the palette paths in src/utils/dither.js
+ *
+ * extractPalette needs an <img> and a canvas, so quantisation is tested
+ * through quantizeColors on raw pixel arrays instead.
+ */
+import { describe, it, expect } from 'vitest';
+import { rgbToOklab, rgbToLab, deltaE2000, createPaletteMatcher, quantizeColors } from './colors.js';
+import { applyErrorDiffusion, applyOrderedDither } from './dither.js';
+
+function makeGradient(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = (x / (width - 1)) * 255;
+      data[i + 1] = (y / (height - 1)) * 255;
+      data[i + 2] = 128;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+function pixelsOf(data) {
+  const seen = new Set();
+  for (let i = 0; i < data.length; i += 4) seen.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+  return seen;
+}
+
+// ─── Colour spaces ────────────────────────────────────────────────────────────
+
+describe('rgbToOklab', () => {
+  it('maps white to L = 1 and black to L = 0 with no chroma', () => {
+    const white = rgbToOklab(255, 255, 255);
+    const black = rgbToOklab(0, 0, 0);
+    expect(white[0]).toBeCloseTo(1, 3);
+    expect(black[0]).toBeCloseTo(0, 5);
+    expect(Math.abs(white[1]) + Math.abs(white[2])).toBeLessThan(1e-3);
+  });
+});
+
+describe('rgbToLab', () => {
+  it('puts the D65 white point at L* = 100', () => {
+    const [L, a, b] = rgbToLab(255, 255, 255);
+    expect(L).toBeCloseTo(100, 2);
+    expect(a).toBeCloseTo(0, 2);
+    expect(b).toBeCloseTo(0, 2);
+  });
+});
+
+describe('deltaE2000', () => {
+  it('matches the Sharma reference data', () => {
+    expect(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+    expect(deltaE2000([50, 2.5, 0], [73, 25, -18])).toBeCloseTo(27.1492, 4);
+  });
+
+  it('is zero for identical colours', () => {
+    expect(deltaE2000([60, 10, -20], [60, 10, -20])).toBe(0);
+  });
+});
+
+// ─── createPaletteMatcher ─────────────────────────────────────────────────────
+
+describe('createPaletteMatcher', () => {
+  const palette = ['#000000', '#ff0000', '#00ff00', '#0000ff', '#ffffff'];
+
+  it('returns the nearest entry under both metrics', () => {
+    for (const metric of ['oklab', 'ciede2000']) {
+      const match = createPaletteMatcher(palette, metric);
+      expect(match(10, 5, 5)).toBe(0);
+      expect(match(230, 30, 20)).toBe(1);
+      expect(match(20, 220, 40)).toBe(2);
+      expect(match(250, 250, 245)).toBe(4);
+    }
+  });
+
+  it('clamps out-of-range input', () => {
+    const match = createPaletteMatcher(palette);
+    expect(match(-40, -10, -90)).toBe(0);
+    expect(match(400, 300, 300)).toBe(4);
+  });
+
+  it('exposes the parsed palette', () => {
+    expect(createPaletteMatcher(['#102030']).rgb).toEqual([[16, 32, 48]]);
+  });
+});
+
+// ─── quantizeColors ───────────────────────────────────────────────────────────
+
+describe('quantizeColors', () => {
+  it('returns at most the requested number of colours, dark to light', () => {
+    const palette = quantizeColors(makeGradient(32, 32).data, 6);
+    expect(palette.length).toBeLessThanOrEqual(6);
+    expect(palette.length).toBeGreaterThan(1);
+    const lightness = palette.map(hex => rgbToOklab(...[1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)))[0]);
+    expect(lightness).toEqual([...lightness].sort((a, b) => a - b));
+  });
+
+  it('recovers the colours of a two-colour image', () => {
+    const data = new Uint8ClampedArray(16 * 4);
+    for (let i = 0; i < 16; i++) {
+      data.set(i < 8 ? [200, 30, 30, 255] : [20, 40, 200, 255], i * 4);
+    }
+    expect(quantizeColors(data, 2)).toEqual(['#1428c8', '#c81e1e']);
+  });
+
+  it('ignores transparent pixels', () => {
+    expect(quantizeColors(new Uint8ClampedArray(32), 4)).toEqual([]);
+  });
+});
+
+// ─── Palette dithering ────────────────────────────────────────────────────────
+
+describe('palette dithering', () => {
+  const palette = ['#1b1b3a', '#c0392b', '#f1c40f', '#ecf0f1'];
+  const allowed = new Set(['27,27,58', '192,57,43', '241,196,15', '236,240,241']);
+
+  it('error diffusion only writes palette colours', () => {
+    const imageData = makeGradient(24, 24);
+    applyErrorDiffusion(imageData, { kernel: 'floyd-steinberg', palette });
+    for (const px of pixelsOf(imageData.data)) expect(allowed.has(px)).toBe(true);
+  });
+
+  it('ordered dithering only writes palette colours', () => {
+    const imageData = makeGradient(24, 24);
+    applyOrderedDither(imageData, { palette, metric: 'ciede2000' });
+    for (const px of pixelsOf(imageData.data)) expect(allowed.has(px)).toBe(true);
+  });
+
+  it('mixes neighbouring entries to approximate in-between colours', () => {
+    const imageData = { width: 16, height: 16, data: new Uint8ClampedArray(16 * 16 * 4) };
+    for (let i = 0; i < imageData.data.length; i += 4) imageData.data.set([128, 128, 128, 255], i);
+    applyErrorDiffusion(imageData, { palette: ['#000000', '#ffffff'] });
+    let sum = 0;
+    for (let i = 0; i < imageData.data.length; i += 4) sum += imageData.data[i];
+    expect(sum / (16 * 16)).toBeGreaterThan(90);
+    expect(sum / (16 * 16)).toBeLessThan(170);
+  });
+});
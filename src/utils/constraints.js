@@ -0,0 +1,194 @@
+import Matter from 'matter-js';
+import { layerBodies } from './motionExport';
+
+// Links between layers (a rod, spring or rope between two bodies, or a pin
+// holding one to a world point) and force fields that pull layers towards a
+// point or push them away. Both are plain data kept by App, so they can be
+// saved with a scene; the Matter.js objects are built from them. A link's
+// composite is rebuilt only when the link changes or a body at either end is
+// replaced, so the others, ropes especially, carry on as they were. Each
+// composite is tagged with its link's id, which is how it is found again
+// and drawn.
+
+export const LINK_TYPES = {
+    rod: 'Rod',
+    spring: 'Spring',
+    rope: 'Rope',
+    pin: 'Pin'
+};
+
+export const FIELD_TYPES = {
+    attract: 'Attractor',
+    repel: 'Repulsor'
+};
+
+export const DEFAULT_LINK = {
+    stiffness: 0.02,    // springs only; rods, ropes and pins are rigid
+    damping: 0.05,
+    segments: 8         // ropes only
+};
+
+export const LINK_LIMITS = {
+    stiffness: { min: 0.002, max: 0.2, step: 0.002 }
+};
+
+export const DEFAULT_FIELD = {
+    strength: 0.5,      // 1 pulls as hard as standard gravity at the centre
+    radius: 400         // world units; no pull beyond
+};
+
+export const FIELD_LIMITS = {
+    strength: { min: 0.05, max: 3, step: 0.05 },
+    radius: { min: 50, max: 2000, step: 50 }
+};
+
+const ROPE_RADIUS = 3;
+const ROPE_STIFFNESS = 0.9;
+
+// Matter.js applies gravity as mass × gravity × this scale
+const FIELD_FORCE = 0.001;
+
+// A link between layers `a` and `b` (or, for a pin, from `a` to the world
+// `point`), its rest length the distance between them now
+export const createLink = (type, engine, { a, b = null, point = null }) => {
+    const bodies = layerBodies(engine);
+    const from = bodies.get(a)?.position;
+    const to = type === 'pin' ? point : bodies.get(b)?.position;
+    if (!from || !to) return null;
+    return {
+        id: Date.now() + Math.random(),
+        type,
+        a,
+        b: type === 'pin' ? null : b,
+        point: type === 'pin' ? { x: point.x, y: point.y } : null,
+        length: Math.hypot(to.x - from.x, to.y - from.y),
+        ...DEFAULT_LINK
+    };
+};
+
+export const createField = (type, { x, y }) => ({
+    id: Date.now() + Math.random(),
+    type,
+    x,
+    y,
+    ...DEFAULT_FIELD
+});
+
+// Constraints for one rope: small bodies strung evenly from A to B, which
+// hang under gravity but collide with nothing
+const ropeParts = (link, bodyA, bodyB) => {
+    const count = link.segments;
+    const span = link.length / (count + 1);
+    const { x: ax, y: ay } = bodyA.position;
+    const { x: bx, y: by } = bodyB.position;
+    const segments = Array.from({ length: count }, (_, i) => {
+        const t = (i + 1) / (count + 1);
+        return Matter.Bodies.circle(ax + (bx - ax) * t, ay + (by - ay) * t, ROPE_RADIUS, {
+            collisionFilter: { mask: 0 },
+            density: 0.0005,
+            frictionAir: 0.02,
+            render: { visible: false }
+        });
+    });
+    const chain = [bodyA, ...segments, bodyB];
+    const constraints = chain.slice(1).map((body, i) => Matter.Constraint.create({
+        bodyA: chain[i],
+        bodyB: body,
+        length: span,
+        stiffness: ROPE_STIFFNESS
+    }));
+    return { bodies: segments, constraints };
+};
+
+// Everything a link's composite is built from, bar the bodies
+const linkKey = ({ type, a, b, point, length, stiffness, damping, segments }) =>
+    JSON.stringify([type, a, b, point, length, stiffness, damping, segments]);
+
+// The link's Matter.js composite, or null while one of its layers has no body
+export const buildLink = (link, bodies) => {
+    const bodyA = bodies.get(link.a);
+    const bodyB = link.type === 'pin' ? null : bodies.get(link.b);
+    if (!bodyA || (link.type !== 'pin' && !bodyB)) return null;
+
+    let parts;
+    if (link.type === 'rope') {
+        parts = ropeParts(link, bodyA, bodyB);
+    } else {
+        const spring = link.type === 'spring';
+        parts = {
+            bodies: [],
+            constraints: [Matter.Constraint.create({
+                bodyA,
+                ...(bodyB ? { bodyB } : { pointB: { ...link.point } }),
+                length: link.length,
+                stiffness: spring ? link.stiffness : 1,
+                damping: spring ? link.damping : 0
+            })]
+        };
+    }
+    return Matter.Composite.create({ ...parts, plugin: { linkId: link.id, linkType: link.type, linkKey: linkKey(link) } });
+};
+
+const linkComposites = (engine) => Matter.Composite.allComposites(engine.world).filter(c => c.plugin?.linkId != null);
+
+// Whether `composite` was built from `link` as it is now, between the bodies
+// its layers have now
+const isBuiltFrom = (composite, link, bodies) => {
+    const { constraints, plugin } = composite;
+    return plugin.linkKey === linkKey(link)
+        && constraints[0].bodyA === bodies.get(link.a)
+        && (constraints.at(-1).bodyB ?? null) === (link.type === 'pin' ? null : bodies.get(link.b) ?? null);
+};
+
+// Brings the world's link composites in line with `links`: ones for links
+// that are gone or have changed are removed, new ones built, and the rest
+// left alone
+export const syncLinks = (engine, links) => {
+    const bodies = layerBodies(engine);
+    const wanted = new Map(links.map(link => [link.id, link]));
+    const kept = new Set();
+    const stale = linkComposites(engine).filter(composite => {
+        const link = wanted.get(composite.plugin.linkId);
+        if (!link || !isBuiltFrom(composite, link, bodies)) return true;
+        kept.add(link.id);
+        return false;
+    });
+    if (stale.length) Matter.Composite.remove(engine.world, stale);
+    const built = links.filter(link => !kept.has(link.id)).map(link => buildLink(link, bodies)).filter(Boolean);
+    if (built.length) Matter.Composite.add(engine.world, built);
+};
+
+// Each link's path for drawing: its end points, with a rope's segments
+// in between
+export const linkGuides = (engine) => linkComposites(engine).map(composite => {
+    const constraints = composite.constraints;
+    return {
+        id: composite.plugin.linkId,
+        type: composite.plugin.linkType,
+        points: [Matter.Constraint.pointAWorld(constraints[0]), ...constraints.map(Matter.Constraint.pointBWorld)]
+    };
+});
+
+// Force a field puts on a body: towards the field (away for a repulsor),
+// in proportion to the body's mass, strongest at the centre and fading to
+// nothing at the radius
+export const fieldForce = ({ type, x, y, strength, radius }, body) => {
+    const dx = x - body.position.x;
+    const dy = y - body.position.y;
+    const distance = Math.hypot(dx, dy);
+    if (!distance || distance >= radius) return { x: 0, y: 0 };
+    const magnitude = (type === 'repel' ? -1 : 1) * strength * FIELD_FORCE * body.mass * (1 - distance / radius);
+    return { x: (dx / distance) * magnitude, y: (dy / distance) * magnitude };
+};
+
+// Pushes every free layer body by every field; called before each step
+export const applyFields = (engine, fields) => {
+    if (!fields.length) return;
+    for (const body of layerBodies(engine).values()) {
+        if (body.isStatic) continue;
+        for (const field of fields) {
+            const force = fieldForce(field, body);
+            if (force.x || force.y) Matter.Body.applyForce(body, body.position, force);
+        }
+    }
+};
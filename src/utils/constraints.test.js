@@ -0,0 +1,199 @@
+/**
+ * Tests for src/utils/constraints.js
+ *
+ * Links and fields act on real Matter.js bodies tagged with layer ids, as
+ * PhysicsElement tags them.
+ */
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+  DEFAULT_FIELD,
+  createLink,
+  createField,
+  buildLink,
+  syncLinks,
+  linkGuides,
+  fieldForce,
+  applyFields,
+} from './constraints.js';
+import { layerBodies } from './motionExport.js';
+import { stepWorld } from './physicsSettings.js';
+
+// Layers 1 and 2, 200 apart, in a world with gravity
+function makeEngine(gravity = 1) {
+  const engine = Matter.Engine.create({ gravity: { x: 0, y: gravity } });
+  const a = Matter.Bodies.rectangle(0, 0, 40, 40, { plugin: { layerId: 1 } });
+  const b = Matter.Bodies.rectangle(200, 0, 40, 40, { plugin: { layerId: 2 } });
+  Matter.Composite.add(engine.world, [a, b]);
+  return { engine, a, b };
+}
+
+const run = (engine, steps) => {
+  for (let i = 0; i < steps; i++) stepWorld(engine);
+};
+
+const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+const linkCount = (engine) => Matter.Composite.allComposites(engine.world).filter(c => c.plugin?.linkId != null).length;
+
+// ─── Links ────────────────────────────────────────────────────────────────────
+
+describe('createLink', () => {
+  it('rests at the distance between the layers now', () => {
+    const { engine } = makeEngine();
+    const link = createLink('rod', engine, { a: 1, b: 2 });
+    expect(link).toMatchObject({ type: 'rod', a: 1, b: 2, point: null });
+    expect(link.length).toBeCloseTo(200, 9);
+  });
+
+  it('measures a pin to its world point', () => {
+    const { engine } = makeEngine();
+    const link = createLink('pin', engine, { a: 1, b: 2, point: { x: 0, y: -150 } });
+    expect(link.b).toBeNull();
+    expect(link.length).toBeCloseTo(150, 9);
+  });
+
+  it('is null for a layer without a body', () => {
+    const { engine } = makeEngine();
+    expect(createLink('spring', engine, { a: 1, b: 9 })).toBeNull();
+  });
+});
+
+describe('buildLink', () => {
+  it('holds a rod at its length while the bodies fall and turn', () => {
+    const { engine, a, b } = makeEngine();
+    Matter.Body.setStatic(a, true);
+    syncLinks(engine, [createLink('rod', engine, { a: 1, b: 2 })]);
+    run(engine, 120);
+    expect(distance(a.position, b.position)).toBeCloseTo(200, 0);
+    expect(b.position.y).toBeGreaterThan(50);
+  });
+
+  it('lets a spring stretch', () => {
+    const { engine, a, b } = makeEngine();
+    Matter.Body.setStatic(a, true);
+    const link = { ...createLink('spring', engine, { a: 1, b: 2 }), stiffness: 0.002 };
+    syncLinks(engine, [link]);
+    run(engine, 60);
+    expect(distance(a.position, b.position)).toBeGreaterThan(205);
+  });
+
+  it('hangs a pinned layer below its point', () => {
+    const { engine, a } = makeEngine();
+    syncLinks(engine, [createLink('pin', engine, { a: 1, point: { x: 100, y: 0 } })]);
+    run(engine, 600);
+    expect(a.position.x).toBeCloseTo(100, -1);
+    expect(a.position.y).toBeCloseTo(100, -1);
+  });
+
+  it('strings a rope of segments that collide with nothing', () => {
+    const { engine } = makeEngine();
+    const link = createLink('rope', engine, { a: 1, b: 2 });
+    const rope = buildLink(link, layerBodies(engine));
+    expect(rope.bodies).toHaveLength(link.segments);
+    expect(rope.constraints).toHaveLength(link.segments + 1);
+    expect(rope.bodies.every(body => body.collisionFilter.mask === 0)).toBe(true);
+    expect(rope.plugin).toEqual({ linkId: link.id, linkType: 'rope', linkKey: expect.any(String) });
+  });
+
+  it('waits for both layers to have bodies', () => {
+    const { engine } = makeEngine();
+    const link = createLink('rod', engine, { a: 1, b: 2 });
+    expect(buildLink({ ...link, b: 9 }, layerBodies(engine))).toBeNull();
+  });
+});
+
+describe('syncLinks', () => {
+  it('replaces the built links rather than adding to them', () => {
+    const { engine } = makeEngine();
+    const links = [createLink('rod', engine, { a: 1, b: 2 }), createLink('rope', engine, { a: 2, b: 1 })];
+    syncLinks(engine, links);
+    syncLinks(engine, links);
+    expect(linkCount(engine)).toBe(2);
+    syncLinks(engine, links.slice(1));
+    expect(linkCount(engine)).toBe(1);
+    syncLinks(engine, []);
+    expect(linkCount(engine)).toBe(0);
+    expect(Matter.Composite.allBodies(engine.world)).toHaveLength(2);
+  });
+
+  const composites = (engine) => new Map(Matter.Composite.allComposites(engine.world).map(c => [c.plugin.linkId, c]));
+
+  it('leaves links that have not changed as they are', () => {
+    const { engine } = makeEngine();
+    const rope = createLink('rope', engine, { a: 1, b: 2 });
+    syncLinks(engine, [rope]);
+    run(engine, 30);
+    const built = composites(engine).get(rope.id);
+    const sag = built.bodies.map(body => body.position.y);
+    expect(Math.max(...sag)).toBeGreaterThan(1);
+
+    syncLinks(engine, [{ ...rope }, createLink('rod', engine, { a: 1, b: 2 })]);
+    expect(composites(engine).get(rope.id)).toBe(built);
+    expect(built.bodies.map(body => body.position.y)).toEqual(sag);
+  });
+
+  it('rebuilds a link when it changes or a body at its end is replaced', () => {
+    const { engine, b } = makeEngine();
+    const spring = createLink('spring', engine, { a: 1, b: 2 });
+    syncLinks(engine, [spring]);
+    const first = composites(engine).get(spring.id);
+
+    syncLinks(engine, [{ ...spring, stiffness: 0.1 }]);
+    const stiffer = composites(engine).get(spring.id);
+    expect(stiffer).not.toBe(first);
+    expect(stiffer.constraints[0].stiffness).toBe(0.1);
+
+    Matter.Composite.remove(engine.world, b);
+    const replacement = Matter.Bodies.rectangle(200, 0, 40, 40, { plugin: { layerId: 2 } });
+    Matter.Composite.add(engine.world, replacement);
+    syncLinks(engine, [{ ...spring, stiffness: 0.1 }]);
+    expect(linkCount(engine)).toBe(1);
+    expect(composites(engine).get(spring.id).constraints[0].bodyB).toBe(replacement);
+  });
+});
+
+describe('linkGuides', () => {
+  it('runs from one end to the other, through a rope\'s segments', () => {
+    const { engine } = makeEngine();
+    const rod = createLink('rod', engine, { a: 1, b: 2 });
+    const rope = createLink('rope', engine, { a: 1, b: 2 });
+    syncLinks(engine, [rod, rope]);
+    const [rodGuide, ropeGuide] = linkGuides(engine);
+    expect(rodGuide).toEqual({ id: rod.id, type: 'rod', points: [{ x: 0, y: 0 }, { x: 200, y: 0 }] });
+    expect(ropeGuide.points).toHaveLength(rope.segments + 2);
+    expect(ropeGuide.points[1].x).toBeCloseTo(200 / (rope.segments + 1), 9);
+  });
+});
+
+// ─── Fields ───────────────────────────────────────────────────────────────────
+
+describe('fieldForce', () => {
+  const body = Matter.Bodies.rectangle(100, 0, 20, 20);
+
+  it('pulls towards an attractor and pushes from a repulsor', () => {
+    const pull = fieldForce(createField('attract', { x: 0, y: 0 }), body);
+    const push = fieldForce(createField('repel', { x: 0, y: 0 }), body);
+    expect(pull.x).toBeLessThan(0);
+    expect(pull.y).toBeCloseTo(0, 12);
+    expect(push.x).toBeCloseTo(-pull.x, 12);
+  });
+
+  it('fades to nothing at the radius', () => {
+    const field = createField('attract', { x: 0, y: 0 });
+    const near = fieldForce(field, body);
+    const edge = fieldForce({ ...field, radius: 100 }, body);
+    expect(Math.abs(near.x)).toBeCloseTo(DEFAULT_FIELD.strength * 0.001 * body.mass * (1 - 100 / DEFAULT_FIELD.radius), 12);
+    expect(edge).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('applyFields', () => {
+  it('draws free layers in and leaves static ones', () => {
+    const { engine, a, b } = makeEngine(0);
+    Matter.Body.setStatic(a, true);
+    applyFields(engine, [{ ...createField('attract', { x: 100, y: 100 }), radius: 1000 }]);
+    expect(a.force).toEqual({ x: 0, y: 0 });
+    expect(b.force.x).toBeLessThan(0);
+    expect(b.force.y).toBeGreaterThan(0);
+  });
+});
@@ -1,3 +1,7 @@
+import { DEFAULT_KERNEL, getKernel } from './kernels';
+import { DEFAULT_THRESHOLD_MAP, getThresholdMap, shiftThresholdMap } from './thresholdMaps';
+import { createPaletteMatcher } from './colors';
+
 export const hexToRgb = (hex) => {
     if (hex === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -9,67 +13,186 @@ export const hexToRgb = (hex) => {
     } : { r: 0, g: 0, b: 0, a: 255 };
 };
 
-export const applyAtkinsonDither = (imageData, threshold, isTriColor = true) => {
+const quantizeLuma = (value, threshold, isTriColor) => {
+    if (isTriColor) {
+        if (value < 85) return 0;
+        if (value < 170) return 128;
+        return 255;
+    }
+    return value < threshold ? 0 : 255;
+};
+
+const writePaletteColor = (data, idx, rgb) => {
+    data[idx] = rgb[0];
+    data[idx + 1] = rgb[1];
+    data[idx + 2] = rgb[2];
+    data[idx + 3] = data[idx + 3] < 128 ? 0 : 255;
+};
+
+// Threshold jitter at (x, y) from a `noise` tile ({ size, thresholds, amount }),
+// up to ±amount/2 levels
+const noiseAt = (noise, x, y) => (noise
+    ? (noise.thresholds[(y % noise.size) * noise.size + (x % noise.size)] - 0.5) * noise.amount
+    : 0);
+
+// Palette variant of the diffusion core: every channel carries its own
+// error and pixels snap to the perceptually nearest palette entry.
+const diffuseToPalette = (imageData, { palette, metric, contrast, offsets, divisor, serpentine, noise }) => {
+    const { data, width, height } = imageData;
+    const match = createPaletteMatcher(palette, metric);
+
+    const buf = new Float32Array(width * height * 3);
+    for (let i = 0, p = 0; i < data.length; i += 4, p += 3) {
+        buf[p] = (data[i] - 128) * contrast + 128;
+        buf[p + 1] = (data[i + 1] - 128) * contrast + 128;
+        buf[p + 2] = (data[i + 2] - 128) * contrast + 128;
+    }
+
+    for (let y = 0; y < height; y++) {
+        const reverse = serpentine && y % 2 === 1;
+        const dir = reverse ? -1 : 1;
+
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const p = (y * width + x) * 3;
+            const r = Math.max(0, Math.min(255, buf[p]));
+            const g = Math.max(0, Math.min(255, buf[p + 1]));
+            const b = Math.max(0, Math.min(255, buf[p + 2]));
+            const t = noiseAt(noise, x, y);
+            const chosen = match.rgb[match(r + t, g + t, b + t)];
+            writePaletteColor(data, (y * width + x) * 4, chosen);
+
+            const er = r - chosen[0];
+            const eg = g - chosen[1];
+            const eb = b - chosen[2];
+            if (er === 0 && eg === 0 && eb === 0) continue;
+
+            for (let k = 0; k < offsets.length; k++) {
+                const [dx, dy, weight] = offsets[k];
+                const nx = x + dx * dir;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                const q = (ny * width + nx) * 3;
+                const w = weight / divisor;
+                buf[q] += er * w;
+                buf[q + 1] += eg * w;
+                buf[q + 2] += eb * w;
+            }
+        }
+    }
+    return imageData;
+};
+
+// Generic error-diffusion core, driven by a kernel from DIFFUSION_KERNELS.
+// Error is accumulated in a float buffer so large kernels don't lose
+// precision to Uint8ClampedArray rounding between neighbours.
+// Passing a `palette` (array of hex) switches to per-channel colour output.
+// A `noise` tile jitters where each pixel rounds; the error is still taken
+// from the unjittered value, so the tones stay true.
+export const applyErrorDiffusion = (imageData, {
+    threshold = 128,
+    isTriColor = true,
+    kernel = DEFAULT_KERNEL,
+    serpentine = false,
+    palette,
+    metric = 'oklab',
+    contrast = 1,
+    noise = null
+} = {}) => {
     const data = imageData.data;
     const width = imageData.width;
     const height = imageData.height;
+    const { divisor, offsets } = typeof kernel === 'string' ? getKernel(kernel) : kernel;
 
-    // First pass: grayscale luma
-    for (let i = 0; i < data.length; i += 4) {
-        const luma = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-        data[i] = data[i + 1] = data[i + 2] = luma;
+    if (palette?.length) {
+        return diffuseToPalette(imageData, { palette, metric, contrast, offsets, divisor, serpentine, noise });
+    }
+
+    const luma = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        luma[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
     }
 
     for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-            const oldPixel = data[idx];
+        const reverse = serpentine && y % 2 === 1;
+        const dir = reverse ? -1 : 1;
 
-            let newPixel;
-            if (isTriColor) {
-                if (oldPixel < 85) newPixel = 0;
-                else if (oldPixel < 170) newPixel = 128;
-                else newPixel = 255;
-            } else {
-                newPixel = oldPixel < threshold ? 0 : 255;
-            }
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const p = y * width + x;
+            const oldPixel = Math.max(0, Math.min(255, luma[p]));
+            const newPixel = noise
+                ? quantizeLuma(Math.max(0, Math.min(255, oldPixel + noiseAt(noise, x, y))), threshold, isTriColor)
+                : quantizeLuma(oldPixel, threshold, isTriColor);
 
+            const idx = p * 4;
             data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
 
             const quantError = oldPixel - newPixel;
-            const errorFraction = quantError / 8;
+            if (quantError === 0) continue;
 
-            if (x + 1 < width) data[idx + 4] += errorFraction;
-            if (x + 2 < width) data[idx + 8] += errorFraction;
-            if (x - 1 >= 0 && y + 1 < height) data[idx - 4 + width * 4] += errorFraction;
-            if (y + 1 < height) data[idx + width * 4] += errorFraction;
-            if (x + 1 < width && y + 1 < height) data[idx + 4 + width * 4] += errorFraction;
-            if (y + 2 < height) data[idx + width * 8] += errorFraction;
-
-            for (let j = 0; j < 3; j++) data[idx + j] = Math.max(0, Math.min(255, data[idx + j]));
+            for (let k = 0; k < offsets.length; k++) {
+                const [dx, dy, weight] = offsets[k];
+                const nx = x + dx * dir;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                luma[ny * width + nx] += (quantError * weight) / divisor;
+            }
         }
     }
     return imageData;
 };
 
-export const applyHalftoneDither = (imageData, contrast, isTriColor = true) => {
+export const applyAtkinsonDither = (imageData, threshold, isTriColor = true) =>
+    applyErrorDiffusion(imageData, { threshold, isTriColor, kernel: 'atkinson' });
+
+// Ordered dithering against any threshold map from thresholdMaps.js.
+// `offset` ({ x, y }) scrolls the map that many cells.
+export const applyOrderedDither = (imageData, {
+    contrast = 1,
+    isTriColor = true,
+    thresholdMap = DEFAULT_THRESHOLD_MAP,
+    thresholdSize,
+    angle = 0,
+    palette,
+    metric = 'oklab',
+    offset = null
+} = {}) => {
     const data = imageData.data;
     const width = imageData.width;
     const height = imageData.height;
+    const { size, thresholds } = shiftThresholdMap(getThresholdMap(thresholdMap, thresholdSize), offset?.x, offset?.y);
+
+    // Rotating the lookup turns the tile into a screen at `angle` degrees
+    const theta = (angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const wrap = (v) => ((v % size) + size) % size;
 
-    const bayer = [
-        [0, 8, 2, 10],
-        [12, 4, 14, 6],
-        [3, 11, 1, 9],
-        [15, 7, 13, 5]
-    ];
+    // With a palette, the threshold nudges each channel by up to ±spread/2
+    // before matching; fewer colours need a wider nudge to blend.
+    const match = palette?.length ? createPaletteMatcher(palette, metric) : null;
+    const spread = match ? 255 / Math.cbrt(palette.length) : 0;
 
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             const idx = (y * width + x) * 4;
-            const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+            const tx = angle ? wrap(Math.floor(x * cos + y * sin)) : x % size;
+            const ty = angle ? wrap(Math.floor(y * cos - x * sin)) : y % size;
 
-            const bayerVal = (bayer[y % 4][x % 4] / 16) * 255;
+            if (match) {
+                const t = (thresholds[ty * size + tx] - 0.5) * spread;
+                const chosen = match.rgb[match(
+                    (data[idx] - 128) * contrast + 128 + t,
+                    (data[idx + 1] - 128) * contrast + 128 + t,
+                    (data[idx + 2] - 128) * contrast + 128 + t
+                )];
+                writePaletteColor(data, idx, chosen);
+                continue;
+            }
+
+            const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+            const bayerVal = thresholds[ty * size + tx] * 255;
             const adjustedLuma = (luma - 128) * contrast + 128;
 
             let newPixel;
@@ -95,6 +218,9 @@ export const applyHalftoneDither = (imageData, contrast, isTriColor = true) => {
     return imageData;
 };
 
+export const applyHalftoneDither = (imageData, contrast, isTriColor = true, offset = null) =>
+    applyOrderedDither(imageData, { contrast, isTriColor, thresholdMap: 'bayer', thresholdSize: 4, offset });
+
 export const applyColorMap = (imageData, colors) => {
     const data = imageData.data;
     const { shadow = '#000000', midtone, highlight = '#ffffff' } = colors || {};
@@ -131,36 +257,3 @@ export const applyColorMap = (imageData, colors) => {
     }
     return imageData;
 };
-
-export const generateSVG = (imageData, pixelScale, colors) => {
-    const { width, height, data } = imageData;
-    const { shadow, midtone, highlight } = colors;
-
-    let svgContent = `<svg width="${width * pixelScale}" height="${height * pixelScale}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`;
-
-    // Optional background
-    if (highlight && highlight !== 'transparent') {
-        svgContent += `<rect width="${width}" height="${height}" fill="${highlight}" />`;
-    }
-
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-            const r = data[idx];
-            const g = data[idx + 1];
-            const b = data[idx + 2];
-            const a = data[idx + 3];
-
-            if (a === 0) continue;
-
-            const color = `rgb(${r},${g},${b})`;
-            // Only draw if not the background color
-            if (color !== highlight) {
-                svgContent += `<rect x="${x}" y="${y}" width="1.1" height="1.1" fill="${color}" />`;
-            }
-        }
-    }
-
-    svgContent += `</svg>`;
-    return svgContent;
-};
@@ -0,0 +1,104 @@
+import { renderEffect } from './pipeline';
+import { createCanvas, canvasToBlob } from './canvas';
+
+// One renderer per layer. Jobs run in a dedicated worker when the browser
+// supports OffscreenCanvas; starting a new job while a full render is running
+// terminates the worker, so a stale render never finishes after a newer one.
+// Proxy jobs are cheap, so a superseded proxy is left to finish and its
+// result dropped. The worker keeps the decoded source between jobs and only
+// receives a new bitmap when the source changes or the worker is replaced.
+// Without worker support the same pipeline runs on the main thread.
+
+export const supportsWorkerRendering = () =>
+    typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+const spawnWorker = () => new Worker(new URL('../workers/effect.worker.js', import.meta.url), { type: 'module' });
+
+// Resolves with { blob, histogram }, or null if the job was superseded or
+// there was nothing to render.
+export const createEffectRenderer = () => {
+    let worker = null;
+    let workerSource = null; // source whose bitmap the current worker holds
+    let pending = null; // { id, resolve, reject, onProgress, proxy }
+    let nextId = 0;
+
+    const settle = () => {
+        const job = pending;
+        pending = null;
+        return job;
+    };
+
+    const cancel = () => {
+        if (!pending) return;
+        if (!pending.proxy) {
+            // A synchronous pipeline can't be interrupted, so drop the worker
+            worker?.terminate();
+            worker = null;
+            workerSource = null;
+        }
+        settle().resolve(null);
+    };
+
+    const ensureWorker = () => {
+        if (worker) return worker;
+        worker = spawnWorker();
+        worker.onmessage = ({ data }) => {
+            if (!pending || data.id !== pending.id) return;
+            if (data.type === 'progress') {
+                pending.onProgress?.(data.progress);
+            } else if (data.type === 'done') {
+                settle().resolve(data.blob ? { blob: data.blob, histogram: data.histogram } : null);
+            } else if (data.type === 'error') {
+                settle().reject(new Error(data.message));
+            }
+        };
+        worker.onerror = (e) => {
+            worker = null;
+            workerSource = null;
+            if (pending) settle().reject(new Error(e.message || 'Effect worker failed'));
+        };
+        return worker;
+    };
+
+    const renderOnMainThread = async (source, settings, onProgress) => {
+        const canvas = createCanvas(1, 1);
+        const result = await renderEffect(source, settings, canvas, onProgress);
+        if (!result) return null;
+        return { blob: await canvasToBlob(canvas), histogram: result.histogram };
+    };
+
+    // `source` is a loaded HTMLImageElement. Pass `{ proxy: true }` for
+    // quick low-resolution passes that needn't be interrupted.
+    const render = async (source, settings, onProgress, { proxy = false } = {}) => {
+        cancel();
+        const id = ++nextId;
+        if (!supportsWorkerRendering()) return renderOnMainThread(source, settings, onProgress);
+
+        const bitmap = workerSource === source && worker ? null : await createImageBitmap(source);
+        // A newer render may have started while the bitmap was decoding
+        if (id !== nextId) {
+            bitmap?.close();
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            pending = { id, resolve, reject, onProgress, proxy };
+            const target = ensureWorker();
+            if (bitmap) {
+                target.postMessage({ id, bitmap, settings }, [bitmap]);
+                workerSource = source;
+            } else {
+                target.postMessage({ id, settings });
+            }
+        });
+    };
+
+    const dispose = () => {
+        cancel();
+        nextId++;
+        worker?.terminate();
+        worker = null;
+        workerSource = null;
+    };
+
+    return { render, cancel, dispose };
+};
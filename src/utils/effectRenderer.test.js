@@ -0,0 +1,162 @@
+/**
+ * Tests for src/utils/effectRenderer.js
+ *
+ * jsdom has no Worker, OffscreenCanvas or createImageBitmap, so they are
+ * stubbed with a fake worker that records messages and replies on demand.
+ * This covers the job bookkeeping: progress, results and cancellation.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createEffectRenderer, supportsWorkerRendering } from './effectRenderer.js';
+
+let workers;
+
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    workers.push(this);
+  }
+  postMessage(message) { this.messages.push(message); }
+  terminate() { this.terminated = true; }
+  reply(data) { this.onmessage({ data }); }
+}
+
+const fakeBitmap = () => ({ width: 4, height: 4, close: vi.fn() });
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  workers = [];
+  vi.stubGlobal('Worker', FakeWorker);
+  vi.stubGlobal('OffscreenCanvas', class {});
+  vi.stubGlobal('createImageBitmap', vi.fn(async () => fakeBitmap()));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// ─── createEffectRenderer ─────────────────────────────────────────────────────
+
+describe('createEffectRenderer', () => {
+  it('detects worker support', () => {
+    expect(supportsWorkerRendering()).toBe(true);
+  });
+
+  it('posts the bitmap as a transferable and resolves with the result', async () => {
+    const renderer = createEffectRenderer();
+    const onProgress = vi.fn();
+    const job = renderer.render({}, { effectType: 'diffusion' }, onProgress);
+    await settle();
+
+    const [worker] = workers;
+    const { id, bitmap, settings } = worker.messages[0];
+    expect(settings.effectType).toBe('diffusion');
+    expect(bitmap.width).toBe(4);
+
+    worker.reply({ id, type: 'progress', progress: 0.5 });
+    const blob = new Blob(['png']);
+    const histogram = new Uint32Array(256);
+    worker.reply({ id, type: 'done', blob, histogram });
+
+    expect(onProgress).toHaveBeenCalledWith(0.5);
+    await expect(job).resolves.toEqual({ blob, histogram });
+    renderer.dispose();
+  });
+
+  it('terminates the worker when a newer job supersedes a running one', async () => {
+    const renderer = createEffectRenderer();
+    const first = renderer.render({}, { pixelScale: 1 });
+    await settle();
+    const second = renderer.render({}, { pixelScale: 2 });
+    await settle();
+
+    await expect(first).resolves.toBeNull();
+    expect(workers[0].terminated).toBe(true);
+    expect(workers).toHaveLength(2);
+
+    const { id } = workers[1].messages[0];
+    workers[1].reply({ id, type: 'done', blob: new Blob(['x']), histogram: new Uint32Array(256) });
+    await expect(second).resolves.not.toBeNull();
+    renderer.dispose();
+  });
+
+  it('drops a job whose bitmap finished decoding after a newer render started', async () => {
+    const renderer = createEffectRenderer();
+    const first = renderer.render({}, {});
+    const second = renderer.render({}, {});
+    await settle();
+
+    await expect(first).resolves.toBeNull();
+    expect(workers).toHaveLength(1);
+    expect(workers[0].messages).toHaveLength(1);
+    renderer.dispose();
+    await expect(second).resolves.toBeNull();
+  });
+
+  it('sends the source bitmap only when the source changes', async () => {
+    const renderer = createEffectRenderer();
+    const source = {};
+    const reply = (worker) => {
+      const { id } = worker.messages.at(-1);
+      worker.reply({ id, type: 'done', blob: new Blob(['x']), histogram: new Uint32Array(256) });
+    };
+
+    const first = renderer.render(source, {});
+    await settle();
+    reply(workers[0]);
+    await first;
+
+    const second = renderer.render(source, { pixelScale: 2 });
+    await settle();
+    reply(workers[0]);
+    await second;
+
+    expect(workers).toHaveLength(1);
+    expect(workers[0].messages[0].bitmap).toBeDefined();
+    expect(workers[0].messages[1].bitmap).toBeUndefined();
+    expect(createImageBitmap).toHaveBeenCalledTimes(1);
+    renderer.dispose();
+  });
+
+  it('lets a superseded proxy job finish instead of terminating the worker', async () => {
+    const renderer = createEffectRenderer();
+    const source = {};
+    const proxy = renderer.render(source, { sampleScale: 0.25 }, null, { proxy: true });
+    await settle();
+    const full = renderer.render(source, {});
+    await settle();
+
+    await expect(proxy).resolves.toBeNull();
+    expect(workers).toHaveLength(1);
+    expect(workers[0].terminated).toBe(false);
+
+    // The late proxy reply is ignored; the full render's reply is used
+    const [{ id: proxyId }, { id: fullId }] = workers[0].messages;
+    workers[0].reply({ id: proxyId, type: 'done', blob: new Blob(['proxy']), histogram: null });
+    const blob = new Blob(['full']);
+    workers[0].reply({ id: fullId, type: 'done', blob, histogram: null });
+    await expect(full).resolves.toEqual({ blob, histogram: null });
+    renderer.dispose();
+  });
+
+  it('rejects when the worker reports an error', async () => {
+    const renderer = createEffectRenderer();
+    const job = renderer.render({}, {});
+    await settle();
+    const { id } = workers[0].messages[0];
+    workers[0].reply({ id, type: 'error', message: 'boom' });
+    await expect(job).rejects.toThrow('boom');
+    renderer.dispose();
+  });
+
+  it('ignores replies for stale job ids', async () => {
+    const renderer = createEffectRenderer();
+    const job = renderer.render({}, {});
+    await settle();
+    const { id } = workers[0].messages[0];
+    workers[0].reply({ id: id + 99, type: 'done', blob: new Blob(['stale']), histogram: null });
+    workers[0].reply({ id, type: 'done', blob: null, histogram: null });
+    await expect(job).resolves.toBeNull();
+    renderer.dispose();
+  });
+});
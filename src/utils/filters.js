@@ -0,0 +1,362 @@
+import { hexToRgb } from './dither';
+import { createCanvas } from './canvas';
+
+// Pre-dither filter chain. Downscaling happens here instead of through the
+// browser's drawImage so the kernel is predictable, then optional smoothing
+// and sharpening run at the dither resolution. Edges are detected after the
+// tone stage and stamped back over the dithered result in the shadow colour.
+
+export const RESAMPLE_METHODS = {
+    browser: 'Browser Default',
+    area: 'Area Average',
+    lanczos: 'Lanczos-3'
+};
+
+export const EDGE_MODES = {
+    off: 'No Edges',
+    sobel: 'Sobel',
+    canny: 'Canny'
+};
+
+export const DEFAULT_FILTERS = {
+    resample: 'browser',  // key into RESAMPLE_METHODS
+    sharpen: 0,           // unsharp mask amount, 0 … 100 %
+    smooth: 0,            // bilateral strength, 0 … 100 %
+    edges: 'off',         // key into EDGE_MODES
+    edgeSensitivity: 50   // 0 … 100 %
+};
+
+const luma = (data, i) => data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+
+// ── Resampling ─────────────────────────────────────────────────────────────
+
+// Box filter over each output pixel's footprint, alpha-weighted so
+// transparent pixels don't bleed dark fringes into the edges.
+const resampleArea = ({ width, height, data }, w, h) => {
+    const out = new Uint8ClampedArray(w * h * 4);
+    const sx = width / w;
+    const sy = height / h;
+    for (let oy = 0; oy < h; oy++) {
+        const y0 = Math.floor(oy * sy);
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((oy + 1) * sy)));
+        for (let ox = 0; ox < w; ox++) {
+            const x0 = Math.floor(ox * sx);
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((ox + 1) * sx)));
+            let r = 0, g = 0, b = 0, a = 0, n = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    const alpha = data[i + 3];
+                    r += data[i] * alpha;
+                    g += data[i + 1] * alpha;
+                    b += data[i + 2] * alpha;
+                    a += alpha;
+                    n++;
+                }
+            }
+            const o = (oy * w + ox) * 4;
+            if (a > 0) {
+                out[o] = r / a;
+                out[o + 1] = g / a;
+                out[o + 2] = b / a;
+            }
+            out[o + 3] = a / n;
+        }
+    }
+    return { width: w, height: h, data: out };
+};
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+const lanczos3 = (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0);
+
+// One separable Lanczos pass along a single axis, on premultiplied floats
+const lanczosPass = (src, srcLen, dstLen, lines, stride, step) => {
+    const scale = srcLen / dstLen;
+    const support = 3 * Math.max(1, scale);
+    const filterScale = 1 / Math.max(1, scale);
+    const out = new Float32Array(dstLen * lines * 4);
+
+    for (let d = 0; d < dstLen; d++) {
+        const centre = (d + 0.5) * scale - 0.5;
+        const lo = Math.max(0, Math.ceil(centre - support));
+        const hi = Math.min(srcLen - 1, Math.floor(centre + support));
+        const weights = [];
+        let total = 0;
+        for (let s = lo; s <= hi; s++) {
+            const w = lanczos3((s - centre) * filterScale);
+            weights.push(w);
+            total += w;
+        }
+        for (let line = 0; line < lines; line++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const i = (line * stride + (lo + k) * step) * 4;
+                const w = weights[k];
+                r += src[i] * w;
+                g += src[i + 1] * w;
+                b += src[i + 2] * w;
+                a += src[i + 3] * w;
+            }
+            const o = (step === 1 ? line * dstLen + d : d * lines + line) * 4;
+            out[o] = r / total;
+            out[o + 1] = g / total;
+            out[o + 2] = b / total;
+            out[o + 3] = a / total;
+        }
+    }
+    return out;
+};
+
+const resampleLanczos = ({ width, height, data }, w, h) => {
+    const pre = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3] / 255;
+        pre[i] = data[i] * a;
+        pre[i + 1] = data[i + 1] * a;
+        pre[i + 2] = data[i + 2] * a;
+        pre[i + 3] = data[i + 3];
+    }
+    // Rows first (width → w), then columns (height → h)
+    const horizontal = lanczosPass(pre, width, w, height, width, 1);
+    const vertical = lanczosPass(horizontal, height, h, w, 1, w);
+
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let i = 0; i < out.length; i += 4) {
+        const a = Math.max(0, Math.min(255, vertical[i + 3]));
+        const k = a > 0 ? 255 / a : 0;
+        out[i] = vertical[i] * k;
+        out[i + 1] = vertical[i + 1] * k;
+        out[i + 2] = vertical[i + 2] * k;
+        out[i + 3] = a;
+    }
+    return { width: w, height: h, data: out };
+};
+
+export const resampleImage = (imageData, w, h, method = 'area') => {
+    if (imageData.width === w && imageData.height === h) return imageData;
+    return method === 'lanczos' ? resampleLanczos(imageData, w, h) : resampleArea(imageData, w, h);
+};
+
+// Draws the image at w × h and returns its pixels as ImageData, letting the
+// browser scale only when that's what the layer asks for
+export const sampleImage = (img, w, h, method = 'browser') => {
+    if (method === 'browser' || (w === img.width && h === img.height)) {
+        const ctx = createCanvas(w, h).getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0, w, h);
+        return ctx.getImageData(0, 0, w, h);
+    }
+    const ctx = createCanvas(img.width, img.height).getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+    const resampled = resampleImage(ctx.getImageData(0, 0, img.width, img.height), w, h, method);
+    const out = ctx.createImageData(w, h);
+    out.data.set(resampled.data);
+    return out;
+};
+
+// ── Smoothing & sharpening ─────────────────────────────────────────────────
+
+const gaussianKernel = (sigma) => {
+    const radius = Math.max(1, Math.ceil(sigma * 2.5));
+    const kernel = [];
+    let total = 0;
+    for (let i = -radius; i <= radius; i++) {
+        const w = Math.exp(-(i * i) / (2 * sigma * sigma));
+        kernel.push(w);
+        total += w;
+    }
+    return { radius, kernel: kernel.map(w => w / total) };
+};
+
+// Separable Gaussian blur of the RGB channels into a new Float32Array
+const gaussianBlur = ({ width, height, data }, sigma) => {
+    const { radius, kernel } = gaussianKernel(sigma);
+    const tmp = new Float32Array(data.length);
+    const out = new Float32Array(data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < 3; c++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = Math.max(0, Math.min(width - 1, x + k));
+                    sum += data[(y * width + sx) * 4 + c] * kernel[k + radius];
+                }
+                tmp[(y * width + x) * 4 + c] = sum;
+            }
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < 3; c++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sy = Math.max(0, Math.min(height - 1, y + k));
+                    sum += tmp[(sy * width + x) * 4 + c] * kernel[k + radius];
+                }
+                out[(y * width + x) * 4 + c] = sum;
+            }
+        }
+    }
+    return out;
+};
+
+export const unsharpMask = (imageData, { amount = 1, radius = 1, threshold = 0 } = {}) => {
+    const { data } = imageData;
+    const blurred = gaussianBlur(imageData, radius);
+    for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const diff = data[i + c] - blurred[i + c];
+            if (Math.abs(diff) >= threshold) data[i + c] = data[i + c] + diff * amount;
+        }
+    }
+    return imageData;
+};
+
+// Edge-preserving smoothing: neighbours are weighted by distance and by how
+// close their colour is, so flat areas calm down while outlines stay put.
+export const bilateralFilter = (imageData, { radius = 2, sigmaSpace = 2, sigmaColor = 25 } = {}) => {
+    const { width, height, data } = imageData;
+    const src = data.slice();
+    const spatial = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            spatial.push([dx, dy, Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpace * sigmaSpace))]);
+        }
+    }
+    const colorDenom = 2 * sigmaColor * sigmaColor;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            let r = 0, g = 0, b = 0, total = 0;
+            for (const [dx, dy, ws] of spatial) {
+                const sx = Math.max(0, Math.min(width - 1, x + dx));
+                const sy = Math.max(0, Math.min(height - 1, y + dy));
+                const j = (sy * width + sx) * 4;
+                const dr = src[j] - src[i];
+                const dg = src[j + 1] - src[i + 1];
+                const db = src[j + 2] - src[i + 2];
+                const w = ws * Math.exp(-(dr * dr + dg * dg + db * db) / colorDenom);
+                r += src[j] * w;
+                g += src[j + 1] * w;
+                b += src[j + 2] * w;
+                total += w;
+            }
+            data[i] = r / total;
+            data[i + 1] = g / total;
+            data[i + 2] = b / total;
+        }
+    }
+    return imageData;
+};
+
+// ── Edge detection ─────────────────────────────────────────────────────────
+
+const sobel = (gray, width, height) => {
+    const magnitude = new Float32Array(width * height);
+    const direction = new Float32Array(width * height);
+    const at = (x, y) => gray[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+                - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+            const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+                - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+            magnitude[y * width + x] = Math.hypot(gx, gy);
+            direction[y * width + x] = Math.atan2(gy, gx);
+        }
+    }
+    return { magnitude, direction };
+};
+
+const grayToRgba = (gray) => {
+    const out = new Float32Array(gray.length * 4);
+    for (let i = 0; i < gray.length; i++) out[i * 4] = out[i * 4 + 1] = out[i * 4 + 2] = gray[i];
+    return out;
+};
+
+// Gradient magnitude a pixel needs to count as an edge at 0 % and 100 %
+const EDGE_THRESHOLD_RANGE = [480, 40];
+
+// Returns a Uint8Array mask, 1 where there's an edge
+export const detectEdges = (imageData, { method = 'sobel', sensitivity = 50 } = {}) => {
+    const { width, height, data } = imageData;
+    const [hiT, loT] = EDGE_THRESHOLD_RANGE;
+    const high = hiT + (loT - hiT) * (sensitivity / 100);
+
+    let gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) gray[i] = luma(data, i * 4);
+
+    if (method === 'canny') {
+        // Light blur first so noise doesn't turn into edges
+        const blurred = gaussianBlur({ width, height, data: grayToRgba(gray) }, 1);
+        gray = gray.map((_, i) => blurred[i * 4]);
+    }
+
+    const { magnitude, direction } = sobel(gray, width, height);
+    const mask = new Uint8Array(width * height);
+
+    if (method !== 'canny') {
+        for (let i = 0; i < mask.length; i++) mask[i] = magnitude[i] >= high ? 1 : 0;
+        return mask;
+    }
+
+    // Non-maximum suppression along the gradient direction
+    const thin = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const angle = ((direction[i] * 180) / Math.PI + 180) % 180;
+            let dx = 1, dy = 0;
+            if (angle >= 22.5 && angle < 67.5) { dx = 1; dy = 1; }
+            else if (angle >= 67.5 && angle < 112.5) { dx = 0; dy = 1; }
+            else if (angle >= 112.5 && angle < 157.5) { dx = -1; dy = 1; }
+            const m = magnitude[i];
+            // Strict on one side so a symmetric step keeps exactly one pixel
+            if (m >= magnitude[i + dy * width + dx] && m > magnitude[i - dy * width - dx]) thin[i] = m;
+        }
+    }
+
+    // Hysteresis: strong edges seed, weak edges survive only if connected
+    const low = high / 2;
+    const stack = [];
+    for (let i = 0; i < thin.length; i++) {
+        if (thin[i] >= high) { mask[i] = 1; stack.push(i); }
+    }
+    while (stack.length) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i / width) | 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const j = ny * width + nx;
+                if (!mask[j] && thin[j] >= low) { mask[j] = 1; stack.push(j); }
+            }
+        }
+    }
+    return mask;
+};
+
+// Paints masked pixels with a hex colour; 'transparent' knocks them out
+export const applyEdgeMask = (imageData, mask, color) => {
+    const { data } = imageData;
+    const { r, g, b, a } = hexToRgb(color);
+    for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) continue;
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+        data[i * 4 + 3] = a;
+    }
+    return imageData;
+};
+
+// Smoothing then sharpening, in place, driven by the layer's filter settings
+export const applyPreFilters = (imageData, filters) => {
+    const { smooth, sharpen } = { ...DEFAULT_FILTERS, ...filters };
+    if (smooth > 0) bilateralFilter(imageData, { radius: 2, sigmaSpace: 2, sigmaColor: 5 + (smooth / 100) * 45 });
+    if (sharpen > 0) unsharpMask(imageData, { amount: (sharpen / 100) * 2, radius: 1 });
+    return imageData;
+};
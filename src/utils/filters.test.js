@@ -0,0 +1,137 @@
+/**
+ * Tests for src/utils/filters.js
+ *
+ * sampleImage needs a real canvas, so the resamplers are tested directly
+ * through resampleImage on synthetic pixel buffers.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  resampleImage,
+  unsharpMask,
+  bilateralFilter,
+  detectEdges,
+  applyEdgeMask,
+  applyPreFilters,
+} from './filters.js';
+
+function makeImageData(width, height, fill = () => [128, 128, 128, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(fill(x, y), (y * width + x) * 4);
+  }
+  return { data, width, height };
+}
+
+// Left half black, right half white
+const split = (w) => (x) => (x < w / 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]);
+
+// ─── resampleImage ────────────────────────────────────────────────────────────
+
+describe('resampleImage', () => {
+  it('averages each footprint with the area filter', () => {
+    const checker = makeImageData(8, 8, (x, y) => ((x + y) % 2 ? [255, 255, 255, 255] : [0, 0, 0, 255]));
+    const out = resampleImage(checker, 4, 4, 'area');
+    expect(out.width).toBe(4);
+    for (let i = 0; i < out.data.length; i += 4) expect(out.data[i]).toBe(128);
+  });
+
+  it('does not darken pixels next to transparency', () => {
+    const img = makeImageData(4, 1, (x) => (x < 2 ? [255, 0, 0, 255] : [0, 0, 0, 0]));
+    const out = resampleImage(img, 1, 1, 'area');
+    expect([...out.data]).toEqual([255, 0, 0, 128]);
+  });
+
+  it('keeps flat colour flat with Lanczos', () => {
+    const out = resampleImage(makeImageData(30, 20, () => [40, 90, 200, 255]), 7, 5, 'lanczos');
+    for (let i = 0; i < out.data.length; i += 4) {
+      expect(Math.abs(out.data[i] - 40)).toBeLessThanOrEqual(1);
+      expect(Math.abs(out.data[i + 2] - 200)).toBeLessThanOrEqual(1);
+      expect(out.data[i + 3]).toBe(255);
+    }
+  });
+
+  it('preserves a hard edge with Lanczos', () => {
+    const out = resampleImage(makeImageData(40, 4, split(40)), 10, 1, 'lanczos');
+    expect(out.data[0]).toBeLessThan(10);
+    expect(out.data[9 * 4]).toBeGreaterThan(245);
+  });
+
+  it('returns the input when the size is unchanged', () => {
+    const img = makeImageData(3, 3);
+    expect(resampleImage(img, 3, 3, 'lanczos')).toBe(img);
+  });
+});
+
+// ─── Sharpen & smooth ─────────────────────────────────────────────────────────
+
+describe('unsharpMask', () => {
+  it('increases contrast across an edge', () => {
+    const img = makeImageData(10, 3, (x) => (x < 5 ? [100, 100, 100, 255] : [150, 150, 150, 255]));
+    unsharpMask(img, { amount: 1, radius: 1 });
+    expect(img.data[(10 + 4) * 4]).toBeLessThan(100);
+    expect(img.data[(10 + 5) * 4]).toBeGreaterThan(150);
+  });
+
+  it('leaves flat areas untouched', () => {
+    const img = makeImageData(6, 6);
+    unsharpMask(img, { amount: 2 });
+    expect(img.data.every((v, i) => v === (i % 4 === 3 ? 255 : 128))).toBe(true);
+  });
+});
+
+describe('bilateralFilter', () => {
+  it('smooths noise but keeps a strong edge', () => {
+    const img = makeImageData(12, 6, (x, y) => {
+      const base = x < 6 ? 40 : 220;
+      const v = base + ((x + y) % 2 ? 6 : -6);
+      return [v, v, v, 255];
+    });
+    bilateralFilter(img, { radius: 2, sigmaSpace: 2, sigmaColor: 20 });
+    const at = (x, y) => img.data[(y * 12 + x) * 4];
+    expect(Math.abs(at(2, 3) - at(3, 3))).toBeLessThan(6);
+    expect(at(5, 3)).toBeLessThan(60);
+    expect(at(6, 3)).toBeGreaterThan(200);
+  });
+});
+
+describe('applyPreFilters', () => {
+  it('is a no-op with default settings', () => {
+    const img = makeImageData(4, 4, split(4));
+    const copy = img.data.slice();
+    applyPreFilters(img, {});
+    expect(img.data).toEqual(copy);
+  });
+});
+
+// ─── Edges ────────────────────────────────────────────────────────────────────
+
+describe('detectEdges', () => {
+  it('finds the boundary with Sobel', () => {
+    const mask = detectEdges(makeImageData(10, 4, split(10)), { method: 'sobel' });
+    expect(mask[4]).toBe(1);
+    expect(mask[5]).toBe(1);
+    expect(mask[0]).toBe(0);
+    expect(mask[9]).toBe(0);
+  });
+
+  it('thins Canny edges to a single pixel', () => {
+    const mask = detectEdges(makeImageData(20, 10, split(20)), { method: 'canny' });
+    const row = [...mask.slice(5 * 20, 6 * 20)];
+    expect(row.reduce((a, b) => a + b, 0)).toBe(1);
+  });
+
+  it('reports nothing on a flat image', () => {
+    const mask = detectEdges(makeImageData(8, 8), { method: 'canny', sensitivity: 100 });
+    expect(mask.every(v => v === 0)).toBe(true);
+  });
+});
+
+describe('applyEdgeMask', () => {
+  it('paints masked pixels in the given colour', () => {
+    const img = makeImageData(2, 1);
+    applyEdgeMask(img, new Uint8Array([0, 1]), '#ff0000');
+    expect([...img.data]).toEqual([128, 128, 128, 255, 255, 0, 0, 255]);
+    applyEdgeMask(img, new Uint8Array([1, 0]), 'transparent');
+    expect(img.data[3]).toBe(0);
+  });
+});
@@ -0,0 +1,115 @@
+import { spriteCentre } from './collider';
+
+// Frames: layers grouped into one rigid body. A frame is itself a layer,
+// with `frame` set to { width, height, children, parts }, so it takes an
+// effect, body settings and exports like any other; its source image is its
+// children flattened together. The children stay in the layer list, marked
+// with the frame's `frameId`, and are drawn inside it. Everything in `frame`
+// is in world units around the frame's centre, as things lay when grouped:
+// each child's place ({ id, x, y, angle }, with the convex parts of its
+// collider) and all those parts together, which createColliderBody joins
+// into one compound body.
+
+// A body's convex pieces: the parts of a compound body, or the body itself
+const convexParts = (body) => (body.parts.length > 1 ? body.parts.slice(1) : [body]);
+
+// The frame around `bodies` (layer id → body) as they lie now, and where
+// its centre is: the middle of the box around all their colliders
+export const frameLayout = (bodies) => {
+    const points = [...bodies.values()].flatMap(body => convexParts(body).flatMap(part => part.vertices));
+    const minX = Math.min(...points.map(p => p.x));
+    const minY = Math.min(...points.map(p => p.y));
+    const maxX = Math.max(...points.map(p => p.x));
+    const maxY = Math.max(...points.map(p => p.y));
+    const x = (minX + maxX) / 2;
+    const y = (minY + maxY) / 2;
+
+    const children = [...bodies].map(([id, body]) => {
+        const centre = spriteCentre(body);
+        return {
+            id,
+            x: centre.x - x,
+            y: centre.y - y,
+            angle: body.angle,
+            parts: convexParts(body).map(part => part.vertices.map(v => ({ x: v.x - x, y: v.y - y })))
+        };
+    });
+    return {
+        x,
+        y,
+        frame: { width: maxX - minX, height: maxY - minY, children, parts: children.flatMap(child => child.parts) }
+    };
+};
+
+// Where each child is in the world with the frame's centre at `centre`,
+// turned by `angle`
+export const frameChildPoses = (frame, centre, angle = 0) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return frame.children.map(({ id, x, y, angle: childAngle }) => ({
+        id,
+        x: centre.x + x * cos - y * sin,
+        y: centre.y + x * sin + y * cos,
+        angle: angle + childAngle
+    }));
+};
+
+// The layer list with layers `ids` grouped into `frameLayer`, which goes
+// where the topmost of them was
+export const groupLayers = (layers, ids, frameLayer) => {
+    const top = Math.max(...ids.map(id => layers.findIndex(layer => layer.id === id)));
+    const grouped = layers.map(layer => (ids.includes(layer.id) ? { ...layer, frameId: frameLayer.id } : layer));
+    return [...grouped.slice(0, top + 1), frameLayer, ...grouped.slice(top + 1)];
+};
+
+// The layer list with frame `frameId` gone and its children free again,
+// each at its pose (see frameChildPoses)
+export const ungroupFrame = (layers, frameId, poses) => {
+    const byId = new Map(poses.map(pose => [pose.id, pose]));
+    return layers
+        .filter(layer => layer.id !== frameId)
+        .map(layer => {
+            if (layer.frameId !== frameId) return layer;
+            const { x, y, angle } = byId.get(layer.id) ?? layer;
+            return { ...layer, frameId: null, x, y, angle };
+        });
+};
+
+// The layer list without layer `id`. A frame goes with its children; a
+// child takes its parts out of its frame's body, and the frame goes too
+// once it is empty. The frame keeps its size, so the rest stay put.
+export const removeLayer = (layers, id) => {
+    const layer = layers.find(l => l.id === id);
+    if (!layer) return layers;
+    if (layer.frame) return layers.filter(l => l.id !== id && l.frameId !== id);
+
+    const rest = layers.filter(l => l.id !== id);
+    const frameLayer = layer.frameId != null && rest.find(l => l.id === layer.frameId);
+    if (!frameLayer) return rest;
+    const children = frameLayer.frame.children.filter(child => child.id !== id);
+    if (!children.length) return rest.filter(l => l.id !== frameLayer.id);
+    const frame = { ...frameLayer.frame, children, parts: children.flatMap(child => child.parts) };
+    return rest.map(l => (l.id === frameLayer.id ? { ...l, frame } : l));
+};
+
+// Flattens the children into `ctx`, its canvas covering the frame. `sprites`
+// maps child ids to { image, width, height, opacity }; children without one
+// are left out.
+export const drawFrame = (ctx, frame, sprites) => {
+    const { width, height } = ctx.canvas;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    for (const { id, x, y, angle } of frame.children) {
+        const sprite = sprites.get(id);
+        if (!sprite) continue;
+        const { image, width: w, height: h, opacity = 1 } = sprite;
+        ctx.setTransform(width / frame.width, 0, 0, height / frame.height, width / 2, height / 2);
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.globalAlpha = opacity;
+        ctx.drawImage(image, -w / 2, -h / 2, w, h);
+    }
+    ctx.globalAlpha = 1;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+};
@@ -0,0 +1,170 @@
+/**
+ * Tests for src/utils/frames.js
+ *
+ * Frames are laid out around real Matter.js bodies, as PhysicsElement makes
+ * them, and joined with createColliderBody; layer lists are plain objects
+ * with just the fields frames touch.
+ */
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+  frameLayout,
+  frameChildPoses,
+  groupLayers,
+  ungroupFrame,
+  removeLayer,
+  drawFrame,
+} from './frames.js';
+import { createColliderBody, spriteCentre } from './collider.js';
+import { stepWorld } from './physicsSettings.js';
+
+// A 40×40 box for layer 1 left of a 20×20 one for layer 2, turned a quarter
+function makeBodies() {
+  const a = createColliderBody(-50, 0, { width: 40, height: 40 });
+  const b = createColliderBody(50, 0, { width: 20, height: 20 });
+  Matter.Body.setAngle(b, Math.PI / 2);
+  return new Map([[1, a], [2, b]]);
+}
+
+const layerIds = (layers) => layers.map(layer => layer.id);
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+
+describe('frameLayout', () => {
+  it('centres the frame on the box around its children', () => {
+    const { x, y, frame } = frameLayout(makeBodies());
+    expect(x).toBeCloseTo(-5, 9);
+    expect(y).toBeCloseTo(0, 9);
+    expect(frame.width).toBeCloseTo(130, 9);
+    expect(frame.height).toBeCloseTo(40, 9);
+  });
+
+  it('places each child and its collider around the centre', () => {
+    const { frame } = frameLayout(makeBodies());
+    const [a, b] = frame.children;
+    expect(a).toMatchObject({ id: 1, angle: 0 });
+    expect(a.x).toBeCloseTo(-45, 9);
+    expect(b.x).toBeCloseTo(55, 9);
+    expect(b.angle).toBeCloseTo(Math.PI / 2, 9);
+    expect(frame.parts).toHaveLength(2);
+    expect(Math.min(...frame.parts[0].map(p => p.x))).toBeCloseTo(-65, 9);
+  });
+});
+
+describe('frame bodies', () => {
+  it('join the children into one body of their combined area', () => {
+    const { x, y, frame } = frameLayout(makeBodies());
+    const body = createColliderBody(x, y, frame);
+    expect(body.parts).toHaveLength(3);
+    expect(body.area).toBeCloseTo(2000, 6);
+    const centre = spriteCentre(body);
+    expect(centre.x).toBeCloseTo(x, 6);
+    expect(centre.y).toBeCloseTo(y, 6);
+    // The bigger box pulls the centre of mass its way
+    expect(body.position.x).toBeLessThan(x);
+  });
+
+  it('move and turn as one', () => {
+    const { x, y, frame } = frameLayout(makeBodies());
+    const engine = Matter.Engine.create();
+    const body = createColliderBody(x, y, frame);
+    Matter.Composite.add(engine.world, body);
+    Matter.Body.setAngularVelocity(body, 0.05);
+    for (let i = 0; i < 30; i++) stepWorld(engine);
+    const [, left, right] = body.parts;
+    expect(body.position.y).toBeGreaterThan(y);
+    expect(body.angle).toBeGreaterThan(0.5);
+    // Still 100 apart, centre to centre
+    expect(Math.hypot(right.position.x - left.position.x, right.position.y - left.position.y)).toBeCloseTo(100, 6);
+  });
+});
+
+describe('frameChildPoses', () => {
+  it('puts the children back where the frame carried them', () => {
+    const { frame } = frameLayout(makeBodies());
+    const [a, b] = frameChildPoses(frame, { x: 100, y: 100 }, Math.PI / 2);
+    expect(a.x).toBeCloseTo(100, 9);
+    expect(a.y).toBeCloseTo(55, 9);
+    expect(a.angle).toBeCloseTo(Math.PI / 2, 9);
+    expect(b.y).toBeCloseTo(155, 9);
+    expect(b.angle).toBeCloseTo(Math.PI, 9);
+  });
+});
+
+// ─── Layer lists ──────────────────────────────────────────────────────────────
+
+describe('groupLayers', () => {
+  it('marks the children and puts the frame above the topmost', () => {
+    const layers = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+    const next = groupLayers(layers, [3, 1], { id: 9, frame: {} });
+    expect(layerIds(next)).toEqual([1, 2, 3, 9, 4]);
+    expect(next.filter(layer => layer.frameId === 9).map(layer => layer.id)).toEqual([1, 3]);
+  });
+});
+
+describe('ungroupFrame', () => {
+  it('frees the children at their poses and drops the frame', () => {
+    const layers = [{ id: 1, frameId: 9, x: 0, y: 0 }, { id: 2 }, { id: 9, frame: {} }];
+    const next = ungroupFrame(layers, 9, [{ id: 1, x: 10, y: 20, angle: 0.5 }]);
+    expect(next).toEqual([{ id: 1, frameId: null, x: 10, y: 20, angle: 0.5 }, { id: 2 }]);
+  });
+});
+
+describe('removeLayer', () => {
+  const { frame } = frameLayout(makeBodies());
+  const layers = [{ id: 1, frameId: 9 }, { id: 2, frameId: 9 }, { id: 3 }, { id: 9, frame }];
+
+  it('takes a frame\'s children with it', () => {
+    expect(layerIds(removeLayer(layers, 9))).toEqual([3]);
+  });
+
+  it('takes a child out of its frame\'s body, keeping the frame\'s size', () => {
+    const next = removeLayer(layers, 1);
+    expect(layerIds(next)).toEqual([2, 3, 9]);
+    const shrunk = next.at(-1).frame;
+    expect(shrunk.children.map(child => child.id)).toEqual([2]);
+    expect(shrunk.parts).toEqual(frame.children[1].parts);
+    expect(shrunk.width).toBe(frame.width);
+  });
+
+  it('drops a frame with its last child', () => {
+    expect(layerIds(removeLayer(removeLayer(layers, 1), 2))).toEqual([3]);
+  });
+});
+
+// ─── Flattening ───────────────────────────────────────────────────────────────
+
+describe('drawFrame', () => {
+  const stubContext = (width, height) => {
+    const calls = [];
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    return {
+      canvas: { width, height },
+      calls,
+      setTransform: record('setTransform'),
+      clearRect: record('clearRect'),
+      translate: record('translate'),
+      rotate: record('rotate'),
+      drawImage: record('drawImage'),
+      set globalAlpha(v) { calls.push(['globalAlpha', v]); },
+    };
+  };
+  const frame = { width: 100, height: 50, children: [{ id: 1, x: -20, y: 5, angle: 0.5 }, { id: 2, x: 0, y: 0, angle: 0 }] };
+  const image = {};
+
+  it('draws each child in its place, scaled to the canvas', () => {
+    const ctx = stubContext(200, 100);
+    drawFrame(ctx, frame, new Map([[1, { image, width: 30, height: 10, opacity: 0.5 }]]));
+    expect(ctx.calls).toEqual([
+      ['setTransform', 1, 0, 0, 1, 0, 0],
+      ['clearRect', 0, 0, 200, 100],
+      ['setTransform', 2, 0, 0, 2, 100, 50],
+      ['translate', -20, 5],
+      ['rotate', 0.5],
+      ['globalAlpha', 0.5],
+      ['drawImage', image, -15, -5, 30, 10],
+      ['globalAlpha', 1],
+      ['setTransform', 1, 0, 0, 1, 0, 0],
+    ]);
+  });
+});
@@ -0,0 +1,210 @@
+import { createPaletteMatcher, parseHex, quantizeColors } from './colors';
+
+// Animated GIF89a writer. Frames are indexed against one global colour
+// table, which starts from the colours the layers were dithered to, so a
+// dithered scene keeps its exact palette. Opaque frames only store the
+// rectangle that changed since the previous one.
+
+const MAX_CODE = 4096;
+
+// Pixels quantised when topping up the palette; more only slows k-means down
+const QUANTIZE_SAMPLE = 20000;
+
+// Delays are whole hundredths of a second, so they alternate (3, 3, 4 …)
+// to keep the clip's total length right. Browsers slow anything under 2
+// down to 10, which caps GIFs at 50 fps.
+export const GIF_MAX_FPS = 50;
+
+export const frameDelay = (index, fps) => Math.round(((index + 1) * 100) / fps) - Math.round((index * 100) / fps);
+
+// `colors` are used as they are (up to 256, or 255 with transparency); the
+// rest of the table is quantised from the sample's pixels that none of them
+// match exactly. A transparent slot, if any, comes last.
+export const gifPalette = (colors, sample, { transparent = false } = {}) => {
+    const room = transparent ? 255 : 256;
+    const palette = [...new Set(colors.map(hex => hex.toLowerCase()))].slice(0, room);
+
+    if (sample && palette.length < room) {
+        const known = new Set(palette.map(hex => parseInt(hex.slice(1), 16)));
+        const { data } = sample;
+        const pixelCount = data.length / 4;
+        const stride = Math.max(1, Math.floor(pixelCount / QUANTIZE_SAMPLE));
+        const rest = [];
+        for (let p = 0; p < pixelCount; p += stride) {
+            const i = p * 4;
+            if (data[i + 3] < 128 || known.has((data[i] << 16) | (data[i + 1] << 8) | data[i + 2])) continue;
+            rest.push(data[i], data[i + 1], data[i + 2], 255);
+        }
+        if (rest.length) {
+            const extra = quantizeColors(rest, room - palette.length).filter(hex => !palette.includes(hex));
+            palette.push(...extra.slice(0, room - palette.length));
+        }
+    }
+    if (!palette.length) palette.push('#000000');
+
+    return {
+        colors: transparent ? [...palette, '#000000'] : palette,
+        transparentIndex: transparent ? palette.length : -1
+    };
+};
+
+// Palette index per pixel; pixels under half opacity take the transparent
+// slot, or the nearest colour when there isn't one
+export const indexPixels = ({ data }, { colors, transparentIndex }) => {
+    const match = createPaletteMatcher(transparentIndex >= 0 ? colors.slice(0, transparentIndex) : colors);
+    const indices = new Uint8Array(data.length / 4);
+    for (let p = 0; p < indices.length; p++) {
+        const i = p * 4;
+        indices[p] = transparentIndex >= 0 && data[i + 3] < 128
+            ? transparentIndex
+            : match(data[i], data[i + 1], data[i + 2]);
+    }
+    return indices;
+};
+
+// ── LZW ────────────────────────────────────────────────────────────────────
+
+const lzwEncode = (indices, minCodeSize) => {
+    const clear = 1 << minCodeSize;
+    const eoi = clear + 1;
+    const out = [];
+    let buffer = 0;
+    let bits = 0;
+    let codeSize = minCodeSize + 1;
+    let next = eoi + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            out.push(buffer & 0xff);
+            buffer >>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (next === MAX_CODE) {
+            emit(clear);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            next = eoi + 1;
+        } else {
+            // The decoder lags one code behind, so widen before adding
+            if (next >= 1 << codeSize) codeSize++;
+            table.set(key, next++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoi);
+    if (bits > 0) out.push(buffer & 0xff);
+    return out;
+};
+
+// Data sub-blocks of at most 255 bytes, then the terminator
+const subBlocks = (bytes) => {
+    const out = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        out.push(block.length, ...block);
+    }
+    out.push(0);
+    return out;
+};
+
+const u16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+
+// Smallest rectangle holding every pixel that differs from `previous`, or
+// a single pixel when nothing changed (GIF frames can't be empty)
+const changedRect = (indices, previous, width, height) => {
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (indices[p] === previous[p]) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            bottom = y;
+        }
+    }
+    return right < 0 ? { left: 0, top: 0, width: 1, height: 1 } : { left, top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+// ── Encoder ────────────────────────────────────────────────────────────────
+
+// `palette` comes from gifPalette. addFrame takes a full-size index array
+// (see indexPixels) and a delay in hundredths of a second; finish returns
+// the file's bytes. `loop` 0 repeats forever.
+export const createGIFEncoder = ({ width, height, palette, loop = 0 }) => {
+    const { colors, transparentIndex } = palette;
+    const tableBits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+    const minCodeSize = Math.max(2, tableBits);
+    const chunks = [];
+    let previous = null;
+
+    const table = new Uint8Array(3 << tableBits);
+    colors.forEach((hex, i) => table.set(parseHex(hex), i * 3));
+
+    chunks.push(new Uint8Array([
+        ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+        ...u16(width), ...u16(height),
+        0x80 | (7 << 4) | (tableBits - 1), 0, 0
+    ]));
+    chunks.push(table);
+    chunks.push(new Uint8Array([
+        0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+        0x03, 0x01, ...u16(loop), 0x00
+    ]));
+
+    const addFrame = (indices, delay) => {
+        // Transparent frames are cleared before the next one is drawn, so
+        // they must be stored whole; opaque ones only need what changed
+        const transparent = transparentIndex >= 0;
+        const rect = transparent || !previous
+            ? { left: 0, top: 0, width, height }
+            : changedRect(indices, previous, width, height);
+        let pixels = indices;
+        if (rect.width !== width || rect.height !== height) {
+            pixels = new Uint8Array(rect.width * rect.height);
+            for (let y = 0; y < rect.height; y++) {
+                const start = (rect.top + y) * width + rect.left;
+                pixels.set(indices.subarray(start, start + rect.width), y * rect.width);
+            }
+        }
+        previous = indices;
+
+        chunks.push(new Uint8Array([
+            // Graphic control: disposal 2 (restore to background) or 1 (keep)
+            0x21, 0xf9, 0x04, ((transparent ? 2 : 1) << 2) | (transparent ? 1 : 0), ...u16(delay), transparent ? transparentIndex : 0, 0x00,
+            0x2c, ...u16(rect.left), ...u16(rect.top), ...u16(rect.width), ...u16(rect.height), 0x00,
+            minCodeSize,
+            ...subBlocks(lzwEncode(pixels, minCodeSize))
+        ]));
+    };
+
+    const finish = () => {
+        chunks.push(new Uint8Array([0x3b]));
+        const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes;
+    };
+
+    return { addFrame, finish };
+};
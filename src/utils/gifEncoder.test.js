@@ -0,0 +1,227 @@
+/**
+ * Tests for src/utils/gifEncoder.js
+ *
+ * Files are read back with a small GIF decoder written here (global colour
+ * table, graphic control, image descriptor, LZW), compositing each frame
+ * over the last as a viewer would.
+ */
+import { describe, it, expect } from 'vitest';
+import { createGIFEncoder, gifPalette, indexPixels, frameDelay } from './gifEncoder.js';
+
+// `rows` is an array of rows of [r, g, b, a] pixels
+function makeImageData(rows) {
+  return { data: new Uint8ClampedArray(rows.flat(2)), width: rows[0].length, height: rows.length };
+}
+
+function lzwDecode(bytes, minCodeSize, count) {
+  const clear = 1 << minCodeSize;
+  const eoi = clear + 1;
+  const out = [];
+  let table = [];
+  let codeSize = minCodeSize + 1;
+  let prev = null;
+  let bit = 0;
+  const reset = () => {
+    table = Array.from({ length: clear }, (_, i) => [i]);
+    table.push(null, null);
+    codeSize = minCodeSize + 1;
+    prev = null;
+  };
+  reset();
+  while (out.length < count) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << i;
+    if (code === clear) { reset(); continue; }
+    if (code === eoi) break;
+    const entry = code < table.length ? table[code] : [...prev, prev[0]];
+    out.push(...entry);
+    if (prev && table.length < 4096) table.push([...prev, entry[0]]);
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    prev = entry;
+  }
+  return out;
+}
+
+// → { width, height, colors, loop, frames: [{ delay, disposal, transparentIndex, rect, indices }] }
+function decodeGIF(bytes) {
+  let pos = 0;
+  const u8 = () => bytes[pos++];
+  const u16 = () => bytes[pos++] | (bytes[pos++] << 8);
+  const readBlocks = () => {
+    const out = [];
+    for (let size = u8(); size; size = u8()) { out.push(...bytes.subarray(pos, pos + size)); pos += size; }
+    return out;
+  };
+
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  pos = 6;
+  const width = u16();
+  const height = u16();
+  const packed = u8();
+  pos += 2;
+  const colors = [];
+  for (let i = 0; i < 2 << (packed & 7); i++) colors.push([u8(), u8(), u8()]);
+
+  const frames = [];
+  let loop = null;
+  let control = {};
+  for (;;) {
+    const block = u8();
+    if (block === 0x3b) break;
+    if (block === 0x21) {
+      const label = u8();
+      const data = readBlocks();
+      if (label === 0xf9) {
+        control = { disposal: (data[0] >> 2) & 7, delay: data[1] | (data[2] << 8), transparentIndex: data[0] & 1 ? data[3] : -1 };
+      } else if (label === 0xff) {
+        loop = data[12] | (data[13] << 8);
+      }
+    } else if (block === 0x2c) {
+      const rect = { left: u16(), top: u16(), width: u16(), height: u16() };
+      u8();
+      const minCodeSize = u8();
+      const indices = lzwDecode(readBlocks(), minCodeSize, rect.width * rect.height);
+      frames.push({ ...control, rect, indices });
+    } else {
+      throw new Error(`Unexpected block 0x${block.toString(16)}`);
+    }
+  }
+  return { signature, width, height, colors, loop, frames };
+}
+
+// Full-size index arrays as a viewer shows them after each frame
+function composite({ width, height, frames }) {
+  const canvas = new Array(width * height).fill(null);
+  return frames.map(({ rect, indices, transparentIndex, disposal }) => {
+    for (let y = 0; y < rect.height; y++) {
+      for (let x = 0; x < rect.width; x++) {
+        const index = indices[y * rect.width + x];
+        if (index !== transparentIndex) canvas[(rect.top + y) * width + rect.left + x] = index;
+      }
+    }
+    const shown = canvas.slice();
+    if (disposal === 2) {
+      for (let y = 0; y < rect.height; y++) canvas.fill(null, (rect.top + y) * width + rect.left, (rect.top + y) * width + rect.left + rect.width);
+    }
+    return shown;
+  });
+}
+
+function encode(frames, palette, { width, height, fps = 30 }) {
+  const encoder = createGIFEncoder({ width, height, palette });
+  frames.forEach((indices, i) => encoder.addFrame(indices, frameDelay(i, fps)));
+  return encoder.finish();
+}
+
+// ─── frameDelay ───────────────────────────────────────────────────────────────
+
+describe('frameDelay', () => {
+  it('keeps the total length right at rates that do not divide 100', () => {
+    const delays = Array.from({ length: 30 }, (_, i) => frameDelay(i, 30));
+    expect(delays.reduce((a, b) => a + b, 0)).toBe(100);
+    expect(new Set(delays)).toEqual(new Set([3, 4]));
+  });
+
+  it('is exact at 25 and 50 fps', () => {
+    expect(frameDelay(7, 25)).toBe(4);
+    expect(frameDelay(7, 50)).toBe(2);
+  });
+});
+
+// ─── gifPalette ───────────────────────────────────────────────────────────────
+
+describe('gifPalette', () => {
+  const sample = makeImageData([[[255, 0, 0, 255], [17, 17, 17, 255], [0, 0, 255, 255], [0, 0, 0, 0]]]);
+
+  it('starts from the given colours, lower-cased and de-duplicated', () => {
+    const { colors } = gifPalette(['#111111', '#FFFFFF', '#ffffff'], null);
+    expect(colors).toEqual(['#111111', '#ffffff']);
+  });
+
+  it('tops up with the sample colours the seeds do not cover', () => {
+    const { colors, transparentIndex } = gifPalette(['#111111'], sample);
+    expect(colors[0]).toBe('#111111');
+    expect(colors).toContain('#ff0000');
+    expect(colors).toContain('#0000ff');
+    expect(colors).toHaveLength(3);
+    expect(transparentIndex).toBe(-1);
+  });
+
+  it('puts the transparent slot last and keeps the table within 256', () => {
+    const seeds = Array.from({ length: 300 }, (_, i) => `#${(i * 4099).toString(16).padStart(6, '0')}`);
+    const { colors, transparentIndex } = gifPalette(seeds, sample, { transparent: true });
+    expect(colors).toHaveLength(256);
+    expect(transparentIndex).toBe(255);
+  });
+});
+
+// ─── indexPixels ──────────────────────────────────────────────────────────────
+
+describe('indexPixels', () => {
+  it('maps exact colours to their own slot and the rest to the nearest', () => {
+    const palette = { colors: ['#000000', '#ffffff'], transparentIndex: -1 };
+    const pixels = makeImageData([[[0, 0, 0, 255], [255, 255, 255, 255], [230, 230, 230, 255], [20, 10, 0, 255]]]);
+    expect([...indexPixels(pixels, palette)]).toEqual([0, 1, 1, 0]);
+  });
+
+  it('sends clear pixels to the transparent slot', () => {
+    const palette = gifPalette(['#000000', '#ffffff'], null, { transparent: true });
+    const pixels = makeImageData([[[0, 0, 0, 0], [255, 255, 255, 255], [0, 0, 0, 100]]]);
+    expect([...indexPixels(pixels, palette)]).toEqual([2, 1, 2]);
+  });
+});
+
+// ─── createGIFEncoder ─────────────────────────────────────────────────────────
+
+describe('createGIFEncoder', () => {
+  const palette = { colors: ['#000000', '#ff0000', '#00ff00', '#0000ff', '#ffffff'], transparentIndex: -1 };
+  const width = 6;
+  const height = 4;
+  const frame = (shift) => Uint8Array.from({ length: width * height }, (_, p) => ((p % width) + shift) % 5);
+
+  it('writes a looping GIF89a with the palette as the global table', () => {
+    const gif = decodeGIF(encode([frame(0)], palette, { width, height }));
+    expect(gif.signature).toBe('GIF89a');
+    expect([gif.width, gif.height]).toEqual([6, 4]);
+    expect(gif.loop).toBe(0);
+    expect(gif.colors).toHaveLength(8);
+    expect(gif.colors.slice(0, 5)).toEqual([[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]]);
+  });
+
+  it('round-trips every frame exactly', () => {
+    const frames = [frame(0), frame(1), frame(1), frame(3)];
+    const gif = decodeGIF(encode(frames, palette, { width, height }));
+    expect(gif.frames.map(f => f.delay)).toEqual([3, 4, 3, 3]);
+    expect(composite(gif)).toEqual(frames.map(f => [...f]));
+  });
+
+  it('stores only the changed rectangle of opaque frames', () => {
+    const second = frame(0);
+    second[2 * width + 3] = 4;
+    second[3 * width + 4] = 0;
+    const gif = decodeGIF(encode([frame(0), second, second], palette, { width, height }));
+    expect(gif.frames[1].rect).toEqual({ left: 3, top: 2, width: 2, height: 2 });
+    expect(gif.frames[2].rect).toEqual({ left: 0, top: 0, width: 1, height: 1 });
+    expect(gif.frames.every(f => f.disposal === 1)).toBe(true);
+    expect(composite(gif)[2]).toEqual([...second]);
+  });
+
+  it('writes whole frames cleared to transparent when there is a transparent slot', () => {
+    const clear = { colors: [...palette.colors, '#000000'], transparentIndex: 5 };
+    const first = Uint8Array.from({ length: width * height }, (_, p) => (p % 2 ? 5 : 1));
+    const second = Uint8Array.from({ length: width * height }, (_, p) => (p % 2 ? 2 : 5));
+    const gif = decodeGIF(encode([first, second], clear, { width, height }));
+    expect(gif.frames.every(f => f.disposal === 2 && f.transparentIndex === 5 && f.rect.width === width)).toBe(true);
+    const [a, b] = composite(gif);
+    expect(a).toEqual([...first].map(i => (i === 5 ? null : i)));
+    expect(b).toEqual([...second].map(i => (i === 5 ? null : i)));
+  });
+
+  it('survives the code table filling up on noisy frames', () => {
+    const big = { colors: Array.from({ length: 256 }, (_, i) => `#${i.toString(16).padStart(2, '0')}0000`), transparentIndex: -1 };
+    let seed = 7;
+    const noise = Uint8Array.from({ length: 128 * 128 }, () => (seed = (seed * 1103515245 + 12345) >>> 0) >>> 24);
+    const gif = decodeGIF(encode([noise], big, { width: 128, height: 128 }));
+    expect(gif.frames[0].indices).toEqual([...noise]);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * GPU parity suite for src/utils/gpuDither.js
+ *
+ * Runs in headless Chromium with SwiftShader software rendering
+ * (`npm run test:gpu`, see vitest.gpu.config.js) and compares each GPU
+ * backend pixel by pixel with the CPU reference in dither.js. Float32
+ * shader maths can flip a pixel that sits exactly on a threshold, so
+ * dithering cases allow a tiny fraction of differences; the colour map
+ * must match exactly.
+ */
+import { describe, it, expect, afterAll } from 'vitest';
+import { createGpuBackend, orderedDitherParams, colorMapParams } from './gpuDither.js';
+import { applyOrderedDither, applyColorMap } from './dither.js';
+
+const WIDTH = 97;
+const HEIGHT = 61;
+
+// Gradients plus seeded noise, with a transparent corner
+function makeImageData() {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  let seed = 1;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      data[i] = (x / (WIDTH - 1)) * 255;
+      data[i + 1] = (y / (HEIGHT - 1)) * 255;
+      data[i + 2] = rand() * 255;
+      data[i + 3] = x < 8 && y < 8 ? 0 : 255;
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+const copy = ({ data, width, height }) => ({ data: new Uint8ClampedArray(data), width, height });
+
+// Fraction of pixels whose RGBA differs
+function mismatch(a, b) {
+  let count = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    if (a[i] !== b[i] || a[i + 1] !== b[i + 1] || a[i + 2] !== b[i + 2] || a[i + 3] !== b[i + 3]) count++;
+  }
+  return count / (a.length / 4);
+}
+
+const TONES = { shadow: '#1b1b3a', midtone: '#c2185b', highlight: '#f5f5dc' };
+const DUOTONE = { shadow: '#000000', highlight: 'transparent' };
+const PALETTE = ['#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8', '#ff004d', '#ffa300'];
+
+const orderedCases = [
+  ['Bayer 2 duotone', { thresholdMap: 'bayer', thresholdSize: 2, isTriColor: false }, DUOTONE],
+  ['Bayer 4 tri-tone', { thresholdMap: 'bayer', thresholdSize: 4, isTriColor: true }, TONES],
+  ['Bayer 8 with contrast', { thresholdMap: 'bayer', thresholdSize: 8, isTriColor: true, contrast: 1.6 }, TONES],
+  ['Bayer 16', { thresholdMap: 'bayer', thresholdSize: 16, isTriColor: false }, TONES],
+  ['clustered dot', { thresholdMap: 'cluster', thresholdSize: 6, isTriColor: false }, DUOTONE],
+  ['blue noise', { thresholdMap: 'bluenoise', thresholdSize: 32, isTriColor: true }, TONES],
+  ['rotated screen', { thresholdMap: 'cluster', thresholdSize: 8, isTriColor: false, angle: 15 }, null],
+];
+
+const paletteCases = [
+  ['OKLab', { thresholdMap: 'bayer', thresholdSize: 4, palette: PALETTE, metric: 'oklab' }],
+  ['CIEDE2000', { thresholdMap: 'bluenoise', thresholdSize: 16, palette: PALETTE, metric: 'ciede2000' }],
+];
+
+const backends = {
+  webgl2: await createGpuBackend('webgl2'),
+  webgpu: await createGpuBackend('webgpu'),
+};
+
+afterAll(() => {
+  Object.values(backends).forEach(backend => backend?.dispose());
+});
+
+it('has a WebGL2 backend under software GL', () => {
+  expect(backends.webgl2).not.toBeNull();
+});
+
+describe.each(Object.keys(backends))('%s parity', (kind) => {
+  const backend = backends[kind];
+  const run = (imageData, params) => backend.run(imageData, params);
+
+  describe.skipIf(!backend)('ordered dither', () => {
+    it.each(orderedCases)('%s', async (_, options, colors) => {
+      const source = makeImageData();
+      const cpu = applyOrderedDither(copy(source), options);
+      if (colors) applyColorMap(cpu, colors);
+      const gpu = await run(copy(source), orderedDitherParams({ ...options, colors: colors ?? undefined }));
+      expect(mismatch(cpu.data, gpu)).toBeLessThanOrEqual(options.angle ? 0.01 : 0.002);
+    });
+
+    it.each(paletteCases)('palette, %s', async (_, options) => {
+      const source = makeImageData();
+      const cpu = applyOrderedDither(copy(source), options);
+      const gpu = await run(copy(source), orderedDitherParams(options));
+      expect(mismatch(cpu.data, gpu)).toBeLessThanOrEqual(0.01);
+    });
+  });
+
+  describe.skipIf(!backend)('colour map', () => {
+    it.each([['tri-tone', TONES], ['transparent highlight', DUOTONE]])('%s', async (_, colors) => {
+      // The colour map reads already-dithered grey levels
+      const source = applyOrderedDither(makeImageData(), { thresholdMap: 'bayer', thresholdSize: 4, isTriColor: true });
+      const cpu = applyColorMap(copy(source), colors);
+      const gpu = await run(copy(source), colorMapParams(colors));
+      expect(mismatch(cpu.data, gpu)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,348 @@
+import { getThresholdMap, shiftThresholdMap, DEFAULT_THRESHOLD_MAP } from './thresholdMaps';
+import { rgbToOklab, rgbToLab, parseHex } from './colors';
+import { hexToRgb } from './dither';
+import { createCanvas } from './canvas';
+import { GLSL_VERTEX, GLSL_FRAGMENT, WGSL_COMPUTE } from './gpuShaders';
+
+// GPU path for the per-pixel stages: ordered dithering (tones or palette)
+// and the tone colour map. WebGPU is preferred, then WebGL2; the first
+// backend that initialises is kept for the rest of the session. Callers get
+// `false` back whenever the GPU can't take the job, and then run the CPU
+// functions in dither.js, which stay the reference implementation.
+
+export const GPU_BACKENDS = {
+    webgpu: 'WebGPU',
+    webgl2: 'WebGL2'
+};
+
+const MODE_COLOR_MAP = 0;
+const MODE_ORDERED = 1;
+const MODE_PALETTE = 2;
+
+const isTriColorMap = (colors) => colors?.midtone !== undefined && colors.midtone !== null && colors.midtone !== '';
+
+const toneColor = (hex) => {
+    const { r, g, b, a } = hexToRgb(hex);
+    return [r, g, b, a];
+};
+
+const toneParams = (colors) => {
+    const { shadow = '#000000', midtone, highlight = '#ffffff' } = colors || {};
+    const triMap = isTriColorMap(colors);
+    return {
+        triMap,
+        highlightClear: highlight === 'transparent',
+        shadow: toneColor(shadow),
+        midtone: triMap ? toneColor(midtone) : [0, 0, 0, 0],
+        highlight: toneColor(highlight)
+    };
+};
+
+// Palette colours as vec4 rows: projected into the matching space, and sRGB
+const paletteParams = (palette, metric) => {
+    const count = palette?.length ?? 0;
+    const projected = new Float32Array(Math.max(1, count) * 4);
+    const rgb = new Float32Array(Math.max(1, count) * 4);
+    const project = metric === 'ciede2000' ? rgbToLab : rgbToOklab;
+    for (let i = 0; i < count; i++) {
+        const c = parseHex(palette[i]);
+        projected.set(project(...c), i * 4);
+        rgb.set(c, i * 4);
+    }
+    return { paletteCount: count, metric: metric === 'ciede2000' ? 1 : 0, projected, paletteRgb: rgb };
+};
+
+const baseParams = {
+    size: 1,
+    thresholds: new Float32Array(1),
+    rotated: false,
+    cos: 1,
+    sin: 0,
+    contrast: 1,
+    triDither: false,
+    mapTones: false,
+    spread: 0,
+    ...toneParams(null),
+    ...paletteParams(null)
+};
+
+// Same options as applyOrderedDither, plus `colors` to fuse the tone colour
+// map into the pass (ignored with a palette, which already outputs colour)
+export const orderedDitherParams = ({
+    contrast = 1,
+    isTriColor = true,
+    thresholdMap = DEFAULT_THRESHOLD_MAP,
+    thresholdSize,
+    angle = 0,
+    palette,
+    metric = 'oklab',
+    colors,
+    offset = null
+} = {}) => {
+    const { size, thresholds } = shiftThresholdMap(getThresholdMap(thresholdMap, thresholdSize), offset?.x, offset?.y);
+    const theta = (angle * Math.PI) / 180;
+    const usePalette = palette?.length > 0;
+    return {
+        ...baseParams,
+        mode: usePalette ? MODE_PALETTE : MODE_ORDERED,
+        size,
+        thresholds: Float32Array.from(thresholds),
+        rotated: angle !== 0,
+        cos: Math.cos(theta),
+        sin: Math.sin(theta),
+        contrast,
+        triDither: isTriColor,
+        ...(usePalette
+            ? { ...paletteParams(palette, metric), spread: 255 / Math.cbrt(palette.length) }
+            : { ...toneParams(colors), mapTones: !!colors })
+    };
+};
+
+export const colorMapParams = (colors) => ({ ...baseParams, mode: MODE_COLOR_MAP, ...toneParams(colors) });
+
+// ── WebGL2 ─────────────────────────────────────────────────────────────────
+
+const compile = (gl, type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader) || 'Shader failed to compile');
+    }
+    return shader;
+};
+
+const createWebGL2Backend = () => {
+    if (typeof WebGL2RenderingContext === 'undefined') return null;
+    const canvas = createCanvas(1, 1);
+    const gl = canvas.getContext('webgl2', { antialias: false, depth: false, stencil: false, alpha: true });
+    if (!gl) return null;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, GLSL_VERTEX));
+    gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, GLSL_FRAGMENT));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program) || 'Shader program failed to link');
+    }
+
+    const uniform = (name) => gl.getUniformLocation(program, name);
+    const u = Object.fromEntries([
+        'u_source', 'u_thresholds', 'u_palette', 'u_mode', 'u_size', 'u_rotated', 'u_rotation', 'u_contrast',
+        'u_triDither', 'u_triMap', 'u_mapTones', 'u_highlightClear', 'u_paletteCount', 'u_metric', 'u_spread',
+        'u_shadow', 'u_midtone', 'u_highlight'
+    ].map(name => [name, uniform(name)]));
+
+    const vao = gl.createVertexArray();
+    const framebuffer = gl.createFramebuffer();
+    const textures = [gl.createTexture(), gl.createTexture(), gl.createTexture(), gl.createTexture()];
+    const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+    // Every texture is read with texelFetch, so nearest filtering and no mips
+    const upload = (unit, internalFormat, width, height, format, type, pixels) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, textures[unit]);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, pixels);
+    };
+
+    const run = async (imageData, p) => {
+        const { width, height, data } = imageData;
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+        upload(0, gl.RGBA8UI, width, height, gl.RGBA_INTEGER, gl.UNSIGNED_BYTE,
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        upload(1, gl.R32F, p.size, p.size, gl.RED, gl.FLOAT, p.thresholds);
+        const rows = Math.max(1, p.paletteCount);
+        const palette = new Float32Array(rows * 8);
+        palette.set(p.projected.subarray(0, rows * 4), 0);
+        palette.set(p.paletteRgb.subarray(0, rows * 4), rows * 4);
+        upload(2, gl.RGBA32F, rows, 2, gl.RGBA, gl.FLOAT, palette);
+
+        // Integer render target, so output bytes are written exactly
+        upload(3, gl.RGBA8UI, width, height, gl.RGBA_INTEGER, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, textures[3], 0);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error('Incomplete framebuffer');
+        }
+
+        gl.useProgram(program);
+        gl.uniform1i(u.u_source, 0);
+        gl.uniform1i(u.u_thresholds, 1);
+        gl.uniform1i(u.u_palette, 2);
+        gl.uniform1i(u.u_mode, p.mode);
+        gl.uniform1i(u.u_size, p.size);
+        gl.uniform1i(u.u_rotated, p.rotated ? 1 : 0);
+        gl.uniform2f(u.u_rotation, p.cos, p.sin);
+        gl.uniform1f(u.u_contrast, p.contrast);
+        gl.uniform1i(u.u_triDither, p.triDither ? 1 : 0);
+        gl.uniform1i(u.u_triMap, p.triMap ? 1 : 0);
+        gl.uniform1i(u.u_mapTones, p.mapTones ? 1 : 0);
+        gl.uniform1i(u.u_highlightClear, p.highlightClear ? 1 : 0);
+        gl.uniform1i(u.u_paletteCount, p.paletteCount);
+        gl.uniform1i(u.u_metric, p.metric);
+        gl.uniform1f(u.u_spread, p.spread);
+        gl.uniform4fv(u.u_shadow, p.shadow);
+        gl.uniform4fv(u.u_midtone, p.midtone);
+        gl.uniform4fv(u.u_highlight, p.highlight);
+
+        gl.viewport(0, 0, width, height);
+        gl.bindVertexArray(vao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        // Row 0 of the framebuffer is image row 0, so no flip is needed
+        const out = new Uint32Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA_INTEGER, gl.UNSIGNED_INT, out);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (gl.isContextLost()) throw new Error('WebGL context lost');
+        return out;
+    };
+
+    return {
+        kind: 'webgl2',
+        fits: (width, height) => width <= maxSize && height <= maxSize,
+        run,
+        dispose: () => gl.getExtension('WEBGL_lose_context')?.loseContext()
+    };
+};
+
+// ── WebGPU ─────────────────────────────────────────────────────────────────
+
+const PARAMS_SIZE = 112; // bytes, see Params in gpuShaders.js
+
+const packParams = (width, height, p) => {
+    const buffer = new ArrayBuffer(PARAMS_SIZE);
+    const u32 = new Uint32Array(buffer);
+    const f32 = new Float32Array(buffer);
+    u32.set([width, height, p.mode, p.size]);
+    f32[4] = p.cos;
+    f32[5] = p.sin;
+    u32[6] = p.rotated ? 1 : 0;
+    f32[7] = p.contrast;
+    u32.set([p.triDither, p.triMap, p.mapTones, p.highlightClear].map(Number), 8);
+    u32[12] = p.paletteCount;
+    u32[13] = p.metric;
+    f32[14] = p.spread;
+    f32.set(p.shadow, 16);
+    f32.set(p.midtone, 20);
+    f32.set(p.highlight, 24);
+    return buffer;
+};
+
+const createWebGPUBackend = async () => {
+    if (typeof navigator === 'undefined' || !navigator.gpu) return null;
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) return null;
+    const device = await adapter.requestDevice();
+    let lost = false;
+    device.lost.then(() => { lost = true; });
+
+    const module = device.createShaderModule({ code: WGSL_COMPUTE });
+    const pipeline = await device.createComputePipelineAsync({ layout: 'auto', compute: { module, entryPoint: 'main' } });
+    const { maxStorageBufferBindingSize, maxComputeWorkgroupsPerDimension } = device.limits;
+
+    const storage = (contents, usage = GPUBufferUsage.STORAGE) => {
+        const buffer = device.createBuffer({ size: contents.byteLength, usage: usage | GPUBufferUsage.COPY_DST });
+        device.queue.writeBuffer(buffer, 0, contents);
+        return buffer;
+    };
+
+    const run = async (imageData, p) => {
+        if (lost) throw new Error('WebGPU device lost');
+        const { width, height, data } = imageData;
+        const size = data.byteLength;
+
+        const buffers = [
+            storage(new Uint8Array(data.buffer, data.byteOffset, size)),
+            storage(p.thresholds),
+            storage(p.projected),
+            storage(p.paletteRgb),
+            device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC }),
+            storage(packParams(width, height, p), GPUBufferUsage.UNIFORM)
+        ];
+        const readback = device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+
+        try {
+            const bindGroup = device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } }))
+            });
+            const encoder = device.createCommandEncoder();
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(Math.ceil(width / 8), Math.ceil(height / 8));
+            pass.end();
+            encoder.copyBufferToBuffer(buffers[4], 0, readback, 0, size);
+            device.queue.submit([encoder.finish()]);
+
+            await readback.mapAsync(GPUMapMode.READ);
+            const out = new Uint8Array(readback.getMappedRange().slice(0));
+            readback.unmap();
+            return out;
+        } finally {
+            buffers.forEach(buffer => buffer.destroy());
+            readback.destroy();
+        }
+    };
+
+    return {
+        kind: 'webgpu',
+        fits: (width, height) => width * height * 4 <= maxStorageBufferBindingSize
+            && Math.ceil(Math.max(width, height) / 8) <= maxComputeWorkgroupsPerDimension,
+        run,
+        dispose: () => device.destroy()
+    };
+};
+
+// ── Backend selection ──────────────────────────────────────────────────────
+
+const factories = {
+    webgpu: createWebGPUBackend,
+    webgl2: createWebGL2Backend
+};
+
+// Resolves to a backend, or null if `kind` isn't available here
+export const createGpuBackend = async (kind) => {
+    try {
+        return (await factories[kind]?.()) ?? null;
+    } catch {
+        return null;
+    }
+};
+
+let active = null; // Promise<backend | null>
+
+export const getGpuBackend = () => {
+    if (!active) {
+        active = (async () => (await createGpuBackend('webgpu')) ?? (await createGpuBackend('webgl2')))();
+    }
+    return active;
+};
+
+export const resetGpuBackend = () => {
+    active?.then(backend => backend?.dispose());
+    active = null;
+};
+
+// Runs one pass in place. Any failure switches the GPU off for the session
+// and leaves the pixels untouched for the CPU fallback.
+const runOnGpu = async (imageData, params) => {
+    const backend = await getGpuBackend();
+    if (!backend || !backend.fits(imageData.width, imageData.height)) return false;
+    try {
+        const out = await backend.run(imageData, params);
+        imageData.data.set(out);
+        return true;
+    } catch {
+        backend.dispose();
+        active = Promise.resolve(null);
+        return false;
+    }
+};
+
+export const gpuOrderedDither = (imageData, options) => runOnGpu(imageData, orderedDitherParams(options));
+
+export const gpuColorMap = (imageData, colors) => runOnGpu(imageData, colorMapParams(colors));
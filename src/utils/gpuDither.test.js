@@ -0,0 +1,113 @@
+/**
+ * Tests for src/utils/gpuDither.js
+ *
+ * jsdom has neither WebGPU nor WebGL2, so these cover the shader parameters
+ * and the CPU fallback. GPU-vs-CPU parity lives in gpuDither.gpu.test.js,
+ * which runs in headless Chromium (`npm run test:gpu`).
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  orderedDitherParams,
+  colorMapParams,
+  getGpuBackend,
+  resetGpuBackend,
+  gpuOrderedDither,
+  gpuColorMap,
+} from './gpuDither.js';
+import { getThresholdMap, shiftThresholdMap } from './thresholdMaps.js';
+import { rgbToLab } from './colors.js';
+
+afterEach(() => {
+  resetGpuBackend();
+});
+
+// ─── orderedDitherParams ──────────────────────────────────────────────────────
+
+describe('orderedDitherParams', () => {
+  it('carries the threshold map and fuses the tone colours', () => {
+    const p = orderedDitherParams({
+      thresholdMap: 'bayer',
+      thresholdSize: 4,
+      colors: { shadow: '#ff0000', midtone: '#00ff00', highlight: 'transparent' },
+    });
+    const { thresholds } = getThresholdMap('bayer', 4);
+    expect(p.mode).toBe(1);
+    expect(p.size).toBe(4);
+    expect(Array.from(p.thresholds)).toEqual(Array.from(Float32Array.from(thresholds)));
+    expect(p.mapTones).toBe(true);
+    expect(p.triMap).toBe(true);
+    expect(p.shadow).toEqual([255, 0, 0, 255]);
+    expect(p.midtone).toEqual([0, 255, 0, 255]);
+    expect(p.highlightClear).toBe(true);
+  });
+
+  it('leaves grey output when no tone colours are given', () => {
+    const p = orderedDitherParams({ isTriColor: false });
+    expect(p.mode).toBe(1);
+    expect(p.mapTones).toBe(false);
+    expect(p.triDither).toBe(false);
+  });
+
+  it('only marks rotated screens as rotated', () => {
+    expect(orderedDitherParams({ angle: 0 }).rotated).toBe(false);
+    const p = orderedDitherParams({ angle: 90 });
+    expect(p.rotated).toBe(true);
+    expect(p.cos).toBeCloseTo(0);
+    expect(p.sin).toBeCloseTo(1);
+  });
+
+  it('projects palette colours into the matching space', () => {
+    const p = orderedDitherParams({ palette: ['#000000', '#ff8000'], metric: 'ciede2000' });
+    const lab = rgbToLab(255, 128, 0);
+    expect(p.mode).toBe(2);
+    expect(p.metric).toBe(1);
+    expect(p.paletteCount).toBe(2);
+    expect(p.spread).toBeCloseTo(255 / Math.cbrt(2));
+    expect(Array.from(p.paletteRgb.slice(4, 7))).toEqual([255, 128, 0]);
+    Array.from(p.projected.slice(4, 7)).forEach((v, i) => expect(v).toBeCloseTo(lab[i], 3));
+  });
+
+  it('scrolls the threshold map by the offset', () => {
+    const p = orderedDitherParams({ thresholdMap: 'cluster', thresholdSize: 6, offset: { x: 2, y: -1 } });
+    const { thresholds } = shiftThresholdMap(getThresholdMap('cluster', 6), 2, -1);
+    expect(Array.from(p.thresholds)).toEqual(Array.from(thresholds));
+  });
+});
+
+// ─── colorMapParams ───────────────────────────────────────────────────────────
+
+describe('colorMapParams', () => {
+  it('maps two tones with a transparent shadow', () => {
+    const p = colorMapParams({ shadow: 'transparent', highlight: '#ffffff' });
+    expect(p.mode).toBe(0);
+    expect(p.triMap).toBe(false);
+    expect(p.shadow).toEqual([0, 0, 0, 0]);
+    expect(p.highlight).toEqual([255, 255, 255, 255]);
+    expect(p.highlightClear).toBe(false);
+  });
+});
+
+// ─── CPU fallback ─────────────────────────────────────────────────────────────
+
+describe('without a GPU', () => {
+  it('finds no backend and leaves the pixels untouched', async () => {
+    const data = new Uint8ClampedArray([10, 20, 30, 255, 200, 210, 220, 255]);
+    const imageData = { data, width: 2, height: 1 };
+
+    expect(await getGpuBackend()).toBeNull();
+    expect(await gpuOrderedDither(imageData, { colors: { shadow: '#000000', highlight: '#ffffff' } })).toBe(false);
+    expect(await gpuColorMap(imageData, { shadow: '#000000', highlight: '#ffffff' })).toBe(false);
+    expect(Array.from(data)).toEqual([10, 20, 30, 255, 200, 210, 220, 255]);
+  });
+
+  it('falls back without logging when a backend fails to start', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('navigator', { gpu: { requestAdapter: () => Promise.reject(new Error('lost')) } });
+    const imageData = { data: new Uint8ClampedArray(4), width: 1, height: 1 };
+
+    expect(await gpuColorMap(imageData, { shadow: '#000000', highlight: '#ffffff' })).toBe(false);
+    expect(warn).not.toHaveBeenCalled();
+    vi.unstubAllGlobals();
+    warn.mockRestore();
+  });
+});
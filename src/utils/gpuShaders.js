@@ -0,0 +1,426 @@
+// Shader ports of applyOrderedDither, createPaletteMatcher and applyColorMap
+// from dither.js / colors.js. Both versions follow the CPU code line for line
+// so the parity suite can compare them pixel by pixel; keep them in step
+// when the CPU reference changes.
+//
+// mode 0: tone colour map only (the input is already dithered grey)
+// mode 1: ordered dither, then the tone colour map when mapTones is set
+// mode 2: ordered dither straight to the palette
+
+export const GLSL_VERTEX = `#version 300 es
+void main() {
+    // One triangle that covers the viewport
+    vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+export const GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2D;
+precision highp usampler2D;
+
+uniform usampler2D u_source;
+uniform sampler2D u_thresholds;
+uniform sampler2D u_palette;  // row 0: projected colours, row 1: sRGB
+
+uniform int u_mode;
+uniform int u_size;
+uniform bool u_rotated;
+uniform vec2 u_rotation;      // cos, sin
+uniform float u_contrast;
+uniform bool u_triDither;
+uniform bool u_triMap;
+uniform bool u_mapTones;
+uniform bool u_highlightClear;
+uniform int u_paletteCount;
+uniform int u_metric;         // 0: OKLab, 1: CIEDE2000
+uniform float u_spread;
+uniform vec4 u_shadow;
+uniform vec4 u_midtone;
+uniform vec4 u_highlight;
+
+out uvec4 outColor;
+
+const float RAD = 0.017453292519943295;
+const float POW25_7 = 6103515625.0;
+
+float toLinear(float c) {
+    float v = c / 255.0;
+    return v <= 0.04045 ? v / 12.92 : pow((v + 0.055) / 1.055, 2.4);
+}
+
+float cbrt(float x) {
+    return x <= 0.0 ? 0.0 : pow(x, 1.0 / 3.0);
+}
+
+float pow7(float x) {
+    float x3 = x * x * x;
+    return x3 * x3 * x;
+}
+
+vec3 toOklab(vec3 rgb) {
+    float lr = toLinear(rgb.r);
+    float lg = toLinear(rgb.g);
+    float lb = toLinear(rgb.b);
+    float l = cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    float m = cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    float s = cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return vec3(
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    );
+}
+
+float labF(float t) {
+    return t > 216.0 / 24389.0 ? cbrt(t) : (24389.0 / 27.0 * t + 16.0) / 116.0;
+}
+
+vec3 toLab(vec3 rgb) {
+    float lr = toLinear(rgb.r);
+    float lg = toLinear(rgb.g);
+    float lb = toLinear(rgb.b);
+    float fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    float fy = labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    float fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+    return vec3(116.0 * fy - 16.0, 500.0 * (fx - fy), 200.0 * (fy - fz));
+}
+
+float hueAngle(float b, float a) {
+    if (a == 0.0 && b == 0.0) return 0.0;
+    float h = degrees(atan(b, a));
+    return h < 0.0 ? h + 360.0 : h;
+}
+
+// Squared CIEDE2000; the square root doesn't change which colour is nearest
+float deltaE2000Sq(vec3 p, vec3 q) {
+    float C1 = length(p.yz);
+    float C2 = length(q.yz);
+    float Cbar7 = pow7((C1 + C2) / 2.0);
+    float G = 0.5 * (1.0 - sqrt(Cbar7 / (Cbar7 + POW25_7)));
+    float a1p = p.y * (1.0 + G);
+    float a2p = q.y * (1.0 + G);
+    float C1p = length(vec2(a1p, p.z));
+    float C2p = length(vec2(a2p, q.z));
+    float h1p = hueAngle(p.z, a1p);
+    float h2p = hueAngle(q.z, a2p);
+
+    float dLp = q.x - p.x;
+    float dCp = C2p - C1p;
+    float dhp = 0.0;
+    if (C1p * C2p != 0.0) {
+        dhp = h2p - h1p;
+        if (dhp > 180.0) dhp -= 360.0;
+        else if (dhp < -180.0) dhp += 360.0;
+    }
+    float dHp = 2.0 * sqrt(C1p * C2p) * sin((dhp / 2.0) * RAD);
+
+    float Lbarp = (p.x + q.x) / 2.0;
+    float Cbarp = (C1p + C2p) / 2.0;
+    float hbarp = h1p + h2p;
+    if (C1p * C2p != 0.0) {
+        if (abs(h1p - h2p) > 180.0) hbarp += h1p + h2p < 360.0 ? 360.0 : -360.0;
+        hbarp /= 2.0;
+    }
+
+    float T = 1.0
+        - 0.17 * cos((hbarp - 30.0) * RAD)
+        + 0.24 * cos(2.0 * hbarp * RAD)
+        + 0.32 * cos((3.0 * hbarp + 6.0) * RAD)
+        - 0.20 * cos((4.0 * hbarp - 63.0) * RAD);
+    float k = (hbarp - 275.0) / 25.0;
+    float dTheta = 30.0 * exp(-k * k);
+    float Cbarp7 = pow7(Cbarp);
+    float Rc = 2.0 * sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+    float L50 = (Lbarp - 50.0) * (Lbarp - 50.0);
+    float Sl = 1.0 + (0.015 * L50) / sqrt(20.0 + L50);
+    float Sc = 1.0 + 0.045 * Cbarp;
+    float Sh = 1.0 + 0.015 * Cbarp * T;
+    float Rt = -sin(2.0 * dTheta * RAD) * Rc;
+
+    float l = dLp / Sl;
+    float c = dCp / Sc;
+    float h = dHp / Sh;
+    return l * l + c * c + h * h + Rt * c * h;
+}
+
+int nearest(vec3 rgb) {
+    vec3 p = u_metric == 1 ? toLab(rgb) : toOklab(rgb);
+    int best = 0;
+    float bestD = 1e30;
+    for (int i = 0; i < 256; i++) {
+        if (i >= u_paletteCount) break;
+        vec3 q = texelFetch(u_palette, ivec2(i, 0), 0).xyz;
+        vec3 d = p - q;
+        float dist = u_metric == 1 ? deltaE2000Sq(p, q) : dot(d, d);
+        if (dist < bestD) { bestD = dist; best = i; }
+    }
+    return best;
+}
+
+int wrap(int v) {
+    return v - u_size * int(floor(float(v) / float(u_size)));
+}
+
+ivec2 cell(ivec2 pos) {
+    if (!u_rotated) return ivec2(pos.x % u_size, pos.y % u_size);
+    float x = float(pos.x);
+    float y = float(pos.y);
+    return ivec2(
+        wrap(int(floor(x * u_rotation.x + y * u_rotation.y))),
+        wrap(int(floor(y * u_rotation.x - x * u_rotation.y)))
+    );
+}
+
+float orderedLevel(float luma, float bayerVal) {
+    float adjusted = (luma - 128.0) * u_contrast + 128.0;
+    if (!u_triDither) return adjusted > bayerVal ? 255.0 : 0.0;
+    float v = clamp(adjusted, 0.0, 255.0) / 255.0;
+    float vInt = floor(v * 2.0);
+    float vFrac = v * 2.0 - vInt;
+    if (vInt >= 2.0) return 255.0;
+    return min(255.0, vFrac * 255.0 > bayerVal ? (vInt + 1.0) * 128.0 : vInt * 128.0);
+}
+
+uvec4 toneMap(float v, vec4 px) {
+    bool isHighlight = u_triMap ? v >= 192.0 : v >= 128.0;
+    if (isHighlight) {
+        return u_highlightClear ? uvec4(uvec3(px.rgb), 0u) : uvec4(u_highlight);
+    }
+    return uvec4(u_triMap && v >= 64.0 ? u_midtone : u_shadow);
+}
+
+void main() {
+    ivec2 pos = ivec2(gl_FragCoord.xy);
+    vec4 px = vec4(texelFetch(u_source, pos, 0));
+
+    if (u_mode == 0) {
+        outColor = toneMap(px.r, px);
+        return;
+    }
+
+    float threshold = texelFetch(u_thresholds, cell(pos), 0).r;
+    if (u_mode == 2) {
+        float t = (threshold - 0.5) * u_spread;
+        vec3 c = clamp(floor((px.rgb - 128.0) * u_contrast + 128.0 + t + 0.5), 0.0, 255.0);
+        vec3 rgb = texelFetch(u_palette, ivec2(nearest(c), 1), 0).rgb;
+        outColor = uvec4(uvec3(rgb), px.a < 128.0 ? 0u : 255u);
+        return;
+    }
+
+    float luma = px.r * 0.299 + px.g * 0.587 + px.b * 0.114;
+    float level = orderedLevel(luma, threshold * 255.0);
+    vec4 grey = vec4(vec3(level), px.a);
+    outColor = u_mapTones ? toneMap(level, grey) : uvec4(grey);
+}`;
+
+export const WGSL_COMPUTE = `
+struct Params {
+    width: u32, height: u32, mode: u32, size: u32,
+    cosA: f32, sinA: f32, rotated: u32, contrast: f32,
+    triDither: u32, triMap: u32, mapTones: u32, highlightClear: u32,
+    paletteCount: u32, metric: u32, spread: f32, pad: u32,
+    shadow: vec4f,
+    midtone: vec4f,
+    highlight: vec4f,
+}
+
+@group(0) @binding(0) var<storage, read> pixelsIn: array<u32>;
+@group(0) @binding(1) var<storage, read> thresholds: array<f32>;
+@group(0) @binding(2) var<storage, read> projected: array<vec4f>;
+@group(0) @binding(3) var<storage, read> paletteRgb: array<vec4f>;
+@group(0) @binding(4) var<storage, read_write> pixelsOut: array<u32>;
+@group(0) @binding(5) var<uniform> params: Params;
+
+const RAD = 0.017453292519943295;
+const POW25_7 = 6103515625.0;
+
+fn toLinear(c: f32) -> f32 {
+    let v = c / 255.0;
+    return select(pow((v + 0.055) / 1.055, 2.4), v / 12.92, v <= 0.04045);
+}
+
+fn cbrt(x: f32) -> f32 {
+    if (x <= 0.0) { return 0.0; }
+    return pow(x, 1.0 / 3.0);
+}
+
+fn pow7(x: f32) -> f32 {
+    let x3 = x * x * x;
+    return x3 * x3 * x;
+}
+
+fn toOklab(rgb: vec3f) -> vec3f {
+    let lr = toLinear(rgb.r);
+    let lg = toLinear(rgb.g);
+    let lb = toLinear(rgb.b);
+    let l = cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    let m = cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    let s = cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return vec3f(
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    );
+}
+
+fn labF(t: f32) -> f32 {
+    if (t > 216.0 / 24389.0) { return cbrt(t); }
+    return (24389.0 / 27.0 * t + 16.0) / 116.0;
+}
+
+fn toLab(rgb: vec3f) -> vec3f {
+    let lr = toLinear(rgb.r);
+    let lg = toLinear(rgb.g);
+    let lb = toLinear(rgb.b);
+    let fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    let fy = labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    let fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+    return vec3f(116.0 * fy - 16.0, 500.0 * (fx - fy), 200.0 * (fy - fz));
+}
+
+fn hueAngle(b: f32, a: f32) -> f32 {
+    if (a == 0.0 && b == 0.0) { return 0.0; }
+    let h = degrees(atan2(b, a));
+    return select(h, h + 360.0, h < 0.0);
+}
+
+// Squared CIEDE2000; the square root doesn't change which colour is nearest
+fn deltaE2000Sq(p: vec3f, q: vec3f) -> f32 {
+    let C1 = length(p.yz);
+    let C2 = length(q.yz);
+    let Cbar7 = pow7((C1 + C2) / 2.0);
+    let G = 0.5 * (1.0 - sqrt(Cbar7 / (Cbar7 + POW25_7)));
+    let a1p = p.y * (1.0 + G);
+    let a2p = q.y * (1.0 + G);
+    let C1p = length(vec2f(a1p, p.z));
+    let C2p = length(vec2f(a2p, q.z));
+    let h1p = hueAngle(p.z, a1p);
+    let h2p = hueAngle(q.z, a2p);
+
+    let dLp = q.x - p.x;
+    let dCp = C2p - C1p;
+    var dhp = 0.0;
+    if (C1p * C2p != 0.0) {
+        dhp = h2p - h1p;
+        if (dhp > 180.0) { dhp -= 360.0; } else if (dhp < -180.0) { dhp += 360.0; }
+    }
+    let dHp = 2.0 * sqrt(C1p * C2p) * sin((dhp / 2.0) * RAD);
+
+    let Lbarp = (p.x + q.x) / 2.0;
+    let Cbarp = (C1p + C2p) / 2.0;
+    var hbarp = h1p + h2p;
+    if (C1p * C2p != 0.0) {
+        if (abs(h1p - h2p) > 180.0) { hbarp += select(-360.0, 360.0, h1p + h2p < 360.0); }
+        hbarp /= 2.0;
+    }
+
+    let T = 1.0
+        - 0.17 * cos((hbarp - 30.0) * RAD)
+        + 0.24 * cos(2.0 * hbarp * RAD)
+        + 0.32 * cos((3.0 * hbarp + 6.0) * RAD)
+        - 0.20 * cos((4.0 * hbarp - 63.0) * RAD);
+    let k = (hbarp - 275.0) / 25.0;
+    let dTheta = 30.0 * exp(-k * k);
+    let Cbarp7 = pow7(Cbarp);
+    let Rc = 2.0 * sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+    let L50 = (Lbarp - 50.0) * (Lbarp - 50.0);
+    let Sl = 1.0 + (0.015 * L50) / sqrt(20.0 + L50);
+    let Sc = 1.0 + 0.045 * Cbarp;
+    let Sh = 1.0 + 0.015 * Cbarp * T;
+    let Rt = -sin(2.0 * dTheta * RAD) * Rc;
+
+    let l = dLp / Sl;
+    let c = dCp / Sc;
+    let h = dHp / Sh;
+    return l * l + c * c + h * h + Rt * c * h;
+}
+
+fn nearest(rgb: vec3f) -> u32 {
+    let useDE = params.metric == 1u;
+    var p = toOklab(rgb);
+    if (useDE) { p = toLab(rgb); }
+    var best = 0u;
+    var bestD = 1e30;
+    for (var i = 0u; i < params.paletteCount; i++) {
+        let q = projected[i].xyz;
+        let d = p - q;
+        var dist = dot(d, d);
+        if (useDE) { dist = deltaE2000Sq(p, q); }
+        if (dist < bestD) { bestD = dist; best = i; }
+    }
+    return best;
+}
+
+fn wrap(v: i32) -> i32 {
+    let size = i32(params.size);
+    return v - size * i32(floor(f32(v) / f32(size)));
+}
+
+fn cell(x: u32, y: u32) -> u32 {
+    if (params.rotated == 0u) {
+        return (y % params.size) * params.size + x % params.size;
+    }
+    let fx = f32(x);
+    let fy = f32(y);
+    let tx = wrap(i32(floor(fx * params.cosA + fy * params.sinA)));
+    let ty = wrap(i32(floor(fy * params.cosA - fx * params.sinA)));
+    return u32(ty) * params.size + u32(tx);
+}
+
+fn orderedLevel(luma: f32, bayerVal: f32) -> f32 {
+    let adjusted = (luma - 128.0) * params.contrast + 128.0;
+    if (params.triDither == 0u) { return select(0.0, 255.0, adjusted > bayerVal); }
+    let v = clamp(adjusted, 0.0, 255.0) / 255.0;
+    let vInt = floor(v * 2.0);
+    let vFrac = v * 2.0 - vInt;
+    if (vInt >= 2.0) { return 255.0; }
+    return min(255.0, select(vInt * 128.0, (vInt + 1.0) * 128.0, vFrac * 255.0 > bayerVal));
+}
+
+fn toneMap(v: f32, px: vec4f) -> vec4f {
+    let tri = params.triMap != 0u;
+    let isHighlight = select(v >= 128.0, v >= 192.0, tri);
+    if (isHighlight) {
+        if (params.highlightClear != 0u) { return vec4f(px.rgb, 0.0); }
+        return params.highlight;
+    }
+    return select(params.shadow, params.midtone, tri && v >= 64.0);
+}
+
+fn unpackPixel(p: u32) -> vec4f {
+    return vec4f(f32(p & 0xffu), f32((p >> 8u) & 0xffu), f32((p >> 16u) & 0xffu), f32(p >> 24u));
+}
+
+fn packPixel(c: vec4f) -> u32 {
+    let u = vec4u(c);
+    return u.r | (u.g << 8u) | (u.b << 16u) | (u.a << 24u);
+}
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3u) {
+    if (id.x >= params.width || id.y >= params.height) { return; }
+    let index = id.y * params.width + id.x;
+    let px = unpackPixel(pixelsIn[index]);
+
+    if (params.mode == 0u) {
+        pixelsOut[index] = packPixel(toneMap(px.r, px));
+        return;
+    }
+
+    let threshold = thresholds[cell(id.x, id.y)];
+    if (params.mode == 2u) {
+        let t = (threshold - 0.5) * params.spread;
+        let c = clamp(floor((px.rgb - 128.0) * params.contrast + 128.0 + t + 0.5), vec3f(0.0), vec3f(255.0));
+        let rgb = paletteRgb[nearest(c)].rgb;
+        pixelsOut[index] = packPixel(vec4f(rgb, select(255.0, 0.0, px.a < 128.0)));
+        return;
+    }
+
+    let luma = px.r * 0.299 + px.g * 0.587 + px.b * 0.114;
+    let level = orderedLevel(luma, threshold * 255.0);
+    let grey = vec4f(vec3f(level), px.a);
+    pixelsOut[index] = packPixel(select(grey, toneMap(level, grey), params.mapTones != 0u));
+}
+`;
@@ -0,0 +1,180 @@
+// Amplitude-modulated halftone screen. The source is sampled once per screen
+// cell on a rotated grid; each cell becomes one dot whose area tracks the
+// local darkness. Dots are kept as geometry so they can be drawn to a canvas
+// with anti-aliasing or written out as resolution-independent SVG.
+
+export const DOT_SHAPES = {
+    round: 'Round',
+    ellipse: 'Elliptical',
+    square: 'Square',
+    line: 'Line'
+};
+
+// Source pixels are treated as CSS pixels when converting lines-per-inch
+export const SCREEN_DPI = 96;
+
+export const lpiToCellSize = (lpi) => SCREEN_DPI / Math.max(1, lpi);
+
+export const computeHalftoneScreen = (imageData, { angle = 45, lpi = 20, contrast = 1 } = {}) => {
+    const { width, height, data } = imageData;
+    const cell = lpiToCellSize(lpi);
+    const theta = (angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const cx = width / 2;
+    const cy = height / 2;
+    const reach = Math.ceil(Math.hypot(width, height) / 2 / cell) + 1;
+    const half = cell / 2;
+    const dots = [];
+
+    for (let v = -reach; v <= reach; v++) {
+        for (let u = -reach; u <= reach; u++) {
+            const x = cx + (u * cos - v * sin) * cell;
+            const y = cy + (u * sin + v * cos) * cell;
+            if (x < -half || y < -half || x > width + half || y > height + half) continue;
+
+            // Box-average the cell footprint; transparent pixels count as paper
+            const x0 = Math.max(0, Math.floor(x - half));
+            const y0 = Math.max(0, Math.floor(y - half));
+            const x1 = Math.min(width, Math.ceil(x + half));
+            const y1 = Math.min(height, Math.ceil(y + half));
+            if (x1 <= x0 || y1 <= y0) continue;
+
+            let sum = 0;
+            let count = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const idx = (sy * width + sx) * 4;
+                    const a = data[idx + 3] / 255;
+                    const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+                    sum += luma * a + 255 * (1 - a);
+                    count++;
+                }
+            }
+
+            const adjustedLuma = (sum / count - 128) * contrast + 128;
+            const coverage = 1 - Math.max(0, Math.min(255, adjustedLuma)) / 255;
+            if (coverage <= 0) continue;
+
+            dots.push({ x, y, coverage });
+        }
+    }
+
+    return { width, height, cell, angle, dots };
+};
+
+// Round dots grow with area ∝ coverage until they touch (π/4), then keep
+// growing until the cell corners are inked so solid areas come out solid.
+const roundRadius = (coverage, cell) => {
+    const touch = Math.PI / 4;
+    if (coverage <= touch) return cell * Math.sqrt(coverage / Math.PI);
+    const t = (coverage - touch) / (1 - touch);
+    return cell * (0.5 + t * (Math.SQRT1_2 - 0.5));
+};
+
+const ELLIPSE_ASPECT = 1.3;
+
+// Rotated rectangle corners for square and line dots
+const dotCorners = (dot, shape, cell, cos, sin) => {
+    let hw;
+    let hh;
+    if (shape === 'line') {
+        hw = cell / 2;
+        hh = (cell * dot.coverage) / 2;
+    } else {
+        hw = hh = (cell * Math.sqrt(dot.coverage)) / 2;
+    }
+    return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([u, v]) => [
+        dot.x + u * cos - v * sin,
+        dot.y + u * sin + v * cos
+    ]);
+};
+
+export const renderHalftone = (ctx, screen, { shape = 'round', colors, scale = 1 } = {}) => {
+    const { width, height, cell, angle, dots } = screen;
+    const { shadow = '#000000', highlight = '#ffffff' } = colors || {};
+    const theta = (angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+
+    ctx.save();
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.imageSmoothingEnabled = true;
+
+    if (highlight !== 'transparent') {
+        ctx.fillStyle = highlight;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    if (shadow !== 'transparent') {
+        ctx.fillStyle = shadow;
+        ctx.beginPath();
+        for (const dot of dots) {
+            if (shape === 'round') {
+                const r = roundRadius(dot.coverage, cell);
+                ctx.moveTo(dot.x + r, dot.y);
+                ctx.arc(dot.x, dot.y, r, 0, Math.PI * 2);
+            } else if (shape === 'ellipse') {
+                const r = roundRadius(dot.coverage, cell);
+                ctx.moveTo(dot.x + r * ELLIPSE_ASPECT * cos, dot.y + r * ELLIPSE_ASPECT * sin);
+                ctx.ellipse(dot.x, dot.y, r * ELLIPSE_ASPECT, r / ELLIPSE_ASPECT, theta, 0, Math.PI * 2);
+            } else {
+                const corners = dotCorners(dot, shape, cell, cos, sin);
+                ctx.moveTo(corners[0][0], corners[0][1]);
+                for (let i = 1; i < 4; i++) ctx.lineTo(corners[i][0], corners[i][1]);
+                ctx.closePath();
+            }
+        }
+        ctx.fill();
+    }
+    ctx.restore();
+};
+
+const fmt = (n) => +n.toFixed(2);
+
+// Dots for one screen as an SVG <g>, without the surrounding document
+export const halftoneMarkup = (screen, { shape = 'round', fill = '#000000', attrs = '' } = {}) => {
+    const { cell, angle, dots } = screen;
+    const theta = (angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+
+    let markup = `<g fill="${fill}"${attrs}>`;
+    if (shape === 'round') {
+        for (const dot of dots) {
+            markup += `<circle cx="${fmt(dot.x)}" cy="${fmt(dot.y)}" r="${fmt(roundRadius(dot.coverage, cell))}" />`;
+        }
+    } else if (shape === 'ellipse') {
+        for (const dot of dots) {
+            const r = roundRadius(dot.coverage, cell);
+            markup += `<ellipse cx="${fmt(dot.x)}" cy="${fmt(dot.y)}" rx="${fmt(r * ELLIPSE_ASPECT)}" ry="${fmt(r / ELLIPSE_ASPECT)}" transform="rotate(${fmt(angle)} ${fmt(dot.x)} ${fmt(dot.y)})" />`;
+        }
+    } else {
+        // Squares and lines share one compound path
+        const d = dots.map(dot => {
+            const [a, b, c, e] = dotCorners(dot, shape, cell, cos, sin);
+            return `M${fmt(a[0])} ${fmt(a[1])}L${fmt(b[0])} ${fmt(b[1])}L${fmt(c[0])} ${fmt(c[1])}L${fmt(e[0])} ${fmt(e[1])}Z`;
+        }).join('');
+        markup += `<path d="${d}" />`;
+    }
+    return markup + `</g>`;
+};
+
+export const generateHalftoneSVG = (screen, { shape = 'round', colors, scale = 1 } = {}) => {
+    const { width, height } = screen;
+    const { shadow = '#000000', highlight = '#ffffff' } = colors || {};
+
+    let svgContent = `<svg width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`;
+
+    if (highlight && highlight !== 'transparent') {
+        svgContent += `<rect width="${width}" height="${height}" fill="${highlight}" />`;
+    }
+
+    if (shadow !== 'transparent') {
+        svgContent += halftoneMarkup(screen, { shape, fill: shadow });
+    }
+
+    svgContent += `</svg>`;
+    return svgContent;
+};
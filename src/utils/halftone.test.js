@@ -0,0 +1,88 @@
+/**
+ * Tests for src/utils/halftone.js
+ *
+ * renderHalftone needs a real 2D context, so we cover the screen sampling
+ * and the SVG writer, which are pure.
+ */
+import { describe, it, expect } from 'vitest';
+import { computeHalftoneScreen, generateHalftoneSVG, lpiToCellSize, SCREEN_DPI } from './halftone.js';
+
+function makeImageData(width, height, fillValue = 128) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(fillValue);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { data, width, height };
+}
+
+// ─── computeHalftoneScreen ────────────────────────────────────────────────────
+
+describe('computeHalftoneScreen', () => {
+  it('derives the cell size from lines per inch', () => {
+    const screen = computeHalftoneScreen(makeImageData(40, 40), { lpi: 24 });
+    expect(screen.cell).toBe(SCREEN_DPI / 24);
+    expect(lpiToCellSize(48)).toBe(2);
+  });
+
+  it('emits no dots for a white image', () => {
+    const screen = computeHalftoneScreen(makeImageData(40, 40, 255));
+    expect(screen.dots).toHaveLength(0);
+  });
+
+  it('treats transparent pixels as paper', () => {
+    const imageData = makeImageData(40, 40, 0);
+    for (let i = 3; i < imageData.data.length; i += 4) imageData.data[i] = 0;
+    expect(computeHalftoneScreen(imageData).dots).toHaveLength(0);
+  });
+
+  it('maps darkness to dot coverage', () => {
+    const dark = computeHalftoneScreen(makeImageData(40, 40, 0), { angle: 0 });
+    const mid = computeHalftoneScreen(makeImageData(40, 40, 128), { angle: 0 });
+    expect(dark.dots.every(d => d.coverage === 1)).toBe(true);
+    expect(mid.dots[0].coverage).toBeCloseTo(127 / 255, 2);
+  });
+
+  it('places dots on a grid rotated by the screen angle', () => {
+    const { dots, cell } = computeHalftoneScreen(makeImageData(60, 60, 0), { angle: 30, lpi: 12 });
+    // Find the dot at the image centre and its neighbour along the screen's u axis
+    const centre = dots.find(d => Math.abs(d.x - 30) < 1e-6 && Math.abs(d.y - 30) < 1e-6);
+    expect(centre).toBeDefined();
+    const ux = 30 + cell * Math.cos(Math.PI / 6);
+    const uy = 30 + cell * Math.sin(Math.PI / 6);
+    expect(dots.some(d => Math.abs(d.x - ux) < 1e-6 && Math.abs(d.y - uy) < 1e-6)).toBe(true);
+  });
+});
+
+// ─── generateHalftoneSVG ──────────────────────────────────────────────────────
+
+describe('generateHalftoneSVG', () => {
+  const screen = computeHalftoneScreen(makeImageData(32, 32, 100), { lpi: 24 });
+  const colors = { shadow: '#112233', highlight: '#ffffff' };
+
+  it('sizes the SVG by export scale but keeps the source viewBox', () => {
+    const svg = generateHalftoneSVG(screen, { colors, scale: 2 });
+    expect(svg).toContain('width="64" height="64" viewBox="0 0 32 32"');
+  });
+
+  it('writes one circle per dot for round dots', () => {
+    const svg = generateHalftoneSVG(screen, { shape: 'round', colors });
+    expect(svg.match(/<circle /g)).toHaveLength(screen.dots.length);
+    expect(svg).toContain('fill="#112233"');
+  });
+
+  it('rotates elliptical dots to the screen angle', () => {
+    const svg = generateHalftoneSVG(screen, { shape: 'ellipse', colors });
+    expect(svg).toContain('transform="rotate(45 ');
+  });
+
+  it('merges square and line dots into a single path', () => {
+    for (const shape of ['square', 'line']) {
+      const svg = generateHalftoneSVG(screen, { shape, colors });
+      expect(svg.match(/<path /g)).toHaveLength(1);
+      expect(svg.match(/Z/g)).toHaveLength(screen.dots.length);
+    }
+  });
+
+  it('omits the paper rect when the highlight is transparent', () => {
+    const svg = generateHalftoneSVG(screen, { colors: { shadow: '#000000', highlight: 'transparent' } });
+    expect(svg).not.toContain('<rect');
+  });
+});
@@ -1,79 +1,133 @@
-export const constructFigmaPayload = (pathData, width, height, hexColor) => {
-    const colorObj = hexToFigmaColor(hexColor);
-    
-    // eslint-disable-next-line no-unused-vars
-    const figmaNode = {
-        name: "Dithered-Gravity-Layer",
-        type: "VECTOR",
-        guid: "0:1",
-        x: 0,
-        y: 0,
-        width: width,
-        height: height,
-        fills: [
-            {
-                type: "SOLID",
-                visible: true,
-                opacity: 1,
-                blendMode: "NORMAL",
-                color: colorObj
-            }
-        ],
-        vectorNetwork: {
-            regions: [
-                {
-                    loops: [ [0] ]
-                }
-            ],
-        },
-    };
+import { traceColorPaths } from './svgExport';
 
-    const rawSvg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">
-        <path d="${pathData}" fill="${hexColor}" />
-    </svg>`;
+const escapeAttr = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-    const meta = btoa(JSON.stringify({ pasteID: Date.now(), fileKey: null, isScene: true }));
-    return `<meta charset="utf-8"><!--(figmeta)${meta}-->${rawSvg}`;
+// Figma's own clipboard format is an undocumented binary buffer, but it
+// converts pasted SVG markup into native layers: the root <svg> becomes a
+// frame named after its id, and each shape a vector layer named after its
+// id with its fill. So the payload is one exactly traced path per colour,
+// with the commonest colour as the background rectangle.
+export const constructFigmaPayload = (imageData, { name = 'Ditter layer', scale = 1 } = {}) => {
+    const { width, height } = imageData;
+    const { background, paths } = traceColorPaths(imageData);
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" id="${escapeAttr(name)}" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" fill="none">`,
+        ...(background ? [`<rect id="${background}" width="${width}" height="${height}" fill="${background}"/>`] : []),
+        ...paths.map(({ color, d }) => `<path id="${color}" d="${d}" fill="${color}"/>`),
+        '</svg>'
+    ].join('\n');
 };
 
-export const copyHTMLToClipboard = async (htmlString) => {
-    const type = "text/html";
-    const blob = new Blob([htmlString], { type });
-    const data = [new ClipboardItem({ [type]: blob })];
-    await navigator.clipboard.write(data);
+// Writes one clipboard item holding every { mimeType: text } given
+export const copyToClipboard = async (types) => {
+    const blobs = Object.fromEntries(Object.entries(types).map(([type, text]) => [type, new Blob([text], { type })]));
+    await navigator.clipboard.write([new ClipboardItem(blobs)]);
 };
 
-export const constructFramerComponent = (pathData, hexColor) => {
-    return `import React from "react"
+export const FRAMER_DRIFT = {
+    none: [0, 0],
+    up: [0, -1],
+    down: [0, 1],
+    left: [-1, 0],
+    right: [1, 0]
+};
+
+// Source of a Framer code component (.tsx) drawing the layer's traced
+// colours, with one colour control per colour, a pixel scale (0 fits the
+// frame) and an optional drift that scrolls the artwork as a seamless tile.
+export const constructFramerComponent = (imageData, { name = 'Ditter layer', scale = 1 } = {}) => {
+    const { width, height } = imageData;
+    const { background, paths } = traceColorPaths(imageData);
+    const colors = [...(background ? [background] : []), ...paths.map(p => p.color)];
+    const colorProps = colors.map((_, i) => `color${i + 1}`);
+    const shapes = [
+        ...(background ? [`<rect width={WIDTH} height={HEIGHT} fill={color1} />`] : []),
+        ...paths.map((_, i) => `<path d={PATHS[${i}]} fill={${colorProps[i + (background ? 1 : 0)]}} />`)
+    ];
+
+    return `// ${name.replace(/\s+/g, ' ')} — exported from Ditter.io
+import { useId } from "react"
+import type { CSSProperties } from "react"
 import { addPropertyControls, ControlType } from "framer"
 
-export default function DitherAsset(props) {
+const WIDTH = ${width}
+const HEIGHT = ${height}
+const PATHS = ${JSON.stringify(paths.map(p => p.d), null, 4)}
+const DRIFT = { ${Object.entries(FRAMER_DRIFT).map(([key, [x, y]]) => `${key}: [${x}, ${y}]`).join(', ')} }
+
+type Props = {
+${colorProps.map(prop => `    ${prop}: string`).join('\n')}
+    pixelScale: number
+    drift: keyof typeof DRIFT
+    driftSpeed: number
+    style?: CSSProperties
+}
+
+/**
+ * @framerSupportedLayoutWidth any
+ * @framerSupportedLayoutHeight any
+ * @framerIntrinsicWidth ${width * scale}
+ * @framerIntrinsicHeight ${height * scale}
+ */
+export default function DitherAsset({
+${colors.map((color, i) => `    ${colorProps[i]} = "${color}",`).join('\n')}
+    pixelScale = 0,
+    drift = "none",
+    driftSpeed = 8,
+    style,
+}: Props) {
+    const id = \`dither-\${useId().replace(/:/g, "")}\`
+    const [dx, dy] = DRIFT[drift] ?? DRIFT.none
+    // One full tile per cycle, at driftSpeed source pixels a second
+    const duration = (dx ? WIDTH : HEIGHT) / Math.max(driftSpeed, 0.1)
+    const size = pixelScale > 0
+        ? { width: WIDTH * pixelScale, height: HEIGHT * pixelScale }
+        : { width: "100%", height: "100%" }
+
     return (
-        <div style={{ ...props.style, color: props.accentColor, width: "100%", height: "100%" }}>
-            <svg width="100%" height="100%" viewBox="0 0 100 100" preserveAspectRatio="xMidYMid meet">
-                <path d="${pathData}" fill="currentColor" fillRule="evenodd" />
+        <div style={{ ...style, width: "100%", height: "100%", overflow: "hidden" }}>
+            <svg {...size} viewBox={\`0 0 \${WIDTH} \${HEIGHT}\`} preserveAspectRatio="xMidYMid meet" shapeRendering="crispEdges">
+                <defs>
+                    <pattern id={id} width={WIDTH} height={HEIGHT} patternUnits="userSpaceOnUse">
+                        {(dx || dy) ? (
+                            <animateTransform
+                                attributeName="patternTransform"
+                                type="translate"
+                                from="0 0"
+                                to={\`\${dx * WIDTH} \${dy * HEIGHT}\`}
+                                dur={\`\${duration}s\`}
+                                repeatCount="indefinite"
+                            />
+                        ) : null}
+${shapes.map(shape => `                        ${shape}`).join('\n')}
+                    </pattern>
+                </defs>
+                <rect width={WIDTH} height={HEIGHT} fill={\`url(#\${id})\`} />
             </svg>
         </div>
     )
 }
 
-DitherAsset.defaultProps = {
-    accentColor: "${hexColor}"
-}
-
 addPropertyControls(DitherAsset, {
-    accentColor: { 
-        type: ControlType.Color, 
-        title: "Accent", 
-        defaultValue: "${hexColor}" 
-    }
+${colors.map((color, i) => `    ${colorProps[i]}: { type: ControlType.Color, title: "Color ${i + 1}", defaultValue: "${color}" },`).join('\n')}
+    pixelScale: { type: ControlType.Number, title: "Pixel Scale", defaultValue: 0, min: 0, max: 32, step: 1, displayStepper: true },
+    drift: {
+        type: ControlType.Enum,
+        title: "Drift",
+        defaultValue: "none",
+        options: [${Object.keys(FRAMER_DRIFT).map(key => `"${key}"`).join(', ')}],
+        optionTitles: ["None", "Up", "Down", "Left", "Right"],
+    },
+    driftSpeed: {
+        type: ControlType.Number,
+        title: "Speed",
+        defaultValue: 8,
+        min: 1,
+        max: 64,
+        unit: "px/s",
+        hidden: (props: Props) => props.drift === "none",
+    },
 })
 `;
 };
-
-const hexToFigmaColor = (hex) => {
-    const r = parseInt(hex.slice(1, 3), 16) / 255;
-    const g = parseInt(hex.slice(3, 5), 16) / 255;
-    const b = parseInt(hex.slice(5, 7), 16) / 255;
-    return { r, g, b, a: 1 };
-};
@@ -1,104 +1,117 @@
 /**
  * Tests for src/utils/integrations.js
  *
- * We test three pure functions here:
- *  - hexToFigmaColor (indirectly, via constructFigmaPayload)
- *  - constructFigmaPayload
- *  - constructFramerComponent
- *
- * Note: hexToFigmaColor is not exported (it's a module-private helper),
- * so we test it indirectly through the public API that calls it.
+ *  - constructFigmaPayload: a small pixel fixture is turned into the Figma
+ *    payload and parsed back as SVG, checking the frame, one vector layer
+ *    per colour and their fills
+ *  - constructFramerComponent: the generated .tsx from the same fixture
  */
 import { describe, it, expect } from 'vitest';
-import { constructFigmaPayload, constructFramerComponent } from './integrations.js';
+import { constructFigmaPayload, constructFramerComponent, FRAMER_DRIFT } from './integrations.js';
+import { traceColorPaths } from './svgExport.js';
 
 // ─── constructFigmaPayload ────────────────────────────────────────────────────
 
-describe('constructFigmaPayload', () => {
-  const samplePath = 'M0 0 L100 100 Z';
-  const width = 200;
-  const height = 150;
-  const color = '#ff4500';
-
-  it('returns a string', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(typeof result).toBe('string');
-  });
+const INK = [0x11, 0x22, 0x33, 255];
+const PAPER = [0xff, 0xff, 0xff, 255];
+const ACCENT = [0xff, 0x45, 0x00, 255];
+
+// 4 × 3 fixture: mostly paper, an ink bar and one accent pixel
+const FIXTURE_ROWS = [
+  [INK, INK, INK, PAPER],
+  [PAPER, PAPER, PAPER, PAPER],
+  [PAPER, ACCENT, PAPER, PAPER],
+];
+
+const fixture = () => ({
+  data: new Uint8ClampedArray(FIXTURE_ROWS.flat(2)),
+  width: 4,
+  height: 3,
+});
 
-  it('contains a figmeta comment block (Figma clipboard trigger)', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(result).toContain('(figmeta)');
-  });
+const EXPECTED_PAYLOAD = [
+  '<svg xmlns="http://www.w3.org/2000/svg" id="Hero &amp; &quot;Logo&quot;" width="8" height="6" viewBox="0 0 4 3" fill="none">',
+  '<rect id="#ffffff" width="4" height="3" fill="#ffffff"/>',
+  '<path id="#112233" d="M0 0h3v1h-3z" fill="#112233"/>',
+  '<path id="#ff4500" d="M1 2h1v1h-1z" fill="#ff4500"/>',
+  '</svg>',
+].join('\n');
+
+const parse = (payload) => new DOMParser().parseFromString(payload, 'image/svg+xml').documentElement;
 
-  it('embeds a valid SVG element', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(result).toContain('<svg');
-    expect(result).toContain('</svg>');
+describe('constructFigmaPayload', () => {
+  it('matches the fixture payload', () => {
+    expect(constructFigmaPayload(fixture(), { name: 'Hero & "Logo"', scale: 2 })).toBe(EXPECTED_PAYLOAD);
   });
 
-  it('includes the provided hex color in the SVG fill', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(result).toContain(color);
+  it('parses back into a named frame at the export scale', () => {
+    const svg = parse(constructFigmaPayload(fixture(), { name: 'Hero & "Logo"', scale: 2 }));
+    expect(svg.tagName).toBe('svg');
+    expect(svg.getAttribute('id')).toBe('Hero & "Logo"');
+    expect([svg.getAttribute('width'), svg.getAttribute('height')]).toEqual(['8', '6']);
+    expect(svg.getAttribute('viewBox')).toBe('0 0 4 3');
   });
 
-  it('includes the path data inside the SVG', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(result).toContain(samplePath);
+  it('has one vector layer per colour, named and filled with it', () => {
+    const layers = [...parse(constructFigmaPayload(fixture())).children];
+    expect(layers.map(el => [el.tagName, el.getAttribute('id'), el.getAttribute('fill')])).toEqual([
+      ['rect', '#ffffff', '#ffffff'],
+      ['path', '#112233', '#112233'],
+      ['path', '#ff4500', '#ff4500'],
+    ]);
   });
 
-  it('sets the correct viewBox dimensions', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    expect(result).toContain(`viewBox="0 0 ${width} ${height}"`);
+  it('carries the traced outlines through unchanged', () => {
+    const { paths } = traceColorPaths(fixture());
+    const parsed = [...parse(constructFigmaPayload(fixture())).querySelectorAll('path')];
+    expect(parsed.map(el => el.getAttribute('d'))).toEqual(paths.map(p => p.d));
   });
 
-  it('contains a base64-encoded figmeta JSON blob', () => {
-    const result = constructFigmaPayload(samplePath, width, height, color);
-    // The figmeta block format is: <!--(figmeta)BASE64_JSON-->
-    const match = result.match(/\(figmeta\)([A-Za-z0-9+/=]+)-->/);
-    expect(match).not.toBeNull();
-
-    // Decoded JSON should contain pasteID and fileKey
-    const decoded = JSON.parse(atob(match[1]));
-    expect(decoded).toHaveProperty('pasteID');
-    expect(decoded).toHaveProperty('fileKey');
-    expect(decoded).toHaveProperty('isScene', true);
+  it('leaves out the background when the layer has transparency', () => {
+    const img = fixture();
+    img.data[3] = 0;
+    const svg = parse(constructFigmaPayload(img));
+    expect(svg.querySelector('rect')).toBeNull();
+    expect(svg.querySelector('path[id="#ffffff"]')).not.toBeNull();
   });
 });
 
 // ─── constructFramerComponent ─────────────────────────────────────────────────
 
 describe('constructFramerComponent', () => {
-  const samplePath = 'M10 20 L30 40 Z';
-  const color = '#00bfff';
-
-  it('returns a string', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(typeof result).toBe('string');
-  });
-
-  it('includes a valid React default export', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(result).toContain('export default function DitherAsset');
-  });
-
-  it('registers Framer property controls', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(result).toContain('addPropertyControls');
-    expect(result).toContain('ControlType.Color');
+  const source = () => constructFramerComponent(fixture(), { name: 'Hero', scale: 2 });
+
+  it('uses the traced dimensions for the viewBox and intrinsic size', () => {
+    const code = source();
+    expect(code).toContain('const WIDTH = 4\nconst HEIGHT = 3');
+    expect(code).toContain('viewBox={`0 0 ${WIDTH} ${HEIGHT}`}');
+    expect(code).not.toContain('0 0 100 100');
+    expect(code).toContain('@framerIntrinsicWidth 8');
+    expect(code).toContain('@framerIntrinsicHeight 6');
   });
 
-  it('embeds the SVG path data', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(result).toContain(samplePath);
+  it('embeds one path per traced colour', () => {
+    const { paths } = traceColorPaths(fixture());
+    paths.forEach(({ d }, i) => {
+      expect(source()).toContain(JSON.stringify(d));
+      expect(source()).toContain(`<path d={PATHS[${i}]} fill={color${i + 2}} />`);
+    });
   });
 
-  it('uses the provided accent hex color as the defaultValue', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(result).toContain(color);
+  it('registers a colour control per colour, defaulting to the layer colours', () => {
+    const code = source();
+    ['#ffffff', '#112233', '#ff4500'].forEach((color, i) => {
+      expect(code).toContain(`color${i + 1} = "${color}",`);
+      expect(code).toContain(`color${i + 1}: { type: ControlType.Color, title: "Color ${i + 1}", defaultValue: "${color}" },`);
+    });
+    expect(code).not.toContain('color4');
   });
 
-  it('uses currentColor for fill (honours Framer prop)', () => {
-    const result = constructFramerComponent(samplePath, color);
-    expect(result).toContain('fill="currentColor"');
+  it('offers pixel scale and drift props', () => {
+    const code = source();
+    expect(code).toContain('pixelScale: { type: ControlType.Number');
+    expect(code).toContain(`options: [${Object.keys(FRAMER_DRIFT).map(k => `"${k}"`).join(', ')}]`);
+    expect(code).toContain('attributeName="patternTransform"');
+    expect(code).toContain('hidden: (props: Props) => props.drift === "none"');
   });
 });
@@ -0,0 +1,80 @@
+// Error-diffusion kernels. Each entry lists the neighbours that receive a
+// share of the quantisation error as [dx, dy, weight], relative to the
+// current pixel, with weights divided by `divisor`.
+//
+// Atkinson deliberately only diffuses 6/8 of the error, which is what gives
+// it its high-contrast look.
+export const DIFFUSION_KERNELS = {
+    atkinson: {
+        label: 'Atkinson',
+        divisor: 8,
+        offsets: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1]
+        ]
+    },
+    'floyd-steinberg': {
+        label: 'Floyd–Steinberg',
+        divisor: 16,
+        offsets: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+        ]
+    },
+    'jarvis-judice-ninke': {
+        label: 'Jarvis–Judice–Ninke',
+        divisor: 48,
+        offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    stucki: {
+        label: 'Stucki',
+        divisor: 42,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    burkes: {
+        label: 'Burkes',
+        divisor: 32,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    sierra: {
+        label: 'Sierra',
+        divisor: 32,
+        offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    'sierra-two-row': {
+        label: 'Sierra Two-Row',
+        divisor: 16,
+        offsets: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ]
+    },
+    'sierra-lite': {
+        label: 'Sierra Lite',
+        divisor: 4,
+        offsets: [
+            [1, 0, 2],
+            [-1, 1, 1], [0, 1, 1]
+        ]
+    }
+};
+
+export const DEFAULT_KERNEL = 'atkinson';
+
+export const getKernel = (name) => DIFFUSION_KERNELS[name] || DIFFUSION_KERNELS[DEFAULT_KERNEL];
@@ -0,0 +1,294 @@
+import Matter from 'matter-js';
+import { createGIFEncoder, frameDelay, gifPalette, indexPixels, GIF_MAX_FPS } from './gifEncoder';
+import { spriteCentre } from './collider';
+import { STEP_HZ, stepWorld } from './physicsSettings';
+
+// Records the canvas as GIF, WebM or MP4. Recording pauses the live runner
+// and steps the Matter.js engine in the same fixed ticks it uses, so the
+// motion matches the live run (and a replay of it) however slowly frames
+// encode. A frame that falls between two ticks draws each body part way
+// from one pose to the next, so motion stays even at rates that don't
+// divide the tick rate; afterwards every body is put back where it was. Video goes
+// through WebCodecs, with the muxers loaded only when a video is recorded.
+
+export const MOTION_FORMATS = {
+    gif: { label: 'GIF', ext: 'gif', mime: 'image/gif', alpha: true, maxFps: GIF_MAX_FPS },
+    webm: { label: 'WebM', ext: 'webm', mime: 'video/webm', alpha: true },
+    mp4: { label: 'MP4', ext: 'mp4', mime: 'video/mp4', alpha: false }
+};
+
+export const MOTION_FPS = [12, 24, 30, 50, 60];
+
+export const DEFAULT_MOTION = {
+    format: 'gif',
+    fps: 30,
+    length: 3,          // in `unit`s
+    unit: 'seconds',    // or 'frames'
+    transparent: true,  // GIF and WebM only
+    replay: false       // start from the recorded scene (see createSimulation)
+};
+
+// Length slider range per unit
+export const MOTION_LIMITS = {
+    seconds: { min: 0.5, max: 10, step: 0.5 },
+    frames: { min: 1, max: 600, step: 1 }
+};
+
+export const motionFps = ({ format, fps }) => Math.min(fps, MOTION_FORMATS[format]?.maxFps ?? fps);
+
+export const motionFrameCount = ({ length, unit }, fps) =>
+    Math.max(1, Math.round(unit === 'frames' ? length : length * fps));
+
+// H.264 needs even dimensions, so every format rounds up to them
+export const motionFrameSize = (width, height) => ({
+    width: Math.max(2, Math.ceil(width / 2) * 2),
+    height: Math.max(2, Math.ceil(height / 2) * 2)
+});
+
+// ── Physics ────────────────────────────────────────────────────────────────
+
+// Engine ticks from the start to frame `index`: the first tick at which
+// the clock has reached the frame's time
+export const frameSteps = (index, fps) => Math.ceil((index * STEP_HZ) / fps);
+
+// Where frame `index` falls between the tick before frameSteps and that
+// one, from just after 0 (the tick before) to 1 (on the tick itself)
+export const frameBlend = (index, fps) => {
+    const ticks = (index * STEP_HZ) / fps;
+    return index ? ticks - (Math.ceil(ticks) - 1) : 1;
+};
+
+// Everything a step reads from a body part and carries to the next step.
+// Values are copied rather than set through Matter.Body, whose setters work
+// in deltas and would leave rounding errors behind.
+const PART_POINTS = ['position', 'positionPrev', 'velocity', 'force', 'positionImpulse'];
+const PART_VALUES = ['angle', 'anglePrev', 'angularVelocity', 'speed', 'angularSpeed', 'motion', 'torque', 'deltaTime'];
+
+const copyPoints = (points) => points.map(({ x, y }) => ({ x, y }));
+const setPoints = (targets, points) => points.forEach(({ x, y }, i) => {
+    targets[i].x = x;
+    targets[i].y = y;
+});
+
+const snapshotPart = (part) => ({
+    part,
+    points: copyPoints(PART_POINTS.map(key => part[key])),
+    values: PART_VALUES.map(key => part[key]),
+    constraintImpulse: { ...part.constraintImpulse },
+    vertices: copyPoints(part.vertices),
+    axes: copyPoints(part.axes),
+    bounds: copyPoints([part.bounds.min, part.bounds.max])
+});
+
+const restorePart = ({ part, points, values, constraintImpulse, vertices, axes, bounds }) => {
+    setPoints(PART_POINTS.map(key => part[key]), points);
+    PART_VALUES.forEach((key, i) => { part[key] = values[i]; });
+    Object.assign(part.constraintImpulse, constraintImpulse);
+    setPoints(part.vertices, vertices);
+    setPoints(part.axes, axes);
+    setPoints([part.bounds.min, part.bounds.max], bounds);
+};
+
+// Contacts cached between steps (and the broadphase's sort order) feed into
+// the next step; dropping them makes a run depend on the bodies alone
+const resetContacts = (engine) => {
+    Matter.Pairs.clear(engine.pairs);
+    Matter.Detector.setBodies(engine.detector, Matter.Composite.allBodies(engine.world));
+};
+
+export const snapshotBodies = (engine) => ({
+    timestamp: engine.timing.timestamp,
+    parts: Matter.Composite.allBodies(engine.world).flatMap(body => body.parts.map(snapshotPart))
+});
+
+export const restoreBodies = (engine, { timestamp, parts }) => {
+    engine.timing.timestamp = timestamp;
+    parts.forEach(restorePart);
+    resetContacts(engine);
+};
+
+// Layer id → body, for the bodies PhysicsElement tags with one
+export const layerBodies = (engine) => new Map(
+    Matter.Composite.allBodies(engine.world)
+        .filter(body => body.plugin?.layerId != null)
+        .map(body => [body.plugin.layerId, body])
+);
+
+// A body's sprite centre and angle
+const bodyPose = (body) => ({ ...spriteCentre(body), angle: body.angle });
+
+// Calls `onFrame(index, poseOf)` for `frames` frames, the first showing the
+// scene as it is now and each later one a frame's time further on. The
+// engine is at the tick frameSteps gives; `poseOf(body)` is where a body
+// is at the frame's own time, blended from the tick before (see
+// frameBlend), for drawScene. The caller pauses whatever else drives the
+// engine.
+export const captureFrames = async (engine, { frames, fps, onFrame }) => {
+    const snapshot = snapshotBodies(engine);
+    resetContacts(engine);
+    try {
+        let steps = 0;
+        let before = new Map(); // body → pose at the tick before the last
+        for (let i = 0; i < frames; i++) {
+            for (const due = frameSteps(i, fps); steps < due; steps++) {
+                before = new Map(Matter.Composite.allBodies(engine.world).map(body => [body, bodyPose(body)]));
+                stepWorld(engine);
+            }
+            const t = frameBlend(i, fps);
+            const poseOf = (body) => {
+                const to = bodyPose(body);
+                const from = before.get(body);
+                if (!from || t === 1) return to;
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t,
+                    angle: from.angle + (to.angle - from.angle) * t
+                };
+            };
+            await onFrame(i, poseOf);
+        }
+    } finally {
+        restoreBodies(engine, snapshot);
+    }
+};
+
+// ── Drawing ────────────────────────────────────────────────────────────────
+
+// Size of an image laid out like the canvas <img>: natural size, narrowed
+// to `maxWidth` with the height following
+export const spriteSize = ({ naturalWidth, naturalHeight }, maxWidth) => {
+    const width = Math.min(naturalWidth, maxWidth);
+    return { width, height: naturalHeight * (width / naturalWidth) };
+};
+
+// Draws each sprite ({ image, body, width, height, opacity, smooth }) centred
+// where its body carries it (see spriteCentre) and turned with it, through
+// the canvas camera; `poseOf` (see captureFrames) can place bodies instead.
+// A sprite with an `offset` ({ x, y, angle }) is placed that far from the
+// body's sprite centre instead, as a frame's children are.
+export const drawScene = (ctx, sprites, { camera, background = null, poseOf = bodyPose }) => {
+    const { width, height } = ctx.canvas;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    for (const { image, body, width: w, height: h, opacity = 1, smooth = true, offset = null } of sprites) {
+        ctx.setTransform(camera.z, 0, 0, camera.z, camera.x, camera.y);
+        const { x, y, angle } = poseOf(body);
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        if (offset) {
+            ctx.translate(offset.x, offset.y);
+            ctx.rotate(offset.angle);
+        }
+        ctx.globalAlpha = opacity;
+        ctx.imageSmoothingEnabled = smooth;
+        ctx.drawImage(image, -w / 2, -h / 2, w, h);
+    }
+    ctx.globalAlpha = 1;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+};
+
+// ── Writers ────────────────────────────────────────────────────────────────
+
+// The table is fixed by the first frame: `colors` (the layers' dither
+// colours) plus whatever else that frame shows
+const createGIFWriter = ({ width, height, fps, colors, transparent }) => {
+    let palette = null;
+    let encoder = null;
+    return {
+        addFrame: (canvas, index) => {
+            const pixels = canvas.getContext('2d').getImageData(0, 0, width, height);
+            if (!encoder) {
+                palette = gifPalette(colors, pixels, { transparent });
+                encoder = createGIFEncoder({ width, height, palette });
+            }
+            encoder.addFrame(indexPixels(pixels, palette), frameDelay(index, fps));
+        },
+        finish: async () => new Blob([encoder.finish()], { type: MOTION_FORMATS.gif.mime })
+    };
+};
+
+// Codec candidates in order of preference; WebM asks for VP9 with alpha
+const VIDEO_CODECS = {
+    webm: [
+        { codec: 'vp09.00.10.08', muxCodec: 'V_VP9', alpha: 'keep' },
+        { codec: 'vp8', muxCodec: 'V_VP8', alpha: 'keep' }
+    ],
+    mp4: [
+        { codec: 'avc1.640033', muxCodec: 'avc', alpha: 'discard' },
+        { codec: 'avc1.42003e', muxCodec: 'avc', alpha: 'discard' }
+    ]
+};
+
+// Dithered frames are almost all edges, so they get a generous bitrate
+const BITS_PER_PIXEL = 0.25;
+
+const KEYFRAME_SECONDS = 2;
+
+const createVideoWriter = async (format, { width, height, fps, transparent }) => {
+    if (typeof VideoEncoder === 'undefined') throw new Error('This browser does not support WebCodecs video encoding');
+
+    const bitrate = Math.round(width * height * fps * BITS_PER_PIXEL);
+    let config = null;
+    let muxCodec = null;
+    for (const candidate of VIDEO_CODECS[format]) {
+        const attempt = {
+            codec: candidate.codec, width, height, bitrate, framerate: fps,
+            alpha: transparent ? candidate.alpha : 'discard'
+        };
+        if ((await VideoEncoder.isConfigSupported(attempt)).supported) {
+            config = attempt;
+            muxCodec = candidate.muxCodec;
+            break;
+        }
+    }
+    if (!config) throw new Error(`No ${MOTION_FORMATS[format].label} encoder is available in this browser`);
+
+    const { Muxer, ArrayBufferTarget } = format === 'webm' ? await import('webm-muxer') : await import('mp4-muxer');
+    const muxer = new Muxer({
+        target: new ArrayBufferTarget(),
+        video: { codec: muxCodec, width, height, frameRate: fps, ...(format === 'webm' ? { alpha: config.alpha === 'keep' } : {}) },
+        ...(format === 'mp4' ? { fastStart: 'in-memory' } : {})
+    });
+
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+        error: (err) => { failure = err; }
+    });
+    encoder.configure(config);
+
+    const frameLength = 1e6 / fps;
+    return {
+        addFrame: async (canvas, index) => {
+            if (failure) throw failure;
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameLength), duration: Math.round(frameLength) });
+            encoder.encode(frame, { keyFrame: index % Math.round(fps * KEYFRAME_SECONDS) === 0 });
+            frame.close();
+            // Don't let frames pile up faster than the encoder takes them
+            while (encoder.encodeQueueSize > 4) {
+                await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+            }
+        },
+        finish: async () => {
+            await encoder.flush();
+            encoder.close();
+            if (failure) throw failure;
+            muxer.finalize();
+            return new Blob([muxer.target.buffer], { type: MOTION_FORMATS[format].mime });
+        }
+    };
+};
+
+// Returns { addFrame(canvas, index), finish() → Blob } for a MOTION_FORMATS
+// key. `colors` seed the GIF palette; `transparent` keeps the alpha channel
+// in formats that have one.
+export const createMotionWriter = (format, { width, height, fps, colors = [], transparent = false }) => (
+    format === 'gif'
+        ? createGIFWriter({ width, height, fps, colors, transparent })
+        : createVideoWriter(format, { width, height, fps, transparent: transparent && MOTION_FORMATS[format].alpha })
+);
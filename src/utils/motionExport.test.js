@@ -0,0 +1,307 @@
+/**
+ * Tests for src/utils/motionExport.js
+ *
+ * Physics runs on a real Matter.js engine; drawing goes to a stub context
+ * that records its calls, since jsdom has no 2D canvas.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import Matter from 'matter-js';
+import {
+  motionFps,
+  motionFrameCount,
+  motionFrameSize,
+  frameSteps,
+  frameBlend,
+  snapshotBodies,
+  restoreBodies,
+  layerBodies,
+  captureFrames,
+  spriteSize,
+  drawScene,
+  createMotionWriter
+} from './motionExport.js';
+import { STEP_DELTA, stepWorld } from './physicsSettings.js';
+
+// Two boxes heading for each other inside walls, with no air friction so
+// their paths don't depend on the step length until they collide
+function makeEngine() {
+  const engine = Matter.Engine.create({ gravity: { x: 0, y: 0 } });
+  const a = Matter.Bodies.rectangle(-100, 0, 40, 40, { frictionAir: 0, restitution: 0.9, plugin: { layerId: 1 } });
+  const b = Matter.Bodies.rectangle(100, 10, 40, 40, { frictionAir: 0, restitution: 0.9, plugin: { layerId: 2 } });
+  const wall = Matter.Bodies.rectangle(0, 300, 1000, 50, { isStatic: true });
+  Matter.Composite.add(engine.world, [a, b, wall]);
+  Matter.Body.setVelocity(a, { x: 4, y: 0.5 });
+  Matter.Body.setVelocity(b, { x: -3, y: 0 });
+  Matter.Body.setAngularVelocity(b, 0.05);
+  return { engine, a, b };
+}
+
+const poses = (engine) => Matter.Composite.allBodies(engine.world).map(({ position, angle }) => [position.x, position.y, angle]);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// ─── Timing ───────────────────────────────────────────────────────────────────
+
+describe('frame timing', () => {
+  it('caps GIF at 50 fps', () => {
+    expect(motionFps({ format: 'gif', fps: 60 })).toBe(50);
+    expect(motionFps({ format: 'webm', fps: 60 })).toBe(60);
+    expect(motionFps({ format: 'mp4', fps: 24 })).toBe(24);
+  });
+
+  it('counts frames from a duration or takes them as given', () => {
+    expect(motionFrameCount({ length: 2.5, unit: 'seconds' }, 24)).toBe(60);
+    expect(motionFrameCount({ length: 90, unit: 'frames' }, 24)).toBe(90);
+    expect(motionFrameCount({ length: 0, unit: 'frames' }, 24)).toBe(1);
+  });
+
+  it('rounds frame sizes up to even numbers', () => {
+    expect(motionFrameSize(1281, 719)).toEqual({ width: 1282, height: 720 });
+    expect(motionFrameSize(0, 0)).toEqual({ width: 2, height: 2 });
+  });
+});
+
+// ─── Physics ──────────────────────────────────────────────────────────────────
+
+describe('frameSteps', () => {
+  it.each([
+    [60, [0, 1, 2, 3, 4]],
+    [30, [0, 2, 4, 6, 8]],
+    [24, [0, 3, 5, 8, 10]],
+    [12, [0, 5, 10, 15, 20]],
+  ])('takes each frame at the first tick past its time at %i fps', (fps, steps) => {
+    expect([0, 1, 2, 3, 4].map(i => frameSteps(i, fps))).toEqual(steps);
+  });
+
+  it('lands on whole seconds exactly', () => {
+    expect(frameSteps(24, 24)).toBe(60);
+    expect(frameSteps(50, 50)).toBe(60);
+  });
+});
+
+describe('frameBlend', () => {
+  it('places each frame between the tick before and its own', () => {
+    expect([0, 1, 2, 3, 4].map(i => frameBlend(i, 24))).toEqual([1, 0.5, 1, 0.5, 1]);
+    expect([0, 1, 2, 3, 4, 5].map(i => frameBlend(i, 50))).toEqual([1, 0.2, 0.4, 0.6, 0.8, 1].map(t => expect.closeTo(t, 9)));
+    expect([1, 2].map(i => frameBlend(i, 30))).toEqual([1, 1]);
+  });
+});
+
+describe('snapshotBodies / restoreBodies', () => {
+  it('puts positions, angles, velocities and the clock back', () => {
+    const { engine } = makeEngine();
+    stepWorld(engine);
+    const snapshot = snapshotBodies(engine);
+    const before = poses(engine);
+
+    for (let i = 0; i < 20; i++) stepWorld(engine);
+    restoreBodies(engine, snapshot);
+    expect(poses(engine)).toEqual(before);
+    expect(engine.timing.timestamp).toBe(snapshot.timestamp);
+
+    // Velocities came back too: the next steps match a fresh run
+    const fresh = makeEngine().engine;
+    stepWorld(fresh);
+    stepWorld(fresh);
+    stepWorld(engine);
+    poses(engine).forEach((pose, i) => pose.forEach((v, k) => expect(v).toBeCloseTo(poses(fresh)[i][k], 9)));
+  });
+});
+
+describe('layerBodies', () => {
+  it('maps layer ids to the bodies tagged with them', () => {
+    const { engine, a, b } = makeEngine();
+    const bodies = layerBodies(engine);
+    expect([...bodies.keys()]).toEqual([1, 2]);
+    expect(bodies.get(1)).toBe(a);
+    expect(bodies.get(2)).toBe(b);
+  });
+});
+
+describe('captureFrames', () => {
+  const record = async (engine, fps = 30) => {
+    const frames = [];
+    await captureFrames(engine, { frames: 45, fps, onFrame: () => { frames.push(poses(engine)); } });
+    return frames;
+  };
+
+  it('starts from the current scene and is repeatable', async () => {
+    const { engine } = makeEngine();
+    const start = poses(engine);
+    const first = await record(engine);
+    expect(first).toHaveLength(45);
+    expect(first[0]).toEqual(start);
+    expect(first[44]).not.toEqual(start);
+    expect(await record(engine)).toEqual(first);
+  });
+
+  it('steps only whole ticks, as the live runner does', async () => {
+    const { engine } = makeEngine();
+    const update = vi.spyOn(Matter.Engine, 'update');
+    await record(engine, 24);
+    expect(update).toHaveBeenCalledTimes(frameSteps(44, 24));
+    expect(update.mock.calls.every(([, delta]) => delta === STEP_DELTA)).toBe(true);
+  });
+
+  it('shows the scene a tick-by-tick run reaches at each frame time', async () => {
+    const { engine } = makeEngine();
+    const frames = await record(engine, 24);
+    const live = makeEngine().engine;
+    let steps = 0;
+    frames.forEach((frame, i) => {
+      for (; steps < frameSteps(i, 24); steps++) stepWorld(live);
+      expect(frame).toEqual(poses(live));
+    });
+  });
+
+  it('moves evenly from frame to frame at 24 fps', async () => {
+    // Layer 1 alone, gliding at a steady speed
+    const engine = Matter.Engine.create({ gravity: { x: 0, y: 0 } });
+    const body = Matter.Bodies.rectangle(0, 0, 40, 40, { frictionAir: 0, plugin: { layerId: 1 } });
+    Matter.Composite.add(engine.world, body);
+    Matter.Body.setVelocity(body, { x: 3, y: 0 });
+    const xs = [];
+    await captureFrames(engine, { frames: 12, fps: 24, onFrame: (i, poseOf) => { xs.push(poseOf(body).x); } });
+    const moves = xs.slice(1).map((x, i) => x - xs[i]);
+    moves.forEach(move => expect(move).toBeCloseTo(3 * 2.5, 6));
+  });
+
+  it('catches the same moments at any frame rate', async () => {
+    const slow = await record(makeEngine().engine, 12);
+    const fast = await record(makeEngine().engine, 60);
+    expect(slow[8]).toEqual(fast[40]);
+  });
+
+  it('restores the scene even when a frame fails', async () => {
+    const { engine } = makeEngine();
+    const start = poses(engine);
+    const failing = captureFrames(engine, {
+      frames: 10, fps: 30,
+      onFrame: (i) => { if (i === 5) throw new Error('encoder gave up'); }
+    });
+    await expect(failing).rejects.toThrow('encoder gave up');
+    expect(poses(engine)).toEqual(start);
+  });
+});
+
+// ─── Drawing ──────────────────────────────────────────────────────────────────
+
+describe('spriteSize', () => {
+  it('keeps small images at their natural size', () => {
+    expect(spriteSize({ naturalWidth: 120, naturalHeight: 80 }, 300)).toEqual({ width: 120, height: 80 });
+  });
+
+  it('narrows wide images to the maximum width', () => {
+    expect(spriteSize({ naturalWidth: 600, naturalHeight: 200 }, 300)).toEqual({ width: 300, height: 100 });
+  });
+});
+
+describe('drawScene', () => {
+  const stubContext = () => {
+    const calls = [];
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    return {
+      canvas: { width: 200, height: 100 },
+      calls,
+      setTransform: record('setTransform'),
+      clearRect: record('clearRect'),
+      fillRect: record('fillRect'),
+      translate: record('translate'),
+      rotate: record('rotate'),
+      drawImage: record('drawImage'),
+      set fillStyle(v) { calls.push(['fillStyle', v]); },
+      set globalAlpha(v) { calls.push(['globalAlpha', v]); },
+      set imageSmoothingEnabled(v) { calls.push(['imageSmoothingEnabled', v]); },
+    };
+  };
+  const image = {};
+  const sprite = { image, body: { position: { x: 30, y: 40 }, angle: 0.5 }, width: 20, height: 10, opacity: 0.5, smooth: false };
+
+  it('draws each sprite centred on its body through the camera', () => {
+    const ctx = stubContext();
+    drawScene(ctx, [sprite], { camera: { x: 5, y: 6, z: 2 } });
+    expect(ctx.calls).toEqual([
+      ['setTransform', 1, 0, 0, 1, 0, 0],
+      ['clearRect', 0, 0, 200, 100],
+      ['setTransform', 2, 0, 0, 2, 5, 6],
+      ['translate', 30, 40],
+      ['rotate', 0.5],
+      ['globalAlpha', 0.5],
+      ['imageSmoothingEnabled', false],
+      ['drawImage', image, -10, -5, 20, 10],
+      ['globalAlpha', 1],
+      ['setTransform', 1, 0, 0, 1, 0, 0],
+    ]);
+  });
+
+  it('places bodies where poseOf says', () => {
+    const ctx = stubContext();
+    drawScene(ctx, [sprite], { camera: { x: 0, y: 0, z: 1 }, poseOf: () => ({ x: 1, y: 2, angle: 3 }) });
+    expect(ctx.calls).toContainEqual(['translate', 1, 2]);
+    expect(ctx.calls).toContainEqual(['rotate', 3]);
+  });
+
+  it('places an offset sprite from its body, turned with it', () => {
+    const ctx = stubContext();
+    drawScene(ctx, [{ ...sprite, offset: { x: 15, y: -5, angle: 0.25 } }], { camera: { x: 0, y: 0, z: 1 } });
+    expect(ctx.calls.slice(3, 7)).toEqual([
+      ['translate', 30, 40],
+      ['rotate', 0.5],
+      ['translate', 15, -5],
+      ['rotate', 0.25],
+    ]);
+  });
+
+  it('fills the background when there is one', () => {
+    const ctx = stubContext();
+    drawScene(ctx, [], { camera: { x: 0, y: 0, z: 1 }, background: '#0d0d0d' });
+    expect(ctx.calls).toContainEqual(['fillStyle', '#0d0d0d']);
+    expect(ctx.calls).toContainEqual(['fillRect', 0, 0, 200, 100]);
+  });
+});
+
+// ─── Writers ──────────────────────────────────────────────────────────────────
+
+describe('createMotionWriter', () => {
+  // A canvas whose pixels are a checkerboard shifted by `frame`
+  const fakeCanvas = (width, height) => {
+    const canvas = { frame: 0 };
+    canvas.getContext = () => ({
+      getImageData: () => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let p = 0; p < width * height; p++) {
+          const on = ((p % width) + Math.floor(p / width) + canvas.frame) % 2;
+          data.set(on ? [17, 17, 17, 255] : [255, 255, 255, 255], p * 4);
+        }
+        return { width, height, data };
+      }
+    });
+    return canvas;
+  };
+
+  it('writes a GIF palettised with the given colours', async () => {
+    const canvas = fakeCanvas(8, 6);
+    const writer = await createMotionWriter('gif', { width: 8, height: 6, fps: 25, colors: ['#111111', '#ffffff'] });
+    for (let i = 0; i < 3; i++) {
+      canvas.frame = i;
+      await writer.addFrame(canvas, i);
+    }
+    const blob = await writer.finish();
+    const bytes = new Uint8Array(await new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsArrayBuffer(blob);
+    }));
+    expect(blob.type).toBe('image/gif');
+    expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+    // Two seed colours need only a two-entry global table
+    expect(bytes[10] & 7).toBe(0);
+    expect([...bytes.subarray(13, 19)]).toEqual([17, 17, 17, 255, 255, 255]);
+  });
+
+  it('refuses video without WebCodecs', async () => {
+    await expect(createMotionWriter('mp4', { width: 8, height: 6, fps: 30 })).rejects.toThrow('WebCodecs');
+  });
+});
@@ -0,0 +1,293 @@
+import { rgbToOklab, rgbToHex } from './colors';
+
+// Built-in hardware palettes plus read/write support for the swatch formats
+// designers already have lying around: GIMP .gpl, Adobe .ase and Lospec .hex.
+
+export const PALETTE_PRESETS = {
+    'gameboy': {
+        label: 'Game Boy DMG',
+        colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
+    },
+    'gameboy-pocket': {
+        label: 'Game Boy Pocket',
+        colors: ['#000000', '#545454', '#a9a9a9', '#ffffff']
+    },
+    'cga-0-low': {
+        label: 'CGA Mode 4 · Pal 0 Low',
+        colors: ['#000000', '#00aa00', '#aa0000', '#aa5500']
+    },
+    'cga-0-high': {
+        label: 'CGA Mode 4 · Pal 0 High',
+        colors: ['#000000', '#55ff55', '#ff5555', '#ffff55']
+    },
+    'cga-1-low': {
+        label: 'CGA Mode 4 · Pal 1 Low',
+        colors: ['#000000', '#00aaaa', '#aa00aa', '#aaaaaa']
+    },
+    'cga-1-high': {
+        label: 'CGA Mode 4 · Pal 1 High',
+        colors: ['#000000', '#55ffff', '#ff55ff', '#ffffff']
+    },
+    'cga-5-high': {
+        label: 'CGA Mode 5 · High',
+        colors: ['#000000', '#55ffff', '#ff5555', '#ffffff']
+    },
+    'ega': {
+        label: 'EGA',
+        colors: [
+            '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+            '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+        ]
+    },
+    'c64': {
+        label: 'Commodore 64',
+        colors: [
+            '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+            '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+        ]
+    },
+    'zx-spectrum': {
+        label: 'ZX Spectrum',
+        colors: [
+            '#000000', '#0000d7', '#d70000', '#d700d7', '#00d700', '#00d7d7', '#d7d700', '#d7d7d7',
+            '#0000ff', '#ff0000', '#ff00ff', '#00ff00', '#00ffff', '#ffff00', '#ffffff'
+        ]
+    },
+    'pico-8': {
+        label: 'PICO-8',
+        colors: [
+            '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+            '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+        ]
+    },
+    'nes': {
+        label: 'NES',
+        colors: [
+            '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+            '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#bcbcbc', '#0078f8',
+            '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10', '#ac7c00', '#00b800',
+            '#00a800', '#00a844', '#008888', '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8',
+            '#f85898', '#f87858', '#fca044', '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8',
+            '#787878', '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0',
+            '#fce0a8', '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+        ]
+    },
+    'teletext': {
+        label: 'Teletext',
+        colors: ['#000000', '#ff0000', '#00ff00', '#ffff00', '#0000ff', '#ff00ff', '#00ffff', '#ffffff']
+    },
+    'mac-1bit': {
+        label: 'Macintosh 1-Bit',
+        colors: ['#000000', '#ffffff']
+    },
+    'mac-16': {
+        label: 'Macintosh II 16',
+        colors: [
+            '#ffffff', '#fbf305', '#ff6403', '#dd0907', '#f20884', '#4700a5', '#0000d3', '#02abea',
+            '#1fb714', '#006412', '#562c05', '#90713a', '#c0c0c0', '#808080', '#404040', '#000000'
+        ]
+    }
+};
+
+export const PALETTE_FORMATS = {
+    gpl: 'GIMP (.gpl)',
+    ase: 'Adobe Swatch Exchange (.ase)',
+    hex: 'Hex list (.hex)'
+};
+
+const normalizeHex = (hex) => {
+    const m = /^#?([a-f\d]{6})$/i.exec(hex.trim());
+    return m ? `#${m[1].toLowerCase()}` : null;
+};
+
+// Shadow / midtone / highlight for the tone-based effects: darkest, middle
+// and lightest entry by OKLab lightness.
+export const paletteToTones = (colors) => {
+    const sorted = [...colors].sort((a, b) => {
+        const la = rgbToOklab(...[1, 3, 5].map(i => parseInt(a.slice(i, i + 2), 16)))[0];
+        const lb = rgbToOklab(...[1, 3, 5].map(i => parseInt(b.slice(i, i + 2), 16)))[0];
+        return la - lb;
+    });
+    const tones = { shadow: sorted[0], highlight: sorted[sorted.length - 1] };
+    if (sorted.length > 2) tones.midtone = sorted[Math.floor(sorted.length / 2)];
+    return tones;
+};
+
+// ── GIMP .gpl ──────────────────────────────────────────────────────────────
+
+export const parseGPL = (text) => {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0] || '')) throw new Error('Not a GIMP palette');
+
+    let name = 'Imported';
+    const colors = [];
+    for (const line of lines.slice(1)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        const header = /^Name:\s*(.*)$/i.exec(trimmed);
+        if (header) { name = header[1] || name; continue; }
+        if (/^Columns:/i.test(trimmed)) continue;
+        const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(trimmed);
+        if (m) colors.push(rgbToHex(+m[1], +m[2], +m[3]));
+    }
+    return { name, colors };
+};
+
+export const serializeGPL = ({ name, colors }) => {
+    const rows = colors.map(hex => {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex.slice(1)}`;
+    });
+    return ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(colors.length, 16)}`, '#', ...rows, ''].join('\n');
+};
+
+// ── Lospec .hex ────────────────────────────────────────────────────────────
+
+export const parseHEX = (text) => ({
+    name: 'Imported',
+    colors: text.split(/[\s,;]+/).map(normalizeHex).filter(Boolean)
+});
+
+export const serializeHEX = ({ colors }) => colors.map(hex => hex.slice(1)).join('\n') + '\n';
+
+// ── Adobe .ase ─────────────────────────────────────────────────────────────
+
+// Lab (L in 0–1, a/b in ±128 as ASE stores them) → sRGB, D65
+const aseLabToHex = (L, a, b) => {
+    const fy = (L * 100 + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const finv = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+    const x = finv(fx) * 0.95047;
+    const y = finv(fy);
+    const z = finv(fz) * 1.08883;
+    const toSrgb = (v) => {
+        const c = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, c * 255));
+    };
+    return rgbToHex(
+        toSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        toSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        toSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    );
+};
+
+export const parseASE = (buffer) => {
+    const view = new DataView(buffer);
+    const tag = (at) => String.fromCharCode(view.getUint8(at), view.getUint8(at + 1), view.getUint8(at + 2), view.getUint8(at + 3));
+    if (view.byteLength < 12 || tag(0) !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file');
+
+    const blocks = view.getUint32(8);
+    let offset = 12;
+    let name = 'Imported';
+    const colors = [];
+
+    for (let i = 0; i < blocks && offset + 6 <= view.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+        if (type !== 0x0001 && type !== 0xc001) continue;
+
+        // Both colour entries and group starts open with a UTF-16 name
+        const chars = view.getUint16(body);
+        let label = '';
+        for (let c = 0; c < chars - 1; c++) label += String.fromCharCode(view.getUint16(body + 2 + c * 2));
+        if (type === 0xc001) { if (label) name = label; continue; }
+
+        const at = body + 2 + chars * 2;
+        const model = tag(at).trim();
+        const v = (k) => view.getFloat32(at + 4 + k * 4);
+        if (model === 'RGB') {
+            colors.push(rgbToHex(v(0) * 255, v(1) * 255, v(2) * 255));
+        } else if (model === 'CMYK') {
+            const k = v(3);
+            colors.push(rgbToHex(255 * (1 - v(0)) * (1 - k), 255 * (1 - v(1)) * (1 - k), 255 * (1 - v(2)) * (1 - k)));
+        } else if (model === 'Gray') {
+            colors.push(rgbToHex(v(0) * 255, v(0) * 255, v(0) * 255));
+        } else if (model === 'LAB') {
+            colors.push(aseLabToHex(v(0), v(1), v(2)));
+        }
+    }
+    return { name, colors };
+};
+
+// One group named after the palette, holding an RGB global swatch per colour
+export const serializeASE = ({ name, colors }) => {
+    const nameBytes = (s) => 2 + (s.length + 1) * 2;
+    const swatchLength = (hex) => nameBytes(hex) + 4 + 12 + 2;
+    const size = 12
+        + 6 + nameBytes(name)
+        + colors.reduce((sum, hex) => sum + 6 + swatchLength(hex), 0)
+        + 6;
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+    const u16 = (v) => { view.setUint16(offset, v); offset += 2; };
+    const u32 = (v) => { view.setUint32(offset, v); offset += 4; };
+    const str = (s) => {
+        u16(s.length + 1);
+        for (let i = 0; i < s.length; i++) u16(s.charCodeAt(i));
+        u16(0);
+    };
+
+    [0x41, 0x53, 0x45, 0x46].forEach(b => view.setUint8(offset++, b));
+    u16(1); u16(0);
+    u32(colors.length + 2);
+
+    u16(0xc001); u32(nameBytes(name)); str(name);
+    for (const hex of colors) {
+        u16(0x0001); u32(swatchLength(hex)); str(hex);
+        [0x52, 0x47, 0x42, 0x20].forEach(b => view.setUint8(offset++, b));
+        [1, 3, 5].forEach(i => { view.setFloat32(offset, parseInt(hex.slice(i, i + 2), 16) / 255); offset += 4; });
+        u16(0); // global colour
+    }
+    u16(0xc002); u32(0);
+
+    return buffer;
+};
+
+// ── Files ──────────────────────────────────────────────────────────────────
+
+export const importPaletteFile = async (file) => {
+    const ext = file.name.split('.').pop().toLowerCase();
+    const base = file.name.replace(/\.[^.]+$/, '');
+    let palette;
+    if (ext === 'ase') {
+        palette = parseASE(await file.arrayBuffer());
+    } else {
+        const text = await file.text();
+        palette = /^GIMP Palette/.test(text) ? parseGPL(text) : parseHEX(text);
+    }
+    if (!palette.colors.length) throw new Error(`No colours found in ${file.name}`);
+    if (palette.name === 'Imported') palette.name = base;
+    return palette;
+};
+
+export const exportPaletteBlob = (palette, format) => {
+    if (format === 'ase') return new Blob([serializeASE(palette)], { type: 'application/octet-stream' });
+    const text = format === 'gpl' ? serializeGPL(palette) : serializeHEX(palette);
+    return new Blob([text], { type: 'text/plain' });
+};
+
+// ── Saved palettes ─────────────────────────────────────────────────────────
+
+const STORAGE_KEY = 'ditter.palettes';
+
+export const loadUserPalettes = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(p => p?.name && Array.isArray(p.colors)) : [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveUserPalettes = (palettes) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(palettes));
+    } catch {
+        // Storage full or disabled; the palettes still live for this session
+    }
+};
@@ -0,0 +1,144 @@
+/**
+ * Tests for src/utils/palettes.js
+ *
+ * Covers the preset table and round trips through every file format.
+ * jsdom's File has no text()/arrayBuffer(), so importPaletteFile gets a
+ * minimal stand-in.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  PALETTE_PRESETS,
+  paletteToTones,
+  parseGPL,
+  serializeGPL,
+  parseHEX,
+  serializeHEX,
+  parseASE,
+  serializeASE,
+  importPaletteFile,
+} from './palettes.js';
+
+function makeFile(contents, name) {
+  const buffer = typeof contents === 'string' ? new TextEncoder().encode(contents).buffer : contents;
+  return {
+    name,
+    text: async () => new TextDecoder().decode(buffer),
+    arrayBuffer: async () => buffer,
+  };
+}
+
+const sample = { name: 'Sample', colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f', '#ff77a8'] };
+
+// ─── PALETTE_PRESETS ──────────────────────────────────────────────────────────
+
+describe('PALETTE_PRESETS', () => {
+  it('only contains lowercase six-digit hex colours', () => {
+    for (const { colors } of Object.values(PALETTE_PRESETS)) {
+      expect(colors.length).toBeGreaterThanOrEqual(2);
+      for (const hex of colors) expect(hex).toMatch(/^#[0-9a-f]{6}$/);
+    }
+  });
+
+  it('has no duplicate entries within a preset', () => {
+    for (const { colors } of Object.values(PALETTE_PRESETS)) {
+      expect(new Set(colors).size).toBe(colors.length);
+    }
+  });
+});
+
+// ─── paletteToTones ───────────────────────────────────────────────────────────
+
+describe('paletteToTones', () => {
+  it('maps darkest and lightest to shadow and highlight', () => {
+    expect(paletteToTones(PALETTE_PRESETS.gameboy.colors)).toEqual({
+      shadow: '#0f380f', midtone: '#8bac0f', highlight: '#9bbc0f'
+    });
+  });
+
+  it('omits the midtone for two-colour palettes', () => {
+    expect(paletteToTones(['#ffffff', '#000000'])).toEqual({ shadow: '#000000', highlight: '#ffffff' });
+  });
+});
+
+// ─── File formats ─────────────────────────────────────────────────────────────
+
+describe('GIMP .gpl', () => {
+  it('round-trips name and colours', () => {
+    expect(parseGPL(serializeGPL(sample))).toEqual(sample);
+  });
+
+  it('skips comments and column headers', () => {
+    const text = 'GIMP Palette\nName: Mixed\nColumns: 4\n# comment\n255   0   0\tRed\n  0 128 255 Blue\n';
+    expect(parseGPL(text)).toEqual({ name: 'Mixed', colors: ['#ff0000', '#0080ff'] });
+  });
+
+  it('rejects files without the GIMP header', () => {
+    expect(() => parseGPL('255 0 0')).toThrow();
+  });
+});
+
+describe('Lospec .hex', () => {
+  it('round-trips colours', () => {
+    expect(parseHEX(serializeHEX(sample)).colors).toEqual(sample.colors);
+  });
+
+  it('accepts leading hashes and ignores junk', () => {
+    expect(parseHEX('#FF0000\r\nnope\n00ff00\n').colors).toEqual(['#ff0000', '#00ff00']);
+  });
+});
+
+describe('Adobe .ase', () => {
+  it('round-trips name and colours', () => {
+    const buffer = serializeASE(sample);
+    expect(new TextDecoder().decode(new Uint8Array(buffer, 0, 4))).toBe('ASEF');
+    expect(parseASE(buffer)).toEqual(sample);
+  });
+
+  it('reads CMYK and Gray swatches', () => {
+    // Hand-built file: one CMYK swatch (pure cyan) and one 50% gray
+    const swatch = (model, values) => {
+      const body = 2 + 4 + 4 + values.length * 4 + 2;
+      const view = new DataView(new ArrayBuffer(6 + body));
+      view.setUint16(0, 0x0001);
+      view.setUint32(2, body);
+      view.setUint16(6, 2);
+      view.setUint16(8, 0x41);
+      view.setUint16(10, 0);
+      [...model].forEach((c, i) => view.setUint8(12 + i, c.charCodeAt(0)));
+      values.forEach((v, i) => view.setFloat32(16 + i * 4, v));
+      return new Uint8Array(view.buffer);
+    };
+    const header = new DataView(new ArrayBuffer(12));
+    [0x41, 0x53, 0x45, 0x46].forEach((b, i) => header.setUint8(i, b));
+    header.setUint16(4, 1);
+    header.setUint32(8, 2);
+    const parts = [new Uint8Array(header.buffer), swatch('CMYK', [1, 0, 0, 0]), swatch('Gray', [0.5])];
+    const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((at, p) => { bytes.set(p, at); return at + p.length; }, 0);
+
+    expect(parseASE(bytes.buffer).colors).toEqual(['#00ffff', '#808080']);
+  });
+
+  it('rejects non-ASE data', () => {
+    expect(() => parseASE(new ArrayBuffer(16))).toThrow();
+  });
+});
+
+// ─── importPaletteFile ────────────────────────────────────────────────────────
+
+describe('importPaletteFile', () => {
+  it('detects the format and names hex palettes after the file', async () => {
+    const gpl = await importPaletteFile(makeFile(serializeGPL(sample), 'whatever.txt'));
+    expect(gpl.name).toBe('Sample');
+
+    const hex = await importPaletteFile(makeFile(serializeHEX(sample), 'gb-plus.hex'));
+    expect(hex).toEqual({ name: 'gb-plus', colors: sample.colors });
+
+    const ase = await importPaletteFile(makeFile(serializeASE(sample), 'swatches.ase'));
+    expect(ase.colors).toEqual(sample.colors);
+  });
+
+  it('throws when a file holds no colours', async () => {
+    await expect(importPaletteFile(makeFile('hello', 'empty.hex'))).rejects.toThrow();
+  });
+});
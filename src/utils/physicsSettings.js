@@ -0,0 +1,160 @@
+import Matter from 'matter-js';
+
+// Settings for the physics canvas as a whole (`world`, kept by App) and for
+// each layer's body (`layer.physics`). Walls are tagged so replacing them
+// leaves pinned layers, which are static bodies too, where they are.
+
+export const WALL_MODES = {
+    fixed: 'Fixed',
+    viewport: 'Fit to View',
+    off: 'Off'
+};
+
+export const DEFAULT_WORLD = {
+    gravity: 0,         // strength, 1 = Matter.js's standard gravity
+    gravityAngle: 90,   // degrees clockwise from +x, so 90 pulls down
+    walls: 'fixed',     // key into WALL_MODES
+    timeScale: 1,       // 0 freezes, 2 runs at double speed
+    nudge: true,        // new layers start with a small random push
+    seed: 1,            // seeds the push, so a scene plays out the same way
+    paused: false
+};
+
+export const WORLD_LIMITS = {
+    gravity: { min: 0, max: 3, step: 0.1 },
+    gravityAngle: { min: 0, max: 359, step: 1 },
+    timeScale: { min: 0.1, max: 3, step: 0.1 }
+};
+
+export const DEFAULT_BODY = {
+    density: 0.001,     // Matter.js's default
+    restitution: 0.9,   // bounciness
+    friction: 0.1,
+    frictionAir: 0.05,
+    pinned: false,      // static: collides but never moves
+    fixedRotation: false,
+    collider: 'box'     // key into COLLIDER_SHAPES
+};
+
+export const BODY_LIMITS = {
+    density: { min: 0.0001, max: 0.01, step: 0.0001 },
+    restitution: { min: 0, max: 1.2, step: 0.05 },
+    friction: { min: 0, max: 1, step: 0.05 },
+    frictionAir: { min: 0, max: 0.3, step: 0.01 }
+};
+
+// The fixed walls enclose this square, centred on the origin
+export const FIXED_WALL_SIZE = 10000;
+const WALL_THICKNESS = 500;
+
+// Engine ticks per second. The runner and single steps both advance by
+// exactly one tick, so a replay stepped here matches the live run.
+export const STEP_HZ = 60;
+export const STEP_DELTA = 1000 / STEP_HZ;
+
+// Strongest random push, in Matter.js force units, given to a new body
+const NUDGE_FORCE = 0.05;
+
+export const gravityVector = ({ gravity, gravityAngle }) => {
+    const theta = (gravityAngle * Math.PI) / 180;
+    return { x: Math.cos(theta) * gravity, y: Math.sin(theta) * gravity };
+};
+
+export const applyWorldSettings = (engine, world) => {
+    const settings = { ...DEFAULT_WORLD, ...world };
+    Object.assign(engine.gravity, gravityVector(settings));
+    engine.timing.timeScale = settings.timeScale;
+};
+
+// Region the walls enclose for a WALL_MODES key, or null for none. The
+// viewport is the canvas size seen through the camera.
+export const wallBounds = (mode, camera, { width, height }) => {
+    if (mode === 'off') return null;
+    if (mode === 'viewport') {
+        return {
+            minX: Math.round(-camera.x / camera.z),
+            minY: Math.round(-camera.y / camera.z),
+            maxX: Math.round((width - camera.x) / camera.z),
+            maxY: Math.round((height - camera.y) / camera.z)
+        };
+    }
+    const half = FIXED_WALL_SIZE / 2;
+    return { minX: -half, minY: -half, maxX: half, maxY: half };
+};
+
+// Four static slabs whose inner faces lie on the bounds
+export const createWalls = ({ minX, minY, maxX, maxY }) => {
+    const options = { isStatic: true, render: { visible: false }, plugin: { wall: true } };
+    const width = maxX - minX + WALL_THICKNESS * 2;
+    const height = maxY - minY + WALL_THICKNESS * 2;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    const t = WALL_THICKNESS / 2;
+    return [
+        Matter.Bodies.rectangle(midX, maxY + t, width, WALL_THICKNESS, options),
+        Matter.Bodies.rectangle(midX, minY - t, width, WALL_THICKNESS, options),
+        Matter.Bodies.rectangle(minX - t, midY, WALL_THICKNESS, height, options),
+        Matter.Bodies.rectangle(maxX + t, midY, WALL_THICKNESS, height, options)
+    ];
+};
+
+// Swaps the world's walls for ones around `bounds` (none when null)
+export const replaceWalls = (engine, bounds) => {
+    const walls = Matter.Composite.allBodies(engine.world).filter(body => body.plugin?.wall);
+    Matter.Composite.remove(engine.world, walls);
+    if (bounds) Matter.Composite.add(engine.world, createWalls(bounds));
+};
+
+// Advances a paused engine by one tick
+export const stepWorld = (engine) => Matter.Engine.update(engine, STEP_DELTA);
+
+const shapeInertia = (part, mass) => Matter.Body._inertiaScale * Matter.Vertices.inertia(
+    part.vertices.map(({ x, y }) => ({ x: x - part.position.x, y: y - part.position.y })),
+    mass
+);
+
+// Inertia of the body's shape at its current density, as Matter.js computes
+// it: compound bodies (traced colliders) add up their parts
+const freeInertia = (body) => (body.parts.length > 1
+    ? body.parts.slice(1).reduce((sum, part) => sum + shapeInertia(part, part.area * body.density), 0)
+    : shapeInertia(body, body.mass));
+
+// Brings a body in line with a layer's settings. Mass and inertia are
+// recomputed from scratch, so this is safe to repeat, including on a body
+// made static for dragging.
+export const applyBodySettings = (body, physics) => {
+    const { density, restitution, friction, frictionAir, pinned, fixedRotation } = { ...DEFAULT_BODY, ...physics };
+    if (body.isStatic) Matter.Body.setStatic(body, false);
+    Matter.Body.setDensity(body, density);
+    Matter.Body.setInertia(body, fixedRotation ? Infinity : freeInertia(body));
+    // Matter.js gives static bodies its own surface, so these come last
+    if (pinned) Matter.Body.setStatic(body, true);
+    body.restitution = restitution;
+    body.friction = friction;
+    body.frictionAir = frictionAir;
+};
+
+// The settings a body holds, as applyBodySettings left them. Matter.js
+// keeps a static body's own mass aside, so a pinned body's density comes
+// from there.
+export const bodySettings = (body) => {
+    const mass = (body.isStatic && body._original) || body;
+    return {
+        density: mass.density,
+        restitution: body.restitution,
+        friction: body.friction,
+        frictionAir: body.frictionAir,
+        pinned: body.isStatic,
+        fixedRotation: mass.inertia === Infinity
+    };
+};
+
+// Random push in any direction, so a new layer drifts instead of sitting
+// still. `random` is a seeded generator for repeatable scenes.
+export const nudgeBody = (body, random = Math.random) => {
+    if (body.isStatic) return;
+    Matter.Body.applyForce(body, body.position, {
+        x: (random() - 0.5) * NUDGE_FORCE,
+        y: (random() - 0.5) * NUDGE_FORCE
+    });
+};
@@ -0,0 +1,180 @@
+/**
+ * Tests for src/utils/physicsSettings.js
+ *
+ * Runs against a real Matter.js engine.
+ */
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+  DEFAULT_BODY,
+  FIXED_WALL_SIZE,
+  gravityVector,
+  applyWorldSettings,
+  wallBounds,
+  createWalls,
+  replaceWalls,
+  stepWorld,
+  applyBodySettings,
+  bodySettings,
+  nudgeBody,
+} from './physicsSettings.js';
+
+const box = () => Matter.Bodies.rectangle(0, 0, 40, 20);
+const walls = (engine) => Matter.Composite.allBodies(engine.world).filter(body => body.plugin?.wall);
+
+// ─── World ────────────────────────────────────────────────────────────────────
+
+describe('gravityVector', () => {
+  it('points along the angle, clockwise from +x', () => {
+    const down = gravityVector({ gravity: 2, gravityAngle: 90 });
+    expect(down.x).toBeCloseTo(0, 9);
+    expect(down.y).toBeCloseTo(2, 9);
+    const left = gravityVector({ gravity: 1, gravityAngle: 180 });
+    expect(left.x).toBeCloseTo(-1, 9);
+  });
+});
+
+describe('applyWorldSettings', () => {
+  it('sets gravity and the time scale on the engine', () => {
+    const engine = Matter.Engine.create();
+    applyWorldSettings(engine, { gravity: 1, gravityAngle: 0, timeScale: 0.5 });
+    expect(engine.gravity.x).toBeCloseTo(1, 9);
+    expect(engine.gravity.y).toBeCloseTo(0, 9);
+    expect(engine.timing.timeScale).toBe(0.5);
+  });
+});
+
+describe('wallBounds', () => {
+  const camera = { x: 100, y: -50, z: 2 };
+  const size = { width: 800, height: 600 };
+
+  it('encloses the fixed square around the origin', () => {
+    const half = FIXED_WALL_SIZE / 2;
+    expect(wallBounds('fixed', camera, size)).toEqual({ minX: -half, minY: -half, maxX: half, maxY: half });
+  });
+
+  it('fits the viewport as the camera sees it', () => {
+    expect(wallBounds('viewport', camera, size)).toEqual({ minX: -50, minY: 25, maxX: 350, maxY: 325 });
+  });
+
+  it('is null with walls off', () => {
+    expect(wallBounds('off', camera, size)).toBeNull();
+  });
+});
+
+describe('createWalls', () => {
+  it('puts the inner faces on the bounds', () => {
+    const [ground, ceiling, left, right] = createWalls({ minX: -100, minY: -50, maxX: 100, maxY: 50 });
+    expect(ground.bounds.min.y).toBeCloseTo(50, 9);
+    expect(ceiling.bounds.max.y).toBeCloseTo(-50, 9);
+    expect(left.bounds.max.x).toBeCloseTo(-100, 9);
+    expect(right.bounds.min.x).toBeCloseTo(100, 9);
+    expect([ground, ceiling, left, right].every(wall => wall.isStatic)).toBe(true);
+  });
+});
+
+describe('replaceWalls', () => {
+  it('swaps the walls and leaves pinned layers alone', () => {
+    const engine = Matter.Engine.create();
+    const pinned = box();
+    applyBodySettings(pinned, { pinned: true });
+    Matter.Composite.add(engine.world, pinned);
+
+    replaceWalls(engine, { minX: 0, minY: 0, maxX: 10, maxY: 10 });
+    const first = walls(engine);
+    replaceWalls(engine, { minX: 0, minY: 0, maxX: 20, maxY: 20 });
+    expect(walls(engine)).toHaveLength(4);
+    expect(walls(engine).some(wall => first.includes(wall))).toBe(false);
+
+    replaceWalls(engine, null);
+    expect(Matter.Composite.allBodies(engine.world)).toEqual([pinned]);
+  });
+
+  it('keeps a falling body inside', () => {
+    const engine = Matter.Engine.create();
+    const body = box();
+    Matter.Composite.add(engine.world, body);
+    replaceWalls(engine, { minX: -200, minY: -200, maxX: 200, maxY: 200 });
+    for (let i = 0; i < 300; i++) stepWorld(engine);
+    expect(body.position.y).toBeLessThan(200);
+    expect(body.position.y).toBeGreaterThan(150);
+  });
+});
+
+// ─── Bodies ───────────────────────────────────────────────────────────────────
+
+describe('applyBodySettings', () => {
+  it('applies the material settings', () => {
+    const body = box();
+    applyBodySettings(body, { density: 0.002, restitution: 0.3, friction: 0.6, frictionAir: 0.1 });
+    expect(body.mass).toBeCloseTo(0.002 * 800, 9);
+    expect(body.restitution).toBe(0.3);
+    expect(body.friction).toBe(0.6);
+    expect(body.frictionAir).toBe(0.1);
+  });
+
+  it('pins and unpins, getting its mass back', () => {
+    const body = box();
+    applyBodySettings(body, DEFAULT_BODY);
+    const { mass, inertia } = body;
+    applyBodySettings(body, { pinned: true, restitution: 0.5 });
+    expect(body.isStatic).toBe(true);
+    expect(body.restitution).toBe(0.5);
+    applyBodySettings(body, DEFAULT_BODY);
+    expect(body.isStatic).toBe(false);
+    expect(body.mass).toBeCloseTo(mass, 9);
+    expect(body.inertia).toBeCloseTo(inertia, 6);
+  });
+
+  it('stops and restores rotation', () => {
+    const body = box();
+    const free = body.inertia;
+    applyBodySettings(body, { fixedRotation: true });
+    expect(body.inertia).toBe(Infinity);
+    applyBodySettings(body, { fixedRotation: false });
+    expect(body.inertia).toBeCloseTo(free, 6);
+  });
+
+  it('recovers from the static state a drag leaves behind', () => {
+    const body = box();
+    applyBodySettings(body, DEFAULT_BODY);
+    const { mass, inertia } = body;
+    Matter.Body.setStatic(body, true);
+    applyBodySettings(body, DEFAULT_BODY);
+    expect(body.isStatic).toBe(false);
+    expect(body.mass).toBeCloseTo(mass, 9);
+    expect(body.inertia).toBeCloseTo(inertia, 6);
+  });
+});
+
+describe('bodySettings', () => {
+  it('reads back what applyBodySettings set, pinned or not', () => {
+    const settings = { density: 0.003, restitution: 0.4, friction: 0.2, frictionAir: 0.07, pinned: false, fixedRotation: true };
+    const body = box();
+    applyBodySettings(body, settings);
+    expect(bodySettings(body)).toEqual(settings);
+    applyBodySettings(body, { ...settings, pinned: true, fixedRotation: false });
+    expect(bodySettings(body)).toEqual({ ...settings, pinned: true, fixedRotation: false });
+  });
+});
+
+describe('nudgeBody', () => {
+  it('draws its push from the generator given', () => {
+    const a = box();
+    const b = box();
+    nudgeBody(a, () => 0.75);
+    nudgeBody(b, () => 0.75);
+    expect(a.force).toEqual(b.force);
+    expect(a.force.x).toBeGreaterThan(0);
+  });
+
+  it('pushes free bodies and leaves pinned ones', () => {
+    const free = box();
+    const pinned = box();
+    applyBodySettings(pinned, { pinned: true });
+    nudgeBody(free);
+    nudgeBody(pinned);
+    expect(Math.hypot(free.force.x, free.force.y)).toBeGreaterThan(0);
+    expect(pinned.force).toEqual({ x: 0, y: 0 });
+  });
+});
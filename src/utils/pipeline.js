@@ -0,0 +1,187 @@
+import { applyErrorDiffusion, applyOrderedDither, applyColorMap } from './dither';
+import { computeHalftoneScreen, renderHalftone } from './halftone';
+import { getSeparationInks, screenPlates, renderSeparation } from './separation';
+import { applyToneAdjustments, computeHistogram } from './tone';
+import { sampleImage, applyPreFilters, detectEdges, applyEdgeMask } from './filters';
+import { paletteToTones } from './palettes';
+import { computeAsciiGrid, drawAsciiGrid, getDensityRamp, DEFAULT_ASCII } from './ascii';
+import { CELL_DOTS, computeBrailleGrid, drawBrailleGrid, computeBlockGrid, drawBlockGrid } from './terminalPixels';
+import { gpuOrderedDither, gpuColorMap } from './gpuDither';
+import { frameSettings } from './animation';
+
+// The whole effect pipeline, from a decoded source to pixels on a canvas.
+// It only touches canvases through createCanvas, so the same code runs in
+// the effect worker (OffscreenCanvas) and on the main thread as a fallback.
+//
+// `settings` carries the layer's effect fields with pixelScale and contrast
+// already mapped to their raw ranges, and `colors` with hidden tones removed.
+// An optional `sampleScale` (0–1) renders a reduced-resolution proxy.
+// An animated layer's `animation` and `frame` are resolved by frameSettings
+// (animation.js) before anything reads the colours or threshold maps.
+
+export const ASCII_CHAR_SCALE = 8;
+
+// Longest side, in sampled pixels, of a preview proxy
+export const PROXY_MAX_SIDE = 256;
+
+// AM halftone (and halftone-screened separations) sample the full-resolution
+// source; the screen frequency sets the detail instead of the pixel scale.
+export const isFullResolution = ({ effectType, plateMethod }) =>
+    effectType === 'halftone' || (effectType === 'separation' && plateMethod === 'halftone');
+
+// ASCII, Braille and Blocks draw a grid of text cells
+export const isTextEffect = (effectType) => ['ascii', 'braille', 'blocks'].includes(effectType);
+
+// Text cells are taller than wide by the layer's aspect
+const textAspect = ({ ascii }) => ascii?.aspect ?? DEFAULT_ASCII.aspect;
+
+// Height ÷ width of one sampled pixel: a whole cell for ASCII, one dot or
+// quadrant of it for Braille and Blocks
+const sampleAspect = (settings) => {
+    if (!isTextEffect(settings.effectType)) return 1;
+    const { cols, rows } = CELL_DOTS[settings.effectType] ?? { cols: 1, rows: 1 };
+    return (textAspect(settings) * cols) / rows;
+};
+
+// Canvas size for a text grid
+export const textCanvasSize = (grid, settings, scale = 1) => ({
+    width: grid.width * ASCII_CHAR_SCALE * scale,
+    height: Math.round(grid.height * ASCII_CHAR_SCALE * textAspect(settings) * scale)
+});
+
+const isTriColorMap = (colors) => colors?.midtone !== undefined && colors.midtone !== null && colors.midtone !== '';
+
+const activePalette = ({ colorMode, palette }) => (colorMode === 'palette' ? palette : null);
+
+// Settings for a fast low-resolution pass over a `width`×`height` source,
+// or null when the full render would sample no more pixels than the proxy.
+export const proxySettings = (settings, width, height) => {
+    const longest = Math.max(width, height);
+    const sampled = isFullResolution(settings) ? longest : longest / Math.max(1, settings.pixelScale ?? 1);
+    if (sampled <= PROXY_MAX_SIDE) return null;
+    return { ...settings, sampleScale: PROXY_MAX_SIDE / longest };
+};
+
+// Screens are measured in source pixels, so a proxy scales the ruling up
+const screenLpi = ({ screenLpi: lpi, sampleScale = 1 }) => (lpi ?? 20) / sampleScale;
+
+// Sample → filters → tone → edge detection. Returns null when the pixel
+// scale leaves nothing to sample.
+export const prepareSource = (source, settings) => {
+    const { effectType, pixelScale = 1, contrast = 1, tone, filters, sampleScale = 1 } = settings;
+    const fullRes = isFullResolution(settings);
+    // A proxy never samples finer than its own scale
+    const step = fullRes ? 1 / sampleScale : Math.max(pixelScale, 1 / sampleScale);
+    const width = Math.floor(source.width / step);
+    const height = Math.floor(source.height / (step * sampleAspect(settings)));
+    if (width < 1 || height < 1) return null;
+
+    const imageData = sampleImage(source, width, height, fullRes ? 'browser' : filters?.resample);
+    applyPreFilters(imageData, filters);
+    applyToneAdjustments(imageData, tone, contrast);
+
+    // Edges only make sense for the pixel-grid effects
+    const edgeMode = filters?.edges ?? 'off';
+    const edges = edgeMode !== 'off' && !fullRes && effectType !== 'separation'
+        ? detectEdges(imageData, { method: edgeMode, sensitivity: filters.edgeSensitivity })
+        : null;
+
+    return { imageData, width, height, edges };
+};
+
+// Diffusion / ordered dithering plus the edge overlay, in place. The
+// per-pixel passes run on the GPU when one is available.
+export const ditherPixels = async (imageData, settings, edges) => {
+    const { effectType, kernel, serpentine, thresholdMap, thresholdSize, thresholdOffset, diffusionNoise, colors, colorMetric } = settings;
+    const palette = activePalette(settings);
+    const isTriColor = isTriColorMap(colors);
+
+    if (effectType === 'diffusion') {
+        applyErrorDiffusion(imageData, { isTriColor, kernel, serpentine, palette, metric: colorMetric, noise: diffusionNoise });
+        // Palette mode quantises straight to colour, so there's no tone map afterwards
+        if (!palette && !(await gpuColorMap(imageData, colors))) applyColorMap(imageData, colors);
+    } else if (effectType === 'ordered') {
+        const options = { isTriColor, thresholdMap, thresholdSize, palette, metric: colorMetric, offset: thresholdOffset };
+        if (!(await gpuOrderedDither(imageData, { ...options, colors: palette ? undefined : colors }))) {
+            applyOrderedDither(imageData, options);
+            if (!palette) applyColorMap(imageData, colors);
+        }
+    } else if (!palette) {
+        applyColorMap(imageData, colors);
+    }
+
+    if (edges) applyEdgeMask(imageData, edges, palette ? paletteToTones(palette).shadow : colors.shadow);
+    return imageData;
+};
+
+// Character grid for a text effect, from a prepared source
+export const computeTextGrid = (imageData, settings, edges) => {
+    const { effectType, colors, kernel, serpentine } = settings;
+    const ascii = { ...DEFAULT_ASCII, ...settings.ascii };
+    // Black source pixels render as the densest glyph in the shadow colour
+    if (edges) applyEdgeMask(imageData, edges, '#000000');
+    if (effectType === 'braille') return computeBrailleGrid(imageData, { colors, glyphColor: ascii.glyphColor, kernel, serpentine });
+    if (effectType === 'blocks') return computeBlockGrid(imageData, { colors, glyphColor: ascii.glyphColor });
+    return computeAsciiGrid(imageData, { ramp: getDensityRamp(ascii), colors, glyphColor: ascii.glyphColor });
+};
+
+// Draws a text grid onto a canvas sized by textCanvasSize(grid, settings, scale)
+export const drawTextGrid = (ctx, grid, settings, scale = 1) => {
+    const options = {
+        font: settings.ascii?.font ?? DEFAULT_ASCII.font,
+        background: settings.colors?.highlight ?? '#ffffff',
+        cellWidth: ASCII_CHAR_SCALE * scale,
+        cellHeight: textCanvasSize(grid, settings, scale).height / grid.height
+    };
+    if (settings.effectType === 'braille') drawBrailleGrid(ctx, grid, options);
+    else if (settings.effectType === 'blocks') drawBlockGrid(ctx, grid, options);
+    else drawAsciiGrid(ctx, grid, options);
+};
+
+export const getSeparationPlates = (imageData, settings) => screenPlates(imageData, {
+    mode: settings.separationMode,
+    inks: getSeparationInks(settings.separationMode, settings.spotInks),
+    method: settings.plateMethod,
+    lpi: screenLpi(settings),
+    thresholdMap: settings.thresholdMap,
+    thresholdSize: settings.thresholdSize
+});
+
+// Renders the preview into `canvas` (resized to fit) and returns the
+// post-tone histogram, or null if there was nothing to render.
+// `onProgress(fraction)` is called between stages.
+export const renderEffect = async (source, animatedSettings, canvas, onProgress) => {
+    const settings = frameSettings(animatedSettings);
+    const { effectType, colors, dotShape, screenAngle } = settings;
+    const report = onProgress || (() => {});
+
+    report(0.05);
+    const prepared = prepareSource(source, settings);
+    if (!prepared) return null;
+    const { imageData, width, height, edges } = prepared;
+    const histogram = computeHistogram(imageData);
+    report(0.4);
+
+    const grid = isTextEffect(effectType) ? computeTextGrid(imageData, settings, edges) : null;
+    const size = grid ? textCanvasSize(grid, settings) : { width, height };
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+
+    if (effectType === 'diffusion' || effectType === 'ordered') {
+        ctx.putImageData(await ditherPixels(imageData, settings, edges), 0, 0);
+    } else if (grid) {
+        drawTextGrid(ctx, grid, settings);
+    } else if (effectType === 'halftone') {
+        const screen = computeHalftoneScreen(imageData, { angle: screenAngle, lpi: screenLpi(settings) });
+        report(0.7);
+        renderHalftone(ctx, screen, { shape: dotShape, colors });
+    } else if (effectType === 'separation') {
+        const plates = getSeparationPlates(imageData, settings);
+        report(0.7);
+        renderSeparation(ctx, plates, { shape: dotShape, paper: colors.highlight ?? '#ffffff' });
+    }
+    report(0.9);
+
+    return { histogram };
+};
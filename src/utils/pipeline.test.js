@@ -0,0 +1,112 @@
+/**
+ * Tests for src/utils/pipeline.js
+ *
+ * prepareSource and renderEffect need a real canvas; the pure stages are
+ * tested on synthetic pixel buffers.
+ */
+import { describe, it, expect } from 'vitest';
+import { isFullResolution, proxySettings, ditherPixels, isTextEffect, computeTextGrid, textCanvasSize, PROXY_MAX_SIDE, ASCII_CHAR_SCALE } from './pipeline.js';
+
+function makeImageData(width, height, fill = () => [128, 128, 128, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(fill(x, y), (y * width + x) * 4);
+  }
+  return { data, width, height };
+}
+
+const pixel = (img, x, y) => Array.from(img.data.slice((y * img.width + x) * 4, (y * img.width + x) * 4 + 4));
+
+const baseSettings = {
+  effectType: 'ordered',
+  thresholdMap: 'bayer',
+  thresholdSize: 4,
+  colors: { shadow: '#ff0000', highlight: '#00ff00' },
+  colorMode: 'tones',
+};
+
+// ─── isFullResolution ─────────────────────────────────────────────────────────
+
+describe('isFullResolution', () => {
+  it('is true for halftone and halftone-screened separations only', () => {
+    expect(isFullResolution({ effectType: 'halftone' })).toBe(true);
+    expect(isFullResolution({ effectType: 'separation', plateMethod: 'halftone' })).toBe(true);
+    expect(isFullResolution({ effectType: 'separation', plateMethod: 'ordered' })).toBe(false);
+    expect(isFullResolution({ effectType: 'diffusion' })).toBe(false);
+  });
+});
+
+// ─── proxySettings ────────────────────────────────────────────────────────────
+
+describe('proxySettings', () => {
+  it('is null when the full render is already small', () => {
+    expect(proxySettings({ effectType: 'diffusion', pixelScale: 1 }, PROXY_MAX_SIDE, 100)).toBeNull();
+    expect(proxySettings({ effectType: 'diffusion', pixelScale: 8 }, 2000, 1000)).toBeNull();
+  });
+
+  it('scales the sample so the longest side fits the proxy', () => {
+    const proxy = proxySettings({ effectType: 'diffusion', pixelScale: 2 }, 2048, 1024);
+    expect(proxy.sampleScale).toBeCloseTo(PROXY_MAX_SIDE / 2048);
+    expect(proxy.pixelScale).toBe(2);
+  });
+
+  it('always proxies large full-resolution effects', () => {
+    const proxy = proxySettings({ effectType: 'halftone', pixelScale: 20 }, 1024, 1024);
+    expect(proxy.sampleScale).toBeCloseTo(PROXY_MAX_SIDE / 1024);
+  });
+});
+
+// ─── ditherPixels ─────────────────────────────────────────────────────────────
+
+describe('ditherPixels', () => {
+  it('maps dithered pixels onto the tone colours', async () => {
+    const img = await ditherPixels(makeImageData(4, 4), baseSettings, null);
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        expect([[255, 0, 0, 255], [0, 255, 0, 255]]).toContainEqual(pixel(img, x, y));
+      }
+    }
+  });
+
+  it('quantises straight to the palette in palette mode', async () => {
+    const palette = ['#123456', '#abcdef'];
+    const img = await ditherPixels(makeImageData(4, 4), { ...baseSettings, colorMode: 'palette', palette }, null);
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        expect([[0x12, 0x34, 0x56, 255], [0xab, 0xcd, 0xef, 255]]).toContainEqual(pixel(img, x, y));
+      }
+    }
+  });
+
+  it('paints edge pixels with the shadow colour', async () => {
+    const white = () => [255, 255, 255, 255];
+    const edges = new Uint8Array(16);
+    edges[5] = 1;
+    const img = await ditherPixels(makeImageData(4, 4, white), baseSettings, edges);
+    expect(pixel(img, 1, 1)).toEqual([255, 0, 0, 255]);
+    expect(pixel(img, 0, 0)).toEqual([0, 255, 0, 255]);
+  });
+});
+
+// ─── text effects ─────────────────────────────────────────────────────────────
+
+describe('text effects', () => {
+  it('covers ASCII, Braille and Blocks', () => {
+    expect(['ascii', 'braille', 'blocks'].every(isTextEffect)).toBe(true);
+    expect(isTextEffect('diffusion')).toBe(false);
+  });
+
+  it('groups sampled pixels into cells for Braille and Blocks', () => {
+    const img = () => makeImageData(6, 8);
+    expect(computeTextGrid(img(), { ...baseSettings, effectType: 'braille' }, null)).toMatchObject({ width: 3, height: 2 });
+    expect(computeTextGrid(img(), { ...baseSettings, effectType: 'blocks' }, null)).toMatchObject({ width: 3, height: 4 });
+  });
+
+  it('sizes the canvas from the grid and the cell aspect', () => {
+    const grid = { width: 10, height: 5 };
+    expect(textCanvasSize(grid, { ascii: { aspect: 2 } }, 2)).toEqual({
+      width: 10 * ASCII_CHAR_SCALE * 2,
+      height: 5 * ASCII_CHAR_SCALE * 2 * 2,
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// Finished renders for one layer, as object URLs, so flipping a setting back
+// to a recent value shows the earlier result without re-rendering. Least
+// recently used entries are evicted and their URLs revoked, except the one
+// on show (see hold), which a layer may still be using.
+
+export const RENDER_CACHE_SIZE = 12;
+
+// Every effect setting changes the pixels, so the key covers them all
+// (effect type, pixel scale, contrast, colours, tone, filters, …)
+export const renderCacheKey = (sourceId, settings) => `${sourceId}:${JSON.stringify(settings)}`;
+
+export const createRenderCache = (limit = RENDER_CACHE_SIZE) => {
+    const entries = new Map(); // key → { url, histogram }
+    let held = null;           // the URL on show
+    let heldEvicted = false;   // whether it has left the cache, so is ours to revoke later
+
+    const drop = (url) => {
+        if (url === held) heldEvicted = true;
+        else URL.revokeObjectURL(url);
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        // Re-insert to mark as most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry;
+    };
+
+    const set = (key, blob, histogram) => {
+        const existing = entries.get(key);
+        if (existing) {
+            drop(existing.url);
+            entries.delete(key);
+        }
+        const entry = { url: URL.createObjectURL(blob), histogram };
+        entries.set(key, entry);
+        while (entries.size > limit) {
+            const [oldest, { url }] = entries.entries().next().value;
+            drop(url);
+            entries.delete(oldest);
+        }
+        return entry;
+    };
+
+    // Marks `url` (a cached one or not) as on show, so it outlives eviction.
+    // A held URL that was evicted is revoked once another takes its place.
+    const hold = (url) => {
+        if (url === held) return;
+        if (heldEvicted) URL.revokeObjectURL(held);
+        held = url;
+        heldEvicted = false;
+    };
+
+    // The held URL survives, since the layer keeps showing it
+    const clear = () => {
+        entries.forEach(({ url }) => drop(url));
+        entries.clear();
+    };
+
+    // Lets go of the held URL once nothing shows it any more, revoking it
+    // unless it is still cached (clear then revokes it with the rest)
+    const release = () => {
+        const cached = [...entries.values()].some(({ url }) => url === held);
+        if (held && !cached) URL.revokeObjectURL(held);
+        held = null;
+        heldEvicted = false;
+    };
+
+    return { get, set, hold, clear, release, get size() { return entries.size; } };
+};
@@ -0,0 +1,118 @@
+/**
+ * Tests for src/utils/renderCache.js
+ *
+ * URL.createObjectURL is stubbed so the tests can see which URLs are
+ * created and revoked.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRenderCache, renderCacheKey } from './renderCache.js';
+
+let created;
+let revoked;
+
+beforeEach(() => {
+  created = 0;
+  revoked = [];
+  vi.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:${++created}`);
+  vi.spyOn(URL, 'revokeObjectURL').mockImplementation(url => { revoked.push(url); });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const blob = () => new Blob(['png']);
+
+// ─── renderCacheKey ───────────────────────────────────────────────────────────
+
+describe('renderCacheKey', () => {
+  it('differs when any setting or the source changes', () => {
+    const settings = { effectType: 'diffusion', pixelScale: 4, contrast: 1, colors: { shadow: '#000000' } };
+    const key = renderCacheKey(1, settings);
+    expect(renderCacheKey(1, { ...settings })).toBe(key);
+    expect(renderCacheKey(2, settings)).not.toBe(key);
+    expect(renderCacheKey(1, { ...settings, pixelScale: 5 })).not.toBe(key);
+    expect(renderCacheKey(1, { ...settings, colors: { shadow: '#111111' } })).not.toBe(key);
+  });
+});
+
+// ─── createRenderCache ────────────────────────────────────────────────────────
+
+describe('createRenderCache', () => {
+  it('returns stored entries as object URLs', () => {
+    const cache = createRenderCache();
+    const histogram = new Uint32Array(256);
+    const entry = cache.set('a', blob(), histogram);
+    expect(entry.url).toBe('blob:1');
+    expect(cache.get('a')).toEqual({ url: 'blob:1', histogram });
+    expect(cache.get('b')).toBeNull();
+  });
+
+  it('evicts the least recently used entry and revokes its URL', () => {
+    const cache = createRenderCache(2);
+    cache.set('a', blob(), null);
+    cache.set('b', blob(), null);
+    cache.get('a');
+    cache.set('c', blob(), null);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).not.toBeNull();
+    expect(revoked).toEqual(['blob:2']);
+  });
+
+  it('replaces an existing key without leaking its URL', () => {
+    const cache = createRenderCache();
+    cache.set('a', blob(), null);
+    cache.set('a', blob(), null);
+    expect(cache.size).toBe(1);
+    expect(revoked).toEqual(['blob:1']);
+  });
+
+  it('keeps the URL on show through eviction until another is shown', () => {
+    const cache = createRenderCache(1);
+    const { url } = cache.set('a', blob(), null);
+    cache.hold(url);
+    cache.set('b', blob(), null);
+    expect(cache.get('a')).toBeNull();
+    expect(revoked).toEqual([]);
+    cache.hold('blob:2');
+    expect(revoked).toEqual(['blob:1']);
+  });
+
+  it('keeps the URL on show when cleared', () => {
+    const cache = createRenderCache();
+    cache.set('a', blob(), null);
+    cache.set('b', blob(), null);
+    cache.hold('blob:2');
+    cache.clear();
+    expect(revoked).toEqual(['blob:1']);
+  });
+
+  it('revokes the URL on show once released after a clear', () => {
+    const cache = createRenderCache();
+    cache.set('a', blob(), null);
+    cache.hold('blob:1');
+    cache.clear();
+    expect(revoked).toEqual([]);
+    cache.release();
+    expect(revoked).toEqual(['blob:1']);
+  });
+
+  it('revokes a held URL that was never cached on release', () => {
+    const cache = createRenderCache();
+    cache.hold('blob:proxy');
+    cache.release();
+    cache.clear();
+    expect(revoked).toEqual(['blob:proxy']);
+  });
+
+  it('revokes every URL on clear', () => {
+    const cache = createRenderCache();
+    cache.set('a', blob(), null);
+    cache.set('b', blob(), null);
+    cache.clear();
+    expect(cache.size).toBe(0);
+    expect(revoked.sort()).toEqual(['blob:1', 'blob:2']);
+  });
+});
@@ -0,0 +1,204 @@
+import { hexToRgb, applyOrderedDither, applyColorMap } from './dither';
+import { computeHalftoneScreen, renderHalftone, halftoneMarkup } from './halftone';
+import { createCanvas } from './canvas';
+import { traceColorPaths } from './svgExport';
+
+// Colour separation: split the source into one coverage plate per ink,
+// screen every plate at its own angle, then lay the plates back over the
+// paper with multiply blending, the way they'd overprint on a press.
+
+export const SEPARATION_MODES = {
+    cmyk: 'CMYK',
+    spot: 'Spot Inks'
+};
+
+export const PLATE_METHODS = {
+    halftone: 'AM Halftone',
+    ordered: 'Ordered Dither'
+};
+
+// Conventional offset screen angles; yellow sits on the least visible angle
+export const CMYK_INKS = [
+    { name: 'Cyan', color: '#00aeef', angle: 15 },
+    { name: 'Magenta', color: '#ec008c', angle: 75 },
+    { name: 'Yellow', color: '#fff200', angle: 0 },
+    { name: 'Black', color: '#000000', angle: 45 }
+];
+
+export const DEFAULT_SPOT_INKS = [
+    { name: 'Ink 1', color: '#ff48b0', angle: 15 },
+    { name: 'Ink 2', color: '#0078bf', angle: 75 }
+];
+
+const rgbToCmyk = (r, g, b) => {
+    const k = 1 - Math.max(r, g, b);
+    if (k >= 1) return [0, 0, 0, 1];
+    return [(1 - r - k) / (1 - k), (1 - g - k) / (1 - k), (1 - b - k) / (1 - k), k];
+};
+
+// Spot inks are unmixed by non-negative least squares on per-channel
+// absorption (1 − rgb): find coverages t ∈ [0, 1] so that Σ tᵢ·inkᵢ
+// absorbs as much as the pixel does. Projected gradient descent converges
+// quickly for the handful of inks a screen-print job uses.
+const createSpotSolver = (inks) => {
+    const absorb = inks.map(({ color }) => {
+        const { r, g, b } = hexToRgb(color);
+        return [1 - r / 255, 1 - g / 255, 1 - b / 255];
+    });
+    const n = absorb.length;
+    const gram = absorb.map(a => absorb.map(b => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+    const step = 1 / Math.max(1e-6, gram.reduce((sum, row, i) => sum + row[i], 0));
+
+    return (r, g, b) => {
+        const target = [1 - r, 1 - g, 1 - b];
+        const rhs = absorb.map(a => a[0] * target[0] + a[1] * target[1] + a[2] * target[2]);
+        const t = new Array(n).fill(0);
+        for (let iter = 0; iter < 40; iter++) {
+            for (let i = 0; i < n; i++) {
+                let grad = -rhs[i];
+                for (let j = 0; j < n; j++) grad += gram[i][j] * t[j];
+                t[i] = Math.max(0, Math.min(1, t[i] - step * grad));
+            }
+        }
+        return t;
+    };
+};
+
+export const getSeparationInks = (mode, spotInks) =>
+    mode === 'spot' && spotInks?.length ? spotInks : CMYK_INKS;
+
+// Returns one grayscale ImageData-like plate per ink (0 = full ink, 255 = none)
+export const separatePlates = (imageData, { mode = 'cmyk', inks } = {}) => {
+    const { width, height, data } = imageData;
+    const plateInks = inks || getSeparationInks(mode);
+    const plates = plateInks.map(ink => ({
+        ink,
+        width,
+        height,
+        data: new Uint8ClampedArray(width * height * 4)
+    }));
+
+    const solve = mode === 'spot' ? createSpotSolver(plateInks) : null;
+    const memo = new Map();
+
+    for (let i = 0; i < data.length; i += 4) {
+        // Transparent source pixels separate as bare paper
+        const a = data[i + 3] / 255;
+        const r = (data[i] * a + 255 * (1 - a)) / 255;
+        const g = (data[i + 1] * a + 255 * (1 - a)) / 255;
+        const b = (data[i + 2] * a + 255 * (1 - a)) / 255;
+
+        let coverage;
+        if (solve) {
+            // Keyed on the exact colour, so every pixel of a colour gets its
+            // own solution whatever order the pixels come in
+            const key = ((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) * 256 + data[i + 3];
+            coverage = memo.get(key);
+            if (!coverage) {
+                coverage = solve(r, g, b);
+                memo.set(key, coverage);
+            }
+        } else {
+            coverage = rgbToCmyk(r, g, b);
+        }
+
+        for (let p = 0; p < plates.length; p++) {
+            const v = 255 * (1 - (coverage[p] || 0));
+            const out = plates[p].data;
+            out[i] = out[i + 1] = out[i + 2] = v;
+            out[i + 3] = 255;
+        }
+    }
+    return plates;
+};
+
+// Screens every plate. Halftone plates keep their dot geometry; ordered
+// plates become ink-on-transparent pixels at the source resolution.
+export const screenPlates = (imageData, {
+    mode = 'cmyk',
+    inks,
+    method = 'halftone',
+    lpi = 20,
+    contrast = 1,
+    thresholdMap,
+    thresholdSize
+} = {}) => separatePlates(imageData, { mode, inks }).map(plate => {
+    const { ink } = plate;
+    if (method === 'halftone') {
+        return { ink, screen: computeHalftoneScreen(plate, { angle: ink.angle, lpi, contrast }) };
+    }
+    applyOrderedDither(plate, { contrast, isTriColor: false, thresholdMap, thresholdSize, angle: ink.angle });
+    applyColorMap(plate, { shadow: ink.color, highlight: 'transparent' });
+    return { ink, pixels: plate };
+});
+
+// Draws a single screened plate as ink on a transparent background
+export const renderPlate = (ctx, plate, { shape, scale = 1 } = {}) => {
+    if (plate.screen) {
+        renderHalftone(ctx, plate.screen, { shape, colors: { shadow: plate.ink.color, highlight: 'transparent' }, scale });
+        return;
+    }
+    const { width, height, data } = plate.pixels;
+    const tempCanvas = createCanvas(width, height);
+    tempCanvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(tempCanvas, 0, 0, width * scale, height * scale);
+};
+
+// Renders every plate to its own canvas and multiplies them over the paper.
+// Returns the plate canvases so export can write them out individually.
+export const renderSeparation = (ctx, plates, { shape, paper = '#ffffff', scale = 1 } = {}) => {
+    const { width, height } = ctx.canvas;
+    const plateCanvases = plates.map(plate => {
+        const canvas = createCanvas(width, height);
+        renderPlate(canvas.getContext('2d'), plate, { shape, scale });
+        return { ink: plate.ink, canvas };
+    });
+
+    ctx.save();
+    ctx.clearRect(0, 0, width, height);
+    if (paper !== 'transparent') {
+        ctx.fillStyle = paper;
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.globalCompositeOperation = 'multiply';
+    plateCanvases.forEach(({ canvas }) => ctx.drawImage(canvas, 0, 0));
+    ctx.restore();
+
+    return plateCanvases;
+};
+
+export const plateId = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+// Layered SVG: one multiply-blended <g> per plate, named after its ink so
+// the groups show up as separate layers in Illustrator or Inkscape.
+export const generateSeparationSVG = (plates, { shape, paper = '#ffffff', scale = 1 } = {}) => {
+    const { width, height } = plates[0]?.screen || plates[0]?.pixels || { width: 0, height: 0 };
+
+    let svgContent = `<svg width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">`;
+
+    if (paper && paper !== 'transparent') {
+        svgContent += `<rect id="paper" width="${width}" height="${height}" fill="${paper}" />`;
+    }
+
+    for (const plate of plates) {
+        const { name, color } = plate.ink;
+        const attrs = ` id="${plateId(name)}" inkscape:groupmode="layer" inkscape:label="${name}" style="mix-blend-mode:multiply"`;
+        if (plate.screen) {
+            svgContent += halftoneMarkup(plate.screen, { shape, fill: color, attrs });
+        } else {
+            // Ordered plates trace their inked pixels into one path, as the
+            // pixel vector export does; a fully inked plate is one rect
+            const { width: pw, height: ph } = plate.pixels;
+            const { background, paths } = traceColorPaths(plate.pixels);
+            svgContent += `<g fill="${color}"${attrs}>`;
+            if (background) svgContent += `<rect width="${pw}" height="${ph}" />`;
+            svgContent += paths.map(({ d }) => `<path d="${d}" />`).join('');
+            svgContent += `</g>`;
+        }
+    }
+
+    svgContent += `</svg>`;
+    return svgContent;
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for src/utils/separation.js
+ *
+ * Plate rendering needs a real canvas, so we test the separation maths,
+ * the per-plate screening and the layered SVG writer.
+ */
+import { describe, it, expect } from 'vitest';
+import { CMYK_INKS, separatePlates, screenPlates, generateSeparationSVG } from './separation.js';
+
+function makeSolid(width, height, [r, g, b, a = 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r; data[i + 1] = g; data[i + 2] = b; data[i + 3] = a;
+  }
+  return { data, width, height };
+}
+
+// Coverage of the first pixel of a plate, 0–1
+const coverageOf = (plate) => 1 - plate.data[0] / 255;
+
+// ─── separatePlates ───────────────────────────────────────────────────────────
+
+describe('separatePlates', () => {
+  it('produces one plate per CMYK ink by default', () => {
+    const plates = separatePlates(makeSolid(2, 2, [255, 255, 255]));
+    expect(plates.map(p => p.ink.name)).toEqual(CMYK_INKS.map(i => i.name));
+  });
+
+  it('puts pure black entirely on the K plate', () => {
+    const [c, m, y, k] = separatePlates(makeSolid(1, 1, [0, 0, 0])).map(coverageOf);
+    expect([c, m, y]).toEqual([0, 0, 0]);
+    expect(k).toBe(1);
+  });
+
+  it('separates pure red into magenta and yellow', () => {
+    const [c, m, y, k] = separatePlates(makeSolid(1, 1, [255, 0, 0])).map(coverageOf);
+    expect(c).toBe(0);
+    expect(m).toBe(1);
+    expect(y).toBe(1);
+    expect(k).toBe(0);
+  });
+
+  it('treats transparent pixels as paper', () => {
+    const plates = separatePlates(makeSolid(1, 1, [0, 0, 0, 0]));
+    expect(plates.every(p => coverageOf(p) === 0)).toBe(true);
+  });
+
+  it('unmixes a colour that matches one spot ink onto that plate', () => {
+    const inks = [
+      { name: 'Pink', color: '#ff48b0', angle: 15 },
+      { name: 'Blue', color: '#0078bf', angle: 75 },
+    ];
+    const [pink, blue] = separatePlates(makeSolid(1, 1, [0x00, 0x78, 0xbf]), { mode: 'spot', inks });
+    expect(coverageOf(blue)).toBeGreaterThan(0.9);
+    expect(coverageOf(pink)).toBeLessThan(0.1);
+  });
+
+  it('gives each spot colour its own coverage whatever the pixel order', () => {
+    const inks = [
+      { name: 'Pink', color: '#ff48b0', angle: 15 },
+      { name: 'Blue', color: '#0078bf', angle: 75 },
+    ];
+    // Two colours close enough to share a coarse memo key
+    const pair = (first, second) => ({ width: 2, height: 1, data: new Uint8ClampedArray([...first, 255, ...second, 255]) });
+    const a = [0, 120, 191];
+    const b = [8, 116, 196];
+    const [forward] = separatePlates(pair(a, b), { mode: 'spot', inks });
+    const [backward] = separatePlates(pair(b, a), { mode: 'spot', inks });
+    const [alone] = separatePlates(pair(b, b), { mode: 'spot', inks });
+    expect(forward.data[4]).toBe(backward.data[0]);
+    expect(forward.data[4]).toBe(alone.data[0]);
+    expect(alone.data[0]).not.toBe(forward.data[0]);
+  });
+});
+
+// ─── screenPlates ─────────────────────────────────────────────────────────────
+
+describe('screenPlates', () => {
+  const source = makeSolid(24, 24, [40, 120, 200]);
+
+  it('screens halftone plates at each ink angle', () => {
+    const plates = screenPlates(source, { method: 'halftone', lpi: 24 });
+    expect(plates.map(p => p.screen.angle)).toEqual(CMYK_INKS.map(i => i.angle));
+  });
+
+  it('dithers ordered plates to ink-or-nothing pixels', () => {
+    const plates = screenPlates(source, { method: 'ordered', thresholdMap: 'bayer', thresholdSize: 4 });
+    const cyan = plates[0].pixels;
+    for (let i = 0; i < cyan.data.length; i += 4) {
+      const inked = cyan.data[i + 3] === 255;
+      expect(inked || cyan.data[i + 3] === 0).toBe(true);
+      if (inked) expect([cyan.data[i], cyan.data[i + 1], cyan.data[i + 2]]).toEqual([0x00, 0xae, 0xef]);
+    }
+  });
+});
+
+// ─── generateSeparationSVG ────────────────────────────────────────────────────
+
+describe('generateSeparationSVG', () => {
+  const source = makeSolid(16, 16, [90, 60, 30]);
+
+  it('writes one multiply-blended layer per plate', () => {
+    const svg = generateSeparationSVG(screenPlates(source, { method: 'halftone', lpi: 24 }));
+    for (const { name, color } of CMYK_INKS) {
+      expect(svg).toContain(`id="${name.toLowerCase()}" inkscape:groupmode="layer" inkscape:label="${name}"`);
+      expect(svg).toContain(`fill="${color}"`);
+    }
+    expect(svg.match(/mix-blend-mode:multiply/g)).toHaveLength(4);
+  });
+
+  it('traces ordered plates into paths instead of a rect per pixel', () => {
+    const svg = generateSeparationSVG(screenPlates(makeSolid(32, 32, [90, 60, 30]), { method: 'ordered' }), { paper: 'transparent' });
+    expect(svg).not.toContain('width="1" height="1"');
+    expect(svg.match(/<path d="M/g)?.length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('includes the paper unless it is transparent', () => {
+    const plates = screenPlates(source, { method: 'ordered' });
+    expect(generateSeparationSVG(plates)).toContain('id="paper"');
+    expect(generateSeparationSVG(plates, { paper: 'transparent' })).not.toContain('id="paper"');
+  });
+});
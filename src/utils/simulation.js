@@ -0,0 +1,158 @@
+import Matter from 'matter-js';
+import { applyBodySettings, applyWorldSettings, bodySettings, stepWorld } from './physicsSettings';
+import { snapshotBodies, restoreBodies, layerBodies } from './motionExport';
+import { syncLinks } from './constraints';
+
+// Seeded, replayable physics. Matter.js steps deterministically: the same
+// bodies advanced by the same fixed deltas end up in the same place. What
+// made scenes differ was the random push new layers get and when drags
+// happened, so the push draws from a seeded generator and every input goes
+// through `input`, which stamps it with the engine clock. A recording is
+// the scene when it started (bodies, their settings and the world's) plus
+// those inputs; a replay restores the scene and applies each input just
+// before the first step after its stamp. A scene can also carry the links
+// between layers (see constraints.js), which go back before anything steps.
+// Layers added during a recording aren't part of its scene.
+
+// Seeds the UI offers, 0 up to this
+export const SEED_RANGE = 1000000;
+
+// Downward push a dropped body gets
+const DROP_FORCE = 0.02;
+
+// mulberry32: small, fast and plenty for scattering layers
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * SEED_RANGE);
+
+// Applies one input. Layer inputs act on the body tagged with `layerId`:
+// 'grab' holds it still for dragging, 'move' puts its position at (x, y),
+// 'release' drops it under the layer's `physics` settings and 'settings'
+// applies new ones. 'world' applies `world` settings to the engine.
+export const applyInput = (engine, event) => {
+    if (event.type === 'world') {
+        applyWorldSettings(engine, event.world);
+        return;
+    }
+    const body = layerBodies(engine).get(event.layerId);
+    if (!body) return;
+    if (event.type === 'grab') {
+        if (!body.isStatic) Matter.Body.setStatic(body, true);
+        Matter.Body.setAngularVelocity(body, 0);
+        Matter.Body.setVelocity(body, { x: 0, y: 0 });
+    } else if (event.type === 'move') {
+        Matter.Body.setPosition(body, { x: event.x, y: event.y });
+    } else if (event.type === 'release') {
+        // Back to the layer's own settings, pinned where it was dropped
+        applyBodySettings(body, event.physics);
+        if (!body.isStatic) Matter.Body.applyForce(body, body.position, { x: 0, y: DROP_FORCE });
+    } else if (event.type === 'settings') {
+        applyBodySettings(body, event.physics);
+    }
+};
+
+// Wraps an engine with a generator seeded by `seed` and an input log. The
+// runner keeps stepping the engine; the simulation listens for its steps.
+export const createSimulation = (engine, seed = 0) => {
+    let random = createRandom(seed);
+    let world = null;       // the last world settings applied
+    let recording = null;   // { seed, start, bodies, world, events, steps } while recording
+    let queue = [];         // inputs still to replay, oldest first
+    let clock = engine.timing.timestamp; // engine time after the last step
+
+    const apply = (event) => {
+        if (event.type === 'world') world = event.world;
+        applyInput(engine, event);
+    };
+    const flush = () => {
+        while (queue.length && queue[0].timestamp <= clock) apply(queue.shift());
+    };
+    const afterUpdate = () => {
+        clock = engine.timing.timestamp;
+        if (recording) recording.steps++;
+    };
+    Matter.Events.on(engine, 'beforeUpdate', flush);
+    Matter.Events.on(engine, 'afterUpdate', afterUpdate);
+
+    const replay = (scene) => {
+        // Links before the bodies, so a rope that was there all along gets
+        // its segments restored too
+        if (scene.links) syncLinks(engine, scene.links);
+        // Settings first: pinning a body would clear the motion restored
+        scene.bodies.forEach(({ layerId, physics }) => apply({ type: 'settings', layerId, physics }));
+        restoreBodies(engine, scene.start);
+        apply({ type: 'world', world: scene.world });
+        random = createRandom(scene.seed);
+        queue = [...scene.events];
+        clock = engine.timing.timestamp;
+        flush();
+    };
+
+    return {
+        random: () => random(),
+
+        reseed: (next) => {
+            seed = next;
+            random = createRandom(seed);
+        },
+
+        // Applies an input now, logging it while recording
+        input: (event) => {
+            apply(event);
+            recording?.events.push({ ...event, timestamp: engine.timing.timestamp });
+        },
+
+        // Start between drags: a held body is static and would come back pinned
+        startRecording: () => {
+            // Contacts cached from earlier steps can't be saved, so they go
+            // now as they will when the scene is restored
+            restoreBodies(engine, snapshotBodies(engine));
+            random = createRandom(seed);
+            clock = engine.timing.timestamp;
+            recording = {
+                seed,
+                start: snapshotBodies(engine),
+                bodies: [...layerBodies(engine)].map(([layerId, body]) => ({ layerId, physics: bodySettings(body) })),
+                world,
+                events: [],
+                steps: 0
+            };
+        },
+
+        // The finished recording, or null if none was running
+        stopRecording: () => {
+            const scene = recording;
+            recording = null;
+            return scene;
+        },
+
+        // Puts the scene back as it was when `scene` started recording; its
+        // inputs then follow as the engine steps
+        replay,
+
+        // Replays `scene` to its last step at once
+        replayToEnd: (scene) => {
+            replay(scene);
+            for (let i = 0; i < scene.steps; i++) stepWorld(engine);
+        },
+
+        stopReplay: () => {
+            queue = [];
+            clock = engine.timing.timestamp;
+        },
+
+        dispose: () => {
+            Matter.Events.off(engine, 'beforeUpdate', flush);
+            Matter.Events.off(engine, 'afterUpdate', afterUpdate);
+        }
+    };
+};
@@ -0,0 +1,181 @@
+/**
+ * Tests for src/utils/simulation.js
+ *
+ * Scenes run on a real Matter.js engine stepped by hand, as the runner
+ * would step it, so layouts can be compared exactly.
+ */
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { createRandom, applyInput, createSimulation } from './simulation.js';
+import { DEFAULT_BODY, applyBodySettings, nudgeBody, replaceWalls, stepWorld } from './physicsSettings.js';
+
+// Three layers dropped into a walled box, nudged from the simulation's
+// generator as PhysicsElement nudges them
+function makeScene(seed = 7) {
+  const engine = Matter.Engine.create({ gravity: { x: 0, y: 0 } });
+  const simulation = createSimulation(engine, seed);
+  replaceWalls(engine, { minX: -300, minY: -300, maxX: 300, maxY: 300 });
+  simulation.input({ type: 'world', world: { gravity: 1, gravityAngle: 90, timeScale: 1 } });
+  [-120, 0, 120].forEach((x, i) => {
+    const body = Matter.Bodies.rectangle(x, -100 + i * 30, 60, 40, { plugin: { layerId: i + 1 } });
+    applyBodySettings(body, DEFAULT_BODY);
+    Matter.Composite.add(engine.world, body);
+    nudgeBody(body, simulation.random);
+  });
+  return { engine, simulation };
+}
+
+const layout = (engine) => Matter.Composite.allBodies(engine.world)
+  .filter(body => body.plugin?.layerId != null)
+  .map(({ position, angle }) => [position.x, position.y, angle]);
+
+const run = (engine, steps) => {
+  for (let i = 0; i < steps; i++) stepWorld(engine);
+};
+
+// A drag of layer 2 across the box, an input every few steps
+const drag = (engine, simulation) => {
+  simulation.input({ type: 'grab', layerId: 2 });
+  for (let i = 1; i <= 5; i++) {
+    run(engine, 3);
+    simulation.input({ type: 'move', layerId: 2, x: i * 40, y: -150 });
+  }
+  run(engine, 2);
+  simulation.input({ type: 'release', layerId: 2, physics: DEFAULT_BODY });
+};
+
+// ─── Randomness ───────────────────────────────────────────────────────────────
+
+describe('createRandom', () => {
+  it('repeats its sequence for a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(first.every(v => v >= 0 && v < 1)).toBe(true);
+  });
+
+  it('gives other seeds other sequences', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)());
+  });
+});
+
+describe('seeded scenes', () => {
+  it('settle into the same layout for the same seed', () => {
+    const a = makeScene(7);
+    const b = makeScene(7);
+    run(a.engine, 240);
+    run(b.engine, 240);
+    expect(layout(a.engine)).toEqual(layout(b.engine));
+  });
+
+  it('differ between seeds', () => {
+    const a = makeScene(7);
+    const b = makeScene(8);
+    run(a.engine, 240);
+    run(b.engine, 240);
+    expect(layout(a.engine)).not.toEqual(layout(b.engine));
+  });
+});
+
+// ─── Inputs ───────────────────────────────────────────────────────────────────
+
+describe('applyInput', () => {
+  it('holds a grabbed body and drops it back under its settings', () => {
+    const { engine } = makeScene();
+    run(engine, 10);
+    applyInput(engine, { type: 'grab', layerId: 1 });
+    const [body] = Matter.Composite.allBodies(engine.world).filter(b => b.plugin.layerId === 1);
+    expect(body.isStatic).toBe(true);
+    applyInput(engine, { type: 'move', layerId: 1, x: 50, y: 60 });
+    expect(body.position).toEqual({ x: 50, y: 60 });
+    applyInput(engine, { type: 'release', layerId: 1, physics: { ...DEFAULT_BODY, restitution: 0.2 } });
+    expect(body.isStatic).toBe(false);
+    expect(body.restitution).toBe(0.2);
+    expect(body.force.y).toBeGreaterThan(0);
+  });
+
+  it('ignores layers without a body', () => {
+    const { engine } = makeScene();
+    expect(() => applyInput(engine, { type: 'grab', layerId: 99 })).not.toThrow();
+  });
+});
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+describe('recording and replay', () => {
+  const record = () => {
+    const { engine, simulation } = makeScene();
+    run(engine, 30);
+    simulation.startRecording();
+    run(engine, 20);
+    drag(engine, simulation);
+    simulation.input({ type: 'settings', layerId: 3, physics: { ...DEFAULT_BODY, restitution: 0.1 } });
+    simulation.input({ type: 'world', world: { gravity: 0.5, gravityAngle: 0, timeScale: 1 } });
+    run(engine, 90);
+    return { engine, simulation, scene: simulation.stopRecording() };
+  };
+
+  it('logs the scene, its inputs and its length', () => {
+    const { scene } = record();
+    expect(scene.seed).toBe(7);
+    expect(scene.world).toEqual({ gravity: 1, gravityAngle: 90, timeScale: 1 });
+    expect(scene.events.map(e => e.type)).toEqual(['grab', 'move', 'move', 'move', 'move', 'move', 'release', 'settings', 'world']);
+    expect(scene.steps).toBe(20 + 17 + 90);
+  });
+
+  it('replays to exactly the layout it recorded', () => {
+    const { engine, simulation, scene } = record();
+    const end = layout(engine);
+    run(engine, 50);
+    simulation.replayToEnd(scene);
+    expect(layout(engine)).toEqual(end);
+    expect(engine.gravity.x).toBeCloseTo(0.5, 9);
+  });
+
+  it('replays as the engine steps', () => {
+    const { engine, simulation, scene } = record();
+    const end = layout(engine);
+    simulation.replay(scene);
+    run(engine, scene.steps);
+    expect(layout(engine)).toEqual(end);
+  });
+
+  it('puts settings changed since back before replaying them', () => {
+    const { engine, simulation, scene } = record();
+    const [body] = Matter.Composite.allBodies(engine.world).filter(b => b.plugin?.layerId === 3);
+    simulation.replay(scene);
+    expect(body.restitution).toBe(DEFAULT_BODY.restitution);
+    run(engine, scene.steps);
+    expect(body.restitution).toBe(0.1);
+  });
+
+  it('drops the rest of a replay when stopped', () => {
+    const { engine, simulation, scene } = record();
+    simulation.replay(scene);
+    run(engine, 10);
+    simulation.stopReplay();
+    run(engine, scene.steps);
+    const [body] = Matter.Composite.allBodies(engine.world).filter(b => b.plugin?.layerId === 3);
+    expect(body.restitution).toBe(DEFAULT_BODY.restitution);
+    expect(engine.gravity.y).toBeCloseTo(1, 9);
+  });
+
+  it('puts the scene\'s links back before the first step', () => {
+    const { engine, simulation, scene } = record();
+    const rod = { id: 1, type: 'rod', a: 1, b: 2, point: null, length: 150, stiffness: 1, damping: 0, segments: 0 };
+    simulation.replay({ ...scene, links: [rod] });
+    const [link] = Matter.Composite.allComposites(engine.world);
+    expect(link.plugin.linkId).toBe(rod.id);
+    expect(link.constraints[0].bodyA.plugin.layerId).toBe(1);
+  });
+
+  it('stops listening once disposed', () => {
+    const { engine, simulation, scene } = record();
+    simulation.replay(scene);
+    simulation.dispose();
+    run(engine, scene.steps);
+    const [body] = Matter.Composite.allBodies(engine.world).filter(b => b.plugin?.layerId === 3);
+    expect(body.restitution).toBe(DEFAULT_BODY.restitution);
+  });
+});
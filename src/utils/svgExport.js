@@ -0,0 +1,136 @@
+import { rgbToHex } from './colors';
+
+// Vector export for the pixel effects. Every same-coloured region is traced
+// along its exact pixel edges into one <path> per colour, so runs and
+// blocks cost a few path commands instead of a <rect> per pixel. Outlines
+// wind the same way round every region, which makes holes come out
+// reversed and fill correctly under the default nonzero rule.
+
+// Directions of travel, and the pixel side walked in each: 0 top (→),
+// 1 right (↓), 2 bottom (←), 3 left (↑). A region is always on the right.
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+const SEGMENT = ['h', 'v', 'h-', 'v-'];
+
+// Palette index per pixel (-1 where transparent), the palette as hex and
+// how many pixels use each entry
+const indexColors = ({ width, height, data }) => {
+    const index = new Int32Array(width * height);
+    const lookup = new Map();
+    const colors = [];
+    const counts = [];
+    for (let p = 0; p < index.length; p++) {
+        const i = p * 4;
+        if (data[i + 3] < 128) {
+            index[p] = -1;
+            continue;
+        }
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let c = lookup.get(key);
+        if (c === undefined) {
+            c = colors.length;
+            lookup.set(key, c);
+            colors.push(rgbToHex(data[i], data[i + 1], data[i + 2]));
+            counts.push(0);
+        }
+        index[p] = c;
+        counts[c]++;
+    }
+    return { index, colors, counts };
+};
+
+// Returns the fill of a full-size background rect (the commonest colour,
+// when no pixel is transparent) and one path per remaining colour.
+export const traceColorPaths = (imageData) => {
+    const { width, height } = imageData;
+    const { index, colors, counts } = indexColors(imageData);
+    const opaque = counts.reduce((sum, n) => sum + n, 0) === width * height;
+    const background = opaque ? counts.reduce((best, n, c) => (n > counts[best] ? c : best), 0) : -1;
+
+    const colorAt = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? -1 : index[y * width + x]);
+    const visited = new Uint8Array(width * height); // one bit per side
+    const loops = colors.map(() => []);
+
+    // Walks one outline starting on `side` of pixel (x, y)
+    const traceLoop = (x, y, side, c) => {
+        const start = [x + (side === 1 || side === 2 ? 1 : 0), y + (side >= 2 ? 1 : 0)];
+        const segments = [];
+        let dir = side;
+        let run = 0;
+        let px = x, py = y, s = side;
+        do {
+            visited[py * width + px] |= 1 << s;
+            if (s !== dir) {
+                segments.push(SEGMENT[dir] + run);
+                dir = s;
+                run = 0;
+            }
+            run++;
+
+            // Ahead is the next pixel along the side; ahead-left is beside it
+            const ax = px + DX[s], ay = py + DY[s];
+            const left = (s + 3) % 4;
+            if (colorAt(ax, ay) !== c) {
+                s = (s + 1) % 4;
+            } else if (colorAt(ax + DX[left], ay + DY[left]) === c) {
+                px = ax + DX[left];
+                py = ay + DY[left];
+                s = left;
+            } else {
+                px = ax;
+                py = ay;
+            }
+        } while (px !== x || py !== y || s !== side);
+        // The last run leads back to the start, which z draws anyway
+        return `M${start[0]} ${start[1]}${segments.join('')}z`;
+    };
+
+    for (let p = 0; p < index.length; p++) {
+        const c = index[p];
+        if (c < 0 || c === background) continue;
+        const x = p % width;
+        const y = (p - x) / width;
+        for (let side = 0; side < 4; side++) {
+            if (visited[p] & (1 << side)) continue;
+            // Only sides facing another colour are part of an outline
+            const across = (side + 3) % 4;
+            if (colorAt(x + DX[across], y + DY[across]) === c) continue;
+            loops[c].push(traceLoop(x, y, side, c));
+        }
+    }
+
+    return {
+        background: background >= 0 ? colors[background] : null,
+        paths: colors
+            .map((color, c) => ({ color, d: loops[c].join('') }))
+            .filter(({ d }) => d)
+    };
+};
+
+// `scale` multiplies the document size; the viewBox stays in pixels.
+// crispEdges stops renderers anti-aliasing the seams between regions.
+export const generateSVG = (imageData, scale = 1, { crispEdges = true } = {}) => {
+    const { width, height } = imageData;
+    const { background, paths } = traceColorPaths(imageData);
+    const rendering = crispEdges ? ' shape-rendering="crispEdges"' : '';
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}"${rendering}>`,
+        ...(background ? [`<rect width="${width}" height="${height}" fill="${background}"/>`] : []),
+        ...paths.map(({ color, d }) => `<path fill="${color}" d="${d}"/>`),
+        '</svg>'
+    ].join('\n');
+};
+
+// Size in bytes of the same image written as one <rect> per pixel, which
+// the export panel compares against
+export const perPixelSVGSize = ({ width, height, data }) => {
+    const RECT = '<rect x="" y="" width="1" height="1" fill="#"/>'.length + 6;
+    const digits = (v) => String(v).length;
+    let bytes = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] >= 128) bytes += RECT + digits(x) + digits(y);
+        }
+    }
+    return bytes;
+};
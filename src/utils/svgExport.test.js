@@ -0,0 +1,125 @@
+/**
+ * Tests for src/utils/svgExport.js
+ *
+ * Traced paths are checked for exactness by rasterising them back with a
+ * nonzero winding count at every pixel centre.
+ */
+import { describe, it, expect } from 'vitest';
+import { traceColorPaths, generateSVG, perPixelSVGSize } from './svgExport.js';
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// `rows` is an array of rows of [r, g, b, a] pixels
+function makeImageData(rows) {
+  return { data: new Uint8ClampedArray(rows.flat(2)), width: rows[0].length, height: rows.length };
+}
+
+// Winding number of an M/h/v/z path around (px, py), by casting a ray to +x
+function winding(d, px, py) {
+  let total = 0;
+  let x = 0, y = 0, startX = 0, startY = 0;
+  const edge = (x0, y0, x1, y1) => {
+    if (x0 !== x1 || x0 <= px) return;
+    if (y0 <= py && y1 > py) total++;
+    else if (y1 <= py && y0 > py) total--;
+  };
+  for (const [, cmd, args] of d.matchAll(/([MhvzZ])([^MhvzZ]*)/g)) {
+    const nums = args.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (cmd === 'M') {
+      [x, y] = nums;
+      [startX, startY] = nums;
+    } else if (cmd === 'h') {
+      x += nums[0];
+    } else if (cmd === 'v') {
+      edge(x, y, x, y + nums[0]);
+      y += nums[0];
+    } else {
+      edge(x, y, startX, startY);
+      x = startX;
+      y = startY;
+    }
+  }
+  return total;
+}
+
+// Which colour covers each pixel once the SVG is drawn
+function rasterise({ background, paths }, width, height) {
+  const out = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const hits = paths.filter(({ d }) => winding(d, x + 0.5, y + 0.5) !== 0).map(p => p.color);
+      expect(hits.length).toBeLessThanOrEqual(1); // no overlaps
+      out.push(hits[0] ?? background);
+    }
+  }
+  return out;
+}
+
+const hexOf = ([r, g, b, a]) => (a < 128 ? null : `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`);
+
+// ─── traceColorPaths ──────────────────────────────────────────────────────────
+
+describe('traceColorPaths', () => {
+  it('merges a run into one rectangle', () => {
+    const { paths } = traceColorPaths(makeImageData([[CLEAR, BLACK, BLACK, BLACK]]));
+    expect(paths).toEqual([{ color: '#000000', d: 'M1 0h3v1h-3z' }]);
+  });
+
+  it('draws the commonest colour as the background when the image is opaque', () => {
+    const { background, paths } = traceColorPaths(makeImageData([[WHITE, WHITE], [WHITE, BLACK]]));
+    expect(background).toBe('#ffffff');
+    expect(paths.map(p => p.color)).toEqual(['#000000']);
+  });
+
+  it('traces holes in the opposite direction so they stay empty', () => {
+    const ring = [[RED, RED, RED], [RED, CLEAR, RED], [RED, RED, RED]];
+    const { paths } = traceColorPaths(makeImageData(ring));
+    expect(paths[0].d.match(/M/g)).toHaveLength(2);
+    expect(winding(paths[0].d, 1.5, 1.5)).toBe(0);
+    expect(winding(paths[0].d, 0.5, 1.5)).not.toBe(0);
+  });
+
+  it('reproduces every pixel exactly, including diagonal touches', () => {
+    // Seeded LCG so the pattern is the same every run
+    let seed = 7;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const colours = [BLACK, WHITE, RED, CLEAR];
+    const rows = Array.from({ length: 12 }, () => Array.from({ length: 15 }, () => colours[Math.floor(random() * 4)]));
+    const image = makeImageData(rows);
+    expect(rasterise(traceColorPaths(image), 15, 12)).toEqual(rows.flat().map(hexOf));
+  });
+});
+
+// ─── generateSVG ──────────────────────────────────────────────────────────────
+
+describe('generateSVG', () => {
+  const image = makeImageData([[WHITE, BLACK], [BLACK, WHITE]]);
+
+  it('scales the document, not the viewBox, and asks for crisp edges', () => {
+    const svg = generateSVG(image, 4);
+    expect(svg).toContain('width="8" height="8" viewBox="0 0 2 2" shape-rendering="crispEdges"');
+    expect(svg).toContain('<rect width="2" height="2" fill="#ffffff"/>');
+    expect(svg).not.toContain('1.1');
+  });
+
+  it('can leave anti-aliasing on', () => {
+    expect(generateSVG(image, 1, { crispEdges: false })).not.toContain('shape-rendering');
+  });
+});
+
+// ─── perPixelSVGSize ──────────────────────────────────────────────────────────
+
+describe('perPixelSVGSize', () => {
+  it('counts one rect per opaque pixel', () => {
+    const rect = '<rect x="0" y="0" width="1" height="1" fill="#000000"/>'.length;
+    expect(perPixelSVGSize(makeImageData([[BLACK, CLEAR, BLACK]]))).toBe(rect * 2);
+  });
+
+  it('is far larger than the traced output for flat regions', () => {
+    const flat = makeImageData(Array.from({ length: 32 }, (_, y) => Array.from({ length: 32 }, () => (y < 16 ? BLACK : RED))));
+    expect(generateSVG(flat).length * 20).toBeLessThan(perPixelSVGSize(flat));
+  });
+});
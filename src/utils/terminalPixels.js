@@ -0,0 +1,213 @@
+import { rgbToHex } from './colors';
+import { applyErrorDiffusion, hexToRgb } from './dither';
+
+// "Terminal pixel" text effects. Braille packs 2×4 dithered dots into each
+// cell; Blocks splits each cell into 2×2 quadrants drawn in a foreground and
+// a background colour of its own. Both produce the same grid as
+// computeAsciiGrid (Blocks adds per-cell `backgrounds`), so they share the
+// text exports. Every sampled pixel is one dot or quadrant.
+
+export const CELL_DOTS = {
+    braille: { cols: 2, rows: 4 },
+    blocks: { cols: 2, rows: 2 }
+};
+
+// ── Braille ────────────────────────────────────────────────────────────────
+
+export const BRAILLE_BASE = 0x2800;
+
+// Bit of the dot at [row][column], in Unicode's dot numbering
+const BRAILLE_BITS = [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]];
+
+// Dithers the pixels to two levels with the layer's diffusion kernel (in
+// place) and raises a dot for every dark one. Dots take the shadow colour,
+// or in 'source' mode the average colour of the pixels under them.
+export const computeBrailleGrid = (imageData, { colors, glyphColor = 'tones', kernel, serpentine } = {}) => {
+    const { width, height } = imageData;
+    const source = glyphColor === 'source' ? new Uint8ClampedArray(imageData.data) : null;
+    const { data } = applyErrorDiffusion(imageData, { isTriColor: false, kernel, serpentine });
+    const ink = colors?.shadow ?? '#000000';
+    const cols = Math.ceil(width / 2);
+    const rows = Math.ceil(height / 4);
+    const chars = new Array(cols * rows);
+    const fills = new Array(cols * rows);
+
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+            let bits = 0, r = 0, g = 0, b = 0, n = 0;
+            for (let dy = 0; dy < 4; dy++) {
+                for (let dx = 0; dx < 2; dx++) {
+                    const x = cx * 2 + dx;
+                    const y = cy * 4 + dy;
+                    if (x >= width || y >= height) continue;
+                    const idx = (y * width + x) * 4;
+                    if (data[idx] >= 128 || data[idx + 3] < 128) continue;
+                    bits |= BRAILLE_BITS[dy][dx];
+                    if (source) {
+                        r += source[idx];
+                        g += source[idx + 1];
+                        b += source[idx + 2];
+                        n++;
+                    }
+                }
+            }
+            const i = cy * cols + cx;
+            const fill = !bits ? null : source ? rgbToHex(r / n, g / n, b / n) : ink;
+            chars[i] = String.fromCodePoint(BRAILLE_BASE + bits);
+            fills[i] = fill === 'transparent' ? null : fill;
+        }
+    }
+    return { width: cols, height: rows, chars, colors: fills };
+};
+
+export const drawBrailleGrid = (ctx, grid, { background, cellWidth, cellHeight }) => {
+    const { width, height, chars, colors } = grid;
+    ctx.clearRect(0, 0, width * cellWidth, height * cellHeight);
+    if (background && background !== 'transparent') {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width * cellWidth, height * cellHeight);
+    }
+
+    const dotW = cellWidth / 2;
+    const dotH = cellHeight / 4;
+    const radius = Math.min(dotW, dotH) * 0.4;
+    for (let i = 0; i < width * height; i++) {
+        if (!colors[i]) continue;
+        const bits = chars[i].codePointAt(0) - BRAILLE_BASE;
+        const left = (i % width) * cellWidth;
+        const top = Math.floor(i / width) * cellHeight;
+        ctx.fillStyle = colors[i];
+        ctx.beginPath();
+        for (let dy = 0; dy < 4; dy++) {
+            for (let dx = 0; dx < 2; dx++) {
+                if (!(bits & BRAILLE_BITS[dy][dx])) continue;
+                const x = left + (dx + 0.5) * dotW;
+                const y = top + (dy + 0.5) * dotH;
+                ctx.moveTo(x + radius, y);
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+            }
+        }
+        ctx.fill();
+    }
+};
+
+// ── Blocks ─────────────────────────────────────────────────────────────────
+
+// Quadrant glyph per mask (bit 0 top-left, 1 top-right, 2 bottom-left,
+// 3 bottom-right). Masks of three or four quadrants are stored inverted,
+// with foreground and background swapped, so only these are ever used.
+export const QUADRANT_GLYPHS = {
+    0: ' ', 1: '▘', 2: '▝', 3: '▀', 4: '▖', 5: '▌', 6: '▞', 8: '▗', 9: '▚', 10: '▐', 12: '▄'
+};
+const QUADRANT_MASKS = new Map(Object.entries(QUADRANT_GLYPHS).map(([mask, char]) => [char, Number(mask)]));
+
+const popcount = (mask) => (mask & 1) + ((mask >> 1) & 1) + ((mask >> 2) & 1) + ((mask >> 3) & 1);
+
+const meanOf = (pixels) => {
+    const sum = [0, 0, 0];
+    for (const p of pixels) {
+        sum[0] += p[0];
+        sum[1] += p[1];
+        sum[2] += p[2];
+    }
+    return sum.map(v => v / pixels.length);
+};
+
+const squaredError = (pixels, mean) => pixels.reduce((err, p) =>
+    err + (p[0] - mean[0]) ** 2 + (p[1] - mean[1]) ** 2 + (p[2] - mean[2]) ** 2, 0);
+
+// Each pixel as [r, g, b], or null when it's transparent. In 'tones' mode
+// pixels are first snapped to the layer's shadow / midtone / highlight.
+const blockPixel = (data, idx, tones) => {
+    if (data[idx + 3] < 128) return null;
+    if (!tones) return [data[idx], data[idx + 1], data[idx + 2]];
+    const luma = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+    const tone = tones.length === 3
+        ? (luma < 85 ? tones[0] : luma < 170 ? tones[1] : tones[2])
+        : (luma < 128 ? tones[0] : tones[1]);
+    return tone.a ? [tone.r, tone.g, tone.b] : null;
+};
+
+// Splits every 2×2 cell into the two colour groups that best fit its
+// quadrants and picks the glyph for that split.
+export const computeBlockGrid = (imageData, { colors, glyphColor = 'tones' } = {}) => {
+    const { width, height, data } = imageData;
+    const { shadow = '#000000', midtone, highlight = '#ffffff' } = colors || {};
+    const isTriColor = midtone !== undefined && midtone !== null && midtone !== '';
+    const tones = glyphColor === 'source'
+        ? null
+        : (isTriColor ? [shadow, midtone, highlight] : [shadow, highlight]).map(hexToRgb);
+    const cols = Math.ceil(width / 2);
+    const rows = Math.ceil(height / 2);
+    const chars = new Array(cols * rows);
+    const fills = new Array(cols * rows);
+    const backgrounds = new Array(cols * rows);
+
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+            const quads = [];
+            for (let q = 0; q < 4; q++) {
+                const x = cx * 2 + (q & 1);
+                const y = cy * 2 + (q >> 1);
+                quads.push(x < width && y < height ? blockPixel(data, (y * width + x) * 4, tones) : null);
+            }
+            const present = quads.reduce((mask, p, q) => (p ? mask | (1 << q) : mask), 0);
+
+            // Try every split of the opaque quadrants; mask 0 is a flat cell
+            let best = 0;
+            let bestError = Infinity;
+            for (let mask = 0; mask < 16; mask++) {
+                if ((mask & present) !== mask) continue;
+                const fg = quads.filter((p, q) => p && mask & (1 << q));
+                const bg = quads.filter((p, q) => p && !(mask & (1 << q)));
+                const error = (fg.length ? squaredError(fg, meanOf(fg)) : 0) + (bg.length ? squaredError(bg, meanOf(bg)) : 0);
+                if (error < bestError) {
+                    best = mask;
+                    bestError = error;
+                }
+            }
+
+            const i = cy * cols + cx;
+            const fg = quads.filter((p, q) => p && best & (1 << q));
+            const bg = quads.filter((p, q) => p && !(best & (1 << q)));
+            let fgHex = fg.length ? rgbToHex(...meanOf(fg)) : null;
+            let bgHex = bg.length ? rgbToHex(...meanOf(bg)) : null;
+            if (popcount(best) > 2) {
+                best ^= 0xf;
+                [fgHex, bgHex] = [bgHex, fgHex];
+            }
+            chars[i] = QUADRANT_GLYPHS[best];
+            fills[i] = best ? fgHex : null;
+            backgrounds[i] = bgHex;
+        }
+    }
+    return { width: cols, height: rows, chars, colors: fills, backgrounds };
+};
+
+// Quadrants are filled as rectangles snapped to whole pixels, so the cells
+// tile without seams whatever glyphs the font has
+export const drawBlockGrid = (ctx, grid, { cellWidth, cellHeight }) => {
+    const { width, height, chars, colors, backgrounds } = grid;
+    ctx.clearRect(0, 0, width * cellWidth, height * cellHeight);
+
+    for (let cy = 0; cy < height; cy++) {
+        const ys = [cy, cy + 0.5, cy + 1].map(v => Math.round(v * cellHeight));
+        for (let cx = 0; cx < width; cx++) {
+            const i = cy * width + cx;
+            const xs = [cx, cx + 0.5, cx + 1].map(v => Math.round(v * cellWidth));
+            if (backgrounds?.[i]) {
+                ctx.fillStyle = backgrounds[i];
+                ctx.fillRect(xs[0], ys[0], xs[2] - xs[0], ys[2] - ys[0]);
+            }
+            const mask = colors[i] ? QUADRANT_MASKS.get(chars[i]) ?? 0 : 0;
+            if (!mask) continue;
+            ctx.fillStyle = colors[i];
+            for (let q = 0; q < 4; q++) {
+                if (!(mask & (1 << q))) continue;
+                const col = q & 1;
+                const row = q >> 1;
+                ctx.fillRect(xs[col], ys[row], xs[col + 1] - xs[col], ys[row + 1] - ys[row]);
+            }
+        }
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * Tests for src/utils/terminalPixels.js
+ *
+ * Grids are computed from synthetic pixel buffers and drawing is checked
+ * against a recording context.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  BRAILLE_BASE,
+  computeBrailleGrid,
+  drawBrailleGrid,
+  computeBlockGrid,
+  drawBlockGrid,
+} from './terminalPixels.js';
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+// `rows` is an array of rows of [r, g, b, a] pixels
+function makeImageData(rows) {
+  return { data: new Uint8ClampedArray(rows.flat(2)), width: rows[0].length, height: rows.length };
+}
+
+function recordingContext() {
+  const calls = [];
+  return {
+    calls,
+    clearRect() {},
+    beginPath() {},
+    moveTo() {},
+    fill() {},
+    fillRect(...args) { calls.push(['fillRect', this.fillStyle, ...args]); },
+    arc(x, y) { calls.push(['arc', this.fillStyle, x, y]); },
+  };
+}
+
+// ─── computeBrailleGrid ───────────────────────────────────────────────────────
+
+describe('computeBrailleGrid', () => {
+  const colors = { shadow: '#112233', highlight: '#ffffff' };
+
+  it('raises a dot for every dark pixel in the 2×4 cell', () => {
+    const grid = computeBrailleGrid(makeImageData(Array.from({ length: 4 }, () => [BLACK, WHITE])), { colors });
+    expect(grid.width).toBe(1);
+    expect(grid.height).toBe(1);
+    expect(grid.chars).toEqual(['⡇']);
+    expect(grid.colors).toEqual(['#112233']);
+  });
+
+  it('rounds partial cells up and leaves empty cells undrawn', () => {
+    const grid = computeBrailleGrid(makeImageData(Array.from({ length: 5 }, () => [WHITE, WHITE, BLACK])), { colors });
+    expect([grid.width, grid.height]).toEqual([2, 2]);
+    expect(grid.chars[0]).toBe(String.fromCodePoint(BRAILLE_BASE));
+    expect(grid.colors[0]).toBeNull();
+    expect(grid.chars[3]).toBe('⠁'); // only the top-left dot of the last row
+  });
+
+  it('colours dots from the source pixels in source mode', () => {
+    const dark = [100, 0, 0, 255];
+    const grid = computeBrailleGrid(makeImageData(Array.from({ length: 4 }, () => [dark, dark])), { colors, glyphColor: 'source' });
+    expect(grid.chars).toEqual(['⣿']);
+    expect(grid.colors).toEqual(['#640000']);
+  });
+});
+
+// ─── computeBlockGrid ─────────────────────────────────────────────────────────
+
+describe('computeBlockGrid', () => {
+  const cell = (topLeft, topRight, bottomLeft, bottomRight, options = { glyphColor: 'source' }) => {
+    const grid = computeBlockGrid(makeImageData([[topLeft, topRight], [bottomLeft, bottomRight]]), options);
+    return [grid.chars[0], grid.colors[0], grid.backgrounds[0]];
+  };
+
+  it('splits a cell into foreground and background quadrants', () => {
+    expect(cell(BLACK, BLACK, WHITE, WHITE)).toEqual(['▀', '#000000', '#ffffff']);
+    expect(cell(BLACK, WHITE, BLACK, WHITE)).toEqual(['▌', '#000000', '#ffffff']);
+    expect(cell(BLACK, WHITE, WHITE, WHITE)).toEqual(['▘', '#000000', '#ffffff']);
+  });
+
+  it('inverts three-quadrant masks by swapping the colours', () => {
+    expect(cell(BLACK, BLACK, BLACK, WHITE)).toEqual(['▗', '#ffffff', '#000000']);
+  });
+
+  it('draws flat cells as a background-only space', () => {
+    const red = [255, 0, 0, 255];
+    expect(cell(red, red, red, red)).toEqual([' ', null, '#ff0000']);
+  });
+
+  it('snaps pixels to the tone colours first in tones mode', () => {
+    const colors = { shadow: '#111111', highlight: '#eeeeee' };
+    const dark = [30, 20, 10, 255];
+    const light = [230, 240, 250, 255];
+    expect(cell(dark, dark, light, dark, { colors })).toEqual(['▖', '#eeeeee', '#111111']);
+  });
+
+  it('leaves transparent cells without a background', () => {
+    const clear = [0, 0, 0, 0];
+    expect(cell(clear, clear, clear, clear)).toEqual([' ', null, null]);
+  });
+});
+
+// ─── drawing ──────────────────────────────────────────────────────────────────
+
+describe('drawBrailleGrid', () => {
+  it('fills the background and draws one dot per raised bit', () => {
+    const ctx = recordingContext();
+    drawBrailleGrid(ctx, { width: 1, height: 1, chars: ['⡇'], colors: ['#000000'] }, { background: '#ffffff', cellWidth: 8, cellHeight: 16 });
+    expect(ctx.calls).toEqual([
+      ['fillRect', '#ffffff', 0, 0, 8, 16],
+      ['arc', '#000000', 2, 2],
+      ['arc', '#000000', 2, 6],
+      ['arc', '#000000', 2, 10],
+      ['arc', '#000000', 2, 14],
+    ]);
+  });
+});
+
+describe('drawBlockGrid', () => {
+  it('fills the cell background, then each foreground quadrant', () => {
+    const ctx = recordingContext();
+    const grid = { width: 2, height: 1, chars: ['▀', ' '], colors: ['#000000', null], backgrounds: ['#ffffff', '#ff0000'] };
+    drawBlockGrid(ctx, grid, { cellWidth: 8, cellHeight: 8 });
+    expect(ctx.calls).toEqual([
+      ['fillRect', '#ffffff', 0, 0, 8, 8],
+      ['fillRect', '#000000', 0, 0, 4, 4],
+      ['fillRect', '#000000', 4, 0, 4, 4],
+      ['fillRect', '#ff0000', 8, 0, 8, 8],
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+import { createPaletteMatcher, parseHex } from './colors';
+import { fontString, DEFAULT_ASCII } from './ascii';
+
+// Serialises a text grid (see computeAsciiGrid) as plain text, ANSI
+// terminal art or a self-contained HTML page. Cells without a colour were
+// never drawn, so they come out as spaces. Grids with `backgrounds` (the
+// Blocks effect) also colour each cell's background.
+
+export const TEXT_FORMATS = {
+    txt: { label: 'Text', ext: 'txt', mime: 'text/plain' },
+    ansi16: { label: 'ANSI 16', ext: 'ans', mime: 'text/plain', depth: 16 },
+    ansi256: { label: 'ANSI 256', ext: 'ans', mime: 'text/plain', depth: 256 },
+    truecolor: { label: 'ANSI Truecolor', ext: 'ans', mime: 'text/plain', depth: 'truecolor' },
+    html: { label: 'HTML', ext: 'html', mime: 'text/html' }
+};
+
+const cellChar = (grid, i) => (grid.colors[i] ? grid.chars[i] : ' ');
+
+const rows = (grid, fn) => Array.from({ length: grid.height }, (_, y) => fn(y * grid.width, (y + 1) * grid.width));
+
+export const gridToText = (grid) => rows(grid, (start, end) => {
+    let line = '';
+    for (let i = start; i < end; i++) line += cellChar(grid, i);
+    return line.trimEnd();
+}).join('\n') + '\n';
+
+// ── ANSI ───────────────────────────────────────────────────────────────────
+
+// xterm's default 16-colour palette
+const ANSI_16 = [
+    '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+    '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+];
+
+// Colours 16–255: the 6×6×6 cube, then 24 greys
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+const hex2 = (v) => v.toString(16).padStart(2, '0');
+const ANSI_256 = [
+    ...CUBE_LEVELS.flatMap(r => CUBE_LEVELS.flatMap(g => CUBE_LEVELS.map(b => `#${hex2(r)}${hex2(g)}${hex2(b)}`))),
+    ...Array.from({ length: 24 }, (_, i) => `#${hex2(8 + i * 10).repeat(3)}`)
+];
+
+// Returns (hex, background) => SGR parameters for the given colour depth
+const ansiEncoder = (depth) => {
+    if (depth === 'truecolor') {
+        return (hex, bg) => `${bg ? 48 : 38};2;${parseHex(hex).join(';')}`;
+    }
+    const palette = depth === 16 ? ANSI_16 : ANSI_256;
+    const match = createPaletteMatcher(palette, 'oklab');
+    return (hex, bg) => {
+        const index = match(...parseHex(hex));
+        if (depth === 256) return `${bg ? 48 : 38};5;${index + 16}`;
+        return String(index < 8 ? (bg ? 40 : 30) + index : (bg ? 100 : 90) + index - 8);
+    };
+};
+
+export const gridToAnsi = (grid, { depth = 'truecolor', background } = {}) => {
+    const encode = ansiEncoder(depth);
+    const paper = background && background !== 'transparent' ? background : null;
+    return rows(grid, (start, end) => {
+        let line = '';
+        let current = null;
+        let currentBg = null;
+        for (let i = start; i < end; i++) {
+            const cellBg = grid.backgrounds?.[i] || paper;
+            if (cellBg !== currentBg) {
+                line += cellBg ? `\x1b[${encode(cellBg, true)}m` : '\x1b[49m';
+                currentBg = cellBg;
+            }
+            const color = grid.colors[i];
+            if (color && color !== current) {
+                line += `\x1b[${encode(color)}m`;
+                current = color;
+            }
+            line += cellChar(grid, i);
+        }
+        // Reset per line so colours never bleed into the rest of the terminal
+        return line + '\x1b[0m';
+    }).join('\n') + '\n';
+};
+
+// ── HTML ───────────────────────────────────────────────────────────────────
+
+const escapeHTML = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Monospace glyphs advance about 0.6em, so a cell of the layer's aspect is
+// 0.6 × aspect em tall
+export const gridToHTML = (grid, { font = DEFAULT_ASCII.font, aspect = 1, background, title = 'ASCII art' } = {}) => {
+    const body = rows(grid, (start, end) => {
+        let line = '';
+        let run = '';
+        let current = null;
+        let currentBg = null;
+        const flush = () => {
+            const style = [current && `color:${current}`, currentBg && `background:${currentBg}`].filter(Boolean).join(';');
+            if (run) line += style ? `<span style="${style}">${escapeHTML(run)}</span>` : escapeHTML(run);
+            run = '';
+        };
+        for (let i = start; i < end; i++) {
+            const color = grid.colors[i] ?? null;
+            const cellBg = grid.backgrounds?.[i] ?? null;
+            if (color !== current || cellBg !== currentBg) {
+                flush();
+                current = color;
+                currentBg = cellBg;
+            }
+            run += cellChar(grid, i);
+        }
+        flush();
+        return line;
+    }).join('\n');
+
+    const paper = background && background !== 'transparent' ? background : 'transparent';
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+body { margin: 0; background: ${paper}; }
+pre { margin: 0; padding: 16px; font: ${fontString(font, 12)}; line-height: ${+(0.6 * aspect).toFixed(3)}em; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+};
+
+// `format` is a key into TEXT_FORMATS
+export const serializeTextGrid = (grid, format, options = {}) => {
+    if (format === 'html') return gridToHTML(grid, options);
+    if (TEXT_FORMATS[format]?.depth) return gridToAnsi(grid, { depth: TEXT_FORMATS[format].depth, background: options.background });
+    return gridToText(grid);
+};
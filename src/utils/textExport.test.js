@@ -0,0 +1,89 @@
+/**
+ * Tests for src/utils/textExport.js
+ */
+import { describe, it, expect } from 'vitest';
+import { gridToText, gridToAnsi, gridToHTML, serializeTextGrid } from './textExport.js';
+
+// 3 × 2 grid; the null-coloured cell was never drawn
+const grid = {
+  width: 3,
+  height: 2,
+  chars: ['@', '+', '#', '<', '.', '&'],
+  colors: ['#ff0000', '#ff0000', null, '#00ff00', '#0000ff', '#0000ff'],
+};
+
+const ESC = '\x1b';
+
+// ─── gridToText ───────────────────────────────────────────────────────────────
+
+describe('gridToText', () => {
+  it('writes one line per row, blanks undrawn cells and trims trailing space', () => {
+    expect(gridToText(grid)).toBe('@+\n<.&\n');
+  });
+});
+
+// ─── gridToAnsi ───────────────────────────────────────────────────────────────
+
+describe('gridToAnsi', () => {
+  it('emits a truecolour code only when the colour changes and resets every line', () => {
+    const out = gridToAnsi(grid, { depth: 'truecolor' });
+    expect(out).toBe(
+      `${ESC}[38;2;255;0;0m@+ ${ESC}[0m\n` +
+      `${ESC}[38;2;0;255;0m<${ESC}[38;2;0;0;255m.&${ESC}[0m\n`
+    );
+  });
+
+  it('maps colours onto the 16-colour palette', () => {
+    const out = gridToAnsi(grid, { depth: 16 });
+    expect(out.startsWith(`${ESC}[91m@+`)).toBe(true);  // bright red
+    expect(out).toContain(`${ESC}[92m<`);               // bright green
+  });
+
+  it('maps colours onto the 256-colour cube', () => {
+    const out = gridToAnsi(grid, { depth: 256 });
+    expect(out.startsWith(`${ESC}[38;5;196m`)).toBe(true); // #ff0000 is cube index 196
+    expect(out).toContain(`${ESC}[38;5;21m.&`);           // #0000ff
+  });
+
+  it('sets an opaque background at the start of each line', () => {
+    const out = gridToAnsi(grid, { depth: 'truecolor', background: '#ffffff' });
+    expect(out.split('\n')[1].startsWith(`${ESC}[48;2;255;255;255m`)).toBe(true);
+  });
+
+  it('switches the background per cell for grids with backgrounds', () => {
+    const blocks = { width: 2, height: 1, chars: ['▀', ' '], colors: ['#000000', null], backgrounds: ['#ffffff', null] };
+    expect(gridToAnsi(blocks, { depth: 'truecolor' })).toBe(
+      `${ESC}[48;2;255;255;255m${ESC}[38;2;0;0;0m▀${ESC}[49m ${ESC}[0m\n`
+    );
+  });
+});
+
+// ─── gridToHTML ───────────────────────────────────────────────────────────────
+
+describe('gridToHTML', () => {
+  it('wraps colour runs in spans and escapes markup', () => {
+    const html = gridToHTML(grid, { background: '#111111', title: 'A & B' });
+    expect(html).toContain('<title>A &amp; B</title>');
+    expect(html).toContain('background: #111111');
+    expect(html).toContain('<pre><span style="color:#ff0000">@+</span> \n<span style="color:#00ff00">&lt;</span><span style="color:#0000ff">.&amp;</span></pre>');
+  });
+
+  it('gives cells with their own background a background style', () => {
+    const blocks = { width: 2, height: 1, chars: ['▀', ' '], colors: ['#000000', null], backgrounds: ['#ffffff', '#ff0000'] };
+    expect(gridToHTML(blocks)).toContain('<pre><span style="color:#000000;background:#ffffff">▀</span><span style="background:#ff0000"> </span></pre>');
+  });
+
+  it('sizes lines from the cell aspect', () => {
+    expect(gridToHTML(grid, { aspect: 2 })).toContain('line-height: 1.2em');
+  });
+});
+
+// ─── serializeTextGrid ────────────────────────────────────────────────────────
+
+describe('serializeTextGrid', () => {
+  it('dispatches on the format key', () => {
+    expect(serializeTextGrid(grid, 'txt')).toBe(gridToText(grid));
+    expect(serializeTextGrid(grid, 'ansi256')).toBe(gridToAnsi(grid, { depth: 256 }));
+    expect(serializeTextGrid(grid, 'html', { title: 'x' })).toBe(gridToHTML(grid, { title: 'x' }));
+  });
+});
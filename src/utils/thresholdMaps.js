@@ -0,0 +1,192 @@
+// Threshold maps for ordered dithering. Every generator returns an integer
+// rank matrix (0 … size² − 1) flattened row-major; getThresholdMap turns that
+// into the normalised thresholds the dither functions consume. The blue-noise
+// tiles are precomputed (blueNoiseTiles.js) rather than generated on first use.
+
+import { BLUE_NOISE_TILES } from './blueNoiseTiles';
+
+export const THRESHOLD_MAPS = {
+    bayer: { label: 'Bayer', sizes: [2, 4, 8, 16], defaultSize: 4 },
+    cluster: { label: 'Clustered Dot', sizes: [4, 6, 8, 12], defaultSize: 6 },
+    bluenoise: { label: 'Blue Noise', sizes: [16, 32, 64], defaultSize: 32 }
+};
+
+export const DEFAULT_THRESHOLD_MAP = 'bayer';
+
+// Recursive Bayer construction: M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+export const generateBayerMatrix = (size) => {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+        throw new Error(`Bayer matrix size must be a power of two, got ${size}`);
+    }
+    let n = 1;
+    let m = [0];
+    while (n < size) {
+        const next = new Array(4 * n * n);
+        const n2 = n * 2;
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const v = 4 * m[y * n + x];
+                next[y * n2 + x] = v;
+                next[y * n2 + x + n] = v + 2;
+                next[(y + n) * n2 + x] = v + 3;
+                next[(y + n) * n2 + x + n] = v + 1;
+            }
+        }
+        m = next;
+        n = n2;
+    }
+    return m;
+};
+
+// Dot grows outward from the tile centre, so neighbouring thresholds stay
+// adjacent and ink clumps into round dots instead of scattering.
+export const generateClusterMatrix = (size) => {
+    const c = (size - 1) / 2;
+    const cells = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = x - c;
+            const dy = y - c;
+            cells.push({ i: y * size + x, d: dx * dx + dy * dy, a: Math.atan2(dy, dx) });
+        }
+    }
+    cells.sort((p, q) => (p.d - q.d) || (p.a - q.a));
+    const m = new Array(size * size);
+    cells.forEach((cell, rank) => { m[cell.i] = rank; });
+    return m;
+};
+
+// Small deterministic PRNG so the blue-noise texture is identical on every run
+const mulberry32 = (seed) => () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Ulichney's void-and-cluster method on a toroidal grid.
+export const generateBlueNoiseMatrix = (size, sigma = 1.5) => {
+    const n = size * size;
+
+    // Gaussian falloff indexed by wrapped (dx, dy)
+    const lut = new Float32Array(n);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            lut[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const splat = (energy, i, sign) => {
+        const px = i % size;
+        const py = (i / size) | 0;
+        for (let y = 0; y < size; y++) {
+            const row = ((y - py + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * lut[row + ((x - px + size) % size)];
+            }
+        }
+    };
+
+    const extreme = (energy, bits, want, pickMax) => {
+        let best = -1;
+        let bestE = pickMax ? -Infinity : Infinity;
+        for (let i = 0; i < n; i++) {
+            if (bits[i] !== want) continue;
+            if (pickMax ? energy[i] > bestE : energy[i] < bestE) { bestE = energy[i]; best = i; }
+        }
+        return best;
+    };
+
+    // Initial random pattern with ~10% minority pixels
+    const rand = mulberry32(size * 7919);
+    const initial = new Uint8Array(n);
+    const ones = Math.max(1, Math.floor(n / 10));
+    for (let placed = 0; placed < ones;) {
+        const i = Math.floor(rand() * n);
+        if (!initial[i]) { initial[i] = 1; placed++; }
+    }
+
+    // Relax it: swap the tightest cluster into the largest void until stable
+    const energy = new Float32Array(n);
+    for (let i = 0; i < n; i++) if (initial[i]) splat(energy, i, 1);
+    for (let guard = 0; guard < n; guard++) {
+        const cluster = extreme(energy, initial, 1, true);
+        initial[cluster] = 0; splat(energy, cluster, -1);
+        const hole = extreme(energy, initial, 0, false);
+        initial[hole] = 1; splat(energy, hole, 1);
+        if (hole === cluster) break;
+    }
+
+    const rank = new Array(n);
+
+    // Phase 1: peel the initial pattern back to empty
+    const bits = initial.slice();
+    const e1 = energy.slice();
+    for (let r = ones - 1; r >= 0; r--) {
+        const cluster = extreme(e1, bits, 1, true);
+        bits[cluster] = 0; splat(e1, cluster, -1);
+        rank[cluster] = r;
+    }
+
+    // Phase 2: fill voids up to half coverage
+    bits.set(initial);
+    const e2 = energy.slice();
+    let r = ones;
+    for (; r < n / 2; r++) {
+        const hole = extreme(e2, bits, 0, false);
+        bits[hole] = 1; splat(e2, hole, 1);
+        rank[hole] = r;
+    }
+
+    // Phase 3: zeros are now the minority, so rank their tightest clusters
+    const e3 = new Float32Array(n);
+    for (let i = 0; i < n; i++) if (!bits[i]) splat(e3, i, 1);
+    for (; r < n; r++) {
+        const cluster = extreme(e3, bits, 0, true);
+        bits[cluster] = 1; splat(e3, cluster, -1);
+        rank[cluster] = r;
+    }
+
+    return rank;
+};
+
+const cache = new Map();
+
+// Returns { size, thresholds } where thresholds are in [0, 1), row-major.
+export const getThresholdMap = (type = DEFAULT_THRESHOLD_MAP, size) => {
+    const def = THRESHOLD_MAPS[type] || THRESHOLD_MAPS[DEFAULT_THRESHOLD_MAP];
+    const key = THRESHOLD_MAPS[type] ? type : DEFAULT_THRESHOLD_MAP;
+    const s = def.sizes.includes(size) ? size : def.defaultSize;
+    const cacheKey = `${key}:${s}`;
+
+    if (!cache.has(cacheKey)) {
+        const ranks = key === 'cluster'
+            ? generateClusterMatrix(s)
+            : key === 'bluenoise'
+                ? BLUE_NOISE_TILES[s]
+                : generateBayerMatrix(s);
+        const thresholds = new Float32Array(ranks.length);
+        for (let i = 0; i < ranks.length; i++) thresholds[i] = ranks[i] / ranks.length;
+        cache.set(cacheKey, { size: s, thresholds });
+    }
+    return cache.get(cacheKey);
+};
+
+// The tile scrolled by (dx, dy) cells with wrap-around, so the pattern it
+// prints moves that way across the image
+export const shiftThresholdMap = (map, dx = 0, dy = 0) => {
+    const { size, thresholds } = map;
+    const ox = ((dx % size) + size) % size;
+    const oy = ((dy % size) + size) % size;
+    if (!ox && !oy) return map;
+
+    const shifted = new Float32Array(thresholds.length);
+    for (let y = 0; y < size; y++) {
+        const row = ((y - oy + size) % size) * size;
+        for (let x = 0; x < size; x++) shifted[y * size + x] = thresholds[row + (x - ox + size) % size];
+    }
+    return { size, thresholds: shifted };
+};
@@ -0,0 +1,179 @@
+/**
+ * Tests for src/utils/thresholdMaps.js
+ *
+ * Every threshold map must be a permutation of 0 … size² − 1, otherwise
+ * some grey levels would be unreachable. On top of that we check the
+ * properties that give each family its look.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  THRESHOLD_MAPS,
+  generateBayerMatrix,
+  generateClusterMatrix,
+  generateBlueNoiseMatrix,
+  getThresholdMap,
+  shiftThresholdMap,
+} from './thresholdMaps.js';
+import { BLUE_NOISE_TILES } from './blueNoiseTiles.js';
+import { applyOrderedDither, applyHalftoneDither } from './dither.js';
+
+const isPermutation = (m) => {
+  const sorted = [...m].sort((a, b) => a - b);
+  return sorted.every((v, i) => v === i);
+};
+
+function makeImageData(width, height, fillValue = 128) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(fillValue);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { data, width, height };
+}
+
+// ─── generateBayerMatrix ──────────────────────────────────────────────────────
+
+describe('generateBayerMatrix', () => {
+  it('reproduces the classic 4×4 Bayer matrix', () => {
+    expect(generateBayerMatrix(4)).toEqual([
+      0, 8, 2, 10,
+      12, 4, 14, 6,
+      3, 11, 1, 9,
+      15, 7, 13, 5,
+    ]);
+  });
+
+  it.each([2, 4, 8, 16])('is a permutation at size %i', (size) => {
+    expect(isPermutation(generateBayerMatrix(size))).toBe(true);
+  });
+
+  it('rejects sizes that are not a power of two', () => {
+    expect(() => generateBayerMatrix(6)).toThrow();
+  });
+});
+
+// ─── generateClusterMatrix ────────────────────────────────────────────────────
+
+describe('generateClusterMatrix', () => {
+  it.each(THRESHOLD_MAPS.cluster.sizes)('is a permutation at size %i', (size) => {
+    expect(isPermutation(generateClusterMatrix(size))).toBe(true);
+  });
+
+  it('starts the dot at the centre of the tile', () => {
+    const m = generateClusterMatrix(6);
+    const lowest = m.indexOf(0);
+    const x = lowest % 6;
+    const y = Math.floor(lowest / 6);
+    expect([2, 3]).toContain(x);
+    expect([2, 3]).toContain(y);
+  });
+});
+
+// ─── generateBlueNoiseMatrix ──────────────────────────────────────────────────
+
+describe('generateBlueNoiseMatrix', () => {
+  it('is a permutation', () => {
+    expect(isPermutation(generateBlueNoiseMatrix(16))).toBe(true);
+  });
+
+  it('is deterministic', () => {
+    expect(generateBlueNoiseMatrix(16)).toEqual(generateBlueNoiseMatrix(16));
+  });
+
+  it('spreads the first 10% of thresholds without direct neighbours', () => {
+    const size = 16;
+    const m = generateBlueNoiseMatrix(size);
+    const cutoff = Math.floor(size * size / 10);
+    let touching = 0;
+    for (let i = 0; i < m.length; i++) {
+      if (m[i] >= cutoff) continue;
+      const x = i % size;
+      const y = Math.floor(i / size);
+      const right = y * size + ((x + 1) % size);
+      const down = ((y + 1) % size) * size + x;
+      if (m[right] < cutoff || m[down] < cutoff) touching++;
+    }
+    expect(touching).toBe(0);
+  });
+});
+
+describe('BLUE_NOISE_TILES', () => {
+  it('matches the generator at every offered size', () => {
+    for (const size of THRESHOLD_MAPS.bluenoise.sizes) {
+      expect(BLUE_NOISE_TILES[size]).toEqual(generateBlueNoiseMatrix(size));
+    }
+  });
+});
+
+// ─── getThresholdMap ──────────────────────────────────────────────────────────
+
+describe('getThresholdMap', () => {
+  it('normalises thresholds into [0, 1)', () => {
+    const { size, thresholds } = getThresholdMap('bayer', 8);
+    expect(size).toBe(8);
+    expect(Math.min(...thresholds)).toBe(0);
+    expect(Math.max(...thresholds)).toBeLessThan(1);
+  });
+
+  it('falls back to the default size for an unsupported one', () => {
+    expect(getThresholdMap('cluster', 5).size).toBe(THRESHOLD_MAPS.cluster.defaultSize);
+  });
+
+  it('caches generated maps', () => {
+    expect(getThresholdMap('bluenoise', 16)).toBe(getThresholdMap('bluenoise', 16));
+  });
+});
+
+// ─── shiftThresholdMap ────────────────────────────────────────────────────────
+
+describe('shiftThresholdMap', () => {
+  const map = { size: 2, thresholds: Float32Array.from([0, 0.25, 0.5, 0.75]) };
+
+  it('scrolls the tile with wrap-around', () => {
+    expect(Array.from(shiftThresholdMap(map, 1, 0).thresholds)).toEqual([0.25, 0, 0.75, 0.5]);
+    expect(Array.from(shiftThresholdMap(map, 0, -1).thresholds)).toEqual([0.5, 0.75, 0, 0.25]);
+  });
+
+  it('returns the map itself for whole turns', () => {
+    expect(shiftThresholdMap(map, 4, -2)).toBe(map);
+    expect(shiftThresholdMap(map)).toBe(map);
+  });
+});
+
+// ─── applyOrderedDither ───────────────────────────────────────────────────────
+
+describe('applyOrderedDither', () => {
+  it('matches the legacy applyHalftoneDither with a 4×4 Bayer map', () => {
+    const a = makeImageData(8, 8, 100);
+    const b = makeImageData(8, 8, 100);
+    applyHalftoneDither(a, 1.2, true);
+    applyOrderedDither(b, { contrast: 1.2, isTriColor: true, thresholdMap: 'bayer', thresholdSize: 4 });
+    expect(Array.from(b.data)).toEqual(Array.from(a.data));
+  });
+
+  it.each(Object.keys(THRESHOLD_MAPS))('covers a mid-grey field by about half with the %s map', (thresholdMap) => {
+    const size = 64;
+    const imageData = makeImageData(size, size, 128);
+    applyOrderedDither(imageData, { isTriColor: false, thresholdMap });
+    let white = 0;
+    for (let i = 0; i < imageData.data.length; i += 4) if (imageData.data[i] === 255) white++;
+    expect(white / (size * size)).toBeGreaterThan(0.4);
+    expect(white / (size * size)).toBeLessThan(0.6);
+  });
+
+  it('only emits the three tri-colour levels', () => {
+    const imageData = makeImageData(16, 16, 170);
+    applyOrderedDither(imageData, { isTriColor: true, thresholdMap: 'cluster', thresholdSize: 8 });
+    for (let i = 0; i < imageData.data.length; i += 4) {
+      expect([0, 128, 255]).toContain(imageData.data[i]);
+    }
+  });
+
+  it('moves the pattern with the offset', () => {
+    const still = applyOrderedDither(makeImageData(8, 8, 100), { isTriColor: false, thresholdSize: 4 });
+    const moved = applyHalftoneDither(makeImageData(8, 8, 100), 1, false, { x: 1, y: 2 });
+    expect(Array.from(moved.data)).not.toEqual(Array.from(still.data));
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        expect(moved.data[(y * 8 + x) * 4]).toBe(still.data[(((y + 6) % 8) * 8 + (x + 7) % 8) * 4]);
+      }
+    }
+  });
+});
@@ -0,0 +1,232 @@
+// Tonal adjustments applied to the source before any dither algorithm runs,
+// so every effect sees the same pre-processed image. Levels, gamma,
+// brightness, contrast, the curve and invert collapse into one 256-entry
+// lookup table; equalisation works on luma and runs first.
+
+export const EQUALIZE_MODES = {
+    off: 'Off',
+    histogram: 'Histogram',
+    clahe: 'CLAHE'
+};
+
+export const DEFAULT_TONE = {
+    brightness: 0,      // −100 … 100
+    gamma: 1,           // 0.1 … 3
+    blackPoint: 0,      // input levels, 0 … 255
+    whitePoint: 255,
+    curve: [[0, 0], [255, 255]],
+    invert: false,
+    equalize: 'off'     // key into EQUALIZE_MODES
+};
+
+const luma = (data, i) => data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+
+const clamp255 = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+// Monotone cubic (Fritsch–Carlson) through the curve points, so the curve
+// never overshoots and dark-to-light order is preserved between points.
+export const evaluateCurve = (points) => {
+    const pts = [...(points?.length ? points : DEFAULT_TONE.curve)].sort((a, b) => a[0] - b[0]);
+    const lut = new Float32Array(256);
+    if (pts.length === 1) return lut.fill(pts[0][1]);
+
+    const n = pts.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = pts[i + 1][0] - pts[i][0];
+        slopes.push(dx === 0 ? 0 : (pts[i + 1][1] - pts[i][1]) / dx);
+    }
+    const tangents = pts.map((_, i) => {
+        if (i === 0) return slopes[0];
+        if (i === n - 1) return slopes[n - 2];
+        return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    });
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) { tangents[i] = tangents[i + 1] = 0; continue; }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const h = Math.hypot(a, b);
+        if (h > 3) {
+            tangents[i] = (3 / h) * a * slopes[i];
+            tangents[i + 1] = (3 / h) * b * slopes[i];
+        }
+    }
+
+    let seg = 0;
+    for (let x = 0; x < 256; x++) {
+        if (x <= pts[0][0]) { lut[x] = pts[0][1]; continue; }
+        if (x >= pts[n - 1][0]) { lut[x] = pts[n - 1][1]; continue; }
+        while (x > pts[seg + 1][0]) seg++;
+        const [x0, y0] = pts[seg];
+        const [x1, y1] = pts[seg + 1];
+        const h = x1 - x0;
+        const t = (x - x0) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        lut[x] = (2 * t3 - 3 * t2 + 1) * y0
+            + (t3 - 2 * t2 + t) * h * tangents[seg]
+            + (-2 * t3 + 3 * t2) * y1
+            + (t3 - t2) * h * tangents[seg + 1];
+    }
+    for (let x = 0; x < 256; x++) lut[x] = clamp255(lut[x]);
+    return lut;
+};
+
+export const buildToneLUT = ({
+    brightness = 0,
+    contrast = 1,
+    gamma = 1,
+    blackPoint = 0,
+    whitePoint = 255,
+    curve,
+    invert = false
+} = {}) => {
+    const curveLut = evaluateCurve(curve);
+    const range = Math.max(1, whitePoint - blackPoint);
+    const lut = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+        let t = Math.max(0, Math.min(1, (v - blackPoint) / range));
+        t = Math.pow(t, 1 / Math.max(0.01, gamma));
+        let out = clamp255(t * 255 + brightness * 1.28);
+        out = clamp255((out - 128) * contrast + 128);
+        out = curveLut[Math.round(out)];
+        lut[v] = invert ? 255 - out : out;
+    }
+    return lut;
+};
+
+// Luma histogram of the opaque pixels
+export const computeHistogram = (imageData) => {
+    const { data } = imageData;
+    const bins = new Uint32Array(256);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        bins[Math.round(luma(data, i))]++;
+    }
+    return bins;
+};
+
+const cdfMapping = (bins) => {
+    const map = new Float32Array(256);
+    let total = 0;
+    for (let v = 0; v < 256; v++) total += bins[v];
+    let first = 0;
+    while (first < 255 && bins[first] === 0) first++;
+    const denom = total - bins[first];
+    let acc = 0;
+    for (let v = 0; v < 256; v++) {
+        acc += bins[v];
+        map[v] = denom > 0 ? Math.max(0, ((acc - bins[first]) / denom) * 255) : v;
+    }
+    return map;
+};
+
+// Shifts each pixel's RGB by the change in luma, which keeps its hue
+const shiftLuma = (data, i, target) => {
+    const d = target - luma(data, i);
+    data[i] = clamp255(data[i] + d);
+    data[i + 1] = clamp255(data[i + 1] + d);
+    data[i + 2] = clamp255(data[i + 2] + d);
+};
+
+export const equalizeHistogram = (imageData) => {
+    const { data } = imageData;
+    const map = cdfMapping(computeHistogram(imageData));
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        shiftLuma(data, i, map[Math.round(luma(data, i))]);
+    }
+    return imageData;
+};
+
+// Contrast-limited adaptive equalisation: one clipped histogram per tile,
+// bilinearly blended between tile centres to avoid seams.
+export const applyCLAHE = (imageData, { tiles = 8, clipLimit = 2.5 } = {}) => {
+    const { width, height, data } = imageData;
+    const tx = Math.max(1, Math.min(tiles, Math.floor(width / 8)));
+    const ty = Math.max(1, Math.min(tiles, Math.floor(height / 8)));
+    const tileW = width / tx;
+    const tileH = height / ty;
+
+    const maps = [];
+    for (let j = 0; j < ty; j++) {
+        for (let i = 0; i < tx; i++) {
+            const bins = new Uint32Array(256);
+            let count = 0;
+            for (let y = Math.floor(j * tileH); y < Math.floor((j + 1) * tileH); y++) {
+                for (let x = Math.floor(i * tileW); x < Math.floor((i + 1) * tileW); x++) {
+                    const idx = (y * width + x) * 4;
+                    if (data[idx + 3] < 128) continue;
+                    bins[Math.round(luma(data, idx))]++;
+                    count++;
+                }
+            }
+
+            // Clip and redistribute the excess evenly
+            const limit = Math.max(1, Math.round((clipLimit * count) / 256));
+            let excess = 0;
+            for (let v = 0; v < 256; v++) {
+                if (bins[v] > limit) { excess += bins[v] - limit; bins[v] = limit; }
+            }
+            const share = Math.floor(excess / 256);
+            const rest = excess - share * 256;
+            for (let v = 0; v < 256; v++) bins[v] += share;
+            // Spread the remainder across the range rather than piling it at the dark end
+            for (let k = 0; k < rest; k++) bins[Math.floor(((k + 0.5) * 256) / rest)]++;
+
+            let acc = 0;
+            const map = new Float32Array(256);
+            for (let v = 0; v < 256; v++) {
+                acc += bins[v];
+                map[v] = count ? (acc / count) * 255 : v;
+            }
+            maps.push(map);
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        const gy = Math.max(0, Math.min(ty - 1, (y + 0.5) / tileH - 0.5));
+        const j0 = Math.floor(gy);
+        const j1 = Math.min(ty - 1, j0 + 1);
+        const fy = gy - j0;
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (data[idx + 3] === 0) continue;
+            const gx = Math.max(0, Math.min(tx - 1, (x + 0.5) / tileW - 0.5));
+            const i0 = Math.floor(gx);
+            const i1 = Math.min(tx - 1, i0 + 1);
+            const fx = gx - i0;
+            const v = Math.round(luma(data, idx));
+            const top = maps[j0 * tx + i0][v] * (1 - fx) + maps[j0 * tx + i1][v] * fx;
+            const bottom = maps[j1 * tx + i0][v] * (1 - fx) + maps[j1 * tx + i1][v] * fx;
+            shiftLuma(data, idx, top * (1 - fy) + bottom * fy);
+        }
+    }
+    return imageData;
+};
+
+export const isDefaultTone = (tone, contrast = 1) => {
+    if (contrast !== 1) return false;
+    const t = { ...DEFAULT_TONE, ...tone };
+    return t.brightness === 0 && t.gamma === 1 && t.blackPoint === 0 && t.whitePoint === 255
+        && !t.invert && t.equalize === 'off'
+        && evaluateCurve(t.curve).every((v, x) => Math.round(v) === x);
+};
+
+// Runs the whole stage in place. `contrast` is the raw gain (1 = unchanged).
+export const applyToneAdjustments = (imageData, tone, contrast = 1) => {
+    const t = { ...DEFAULT_TONE, ...tone };
+    if (isDefaultTone(t, contrast)) return imageData;
+
+    if (t.equalize === 'histogram') equalizeHistogram(imageData);
+    else if (t.equalize === 'clahe') applyCLAHE(imageData);
+
+    const lut = buildToneLUT({ ...t, contrast });
+    const { data } = imageData;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = lut[data[i]];
+        data[i + 1] = lut[data[i + 1]];
+        data[i + 2] = lut[data[i + 2]];
+    }
+    return imageData;
+};
@@ -0,0 +1,136 @@
+/**
+ * Tests for src/utils/tone.js
+ *
+ * The tone stage runs before every dither algorithm, so these pin down the
+ * lookup table order and the equalisation modes on small synthetic images.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TONE,
+  evaluateCurve,
+  buildToneLUT,
+  computeHistogram,
+  equalizeHistogram,
+  applyCLAHE,
+  isDefaultTone,
+  applyToneAdjustments,
+} from './tone.js';
+
+function makeRamp(width, height, lo = 0, hi = 255) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const v = lo + ((hi - lo) * (i % width)) / (width - 1);
+    data.set([v, v, v, 255], i * 4);
+  }
+  return { data, width, height };
+}
+
+// ─── evaluateCurve ────────────────────────────────────────────────────────────
+
+describe('evaluateCurve', () => {
+  it('is the identity for the default curve', () => {
+    const lut = evaluateCurve(DEFAULT_TONE.curve);
+    for (let x = 0; x < 256; x++) expect(lut[x]).toBeCloseTo(x, 4);
+  });
+
+  it('passes through every control point', () => {
+    const lut = evaluateCurve([[0, 0], [64, 100], [192, 160], [255, 255]]);
+    expect(lut[64]).toBeCloseTo(100, 4);
+    expect(lut[192]).toBeCloseTo(160, 4);
+  });
+
+  it('stays monotone between increasing points', () => {
+    const lut = evaluateCurve([[0, 0], [30, 200], [60, 210], [255, 255]]);
+    for (let x = 1; x < 256; x++) expect(lut[x]).toBeGreaterThanOrEqual(lut[x - 1] - 1e-4);
+  });
+});
+
+// ─── buildToneLUT ─────────────────────────────────────────────────────────────
+
+describe('buildToneLUT', () => {
+  it('stretches the levels range to full scale', () => {
+    const lut = buildToneLUT({ blackPoint: 50, whitePoint: 200 });
+    expect(lut[50]).toBe(0);
+    expect(lut[20]).toBe(0);
+    expect(lut[200]).toBe(255);
+    expect(lut[125]).toBe(128);
+  });
+
+  it('brightens midtones when gamma is above 1', () => {
+    expect(buildToneLUT({ gamma: 2 })[128]).toBeGreaterThan(170);
+    expect(buildToneLUT({ gamma: 0.5 })[128]).toBeLessThan(70);
+  });
+
+  it('applies contrast as a gain around mid-grey', () => {
+    const lut = buildToneLUT({ contrast: 2 });
+    expect(lut[128]).toBe(128);
+    expect(lut[100]).toBe(72);
+    expect(lut[10]).toBe(0);
+  });
+
+  it('inverts last', () => {
+    const lut = buildToneLUT({ brightness: 100, invert: true });
+    expect(lut[200]).toBe(0);
+  });
+});
+
+// ─── Histogram & equalisation ─────────────────────────────────────────────────
+
+describe('computeHistogram', () => {
+  it('counts opaque pixels by luma', () => {
+    const img = makeRamp(4, 1);
+    img.data[3] = 0;
+    const bins = computeHistogram(img);
+    expect(bins.reduce((a, b) => a + b, 0)).toBe(3);
+    expect(bins[255]).toBe(1);
+  });
+});
+
+describe('equalizeHistogram', () => {
+  it('spreads a narrow range across the full scale', () => {
+    const img = equalizeHistogram(makeRamp(64, 1, 100, 140));
+    expect(img.data[0]).toBe(0);
+    expect(img.data[63 * 4]).toBe(255);
+  });
+});
+
+describe('applyCLAHE', () => {
+  it('raises local contrast without touching transparent pixels', () => {
+    const img = makeRamp(128, 128, 110, 146);
+    img.data[3] = 0;
+    const before = img.data[0];
+    const localStep = ({ data }) => {
+      let sum = 0;
+      for (let x = 1; x < 16; x++) sum += Math.abs(data[(64 * 128 + 56 + x) * 4] - data[(64 * 128 + 55 + x) * 4]);
+      return sum;
+    };
+    const stepBefore = localStep(img);
+    applyCLAHE(img);
+    expect(img.data[0]).toBe(before);
+    expect(localStep(img)).toBeGreaterThan(stepBefore * 1.5);
+  });
+});
+
+// ─── applyToneAdjustments ─────────────────────────────────────────────────────
+
+describe('applyToneAdjustments', () => {
+  it('leaves the image alone with default settings', () => {
+    const img = makeRamp(16, 1);
+    const copy = img.data.slice();
+    expect(isDefaultTone(DEFAULT_TONE)).toBe(true);
+    applyToneAdjustments(img, DEFAULT_TONE);
+    expect(img.data).toEqual(copy);
+  });
+
+  it('treats an identity curve with extra points as default', () => {
+    expect(isDefaultTone({ curve: [[0, 0], [128, 128], [255, 255]] })).toBe(true);
+    expect(isDefaultTone({ curve: [[40, 40], [255, 255]] })).toBe(false);
+    expect(isDefaultTone(DEFAULT_TONE, 1.5)).toBe(false);
+  });
+
+  it('maps every colour channel through the same table', () => {
+    const img = { width: 1, height: 1, data: new Uint8ClampedArray([200, 100, 20, 255]) };
+    applyToneAdjustments(img, { invert: true });
+    expect([...img.data]).toEqual([55, 155, 235, 255]);
+  });
+});
@@ -1,67 +1,105 @@
 import { useEffect, useRef, useState } from 'react';
 import Matter from 'matter-js';
-
-export function usePhysics() {
-  const [engineState, setEngineState] = useState(null);
+import {
+  DEFAULT_WORLD,
+  DEFAULT_BODY,
+  STEP_DELTA,
+  applyBodySettings,
+  replaceWalls,
+  stepWorld,
+  nudgeBody
+} from './physicsSettings';
+import { createSimulation } from './simulation';
+import { syncLinks, applyFields } from './constraints';
+
+const NONE = [];
+
+// `world` holds the DEFAULT_WORLD settings; `bounds` is where the walls go
+// (see wallBounds), or null for no walls. `links` and `fields` are the
+// constraints between layers and the force fields (see constraints.js).
+export function usePhysics(world = DEFAULT_WORLD, bounds = null, links = NONE, fields = NONE) {
+  const [{ engine: engineState, simulation }, setPhysics] = useState({ engine: null, simulation: null });
   const engineRef = useRef(null);
+  const simulationRef = useRef(null);
   const runnerRef = useRef(null);
+  const heldRef = useRef(false);
+
+  const { gravity, gravityAngle, timeScale, paused, seed } = { ...DEFAULT_WORLD, ...world };
 
   useEffect(() => {
     const engine = Matter.Engine.create({
       gravity: { x: 0, y: 0 }
     });
+    const simulation = createSimulation(engine, DEFAULT_WORLD.seed);
 
     engineRef.current = engine;
+    simulationRef.current = simulation;
     // eslint-disable-next-line react-hooks/set-state-in-effect
-    setEngineState(engine);
+    setPhysics({ engine, simulation });
 
-    const runner = Matter.Runner.create();
+    // Fixed steps, so the same inputs at the same engine times replay exactly
+    const runner = Matter.Runner.create({ delta: STEP_DELTA });
     runnerRef.current = runner;
     Matter.Runner.run(runner, engine);
 
-    const updateBoundaries = () => {
-      const wallOptions = {
-        isStatic: true,
-        render: { visible: false }
-      };
-
-      const size = 10000;
-      const thick = 500;
+    return () => {
+      Matter.Runner.stop(runner);
+      simulation.dispose();
+      Matter.Engine.clear(engine);
+    };
+  }, []);
 
-      const ground = Matter.Bodies.rectangle(0, size / 2, size, thick, wallOptions);
-      const ceiling = Matter.Bodies.rectangle(0, -size / 2, size, thick, wallOptions);
-      const leftWall = Matter.Bodies.rectangle(-size / 2, 0, thick, size, wallOptions);
-      const rightWall = Matter.Bodies.rectangle(size / 2, 0, thick, size, wallOptions);
+  // World changes go through the simulation so recordings include them
+  useEffect(() => {
+    simulation?.input({ type: 'world', world: { gravity, gravityAngle, timeScale } });
+  }, [simulation, gravity, gravityAngle, timeScale]);
 
-      const currentBodies = Matter.Composite.allBodies(engine.world);
-      const staticBodies = currentBodies.filter(b => b.isStatic);
-      Matter.Composite.remove(engine.world, staticBodies);
-      Matter.Composite.add(engine.world, [ground, ceiling, leftWall, rightWall]);
-    };
+  useEffect(() => {
+    simulation?.reseed(seed);
+  }, [simulation, seed]);
 
-    updateBoundaries();
+  useEffect(() => {
+    if (runnerRef.current) runnerRef.current.enabled = !paused && !heldRef.current;
+  }, [engineState, paused]);
 
+  // Rebuilt only when the bounds actually move
+  const hasWalls = !!bounds;
+  const { minX, minY, maxX, maxY } = bounds ?? {};
+  useEffect(() => {
+    if (engineState) replaceWalls(engineState, hasWalls ? { minX, minY, maxX, maxY } : null);
+  }, [engineState, hasWalls, minX, minY, maxX, maxY]);
 
+  // Links are synced when they change and whenever a layer's body comes or
+  // goes, since they hold on to the bodies themselves; only the links
+  // affected are rebuilt
+  useEffect(() => {
+    if (!engineState) return;
+    const sync = () => syncLinks(engineState, links);
+    const handleChange = ({ object }) => {
+      if ([object].flat().some(item => item.plugin?.layerId != null)) sync();
+    };
+    sync();
+    Matter.Events.on(engineState.world, 'afterAdd', handleChange);
+    Matter.Events.on(engineState.world, 'afterRemove', handleChange);
     return () => {
-      Matter.Runner.stop(runner);
-      Matter.Engine.clear(engine);
+      Matter.Events.off(engineState.world, 'afterAdd', handleChange);
+      Matter.Events.off(engineState.world, 'afterRemove', handleChange);
     };
-  }, []);
+  }, [engineState, links]);
 
-  const addElement = (width, height, x, y) => {
+  useEffect(() => {
+    if (!engineState) return;
+    const handleUpdate = () => applyFields(engineState, fields);
+    Matter.Events.on(engineState, 'beforeUpdate', handleUpdate);
+    return () => Matter.Events.off(engineState, 'beforeUpdate', handleUpdate);
+  }, [engineState, fields]);
+
+  const addElement = (width, height, x, y, physics = DEFAULT_BODY) => {
     if (!engineRef.current) return;
-    const body = Matter.Bodies.rectangle(x, y, width, height, {
-      restitution: 0.9,
-      friction: 0.1,
-      frictionAir: 0.05,
-    });
+    const body = Matter.Bodies.rectangle(x, y, width, height);
+    applyBodySettings(body, physics);
     Matter.Composite.add(engineRef.current.world, body);
-
-    Matter.Body.applyForce(body, body.position, {
-      x: (Math.random() - 0.5) * 0.05,
-      y: (Math.random() - 0.5) * 0.05
-    });
-
+    nudgeBody(body, simulationRef.current.random);
     return body;
   };
 
@@ -70,5 +108,17 @@ export function usePhysics() {
     Matter.Composite.remove(engineRef.current.world, body);
   };
 
-  return { engine: engineState, addElement, removeElement };
+  // Stops the runner stepping the engine, e.g. while a recording steps it
+  // instead, whatever the world's own pause setting
+  const setPaused = (held) => {
+    heldRef.current = held;
+    if (runnerRef.current) runnerRef.current.enabled = !held && !paused;
+  };
+
+  // One tick forward while paused
+  const step = () => {
+    if (engineRef.current) stepWorld(engineRef.current);
+  };
+
+  return { engine: engineState, simulation, addElement, removeElement, setPaused, step };
 }
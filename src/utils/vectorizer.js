@@ -1,43 +1,105 @@
-import Potrace from 'potrace';
-
-export const vectorizeToSVG = (dataUrl, hexColor = '#000000') => {
-    return new Promise((resolve, reject) => {
-        const trace = new Potrace.Potrace();
-        
-        trace.setParameters({
-            turnPolicy: Potrace.Potrace.TURNPOLICY_MINORITY,
-            turdSize: 0,
-            optCurve: false,
-            alphamax: 1,
-            resolution: 1
-        });
-
-        const img = new Image();
-        img.onload = () => {
-            trace.loadImage(img, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                
-                const paths = trace.getPaths();
-                const combinedD = paths.map(p => p.d).join(' ');
-                
-                const svgString = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${img.width} ${img.height}">
-                    <path d="${combinedD}" fill="${hexColor}" fill-rule="evenodd" />
-                </svg>`;
-
-                resolve({
-                    svgString,
-                    pathData: combinedD,
-                    width: img.width,
-                    height: img.height
-                });
-            });
-        };
-        img.onerror = reject;
-        img.src = dataUrl;
+import { createCanvas, canvasToBlob } from './canvas';
+import { rgbToHex } from './colors';
+
+// "SVG Paths" export: each colour of a dithered layer is masked out and
+// traced by Potrace into one smooth compound path, and the paths are
+// stacked as one <g> per colour. Potrace (and the Jimp decoder it reads
+// images with) is only loaded once something is traced.
+
+export const DEFAULT_TRACE = {
+    turdSize: 2,    // drop speckles of up to this many pixels
+    alphaMax: 1,    // corner threshold: 0 keeps every corner, 1.334 rounds them all
+    optCurve: true  // merge neighbouring Bézier segments where they stay close
+};
+
+const loadPotrace = async () => (await import('potrace')).default.Potrace;
+
+// Traces the dark pixels of `target`, which is anything Potrace's loadImage
+// takes: a URL in the browser, an image Buffer in Node.
+export const vectorizeToSVG = async (target, hexColor = '#000000', options = {}) => {
+    const Potrace = await loadPotrace();
+    const trace = new Potrace();
+    trace.setParameters({
+        ...DEFAULT_TRACE,
+        ...options,
+        turnPolicy: Potrace.TURNPOLICY_MINORITY,
+        threshold: 128,
+        blackOnWhite: true,
+        color: hexColor
     });
+    await new Promise((resolve, reject) => trace.loadImage(target, err => (err ? reject(err) : resolve())));
+
+    const svgString = trace.getSVG();
+    const [, width, height] = /width="(\d+)" height="(\d+)"/.exec(svgString);
+    return {
+        svgString,
+        pathData: /<path d="([^"]*)"/.exec(svgString)[1].trim(),
+        width: Number(width),
+        height: Number(height)
+    };
+};
+
+// Opaque colours of the pixels, commonest first
+export const layerColors = ({ data }) => {
+    const counts = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+    return [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => ({ color: rgbToHex(key >> 16, (key >> 8) & 0xff, key & 0xff), count }));
+};
+
+// Black where the pixel is `color`, white everywhere else
+export const colorMask = ({ width, height, data }, color) => {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    const mask = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        const hit = data[i + 3] >= 128 && data[i] === r && data[i + 1] === g && data[i + 2] === b;
+        mask[i] = mask[i + 1] = mask[i + 2] = hit ? 0 : 255;
+        mask[i + 3] = 255;
+    }
+    return { width, height, data: mask };
+};
+
+const maskUrl = async (mask) => {
+    const canvas = createCanvas(mask.width, mask.height);
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(mask.width, mask.height);
+    image.data.set(mask.data);
+    ctx.putImageData(image, 0, 0);
+    return URL.createObjectURL(await canvasToBlob(canvas));
+};
+
+export const layeredSVG = ({ width, height, scale = 1, background, layers }) => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}">`,
+    ...(background ? [`<rect width="${width}" height="${height}" fill="${background}"/>`] : []),
+    ...layers.map(({ color, pathData }, i) =>
+        `<g id="color-${i + 1}" fill="${color}">\n<path d="${pathData}" fill-rule="evenodd"/>\n</g>`),
+    '</svg>'
+].join('\n');
+
+// Layered SVG of a dithered layer. As in the pixel vector export, the
+// commonest colour of an opaque layer becomes a background rect, which
+// also covers the hairlines between neighbouring traced shapes.
+export const vectorizeLayer = async (imageData, { scale = 1, ...options } = {}) => {
+    const colors = layerColors(imageData);
+    const opaque = colors.reduce((sum, { count }) => sum + count, 0) === imageData.width * imageData.height;
+    const background = opaque ? colors.shift()?.color : null;
+
+    const layers = [];
+    for (const { color } of colors) {
+        const url = await maskUrl(colorMask(imageData, color));
+        try {
+            const { pathData } = await vectorizeToSVG(url, color, options);
+            if (pathData) layers.push({ color, pathData });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    return layeredSVG({ width: imageData.width, height: imageData.height, scale, background, layers });
 };
 
 export const downloadSVG = (svgString, filename = 'dither-export.svg') => {
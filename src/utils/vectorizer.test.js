@@ -0,0 +1,96 @@
+/**
+ * Tests for src/utils/vectorizer.js
+ *
+ * Potrace reads masks through Jimp, so the trace itself is fed a 24-bit BMP
+ * built here; the mask and SVG assembly are tested on plain buffers.
+ */
+import { Buffer } from 'node:buffer';
+import { describe, it, expect } from 'vitest';
+import { vectorizeToSVG, layerColors, colorMask, layeredSVG } from './vectorizer.js';
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+
+// `rows` is an array of rows of [r, g, b, a] pixels
+function makeImageData(rows) {
+  return { data: new Uint8ClampedArray(rows.flat(2)), width: rows[0].length, height: rows.length };
+}
+
+// Uncompressed bottom-up BMP of a { width, height, data } RGBA buffer
+function toBMP({ width, height, data }) {
+  const stride = Math.ceil((width * 3) / 4) * 4;
+  const buf = Buffer.alloc(54 + stride * height);
+  buf.write('BM', 0);
+  buf.writeUInt32LE(buf.length, 2);
+  buf.writeUInt32LE(54, 10);
+  buf.writeUInt32LE(40, 14);
+  buf.writeInt32LE(width, 18);
+  buf.writeInt32LE(height, 22);
+  buf.writeUInt16LE(1, 26);
+  buf.writeUInt16LE(24, 28);
+  buf.writeUInt32LE(stride * height, 34);
+  for (let y = 0; y < height; y++) {
+    const row = 54 + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      buf[row + x * 3] = data[i + 2];
+      buf[row + x * 3 + 1] = data[i + 1];
+      buf[row + x * 3 + 2] = data[i];
+    }
+  }
+  return buf;
+}
+
+// 16 × 16 white image with a black 8 × 8 square in the middle
+const square = makeImageData(Array.from({ length: 16 }, (_, y) =>
+  Array.from({ length: 16 }, (_, x) => (x >= 4 && x < 12 && y >= 4 && y < 12 ? BLACK : WHITE))));
+
+// ─── vectorizeToSVG ───────────────────────────────────────────────────────────
+
+describe('vectorizeToSVG', () => {
+  it('traces the dark pixels into a path in the given colour', async () => {
+    const { pathData, svgString, width, height } = await vectorizeToSVG(toBMP(square), '#ff0000', { optCurve: false, alphaMax: 0 });
+    expect([width, height]).toEqual([16, 16]);
+    expect(svgString).toContain('fill="#ff0000"');
+    // With corners kept sharp the square comes back as straight segments on its edges
+    const coords = pathData.match(/-?\d+(\.\d+)?/g).map(Number);
+    expect(Math.min(...coords)).toBe(4);
+    expect(Math.max(...coords)).toBe(12);
+  });
+
+  it('drops specks no bigger than turdSize', async () => {
+    const speck = makeImageData(Array.from({ length: 8 }, (_, y) => Array.from({ length: 8 }, (_, x) => (x === 3 && y === 3 ? BLACK : WHITE))));
+    expect((await vectorizeToSVG(toBMP(speck), '#000000', { turdSize: 2 })).pathData).toBe('');
+    expect((await vectorizeToSVG(toBMP(speck), '#000000', { turdSize: 0 })).pathData).not.toBe('');
+  });
+});
+
+// ─── masks and layers ─────────────────────────────────────────────────────────
+
+describe('layerColors', () => {
+  it('lists opaque colours, commonest first', () => {
+    const img = makeImageData([[RED, WHITE, WHITE, [0, 0, 0, 0]]]);
+    expect(layerColors(img)).toEqual([{ color: '#ffffff', count: 2 }, { color: '#ff0000', count: 1 }]);
+  });
+});
+
+describe('colorMask', () => {
+  it('is black exactly where the colour is', () => {
+    const mask = colorMask(makeImageData([[RED, WHITE, RED]]), '#ff0000');
+    expect(Array.from(mask.data)).toEqual([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255]);
+  });
+});
+
+describe('layeredSVG', () => {
+  it('writes a background and one group per colour', () => {
+    const svg = layeredSVG({
+      width: 4, height: 2, scale: 2, background: '#ffffff',
+      layers: [{ color: '#000000', pathData: 'M0 0L1 0L1 1Z' }, { color: '#ff0000', pathData: 'M2 0L3 0L3 1Z' }],
+    });
+    expect(svg).toContain('width="8" height="4" viewBox="0 0 4 2"');
+    expect(svg).toContain('<rect width="4" height="2" fill="#ffffff"/>');
+    expect(svg.match(/<g /g)).toHaveLength(2);
+    expect(svg).toContain('<g id="color-2" fill="#ff0000">\n<path d="M2 0L3 0L3 1Z" fill-rule="evenodd"/>\n</g>');
+  });
+});
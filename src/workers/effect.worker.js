@@ -0,0 +1,30 @@
+import { renderEffect } from '../utils/pipeline';
+
+// Runs the effect pipeline off the main thread. Each message carries a job
+// id and the layer's effect settings, plus a transferred ImageBitmap when the
+// source changed; the bitmap is kept for later jobs. Replies are progress
+// updates followed by a PNG blob and the post-tone histogram.
+let source = null;
+
+self.onmessage = async ({ data }) => {
+    const { id, bitmap, settings } = data;
+    if (bitmap) {
+        source?.close();
+        source = bitmap;
+    }
+    try {
+        const canvas = new OffscreenCanvas(1, 1);
+        const result = await renderEffect(source, settings, canvas, progress => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+
+        if (!result) {
+            self.postMessage({ id, type: 'done', blob: null, histogram: null });
+            return;
+        }
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        self.postMessage({ id, type: 'done', blob, histogram: result.histogram }, [result.histogram.buffer]);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
@@ -9,6 +10,7 @@ export default defineConfig({
     globals: true,
     setupFiles: './src/setupTests.js',
     include: ['src/**/*.test.{js,jsx}'],
+    exclude: [...configDefaults.exclude, 'src/**/*.gpu.test.js'], // needs a browser, see vitest.gpu.config.js
     css: false, // Prevents Vite from parsing imported .css files and invoking PostCSS/css-calc
   },
 })
@@ -0,0 +1,20 @@
+import { defineConfig } from 'vitest/config'
+import { playwright } from '@vitest/browser-playwright'
+
+// GPU parity suite: real WebGL2 (and WebGPU where the build exposes it)
+// through SwiftShader in headless Chromium.
+export default defineConfig({
+  test: {
+    include: ['src/**/*.gpu.test.js'],
+    browser: {
+      enabled: true,
+      headless: true,
+      provider: playwright({
+        launchOptions: {
+          args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--enable-unsafe-webgpu'],
+        },
+      }),
+      instances: [{ browser: 'chromium' }],
+    },
+  },
+})